@@ -0,0 +1,76 @@
+/**
+ * GameBusiness 시설 속성 백필 스크립트
+ * 총게임기수/시설면적/청소년실 정보를 정규화해 gameCount, facilityArea, hasYouthRoom 컬럼을 채웁니다.
+ *
+ * 사용법:
+ *   npm run db:backfill-attributes
+ */
+require("dotenv").config();
+const { prisma } = require("../src/services/prisma");
+const { normalizeStoreAttributes } = require("../src/utils/storeAttributes");
+
+const BATCH_SIZE = 500;
+
+async function backfillStoreAttributes() {
+  const summary = { scanned: 0, withGameCount: 0, withArea: 0, withYouthRoom: 0 };
+  let cursor = 0;
+
+  while (true) {
+    const stores = await prisma.gameBusiness.findMany({
+      where: { id: { gt: cursor } },
+      select: {
+        id: true,
+        총게임기수: true,
+        시설면적: true,
+        소재지면적: true,
+        청소년실여부: true,
+        청소년실수: true,
+      },
+      orderBy: { id: "asc" },
+      take: BATCH_SIZE,
+    });
+
+    if (stores.length === 0) {
+      break;
+    }
+
+    for (const store of stores) {
+      const attributes = normalizeStoreAttributes(store);
+      summary.scanned++;
+
+      await prisma.gameBusiness.update({
+        where: { id: store.id },
+        data: {
+          gameCount: attributes.gameCount,
+          facilityArea: attributes.facilityArea,
+          hasYouthRoom: attributes.youthRoom,
+        },
+      });
+
+      if (attributes.gameCount !== null) summary.withGameCount++;
+      if (attributes.facilityArea !== null) summary.withArea++;
+      if (attributes.youthRoom !== null) summary.withYouthRoom++;
+    }
+
+    cursor = stores[stores.length - 1].id;
+    console.log(`... ${summary.scanned}건 처리 (마지막 ID: ${cursor})`);
+  }
+
+  return summary;
+}
+
+if (require.main === module) {
+  console.log("🏷️ 매장 시설 속성 백필 시작");
+
+  backfillStoreAttributes()
+    .then((summary) => {
+      console.log("✅ 매장 시설 속성 백필 완료:", summary);
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("❌ 매장 시설 속성 백필 실패:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = { backfillStoreAttributes };
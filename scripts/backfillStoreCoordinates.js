@@ -0,0 +1,107 @@
+/**
+ * GameBusiness 위도/경도 백필 스크립트
+ * 좌표정보x/y(TM)를 WGS84로 변환해 latitude/longitude 컬럼을 채웁니다.
+ * 레코드마다 원본 좌표계를 판별해 coordinateSystem에, 변환할 수 없는 좌표는 coordinateStatus=unconvertible로 표시합니다.
+ * --geocode를 주면 주소를 지오코딩한 좌표를 기준점으로 5174/5181/2097처럼 시도 범위로 구분되지 않는 좌표계까지 판별합니다.
+ * (주소 검색 API를 매장마다 호출하므로 결과는 geocode_cache에 저장됨)
+ *
+ * 사용법:
+ *   npm run db:backfill-coordinates                     # 좌표 상태가 계산되지 않은 매장만
+ *   npm run db:backfill-coordinates -- --all            # 전체 매장 재계산
+ *   npm run db:backfill-coordinates -- --all --geocode  # 주소 지오코딩 기준점으로 좌표계 판별
+ */
+require("dotenv").config();
+const { prisma } = require("../src/services/prisma");
+const { resolveStoreCoordinates } = require("../src/utils/coordinates");
+const { searchAddress } = require("../src/services/geocoding");
+
+const BATCH_SIZE = 500;
+
+/**
+ * 매장 주소의 지오코딩 좌표 (검색 실패 시 null)
+ */
+async function findReferencePoint(store) {
+  const address = store.도로명전체주소 || store.소재지전체주소;
+  if (!address) {
+    return null;
+  }
+  try {
+    const { results } = await searchAddress(address, { limit: 1 });
+    return results.length > 0 ? { lat: results[0].latitude, lng: results[0].longitude } : null;
+  } catch (error) {
+    console.error(`주소 지오코딩 실패 (ID: ${store.id}):`, error.message);
+    return null;
+  }
+}
+
+async function backfillStoreCoordinates({ all = false, geocode = false } = {}) {
+  const summary = { scanned: 0, updated: 0, invalid: 0, systems: {} };
+  let cursor = 0;
+
+  while (true) {
+    const stores = await prisma.gameBusiness.findMany({
+      where: {
+        id: { gt: cursor },
+        ...(all ? {} : { coordinateStatus: null }),
+      },
+      select: {
+        id: true,
+        좌표정보x: true,
+        좌표정보y: true,
+        소재지전체주소: true,
+        도로명전체주소: true,
+      },
+      orderBy: { id: "asc" },
+      take: BATCH_SIZE,
+    });
+
+    if (stores.length === 0) {
+      break;
+    }
+
+    for (const store of stores) {
+      const reference = geocode ? await findReferencePoint(store) : null;
+      const coords = resolveStoreCoordinates(store, { reference });
+      summary.scanned++;
+
+      await prisma.gameBusiness.update({
+        where: { id: store.id },
+        data: coords,
+      });
+
+      if (coords.coordinateStatus === "ok") {
+        summary.updated++;
+        summary.systems[coords.coordinateSystem] =
+          (summary.systems[coords.coordinateSystem] || 0) + 1;
+      } else {
+        summary.invalid++;
+      }
+    }
+
+    cursor = stores[stores.length - 1].id;
+    console.log(`... ${summary.scanned}건 처리 (마지막 ID: ${cursor})`);
+  }
+
+  return summary;
+}
+
+if (require.main === module) {
+  const all = process.argv.includes("--all");
+  const geocode = process.argv.includes("--geocode");
+
+  console.log(
+    `📍 매장 좌표 백필 시작 (${all ? "전체 재계산" : "미계산 매장만"}${geocode ? ", 지오코딩 기준점 사용" : ""})`
+  );
+
+  backfillStoreCoordinates({ all, geocode })
+    .then((summary) => {
+      console.log("✅ 매장 좌표 백필 완료:", summary);
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("❌ 매장 좌표 백필 실패:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = { backfillStoreCoordinates };
@@ -0,0 +1,72 @@
+/**
+ * GameBusiness 행정구역 백필 스크립트
+ * 소재지/도로명 전체주소에서 시도/시군구/읍면동을 추출해 sido, sigungu, dong 컬럼을 채웁니다.
+ *
+ * 사용법:
+ *   npm run db:backfill-regions
+ */
+require("dotenv").config();
+const { prisma } = require("../src/services/prisma");
+const { withRegionColumns } = require("../src/utils/regions");
+
+const BATCH_SIZE = 500;
+
+async function backfillStoreRegions() {
+  const summary = { scanned: 0, withSido: 0, withSigungu: 0, withDong: 0 };
+  let cursor = 0;
+
+  while (true) {
+    const stores = await prisma.gameBusiness.findMany({
+      where: { id: { gt: cursor } },
+      select: {
+        id: true,
+        소재지전체주소: true,
+        도로명전체주소: true,
+      },
+      orderBy: { id: "asc" },
+      take: BATCH_SIZE,
+    });
+
+    if (stores.length === 0) {
+      break;
+    }
+
+    for (const store of stores) {
+      const { sido, sigungu, dong } = withRegionColumns({
+        소재지전체주소: store.소재지전체주소,
+        도로명전체주소: store.도로명전체주소,
+      });
+      summary.scanned++;
+
+      await prisma.gameBusiness.update({
+        where: { id: store.id },
+        data: { sido, sigungu, dong },
+      });
+
+      if (sido) summary.withSido++;
+      if (sigungu) summary.withSigungu++;
+      if (dong) summary.withDong++;
+    }
+
+    cursor = stores[stores.length - 1].id;
+    console.log(`... ${summary.scanned}건 처리 (마지막 ID: ${cursor})`);
+  }
+
+  return summary;
+}
+
+if (require.main === module) {
+  console.log("🗺️ 매장 행정구역 백필 시작");
+
+  backfillStoreRegions()
+    .then((summary) => {
+      console.log("✅ 매장 행정구역 백필 완료:", summary);
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("❌ 매장 행정구역 백필 실패:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = { backfillStoreRegions };
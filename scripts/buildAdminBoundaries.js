@@ -0,0 +1,137 @@
+/**
+ * 행정구역 경계 파일 생성 스크립트
+ * 공개된 행정동 경계 GeoJSON(예: 통계청 SGIS, vuski/admdongkor의 HangJeongDong_*.geojson)을
+ * 오프라인 역지오코딩용 번들 파일(data/admin-boundaries.geojson)로 변환합니다.
+ *
+ * - properties를 { code, sido, sigungu, emd }로 정리
+ * - 좌표를 소수점 5자리(약 1m)로 반올림하고 연속 중복 좌표 제거
+ *
+ * 결과 파일은 저장소에 커밋하지 않고 배포 빌드(vercel-build)에서 ADMIN_BOUNDARY_SOURCE로 생성합니다.
+ *
+ * 사용법:
+ *   npm run geo:build-boundaries -- <원본 GeoJSON 경로 또는 URL> [출력 경로]
+ *   ADMIN_BOUNDARY_SOURCE=<경로 또는 URL> npm run geo:build-boundaries
+ *   node scripts/buildAdminBoundaries.js --optional  # 원본이 설정되지 않았으면 경고만 하고 종료 (배포 빌드용)
+ */
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+
+const COORDINATE_PRECISION = 5;
+const DEFAULT_OUTPUT = path.join(__dirname, "../data/admin-boundaries.geojson");
+const DOWNLOAD_TIMEOUT_MS = 120000;
+
+const args = process.argv.slice(2);
+const optional = args.includes("--optional");
+const [inputArg, outputPath = DEFAULT_OUTPUT] = args.filter((arg) => !arg.startsWith("--"));
+const inputPath = inputArg || process.env.ADMIN_BOUNDARY_SOURCE;
+
+/**
+ * 원본 properties에서 행정구역 이름/코드를 추출합니다.
+ * adm_nm("서울특별시 종로구 사직동") 형태와 sidonm/sggnm 분리 형태를 모두 지원합니다.
+ */
+function toBoundaryProperties(properties) {
+  const code = properties.adm_cd2 || properties.adm_cd || properties.ADM_CD || null;
+  const fullName = properties.adm_nm || properties.ADM_NM;
+
+  if (fullName) {
+    const tokens = String(fullName).trim().split(/\s+/);
+    return {
+      code: code ? String(code) : null,
+      sido: tokens[0],
+      sigungu: tokens.length > 2 ? tokens.slice(1, -1).join(" ") : tokens[1] || null,
+      emd: tokens.length > 2 ? tokens[tokens.length - 1] : null,
+    };
+  }
+
+  if (properties.sidonm) {
+    return {
+      code: code ? String(code) : null,
+      sido: properties.sidonm,
+      sigungu: properties.sggnm || null,
+      emd: properties.emdnm || null,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * 링 좌표를 반올림하고 연속 중복 좌표를 제거합니다.
+ */
+function compactRing(ring) {
+  const factor = 10 ** COORDINATE_PRECISION;
+  const compacted = [];
+
+  for (const [lng, lat] of ring) {
+    const point = [Math.round(lng * factor) / factor, Math.round(lat * factor) / factor];
+    const last = compacted[compacted.length - 1];
+    if (!last || last[0] !== point[0] || last[1] !== point[1]) {
+      compacted.push(point);
+    }
+  }
+
+  return compacted;
+}
+
+function compactGeometry({ type, coordinates }) {
+  if (type === "Polygon") {
+    return { type, coordinates: coordinates.map(compactRing) };
+  }
+  if (type === "MultiPolygon") {
+    return { type, coordinates: coordinates.map((polygon) => polygon.map(compactRing)) };
+  }
+  return null;
+}
+
+/**
+ * 원본 GeoJSON을 읽습니다. (http(s) URL이면 다운로드)
+ */
+async function readSource(source) {
+  if (/^https?:\/\//.test(source)) {
+    const response = await axios.get(source, { responseType: "text", timeout: DOWNLOAD_TIMEOUT_MS });
+    return JSON.parse(response.data);
+  }
+  return JSON.parse(fs.readFileSync(source, "utf8"));
+}
+
+async function buildAdminBoundaries() {
+  const source = await readSource(inputPath);
+  let skipped = 0;
+
+  const features = source.features
+    .map((feature) => {
+      const properties = feature.properties && toBoundaryProperties(feature.properties);
+      const geometry = feature.geometry && compactGeometry(feature.geometry);
+      if (!properties || !geometry) {
+        skipped++;
+        return null;
+      }
+      return { type: "Feature", properties, geometry };
+    })
+    .filter(Boolean);
+
+  if (features.length === 0) {
+    throw new Error("변환할 행정구역 경계가 없습니다. 원본 GeoJSON 형식을 확인해주세요.");
+  }
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, JSON.stringify({ type: "FeatureCollection", features }));
+
+  const sizeMb = (fs.statSync(outputPath).size / 1024 / 1024).toFixed(1);
+  console.log(`✅ 행정구역 경계 ${features.length}개 저장 (${sizeMb}MB, 건너뜀 ${skipped}): ${outputPath}`);
+}
+
+if (!inputPath) {
+  if (optional) {
+    console.warn("⚠️ ADMIN_BOUNDARY_SOURCE가 설정되지 않아 행정구역 경계 파일을 만들지 않습니다. (오프라인 역지오코딩 비활성)");
+    process.exit(0);
+  }
+  console.error("❌ 원본 경계 GeoJSON 경로 또는 URL을 지정해주세요. (인자 또는 ADMIN_BOUNDARY_SOURCE)");
+  process.exit(1);
+}
+
+buildAdminBoundaries().catch((error) => {
+  console.error("❌ 행정구역 경계 파일 생성 실패:", error.message);
+  process.exit(1);
+});
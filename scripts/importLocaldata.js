@@ -0,0 +1,39 @@
+/**
+ * LOCALDATA 게임제공업 데이터 가져오기 스크립트
+ * localdata.go.kr에서 내려받은 CSV/XML 파일을 game_businesses 테이블에 반영합니다.
+ *
+ * 사용법:
+ *   npm run import:localdata -- <파일경로>             # 증분 동기화 (이전 실행 이후 갱신분만)
+ *   npm run import:localdata -- <파일경로> --full      # 전체 반영
+ *   npm run import:localdata -- <파일경로> --dry-run   # DB 반영 없이 집계만
+ *
+ * 파일경로를 생략하면 LOCALDATA_IMPORT_FILE 환경변수를 사용합니다.
+ */
+require("dotenv").config();
+const { importLocaldataFile } = require("../src/services/localdataImport");
+
+const args = process.argv.slice(2);
+const filePath = args.find((arg) => !arg.startsWith("--")) || process.env.LOCALDATA_IMPORT_FILE;
+const full = args.includes("--full");
+const dryRun = args.includes("--dry-run");
+
+if (!filePath) {
+  console.error("❌ 가져올 파일 경로를 지정해주세요. (또는 LOCALDATA_IMPORT_FILE 환경변수)");
+  process.exit(1);
+}
+
+console.log(`📥 LOCALDATA 가져오기 시작: ${filePath} (${full ? "전체" : "증분"}${dryRun ? ", dry-run" : ""})`);
+
+importLocaldataFile(filePath, { full, dryRun })
+  .then((summary) => {
+    console.log("✅ LOCALDATA 가져오기 완료");
+    console.log(`   전체 ${summary.totalRows}건 | 신규 ${summary.inserted} | 갱신 ${summary.updated} | 폐업 ${summary.closed} | 삭제 ${summary.deleted} | 건너뜀 ${summary.skipped} | 실패 ${summary.failed}`);
+    if (summary.errors.length > 0) {
+      console.log("   실패 내역:", summary.errors);
+    }
+    process.exit(summary.failed > 0 ? 2 : 0);
+  })
+  .catch((error) => {
+    console.error("❌ LOCALDATA 가져오기 실패:", error);
+    process.exit(1);
+  });
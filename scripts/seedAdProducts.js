@@ -0,0 +1,48 @@
+/**
+ * 기본 광고 상품 등록 스크립트
+ * DEFAULT_AD_PRODUCTS를 상품 코드 기준으로 등록합니다. 이미 있는 상품은 건드리지 않습니다.
+ * (가격/기간 변경은 PUT /api/admin/ad-products/:code)
+ *
+ * 사용법:
+ *   npm run db:seed-ad-products
+ */
+require("dotenv").config();
+const { prisma } = require("../src/services/prisma");
+const { DEFAULT_AD_PRODUCTS } = require("../src/services/adProducts");
+
+async function seedAdProducts() {
+  const summary = { created: 0, skipped: 0 };
+
+  for (const product of DEFAULT_AD_PRODUCTS) {
+    const existing = await prisma.adProduct.findUnique({
+      where: { code: product.code },
+      select: { id: true },
+    });
+
+    if (existing) {
+      summary.skipped++;
+      continue;
+    }
+
+    await prisma.adProduct.create({ data: product });
+    summary.created++;
+  }
+
+  return summary;
+}
+
+if (require.main === module) {
+  console.log("🛒 기본 광고 상품 등록 시작");
+
+  seedAdProducts()
+    .then((summary) => {
+      console.log("✅ 기본 광고 상품 등록 완료:", summary);
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("❌ 기본 광고 상품 등록 실패:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = { seedAdProducts };
@@ -14,6 +14,9 @@ require("dotenv").config();
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Vercel 프록시 뒤에서 req.ip를 클라이언트 IP(X-Forwarded-For)로 사용 (광고 이벤트 중복 제거, 열람 기록)
+app.set("trust proxy", 1);
+
 // 기본 미들웨어 설정
 app.use(helmet());
 app.use(compression());
@@ -72,14 +75,18 @@ app.options("*", cors(corsOptions));
 
 // API 라우트
 app.use("/api/stores", require("./routes/stores"));
+app.use("/api/regions", require("./routes/regions"));
 app.use("/api/reviews", require("./routes/reviews"));
 app.use("/api/auth", require("./routes/auth"));
 app.use("/api/admin", require("./routes/admin"));
 app.use("/api/toss", require("./routes/toss"));
 app.use("/api/favorites", require("./routes/favorites"));
+app.use("/api/notifications", require("./routes/notifications"));
 app.use("/api/store-reports", require("./routes/storeReports"));
 app.use("/api/open-alerts", require("./routes/openAlerts"));
 app.use("/api/ad-requests", require("./routes/adRequests"));
+app.use("/api/ad-events", require("./routes/adEvents"));
+app.use("/api/ads", require("./routes/ads"));
 app.use("/api/geocode", require("./routes/geocode"));
 app.use("/api/upload", require("./routes/upload"));
 app.use("/api/scheduler", require("./routes/scheduler"));
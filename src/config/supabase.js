@@ -2,6 +2,7 @@ const { createClient } = require('@supabase/supabase-js');
 
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseKey = process.env.SUPABASE_ANON_KEY;
+const supabaseServiceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
 
 if (!supabaseUrl || !supabaseKey) {
   console.error('Supabase URL과 Key가 환경변수에 설정되어 있지 않습니다.');
@@ -10,4 +11,12 @@ if (!supabaseUrl || !supabaseKey) {
 
 const supabase = createClient(supabaseUrl, supabaseKey);
 
-module.exports = { supabase };
\ No newline at end of file
+// 비공개 버킷(신분증 등 민감 서류) 접근용 서버 전용 클라이언트
+// 서비스 롤 키가 없으면 null (anon key로 대체하지 않고 서류 업로드/열람을 거부)
+const supabaseAdmin = supabaseServiceRoleKey
+  ? createClient(supabaseUrl, supabaseServiceRoleKey, {
+      auth: { persistSession: false, autoRefreshToken: false }
+    })
+  : null;
+
+module.exports = { supabase, supabaseAdmin };
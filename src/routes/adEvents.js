@@ -0,0 +1,44 @@
+const express = require("express");
+const router = express.Router();
+const { optionalAuth } = require("../middleware/auth");
+const { recordAdEvents } = require("../services/adEvents");
+
+/**
+ * @route   POST /api/ad-events
+ * @desc    광고 노출/상세 조회/길찾기·전화 클릭 이벤트 수집
+ *          { events: [{ adRequestId, type }] } 또는 { adRequestId, type }
+ *          type: impression | detail_view | directions_click | call_click
+ *          같은 사용자(비로그인은 IP/User-Agent)의 같은 광고·유형 이벤트는 하루 1회만 집계, 1분당 요청 수 제한(429)
+ * @access  Public (로그인 시 사용자 기준으로 중복 제거)
+ */
+router.post("/", optionalAuth, async (req, res) => {
+  try {
+    const { events, adRequestId, type } = req.body || {};
+
+    const result = await recordAdEvents(events || [{ adRequestId, type }], {
+      userId: req.user?.id,
+      ip: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    if (error.status === 400 || error.status === 429) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error("광고 이벤트 수집 오류:", error);
+    res.status(500).json({
+      success: false,
+      error: "광고 이벤트를 저장하는 중 오류가 발생했습니다.",
+    });
+  }
+});
+
+module.exports = router;
@@ -1,17 +1,59 @@
 const express = require("express");
 const router = express.Router();
 const { PrismaClient } = require("../generated/prisma");
-const { authenticateToken } = require("../middleware/auth");
+const { authenticateToken, requireAdmin } = require("../middleware/auth");
 const { notifyNewAdRequest } = require("../services/eventSlack");
+const { fillMissingCoordinates } = require("../services/geocoding");
+const { getAdReport } = require("../services/adEvents");
+const {
+  resolveAdRegion,
+  assertAdSlotsAvailable,
+  getAdAvailability,
+  updateAdRequestStatus,
+} = require("../services/adInventory");
+const {
+  listAdProducts,
+  getActiveAdProduct,
+  computeAdPeriod,
+  formatAdProduct,
+} = require("../services/adProducts");
+const { refundAdRequestPayment } = require("../services/paymentRefunds");
+const { resolveAdDocumentIds, formatAdDocument } = require("../services/adDocuments");
+const { renewAdRequest } = require("../services/adRenewals");
+const {
+  listCreatives,
+  createCreative,
+  updateCreative,
+  formatCreative,
+} = require("../services/adCreatives");
+const { parseRegionCode } = require("../utils/regions");
+const { toKstDateString } = require("../utils/kstDate");
 
 const prisma = new PrismaClient();
 
 // 모든 광고 신청 라우트에 인증 미들웨어 적용
 router.use(authenticateToken);
 
+/**
+ * 주소로 직접 입력한 광고 매장 위치 (매장을 선택한 경우 null)
+ */
+function formatAdRequestLocation(adRequest) {
+  if (!adRequest.address) {
+    return null;
+  }
+  return {
+    address: adRequest.address,
+    latitude: adRequest.latitude,
+    longitude: adRequest.longitude,
+    coordinateSource: adRequest.coordinateSource,
+  };
+}
+
 /**
  * @route   POST /api/ad-requests
  * @desc    광고 신청 생성
+ *          productCode(필수)의 상품 기간으로 종료일을 계산하고 결제 대기(awaiting_payment)로 생성합니다.
+ *          결제(POST /api/payment/make-payment, adRequestId)가 완료되면 심사 대기(paid)로 바뀝니다.
  * @access  Private (인증 필요)
  */
 router.post("/", async (req, res) => {
@@ -28,44 +70,82 @@ router.post("/", async (req, res) => {
     const {
       storeId,
       startDate,
-      endDate,
       ownerName,
       ownerPhone,
       businessLicenseUrl,
       idCardUrl,
+      businessLicenseDocumentId,
+      idCardDocumentId,
+      address,
+      latitude,
+      longitude,
+      productCode,
     } = req.body;
 
-    // 필수 필드 검증
-    if (!startDate || !endDate || !ownerName || !ownerPhone) {
+    // 신분증 등 서류는 공개 URL로 받지 않음 (POST /api/upload/documents로 비공개 업로드)
+    if (businessLicenseUrl || idCardUrl) {
+      return res.status(400).json({
+        success: false,
+        error: "첨부 서류는 서류 업로드 후 businessLicenseDocumentId, idCardDocumentId로 보내주세요.",
+      });
+    }
+
+    // 필수 필드 검증 (종료일은 상품 기간으로 계산)
+    if (!startDate || !ownerName || !ownerPhone) {
       return res.status(400).json({
         success: false,
         error: "필수 정보를 모두 입력해주세요.",
       });
     }
 
-    // 날짜 유효성 검증
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    // 결제 없이 심사 대기로 들어가는 무료 신청을 막기 위해 광고 상품 필수
+    if (!productCode) {
+      return res.status(400).json({
+        success: false,
+        error: "광고 상품을 선택해주세요. (productCode)",
+      });
+    }
 
-    if (start < today) {
+    if (!storeId && !address?.trim()) {
       return res.status(400).json({
         success: false,
-        error: "시작일은 오늘 이후여야 합니다.",
+        error: "매장을 선택하거나 주소를 입력해주세요.",
       });
     }
 
-    if (end <= start) {
+    let product;
+    try {
+      product = await getActiveAdProduct(productCode);
+    } catch (productError) {
+      if (productError.status === 400) {
+        return res.status(400).json({
+          success: false,
+          error: productError.message,
+        });
+      }
+      throw productError;
+    }
+
+    // 날짜 유효성 검증
+    if (isNaN(new Date(startDate))) {
+      return res.status(400).json({
+        success: false,
+        error: "날짜 형식이 올바르지 않습니다.",
+      });
+    }
+    const { startDate: start, endDate: end } = computeAdPeriod(product, new Date(startDate));
+    // 오늘 여부는 한국 시간 날짜로 비교
+    if (toKstDateString(start) < toKstDateString()) {
       return res.status(400).json({
         success: false,
-        error: "종료일은 시작일보다 늦어야 합니다.",
+        error: "시작일은 오늘 이후여야 합니다.",
       });
     }
 
     // 매장 존재 확인 (storeId가 제공된 경우)
+    let store = null;
     if (storeId) {
-      const store = await prisma.gameBusiness.findUnique({
+      store = await prisma.gameBusiness.findUnique({
         where: { id: parseInt(storeId) },
       });
 
@@ -77,18 +157,66 @@ router.post("/", async (req, res) => {
       }
     }
 
+    // 첨부 서류 확인 (본인이 업로드한 미첨부 서류)
+    let documentIds;
+    try {
+      documentIds = await resolveAdDocumentIds(userId, { businessLicenseDocumentId, idCardDocumentId });
+    } catch (documentError) {
+      if (documentError.status === 400) {
+        return res.status(400).json({
+          success: false,
+          error: documentError.message,
+        });
+      }
+      throw documentError;
+    }
+
+    // 지역 광고 재고 확인 (대기 중인 신청도 슬롯을 차지한 것으로 계산)
+    const region = resolveAdRegion({ store, address });
+    if (region) {
+      try {
+        await assertAdSlotsAvailable(prisma, {
+          regionCode: region.code,
+          startDate: start,
+          endDate: end,
+        });
+      } catch (inventoryError) {
+        if (inventoryError.status === 409) {
+          return res.status(409).json({
+            success: false,
+            error: inventoryError.message,
+            unavailableDates: inventoryError.details.unavailableDates,
+          });
+        }
+        throw inventoryError;
+      }
+    }
+
+    // 주소로 직접 입력한 경우 좌표가 없으면 주소 검색으로 자동 입력
+    const location = storeId
+      ? {}
+      : await fillMissingCoordinates({
+          address: address.trim(),
+          latitude: latitude ? parseFloat(latitude) : null,
+          longitude: longitude ? parseFloat(longitude) : null,
+        });
+
     // 광고 신청 생성
     const adRequest = await prisma.adRequest.create({
       data: {
         userId,
         storeId: storeId ? parseInt(storeId) : null,
+        ...location,
+        regionCode: region ? region.code : null,
         startDate: start,
         endDate: end,
         ownerName: ownerName.trim(),
         ownerPhone: ownerPhone.trim(),
-        businessLicenseUrl,
-        idCardUrl,
-        status: "pending",
+        documents: { connect: documentIds.map((id) => ({ id })) },
+        productId: product.id,
+        placement: product.placement,
+        price: product.price,
+        status: "awaiting_payment",
       },
       include: {
         store: {
@@ -98,6 +226,9 @@ router.post("/", async (req, res) => {
             소재지전체주소: true,
           },
         },
+        documents: {
+          select: { type: true },
+        },
       },
     });
 
@@ -112,8 +243,9 @@ router.post("/", async (req, res) => {
           endDate: adRequest.endDate,
           ownerName: adRequest.ownerName,
           ownerPhone: adRequest.ownerPhone,
-          businessLicenseUrl: adRequest.businessLicenseUrl,
-          idCardUrl: adRequest.idCardUrl,
+          hasBusinessLicense: adRequest.documents.some((document) => document.type === "business_license"),
+          hasIdCard: adRequest.documents.some((document) => document.type === "id_card"),
+          address: adRequest.address,
           createdAt: adRequest.createdAt
         });
       } catch (slackError) {
@@ -133,7 +265,10 @@ router.post("/", async (req, res) => {
           endDate: adRequest.endDate,
           ownerName: adRequest.ownerName,
           status: adRequest.status,
+          product: formatAdProduct(product),
+          price: adRequest.price,
           store: adRequest.store,
+          location: formatAdRequestLocation(adRequest),
           createdAt: adRequest.createdAt,
         },
       },
@@ -147,6 +282,97 @@ router.post("/", async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/ad-requests/products
+ * @desc    판매 중인 광고 상품 목록 (기간, 노출 방식, 가격)
+ * @access  Private (인증 필요)
+ */
+router.get("/products", async (req, res) => {
+  try {
+    const products = await listAdProducts();
+
+    res.json({
+      success: true,
+      data: products.map(formatAdProduct),
+    });
+  } catch (error) {
+    console.error("광고 상품 목록 조회 오류:", error);
+    res.status(500).json({
+      success: false,
+      error: "광고 상품 목록을 불러오는 중 오류가 발생했습니다.",
+    });
+  }
+});
+
+/**
+ * @route   GET /api/ad-requests/availability
+ * @desc    광고 슬롯 예약 가능 달력 (지역의 날짜별 전체/예약/남은 슬롯 수)
+ *          storeId, address 또는 region(시군구 지역 코드, 예: "11:마포구") 중 하나로 지역 지정
+ *          from, to: YYYY-MM-DD (기본: 오늘부터 30일, 최대 92일)
+ * @access  Private (인증 필요)
+ */
+router.get("/availability", async (req, res) => {
+  try {
+    const { storeId, address, region: regionCode, from, to } = req.query;
+
+    for (const date of [from, to]) {
+      if (date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return res.status(400).json({
+          success: false,
+          error: "날짜는 YYYY-MM-DD 형식이어야 합니다.",
+        });
+      }
+    }
+
+    let region = null;
+    if (storeId) {
+      const store = await prisma.gameBusiness.findUnique({
+        where: { id: parseInt(storeId) || 0 },
+        select: { sido: true, sigungu: true },
+      });
+      if (!store) {
+        return res.status(404).json({
+          success: false,
+          error: "선택한 매장을 찾을 수 없습니다.",
+        });
+      }
+      region = resolveAdRegion({ store });
+    } else if (address?.trim()) {
+      region = resolveAdRegion({ address: address.trim() });
+    } else if (regionCode) {
+      const parsed = parseRegionCode(regionCode);
+      region = parsed ? resolveAdRegion({ store: parsed }) : null;
+    }
+
+    if (!region) {
+      return res.status(400).json({
+        success: false,
+        error: "광고 지역을 확인할 수 없습니다. 매장, 주소 또는 지역 코드를 입력해주세요.",
+      });
+    }
+
+    const availability = await getAdAvailability({ region, from, to });
+
+    res.json({
+      success: true,
+      data: availability,
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error("광고 슬롯 조회 오류:", error);
+    res.status(500).json({
+      success: false,
+      error: "광고 슬롯을 조회하는 중 오류가 발생했습니다.",
+    });
+  }
+});
+
 /**
  * @route   GET /api/ad-requests/user
  * @desc    사용자의 광고 신청 목록 조회
@@ -188,6 +414,11 @@ router.get("/user", async (req, res) => {
       ownerName: request.ownerName,
       ownerPhone: request.ownerPhone,
       status: request.status,
+      lifecycleStatus: request.lifecycleStatus,
+      placement: request.placement,
+      price: request.price,
+      paidAt: request.paidAt,
+      renewedFromId: request.renewedFromId,
       store: request.store
         ? {
             id: request.store.id,
@@ -248,6 +479,9 @@ router.get("/:id", async (req, res) => {
             nickname: true,
           },
         },
+        documents: {
+          orderBy: { createdAt: "asc" },
+        },
       },
     });
 
@@ -274,7 +508,13 @@ router.get("/:id", async (req, res) => {
       ownerPhone: adRequest.ownerPhone,
       businessLicenseUrl: adRequest.businessLicenseUrl,
       idCardUrl: adRequest.idCardUrl,
+      documents: adRequest.documents.map(formatAdDocument),
       status: adRequest.status,
+      lifecycleStatus: adRequest.lifecycleStatus,
+      placement: adRequest.placement,
+      price: adRequest.price,
+      paidAt: adRequest.paidAt,
+      renewedFromId: adRequest.renewedFromId,
       store: adRequest.store
         ? {
             id: adRequest.store.id,
@@ -282,6 +522,7 @@ router.get("/:id", async (req, res) => {
             address: adRequest.store.소재지전체주소,
           }
         : null,
+      location: formatAdRequestLocation(adRequest),
       adminNote: adRequest.adminNote,
       createdAt: adRequest.createdAt,
       approvedAt: adRequest.approvedAt,
@@ -301,6 +542,257 @@ router.get("/:id", async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/ad-requests/:id/report
+ * @desc    광고 성과 리포트 (광고 기간의 일별 노출/상세 조회/길찾기·전화 클릭 수)
+ * @access  Private (신청자 본인)
+ */
+router.get("/:id/report", async (req, res) => {
+  try {
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        error: "로그인이 필요합니다.",
+      });
+    }
+
+    const adRequest = await prisma.adRequest.findUnique({
+      where: { id: req.params.id },
+      include: {
+        store: {
+          select: {
+            id: true,
+            사업장명: true,
+          },
+        },
+      },
+    });
+
+    if (!adRequest) {
+      return res.status(404).json({
+        success: false,
+        error: "광고 신청을 찾을 수 없습니다.",
+      });
+    }
+
+    if (adRequest.userId !== userId) {
+      return res.status(403).json({
+        success: false,
+        error: "접근 권한이 없습니다.",
+      });
+    }
+
+    const report = await getAdReport(adRequest);
+
+    res.json({
+      success: true,
+      data: {
+        id: adRequest.id,
+        status: adRequest.status,
+        store: adRequest.store
+          ? { id: adRequest.store.id, name: adRequest.store.사업장명 }
+          : null,
+        ...report,
+      },
+    });
+  } catch (error) {
+    console.error("광고 성과 리포트 조회 오류:", error);
+    res.status(500).json({
+      success: false,
+      error: "광고 성과 리포트를 불러오는 중 오류가 발생했습니다.",
+    });
+  }
+});
+
+/**
+ * @route   GET /api/ad-requests/:id/creatives
+ * @desc    광고 소재 목록 (심사 상태, 거절 사유 포함)
+ * @access  Private (신청자 본인)
+ */
+router.get("/:id/creatives", async (req, res) => {
+  try {
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        error: "로그인이 필요합니다.",
+      });
+    }
+
+    const creatives = await listCreatives(req.params.id, userId);
+
+    res.json({
+      success: true,
+      data: creatives.map((creative) => formatCreative(creative, { includeReview: true })),
+    });
+  } catch (error) {
+    if ([400, 403, 404].includes(error.status)) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error("광고 소재 목록 조회 오류:", error);
+    res.status(500).json({
+      success: false,
+      error: "광고 소재 목록을 불러오는 중 오류가 발생했습니다.",
+    });
+  }
+});
+
+/**
+ * @route   POST /api/ad-requests/:id/creatives
+ * @desc    광고 소재 등록 (심사 대기)
+ *          imageUrl, headline, promoText, couponCode, couponDescription, couponExpiresAt
+ * @access  Private (신청자 본인)
+ */
+router.post("/:id/creatives", async (req, res) => {
+  try {
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        error: "로그인이 필요합니다.",
+      });
+    }
+
+    const creative = await createCreative(req.params.id, userId, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: formatCreative(creative, { includeReview: true }),
+      message: "광고 소재가 등록되었습니다. 심사 후 노출됩니다.",
+    });
+  } catch (error) {
+    if ([400, 403, 404].includes(error.status)) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error("광고 소재 등록 오류:", error);
+    res.status(500).json({
+      success: false,
+      error: "광고 소재 등록 중 오류가 발생했습니다.",
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/ad-requests/:id/creatives/:creativeId
+ * @desc    광고 소재 수정 (수정하면 다시 심사 대기)
+ * @access  Private (신청자 본인)
+ */
+router.put("/:id/creatives/:creativeId", async (req, res) => {
+  try {
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        error: "로그인이 필요합니다.",
+      });
+    }
+
+    const creative = await updateCreative(req.params.id, req.params.creativeId, userId, req.body);
+
+    res.json({
+      success: true,
+      data: formatCreative(creative, { includeReview: true }),
+      message: "광고 소재가 수정되었습니다. 심사 후 노출됩니다.",
+    });
+  } catch (error) {
+    if ([400, 403, 404].includes(error.status)) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error("광고 소재 수정 오류:", error);
+    res.status(500).json({
+      success: false,
+      error: "광고 소재 수정 중 오류가 발생했습니다.",
+    });
+  }
+});
+
+/**
+ * @route   POST /api/ad-requests/:id/renew
+ * @desc    광고 연장 신청 (승인된 광고를 새 기간으로 복제, 승인된 소재 포함)
+ *          startDate(기본: 기존 광고 종료 다음 날), productCode(기본: 기존 상품, 상품 없이 신청한 광고는 필수)
+ * @access  Private (신청자 본인)
+ */
+router.post("/:id/renew", async (req, res) => {
+  try {
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        error: "로그인이 필요합니다.",
+      });
+    }
+
+    const { startDate, productCode } = req.body;
+    const renewal = await renewAdRequest(req.params.id, userId, { startDate, productCode });
+
+    // 실시간 슬랙 알림 전송 (비동기, 에러가 발생해도 API 응답에는 영향 없음)
+    setImmediate(async () => {
+      try {
+        await notifyNewAdRequest({
+          id: renewal.id,
+          userId: renewal.userId,
+          store: renewal.store,
+          startDate: renewal.startDate,
+          endDate: renewal.endDate,
+          ownerName: renewal.ownerName,
+          ownerPhone: renewal.ownerPhone,
+          address: renewal.address,
+          renewedFromId: renewal.renewedFromId,
+          createdAt: renewal.createdAt,
+        });
+      } catch (slackError) {
+        console.error("광고 연장 신청 슬랙 알림 전송 실패:", slackError);
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        id: renewal.id,
+        renewedFromId: renewal.renewedFromId,
+        status: renewal.status,
+        startDate: renewal.startDate,
+        endDate: renewal.endDate,
+        placement: renewal.placement,
+        price: renewal.price,
+        message: "광고 연장 신청이 접수되었습니다. 결제를 완료하면 심사가 진행됩니다.",
+      },
+    });
+  } catch (error) {
+    if ([400, 403, 404, 409].includes(error.status)) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        ...(error.details ? { unavailableDates: error.details.unavailableDates } : {}),
+      });
+    }
+
+    console.error("광고 연장 신청 오류:", error);
+    res.status(500).json({
+      success: false,
+      error: "광고 연장 신청 중 오류가 발생했습니다.",
+    });
+  }
+});
+
 /**
  * @route   GET /api/ad-requests
  * @desc    모든 광고 신청 목록 조회 (관리자용)
@@ -363,6 +855,11 @@ router.get("/", async (req, res) => {
       ownerName: request.ownerName,
       ownerPhone: request.ownerPhone,
       status: request.status,
+      lifecycleStatus: request.lifecycleStatus,
+      placement: request.placement,
+      price: request.price,
+      paidAt: request.paidAt,
+      renewedFromId: request.renewedFromId,
       store: request.store
         ? {
             id: request.store.id,
@@ -407,21 +904,12 @@ router.get("/", async (req, res) => {
  * @desc    광고 신청 상태 업데이트 (관리자용)
  * @access  Private (관리자 인증 필요)
  */
-router.put("/:id/status", async (req, res) => {
+router.put("/:id/status", requireAdmin, async (req, res) => {
   try {
-    const userId = req.user?.id;
+    const userId = req.user.id;
     const requestId = req.params.id;
     const { status, adminNote } = req.body;
 
-    if (!userId) {
-      return res.status(401).json({
-        success: false,
-        error: "로그인이 필요합니다.",
-      });
-    }
-
-    // TODO: 관리자 권한 확인 로직 추가
-
     if (!["pending", "approved", "rejected"].includes(status)) {
       return res.status(400).json({
         success: false,
@@ -429,35 +917,33 @@ router.put("/:id/status", async (req, res) => {
       });
     }
 
-    const existingRequest = await prisma.adRequest.findUnique({
-      where: { id: requestId },
-    });
-
-    if (!existingRequest) {
-      return res.status(404).json({
-        success: false,
-        error: "광고 신청을 찾을 수 없습니다.",
-      });
-    }
-
-    const updatedRequest = await prisma.adRequest.update({
-      where: { id: requestId },
-      data: {
+    // 승인 시 같은 트랜잭션에서 지역 광고 재고를 다시 확인
+    const updatedRequest = await updateAdRequestStatus(
+      requestId,
+      {
         status,
         adminNote,
         approvedAt: status === "approved" ? new Date() : null,
         approvedBy: status === "approved" ? userId : null,
       },
-      include: {
-        store: {
-          select: {
-            id: true,
-            사업장명: true,
-            소재지전체주소: true,
+      {
+        include: {
+          store: {
+            select: {
+              id: true,
+              사업장명: true,
+              소재지전체주소: true,
+            },
           },
         },
-      },
-    });
+      }
+    );
+
+    // 거절된 광고의 결제는 환불
+    const refund =
+      status === "rejected"
+        ? await refundAdRequestPayment(requestId, adminNote || undefined, userId)
+        : null;
 
     res.json({
       success: true,
@@ -467,6 +953,7 @@ router.put("/:id/status", async (req, res) => {
         adminNote: updatedRequest.adminNote,
         approvedAt: updatedRequest.approvedAt,
         approvedBy: updatedRequest.approvedBy,
+        refund,
         message: `광고 신청이 ${
           status === "approved"
             ? "승인"
@@ -477,6 +964,14 @@ router.put("/:id/status", async (req, res) => {
       },
     });
   } catch (error) {
+    if (error.status === 400 || error.status === 404 || error.status === 409) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        ...(error.details ? { unavailableDates: error.details.unavailableDates } : {}),
+      });
+    }
+
     console.error("광고 신청 상태 업데이트 오류:", error);
     res.status(500).json({
       success: false,
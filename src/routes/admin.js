@@ -1,60 +1,44 @@
 const express = require('express');
 const { prisma } = require('../services/prisma');
-const proj4 = require("proj4");
-// const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { getStoreCoordinates } = require('../utils/coordinates');
+const {
+  buildStoreUpdate,
+  applyStoreCorrection,
+  rejectStoreCorrection
+} = require('../services/storeCorrections');
+const { approveStoreReport } = require('../services/storeReportApproval');
+const { updateStoreByAdmin } = require('../services/storeEdits');
+const { getStoreStatusHistory } = require('../services/storeStatusHistory');
+const { invalidateSponsoredStores } = require('../services/sponsoredPlacement');
+const { AD_REGION_DAILY_SLOTS, updateAdRequestStatus } = require('../services/adInventory');
+const { refundAdRequestPayment } = require('../services/paymentRefunds');
+const { reviewCreative, formatCreative } = require('../services/adCreatives');
+const {
+  createAdDocumentViewUrl,
+  listAdDocumentAccessLogs,
+  formatAdDocument
+} = require('../services/adDocuments');
+const {
+  listAdProducts,
+  parseAdProductInput,
+  formatAdProduct
+} = require('../services/adProducts');
+const { parseRegionCode, buildRegionCode } = require('../utils/regions');
+const {
+  CLOSED_REPORT_THRESHOLD,
+  CLOSED_REPORT_WINDOW_DAYS,
+  confirmSuspectedClosure,
+  clearSuspectedClosure
+} = require('../services/storeClosureRules');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
 
 const router = express.Router();
 
 // 가짜 후기 작성자 닉네임 목록 (어드민 리뷰 조회 시 필터링)
 const FAKE_REVIEWER_NICKNAMES = ['인형러버', '뽑기왕', '크레인마스터'];
 
-// EPSG:5174 (Korea 2000 / Central Belt 2010) 좌표계 정의
-const epsg5174 =
-  "+proj=tmerc +lat_0=38 +lon_0=127 +k=1 +x_0=200000 +y_0=500000 +ellps=GRS80 +units=m +no_defs";
-
-// WGS84 좌표계 정의
-const wgs84 = "+proj=longlat +datum=WGS84 +no_defs";
-
-// TM 좌표계(EPSG:5174)를 WGS84(위도/경도)로 변환하는 함수
-function tmToWgs84(x, y) {
-  try {
-    const tmX = parseFloat(x);
-    const tmY = parseFloat(y);
-
-    // NaN, Infinity 체크
-    if (!isFinite(tmX) || !isFinite(tmY) || isNaN(tmX) || isNaN(tmY)) {
-      return { lat: 37.5665, lng: 126.978 }; // 서울 중심 기본값
-    }
-
-    // 이미 WGS84 좌표계인 경우 (경도 100~140, 위도 30~45 범위)
-    if (tmX >= 100 && tmX <= 140 && tmY >= 30 && tmY <= 45) {
-      return { lat: tmY, lng: tmX };
-    }
-
-    // TM 좌표계 유효 범위 체크 (한국 좌표 범위)
-    if (tmX < 50000 || tmX > 350000 || tmY < 0 || tmY > 700000) {
-      return { lat: 37.5665, lng: 126.978 };
-    }
-
-    // proj4를 사용한 정확한 좌표 변환
-    const [lng, lat] = proj4(epsg5174, wgs84, [tmX, tmY]);
-
-    // 시스템적 오차 보정 (평균 오차 적용)
-    // 분석 결과: 위도 +0.002747도, 경도 +0.000790도 보정 필요
-    const correctedLat = lat + 0.002747;
-    const correctedLng = lng + 0.00079;
-
-    return {
-      lat: Math.max(33, Math.min(43, correctedLat)),
-      lng: Math.max(124, Math.min(132, correctedLng)),
-    };
-  } catch (error) {
-    // 서울 중심 기본값
-    return { lat: 37.5665, lng: 126.978 };
-  }
-}
-
 // 인증 요구사항 제거 - 개발환경에서 어드민 대시보드 접근 편의성을 위해
+// (결제/광고/매장 데이터를 바꾸는 라우트와 신분증 등 첨부 서류 라우트는 개별적으로 authenticateToken, requireAdmin 적용)
 // router.use(authenticateToken);
 // router.use(requireAdmin);
 
@@ -201,6 +185,7 @@ router.get('/stores', async (req, res) => {
       limit = 20,
       search,
       status,
+      coordinateStatus,
       sortBy = 'updatedAt',
       sortOrder = 'desc'
     } = req.query;
@@ -210,6 +195,11 @@ router.get('/stores', async (req, res) => {
     // 검색 조건 구성
     let whereClause = {};
 
+    // 좌표 상태 필터 (unconvertible: 좌표 변환 불가로 지도에 표시되지 않는 매장)
+    if (coordinateStatus) {
+      whereClause.coordinateStatus = coordinateStatus;
+    }
+
     if (search) {
       whereClause.OR = [
         { 사업장명: { contains: search, mode: 'insensitive' } },
@@ -258,6 +248,8 @@ router.get('/stores', async (req, res) => {
         status: store.영업상태명,
         businessType: store.업태구분명,
         gameCount: store.총게임기수,
+        coordinateStatus: store.coordinateStatus,
+        coordinateSystem: store.coordinateSystem,
         reviewCount: store.reviews.length,
         averageRating: Math.round(avgRating * 10) / 10,
         lastUpdated: store.최종수정시점,
@@ -286,6 +278,93 @@ router.get('/stores', async (req, res) => {
   }
 });
 
+/**
+ * PATCH /api/admin/stores/:id
+ * 매장 정보 수정 (관리자용, 변경 내용은 상태 이력에 기록)
+ * - name, address(도로명), phone, latitude/longitude, status(영업/정상 | 휴업 | 폐업), note(변경 사유)
+ * - 영업상태가 폐업/휴업/영업으로 바뀌면 즐겨찾기한 사용자에게 알림
+ */
+router.patch('/stores/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const storeId = parseInt(req.params.id);
+    const { note, ...changes } = req.body;
+
+    if (isNaN(storeId)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '유효하지 않은 매장 ID입니다.'
+      });
+    }
+
+    const result = await updateStoreByAdmin(storeId, changes, {
+      changedBy: req.user.id,
+      note
+    });
+
+    res.json({
+      success: true,
+      data: {
+        id: result.store.id,
+        name: result.store.사업장명,
+        address: result.store.도로명전체주소 || result.store.소재지전체주소,
+        phone: result.store.소재지전화,
+        status: result.store.영업상태명,
+        latitude: result.store.latitude,
+        longitude: result.store.longitude,
+        history: result.history,
+        notifiedUsers: result.notified
+      },
+      message: result.history ? '매장 정보가 수정되었습니다.' : '변경된 내용이 없습니다.'
+    });
+
+  } catch (error) {
+    if (error.status === 400 || error.status === 404) {
+      return res.status(error.status).json({
+        error: error.status === 404 ? 'Not Found' : 'Bad Request',
+        message: error.message
+      });
+    }
+    console.error('관리자 매장 수정 오류:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '매장 정보 수정 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/stores/:id/history
+ * 매장 영업상태/주요 정보 변경 이력 (최신순)
+ */
+router.get('/stores/:id/history', async (req, res) => {
+  try {
+    const storeId = parseInt(req.params.id);
+
+    if (isNaN(storeId)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '유효하지 않은 매장 ID입니다.'
+      });
+    }
+
+    const history = await getStoreStatusHistory(storeId, {
+      limit: Math.min(parseInt(req.query.limit) || 50, 200)
+    });
+
+    res.json({
+      success: true,
+      data: history
+    });
+
+  } catch (error) {
+    console.error('관리자 매장 이력 조회 오류:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '매장 이력을 불러오는 중 오류가 발생했습니다.'
+    });
+  }
+});
+
 /**
  * GET /api/admin/favorites
  * 즐겨찾기 목록 (유저 + 매장 정보 포함)
@@ -746,8 +825,13 @@ router.get('/store-reports', async (req, res) => {
       }
     });
 
-    // 페이지네이션 적용
-    const reports = sortedReports.slice(offset, offset + parseInt(limit));
+    // 페이지네이션 적용 (중복 의심 후보 수 포함)
+    const reports = sortedReports
+      .slice(offset, offset + parseInt(limit))
+      .map((report) => ({
+        ...report,
+        duplicateCount: Array.isArray(report.duplicateCandidates) ? report.duplicateCandidates.length : 0
+      }));
 
     res.json({
       success: true,
@@ -772,11 +856,13 @@ router.get('/store-reports', async (req, res) => {
 /**
  * PATCH /api/admin/store-reports/:id/status
  * 제보 상태 변경 (관리자용)
+ * - approved: 제보 내용으로 새 매장을 만들거나, storeId로 기존 매장에 연결
+ *   (storeName, address, phone, latitude, longitude로 제보 값을 수정해 생성 가능)
  */
-router.patch('/store-reports/:id/status', async (req, res) => {
+router.patch('/store-reports/:id/status', authenticateToken, requireAdmin, async (req, res) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, storeId, adminNote } = req.body;
 
     if (!['pending', 'approved', 'rejected'].includes(status)) {
       return res.status(400).json({
@@ -785,6 +871,59 @@ router.patch('/store-reports/:id/status', async (req, res) => {
       });
     }
 
+    if (status === 'approved') {
+      const linkStoreId = storeId !== undefined && storeId !== null && storeId !== ''
+        ? parseInt(storeId)
+        : undefined;
+      if (linkStoreId !== undefined && (isNaN(linkStoreId) || linkStoreId <= 0)) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: '유효하지 않은 매장 ID입니다.'
+        });
+      }
+
+      const overrides = {};
+      for (const field of ['storeName', 'address', 'phone', 'latitude', 'longitude']) {
+        if (req.body[field] !== undefined) {
+          overrides[field] = req.body[field];
+        }
+      }
+
+      try {
+        const { report, store, created } = await approveStoreReport(id, {
+          linkStoreId,
+          overrides,
+          adminNote
+        });
+
+        return res.json({
+          success: true,
+          data: {
+            ...report,
+            approvedStore: {
+              id: store.id,
+              name: store.사업장명,
+              address: store.도로명전체주소 || store.소재지전체주소,
+              lat: store.latitude,
+              lng: store.longitude
+            },
+            storeCreated: created
+          },
+          message: created
+            ? '제보가 승인되어 새 매장이 등록되었습니다.'
+            : '제보가 승인되어 기존 매장과 연결되었습니다.'
+        });
+      } catch (approvalError) {
+        if (approvalError.status === 400 || approvalError.status === 404) {
+          return res.status(approvalError.status).json({
+            error: approvalError.status === 404 ? 'Not Found' : 'Bad Request',
+            message: approvalError.message
+          });
+        }
+        throw approvalError;
+      }
+    }
+
     const report = await prisma.storeReport.findUnique({
       where: { id }
     });
@@ -862,6 +1001,291 @@ router.patch('/store-reports/:id/note', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/store-corrections
+ * 매장 정보 정정 제보 목록 (관리자용)
+ * - status: pending | applied | rejected
+ * - reason: closed | wrong_location | wrong_name | wrong_phone
+ */
+router.get('/store-corrections', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, reason, storeId } = req.query;
+
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    const whereClause = {};
+    if (status) {
+      whereClause.status = status;
+    }
+    if (reason) {
+      whereClause.reason = reason;
+    }
+    if (storeId) {
+      whereClause.storeId = parseInt(storeId);
+    }
+
+    const [corrections, totalCount] = await Promise.all([
+      prisma.storeCorrectionReport.findMany({
+        where: whereClause,
+        include: {
+          user: {
+            select: {
+              nickname: true,
+              phone: true
+            }
+          },
+          store: {
+            select: {
+              id: true,
+              사업장명: true,
+              도로명전체주소: true,
+              소재지전체주소: true,
+              소재지전화: true,
+              영업상태명: true,
+              latitude: true,
+              longitude: true
+            }
+          }
+        },
+        orderBy: { createdAt: 'desc' },
+        skip: offset,
+        take: parseInt(limit)
+      }),
+      prisma.storeCorrectionReport.count({ where: whereClause })
+    ]);
+
+    // 제안 값과 함께 반영될 매장 변경 내용 미리보기
+    const data = corrections.map((correction) => ({
+      ...correction,
+      proposedChanges: buildStoreUpdate(correction)
+    }));
+
+    res.json({
+      success: true,
+      data,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: totalCount,
+        totalPages: Math.ceil(totalCount / parseInt(limit))
+      }
+    });
+
+  } catch (error) {
+    console.error('관리자 정정 제보 목록 조회 오류:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '정정 제보 목록을 불러오는 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * PATCH /api/admin/store-corrections/:id/status
+ * 정정 제보 처리 (관리자용)
+ * - status: applied (매장에 반영) | rejected (반려)
+ * - proposedName, proposedAddress, proposedPhone, proposedLatitude, proposedLongitude: 반영 전 제안 값 수정 (선택)
+ * - adminNote: 관리자 메모 (선택)
+ */
+router.patch('/store-corrections/:id/status', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, adminNote } = req.body;
+
+    if (!['applied', 'rejected'].includes(status)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '유효하지 않은 상태입니다. (applied, rejected 중 선택)'
+      });
+    }
+
+    if (status === 'rejected') {
+      const rejectedReport = await rejectStoreCorrection(id, { adminNote });
+      return res.json({
+        success: true,
+        data: rejectedReport,
+        message: '정정 제보가 반려되었습니다.'
+      });
+    }
+
+    const overrides = {};
+    for (const field of ['proposedName', 'proposedAddress', 'proposedPhone', 'proposedLatitude', 'proposedLongitude']) {
+      if (req.body[field] !== undefined) {
+        overrides[field] = req.body[field];
+      }
+    }
+
+    const { report, store } = await applyStoreCorrection(id, { overrides, adminNote });
+
+    res.json({
+      success: true,
+      data: {
+        report,
+        store: {
+          id: store.id,
+          name: store.사업장명,
+          address: store.도로명전체주소 || store.소재지전체주소,
+          phone: store.소재지전화,
+          status: store.영업상태명,
+          lat: store.latitude,
+          lng: store.longitude
+        }
+      },
+      message: '정정 제보가 매장 정보에 반영되었습니다.'
+    });
+
+  } catch (error) {
+    if (error.status === 400 || error.status === 404) {
+      return res.status(error.status).json({
+        error: error.status === 404 ? 'Not Found' : 'Bad Request',
+        message: error.message
+      });
+    }
+    console.error('관리자 정정 제보 처리 오류:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '정정 제보 처리 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/suspected-closures
+ * 폐업 의심 매장 확인 대기열 (관리자용)
+ * 기준 기간 내 폐업 제보 수와 최근 제보 내용을 함께 반환합니다.
+ */
+router.get('/suspected-closures', async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    const whereClause = { suspectedClosed: true };
+
+    const [stores, totalCount] = await Promise.all([
+      prisma.gameBusiness.findMany({
+        where: whereClause,
+        select: {
+          id: true,
+          사업장명: true,
+          도로명전체주소: true,
+          소재지전체주소: true,
+          소재지전화: true,
+          영업상태명: true,
+          suspectedClosedAt: true,
+          correctionReports: {
+            where: { reason: 'closed', status: 'pending' },
+            select: {
+              id: true,
+              userId: true,
+              description: true,
+              photos: true,
+              createdAt: true
+            },
+            orderBy: { createdAt: 'desc' }
+          }
+        },
+        orderBy: { suspectedClosedAt: 'asc' }, // 오래 기다린 매장부터
+        skip: offset,
+        take: parseInt(limit)
+      }),
+      prisma.gameBusiness.count({ where: whereClause })
+    ]);
+
+    const data = stores.map((store) => ({
+      id: store.id,
+      name: store.사업장명,
+      address: store.도로명전체주소 || store.소재지전체주소,
+      phone: store.소재지전화,
+      status: store.영업상태명,
+      suspectedClosedAt: store.suspectedClosedAt,
+      reporterCount: new Set(store.correctionReports.map((report) => report.userId)).size,
+      reports: store.correctionReports
+    }));
+
+    res.json({
+      success: true,
+      data,
+      rule: {
+        threshold: CLOSED_REPORT_THRESHOLD,
+        windowDays: CLOSED_REPORT_WINDOW_DAYS
+      },
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: totalCount,
+        totalPages: Math.ceil(totalCount / parseInt(limit))
+      }
+    });
+
+  } catch (error) {
+    console.error('관리자 폐업 의심 매장 조회 오류:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '폐업 의심 매장 목록을 불러오는 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * PATCH /api/admin/suspected-closures/:storeId
+ * 폐업 의심 매장 처리 (관리자용)
+ * - action: confirm (영업상태명을 폐업으로 변경) | clear (영업 중 확인, 플래그 해제)
+ */
+router.patch('/suspected-closures/:storeId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const storeId = parseInt(req.params.storeId);
+    const { action, adminNote } = req.body;
+
+    if (!['confirm', 'clear'].includes(action)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '유효하지 않은 처리입니다. (confirm, clear 중 선택)'
+      });
+    }
+
+    const store = await prisma.gameBusiness.findUnique({
+      where: { id: storeId },
+      select: { id: true, suspectedClosed: true }
+    });
+
+    if (!store) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: '매장을 찾을 수 없습니다.'
+      });
+    }
+
+    if (!store.suspectedClosed) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '폐업 의심 매장이 아닙니다.'
+      });
+    }
+
+    const result = action === 'confirm'
+      ? await confirmSuspectedClosure(storeId, { adminNote })
+      : await clearSuspectedClosure(storeId, { adminNote });
+
+    res.json({
+      success: true,
+      data: {
+        id: result.store.id,
+        status: result.store.영업상태명,
+        suspectedClosed: result.store.suspectedClosed,
+        resolvedReports: result.resolvedReports
+      },
+      message: action === 'confirm' ? '폐업으로 확정되었습니다.' : '폐업 의심 표시가 해제되었습니다.'
+    });
+
+  } catch (error) {
+    console.error('관리자 폐업 의심 매장 처리 오류:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '폐업 의심 매장 처리 중 오류가 발생했습니다.'
+    });
+  }
+});
+
 /**
  * GET /api/admin/open-alerts
  * 오픈 알림 목록 조회 (관리자용)
@@ -1264,6 +1688,8 @@ router.get('/ad-requests', async (req, res) => {
       businessLicenseUrl: request.businessLicenseUrl,
       idCardUrl: request.idCardUrl,
       status: request.status,
+      lifecycleStatus: request.lifecycleStatus,
+      renewedFromId: request.renewedFromId,
       adminNote: request.adminNote,
       approvedAt: request.approvedAt,
       approvedBy: request.approvedBy,
@@ -1320,6 +1746,12 @@ router.get('/ad-requests/:id', async (req, res) => {
             소재지전화: true,
             영업상태명: true
           }
+        },
+        creatives: {
+          orderBy: { createdAt: 'desc' }
+        },
+        documents: {
+          orderBy: { createdAt: 'asc' }
         }
       }
     });
@@ -1354,9 +1786,13 @@ router.get('/ad-requests/:id', async (req, res) => {
       businessLicenseUrl: adRequest.businessLicenseUrl,
       idCardUrl: adRequest.idCardUrl,
       status: adRequest.status,
+      lifecycleStatus: adRequest.lifecycleStatus,
+      renewedFromId: adRequest.renewedFromId,
       adminNote: adRequest.adminNote,
       approvedAt: adRequest.approvedAt,
       approvedBy: adRequest.approvedBy,
+      documents: adRequest.documents.map(formatAdDocument),
+      creatives: adRequest.creatives.map(creative => formatCreative(creative, { includeReview: true })),
       createdAt: adRequest.createdAt,
       updatedAt: adRequest.updatedAt
     };
@@ -1375,11 +1811,122 @@ router.get('/ad-requests/:id', async (req, res) => {
   }
 });
 
+/**
+ * PATCH /api/admin/ad-requests/:id/creatives/:creativeId
+ * 광고 소재 승인/거절 (관리자용)
+ * - status: approved | rejected
+ * - reason: 거절 사유 (rejected 시 필수)
+ */
+router.patch('/ad-requests/:id/creatives/:creativeId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id, creativeId } = req.params;
+    const { status, reason } = req.body;
+
+    const creative = await reviewCreative(id, creativeId, {
+      status,
+      reason,
+      reviewedBy: req.user.id
+    });
+
+    res.json({
+      success: true,
+      data: formatCreative(creative, { includeReview: true }),
+      message: `광고 소재가 ${status === 'approved' ? '승인' : '거절'}되었습니다.`
+    });
+
+  } catch (error) {
+    if (error.status === 400 || error.status === 404) {
+      return res.status(error.status).json({
+        error: error.status === 400 ? 'Bad Request' : 'Not Found',
+        message: error.message
+      });
+    }
+
+    console.error('광고 소재 심사 오류:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '광고 소재 심사 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/ad-requests/:id/documents/:documentId/url
+ * 첨부 서류 열람용 서명 URL 발급 (짧은 만료 시간, 발급할 때마다 열람 기록)
+ */
+router.get('/ad-requests/:id/documents/:documentId/url', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id, documentId } = req.params;
+
+    const { url, expiresAt } = await createAdDocumentViewUrl(id, documentId, {
+      accessedBy: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      data: { url, expiresAt }
+    });
+
+  } catch (error) {
+    if (error.status === 404 || error.status === 410) {
+      return res.status(error.status).json({
+        error: error.status === 404 ? 'Not Found' : 'Gone',
+        message: error.message
+      });
+    }
+    if (error.status === 503) {
+      return res.status(503).json({
+        error: 'Service Unavailable',
+        message: error.message
+      });
+    }
+
+    console.error('첨부 서류 열람 URL 발급 오류:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '첨부 서류 열람 URL 발급 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/ad-requests/:id/documents/access-logs
+ * 광고 신청 첨부 서류 열람 기록 (최신순)
+ */
+router.get('/ad-requests/:id/documents/access-logs', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const logs = await listAdDocumentAccessLogs(req.params.id);
+
+    res.json({
+      success: true,
+      data: logs.map(log => ({
+        id: log.id,
+        documentId: log.document.id,
+        documentType: log.document.type,
+        accessedBy: log.accessedBy,
+        ipAddress: log.ipAddress,
+        userAgent: log.userAgent,
+        expiresAt: log.expiresAt,
+        createdAt: log.createdAt
+      }))
+    });
+
+  } catch (error) {
+    console.error('첨부 서류 열람 기록 조회 오류:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '첨부 서류 열람 기록 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
 /**
  * PATCH /api/admin/ad-requests/:id/status
  * 광고 신청 상태 변경 (관리자용)
  */
-router.patch('/ad-requests/:id/status', async (req, res) => {
+router.patch('/ad-requests/:id/status', authenticateToken, requireAdmin, async (req, res) => {
   try {
     const { id } = req.params;
     const { status, adminNote } = req.body;
@@ -1391,17 +1938,6 @@ router.patch('/ad-requests/:id/status', async (req, res) => {
       });
     }
 
-    const adRequest = await prisma.adRequest.findUnique({
-      where: { id }
-    });
-
-    if (!adRequest) {
-      return res.status(404).json({
-        error: 'Not Found',
-        message: '광고 신청을 찾을 수 없습니다.'
-      });
-    }
-
     const updateData = {
       status,
       updatedAt: new Date()
@@ -1410,8 +1946,7 @@ router.patch('/ad-requests/:id/status', async (req, res) => {
     // approved 상태로 변경시 승인 정보 추가
     if (status === 'approved') {
       updateData.approvedAt = new Date();
-      // TODO: 실제 관리자 인증 구현시 관리자 ID 추가
-      // updateData.approvedBy = req.user.id;
+      updateData.approvedBy = req.user.id;
     }
 
     // 관리자 메모가 있으면 추가
@@ -1419,9 +1954,8 @@ router.patch('/ad-requests/:id/status', async (req, res) => {
       updateData.adminNote = adminNote;
     }
 
-    const updatedAdRequest = await prisma.adRequest.update({
-      where: { id },
-      data: updateData,
+    // 승인 시 같은 트랜잭션에서 지역 광고 재고를 다시 확인
+    const updatedAdRequest = await updateAdRequestStatus(id, updateData, {
       include: {
         user: {
           select: {
@@ -1437,13 +1971,30 @@ router.patch('/ad-requests/:id/status', async (req, res) => {
       }
     });
 
+    // 매장 목록의 광고 노출에 바로 반영
+    invalidateSponsoredStores();
+
+    // 거절된 광고의 결제는 환불
+    const refund = status === 'rejected'
+      ? await refundAdRequestPayment(id, adminNote || undefined, req.user.id)
+      : null;
+
     res.json({
       success: true,
       data: updatedAdRequest,
+      refund,
       message: `광고 신청이 ${status === 'approved' ? '승인' : status === 'rejected' ? '거절' : '대기 상태로 변경'}되었습니다.`
     });
 
   } catch (error) {
+    if (error.status === 400 || error.status === 404 || error.status === 409) {
+      return res.status(error.status).json({
+        error: { 400: 'Bad Request', 404: 'Not Found', 409: 'Conflict' }[error.status],
+        message: error.message,
+        ...(error.details ? { unavailableDates: error.details.unavailableDates } : {})
+      });
+    }
+
     console.error('관리자 광고 신청 상태 변경 오류:', error);
     res.status(500).json({
       error: 'Internal Server Error',
@@ -1532,6 +2083,169 @@ router.delete('/ad-requests/:id', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/ad-products
+ * 광고 상품 목록 (판매 중지 상품 포함)
+ */
+router.get('/ad-products', async (req, res) => {
+  try {
+    const products = await listAdProducts({ includeInactive: true });
+
+    res.json({
+      success: true,
+      data: products.map(product => ({
+        ...formatAdProduct(product),
+        sortOrder: product.sortOrder,
+        updatedAt: product.updatedAt
+      }))
+    });
+
+  } catch (error) {
+    console.error('광고 상품 목록 조회 오류:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '광고 상품 목록을 불러오는 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/ad-products/:code
+ * 광고 상품 등록/수정 (가격 변경은 이후 신청부터 적용, 기존 신청은 신청 시점 가격 유지)
+ * - name, description, durationDays, placement(pin | boost), price, isActive, sortOrder
+ */
+router.put('/ad-products/:code', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const code = req.params.code.trim().toUpperCase();
+    if (!/^[A-Z0-9_]{1,30}$/.test(code)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '상품 코드는 영문 대문자, 숫자, _로 30자 이내여야 합니다.'
+      });
+    }
+
+    const { data, error } = parseAdProductInput(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error
+      });
+    }
+
+    const existing = await prisma.adProduct.findUnique({ where: { code } });
+    if (!existing && ['name', 'durationDays', 'placement', 'price'].some(field => data[field] === undefined)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '새 상품은 name, durationDays, placement, price가 필요합니다.'
+      });
+    }
+
+    const product = existing
+      ? await prisma.adProduct.update({ where: { code }, data })
+      : await prisma.adProduct.create({ data: { code, ...data } });
+
+    res.json({
+      success: true,
+      data: formatAdProduct(product),
+      message: existing ? '광고 상품이 수정되었습니다.' : '광고 상품이 등록되었습니다.'
+    });
+
+  } catch (error) {
+    console.error('광고 상품 저장 오류:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '광고 상품을 저장하는 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/ad-capacities
+ * 지역별 하루 광고 슬롯 수 설정 목록 (설정이 없는 지역은 defaultSlotsPerDay 사용)
+ */
+router.get('/ad-capacities', async (req, res) => {
+  try {
+    const capacities = await prisma.adRegionCapacity.findMany({
+      orderBy: { regionCode: 'asc' }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        defaultSlotsPerDay: AD_REGION_DAILY_SLOTS,
+        capacities: capacities.map(capacity => ({
+          ...capacity,
+          region: parseRegionCode(capacity.regionCode)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('광고 슬롯 설정 조회 오류:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '광고 슬롯 설정을 불러오는 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/ad-capacities/:regionCode
+ * 지역의 하루 광고 슬롯 수 설정 (regionCode: 시군구 코드 예: "11:마포구", 시도 코드는 시도 내 모든 시군구에 적용)
+ * - slotsPerDay: 0 이상 정수 (0이면 해당 지역 광고 판매 중지)
+ * - note: 메모
+ */
+router.put('/ad-capacities/:regionCode', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { slotsPerDay, note } = req.body;
+    const region = parseRegionCode(req.params.regionCode);
+
+    if (!region || region.dong) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: '시도 또는 시군구 지역 코드를 입력해주세요. (예: 11:마포구)'
+      });
+    }
+
+    const slots = Number(slotsPerDay);
+    if (!Number.isInteger(slots) || slots < 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'slotsPerDay는 0 이상의 정수여야 합니다.'
+      });
+    }
+
+    const regionCode = buildRegionCode(region);
+    const capacity = await prisma.adRegionCapacity.upsert({
+      where: { regionCode },
+      create: {
+        regionCode,
+        slotsPerDay: slots,
+        note: note || null,
+        updatedBy: req.user.id
+      },
+      update: {
+        slotsPerDay: slots,
+        note: note || null,
+        updatedBy: req.user.id
+      }
+    });
+
+    res.json({
+      success: true,
+      data: capacity,
+      message: '광고 슬롯 설정이 저장되었습니다.'
+    });
+
+  } catch (error) {
+    console.error('광고 슬롯 설정 변경 오류:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '광고 슬롯 설정을 저장하는 중 오류가 발생했습니다.'
+    });
+  }
+});
+
 /**
  * GET /api/admin/active-ads
  * 현재 활성화된 광고 목록 조회 (사용자용 - 프론트엔드에서 광고 배너 표시용)
@@ -1559,7 +2273,10 @@ router.get('/active-ads', async (req, res) => {
             소재지전체주소: true,
             도로명전체주소: true,
             좌표정보x: true,
-            좌표정보y: true
+            좌표정보y: true,
+            latitude: true,
+            longitude: true,
+            coordinateStatus: true
           }
         },
         user: {
@@ -1575,11 +2292,8 @@ router.get('/active-ads', async (req, res) => {
 
     // 응답 데이터 포맷팅
     const formattedAds = activeAds.map(ad => {
-      // 좌표 변환
-      let coordinates = { lat: 37.5665, lng: 126.978 }; // 기본값
-      if (ad.store && ad.store.좌표정보x && ad.store.좌표정보y) {
-        coordinates = tmToWgs84(ad.store.좌표정보x, ad.store.좌표정보y);
-      }
+      // 좌표 (미리 계산된 WGS84 좌표 우선, 변환 불가 시 null)
+      const coordinates = ad.store ? getStoreCoordinates(ad.store) : null;
 
       return {
         id: ad.id,
@@ -1588,10 +2302,12 @@ router.get('/active-ads', async (req, res) => {
           name: ad.store.사업장명,
           address: ad.store.도로명전체주소 || ad.store.소재지전체주소,
           lat: coordinates.lat,
-          lng: coordinates.lng
+          lng: coordinates.lng,
+          coordinateStatus: ad.store.coordinateStatus
         } : null,
         startDate: ad.startDate,
         endDate: ad.endDate,
+        lifecycleStatus: ad.lifecycleStatus,
         approvedAt: ad.approvedAt
       };
     });
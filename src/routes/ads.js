@@ -0,0 +1,39 @@
+const express = require("express");
+const router = express.Router();
+const { parseBoundingBox } = require("../utils/coordinates");
+const { findActiveAdsInBounds } = require("../services/adCreatives");
+const { SPONSORED_LABEL } = require("../services/sponsoredPlacement");
+
+/**
+ * GET /api/ads/active
+ * 지도 뷰포트 안에서 노출 중인 광고와 승인된 소재 조회
+ * - bbox: minLng,minLat,maxLng,maxLat (또는 minLat/minLng/maxLat/maxLng)
+ * - 노출/클릭 이벤트는 adRequestId로 POST /api/ad-events에 전송
+ */
+router.get("/active", async (req, res) => {
+  try {
+    const bbox = parseBoundingBox(req.query);
+
+    if (!bbox) {
+      return res.status(400).json({
+        error: "Bad Request",
+        message: "bbox(minLng,minLat,maxLng,maxLat)가 올바르지 않습니다.",
+      });
+    }
+
+    const ads = await findActiveAdsInBounds(bbox);
+
+    res.json({
+      success: true,
+      data: ads.map((ad) => ({ ...ad, label: SPONSORED_LABEL })),
+    });
+  } catch (error) {
+    console.error("활성 광고 조회 오류:", error);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: "광고를 불러오는 중 오류가 발생했습니다.",
+    });
+  }
+});
+
+module.exports = router;
@@ -2,55 +2,11 @@ const express = require("express");
 const router = express.Router();
 const { PrismaClient } = require("../generated/prisma");
 const { authenticateToken } = require("../middleware/auth");
-const proj4 = require("proj4");
+const { getStoreCoordinates } = require("../utils/coordinates");
+const { getLifecycleStatus } = require("../services/storeStatusHistory");
 
 const prisma = new PrismaClient();
 
-// EPSG:5174 (Korea 2000 / Central Belt 2010) 좌표계 정의
-const epsg5174 =
-  "+proj=tmerc +lat_0=38 +lon_0=127 +k=1 +x_0=200000 +y_0=500000 +ellps=GRS80 +units=m +no_defs";
-
-// WGS84 좌표계 정의
-const wgs84 = "+proj=longlat +datum=WGS84 +no_defs";
-
-// TM 좌표계(EPSG:5174)를 WGS84(위도/경도)로 변환하는 함수
-function tmToWgs84(x, y) {
-  try {
-    const tmX = parseFloat(x);
-    const tmY = parseFloat(y);
-
-    // NaN, Infinity 체크
-    if (!isFinite(tmX) || !isFinite(tmY) || isNaN(tmX) || isNaN(tmY)) {
-      return { lat: 37.5665, lng: 126.978 }; // 서울 중심 기본값
-    }
-
-    // 이미 WGS84 좌표계인 경우 (경도 100~140, 위도 30~45 범위)
-    if (tmX >= 100 && tmX <= 140 && tmY >= 30 && tmY <= 45) {
-      return { lat: tmY, lng: tmX };
-    }
-
-    // TM 좌표계 유효 범위 체크 (한국 좌표 범위)
-    if (tmX < 50000 || tmX > 350000 || tmY < 0 || tmY > 700000) {
-      return { lat: 37.5665, lng: 126.978 };
-    }
-
-    // proj4를 사용한 정확한 좌표 변환
-    const [lng, lat] = proj4(epsg5174, wgs84, [tmX, tmY]);
-
-    // 시스템적 오차 보정 (평균 오차 적용)
-    const correctedLat = lat + 0.002747;
-    const correctedLng = lng + 0.00079;
-
-    return {
-      lat: Math.max(33, Math.min(43, correctedLat)),
-      lng: Math.max(124, Math.min(132, correctedLng)),
-    };
-  } catch (error) {
-    // 서울 중심 기본값
-    return { lat: 37.5665, lng: 126.978 };
-  }
-}
-
 // 모든 즐겨찾기 라우트에 인증 미들웨어 적용
 router.use(authenticateToken);
 
@@ -84,7 +40,13 @@ router.get("/", async (req, res) => {
             도로명전체주소: true,
             좌표정보x: true,
             좌표정보y: true,
+            latitude: true,
+            longitude: true,
+            coordinateStatus: true,
             영업상태명: true,
+            폐업일자: true,
+            휴업시작일자: true,
+            휴업종료일자: true,
             총게임기수: true,
             시설면적: true,
             소재지전화: true,
@@ -116,8 +78,21 @@ router.get("/", async (req, res) => {
             ).toFixed(1)
           : null;
 
-      // 좌표 변환 (TM → WGS84)
-      const coords = tmToWgs84(store.좌표정보x, store.좌표정보y);
+      // 좌표 (미리 계산된 WGS84 좌표 우선, 변환 불가 시 null)
+      const coords = getStoreCoordinates(store);
+
+      // 폐업/휴업 매장 배지
+      const lifecycleStatus = getLifecycleStatus(store.영업상태명);
+      const badge =
+        lifecycleStatus === "closed" || lifecycleStatus === "paused"
+          ? {
+              type: lifecycleStatus,
+              label: lifecycleStatus === "closed" ? "폐업" : "휴업",
+              since:
+                lifecycleStatus === "closed" ? store.폐업일자 : store.휴업시작일자,
+              until: lifecycleStatus === "paused" ? store.휴업종료일자 : null,
+            }
+          : null;
 
       return {
         id: favorite.id,
@@ -129,6 +104,7 @@ router.get("/", async (req, res) => {
           lat: coords.lat,
           lng: coords.lng,
           status: store.영업상태명,
+          badge,
           gameCount: store.총게임기수,
           facilityArea: store.시설면적,
           phone: store.소재지전화,
@@ -1,139 +1,106 @@
 const express = require("express");
 const router = express.Router();
-const axios = require("axios");
+const { reverseGeocodeOffline } = require("../services/offlineGeocoder");
+const { PROVIDERS, hasNaverCredentials } = require("../services/geocodeProviders");
+const { searchAddress } = require("../services/geocoding");
+
+const MIN_QUERY_LENGTH = 2;
 
 /**
- * @route   GET /api/geocode/reverse
- * @desc    좌표를 주소로 변환 (역지오코딩)
+ * @route   GET /api/geocode/search
+ * @desc    주소를 좌표로 변환 (정지오코딩, 결과 캐시)
+ *          query: 주소 검색어, limit: 최대 결과 수 (기본 5, 최대 10)
  * @access  Public
  */
-router.get("/reverse", async (req, res) => {
+router.get("/search", async (req, res) => {
   try {
-    const { lat, lng } = req.query;
+    const query = (req.query.query || "").trim();
 
-    if (!lat || !lng) {
+    if (query.length < MIN_QUERY_LENGTH) {
       return res.status(400).json({
         success: false,
-        error: "위도와 경도가 필요합니다.",
+        error: `검색어를 ${MIN_QUERY_LENGTH}자 이상 입력해주세요.`,
       });
     }
 
-    // 네이버 지도 API 키 확인
-    const clientId = process.env.NAVER_MAP_CLIENT_ID;
-    const clientSecret = process.env.NAVER_MAP_CLIENT_SECRET;
-
-    if (!clientId || !clientSecret) {
-      // API 키가 없는 경우 대체 방법 사용 (임시 주소 반환)
-      const tempAddress = `위도 ${parseFloat(lat).toFixed(
-        4
-      )}, 경도 ${parseFloat(lng).toFixed(4)} 주변`;
-      return res.json({
-        success: true,
-        address: tempAddress,
-        isTemp: true,
-      });
-    }
-
-    // 네이버 Reverse Geocoding API 호출
-    const naverApiUrl =
-      "https://maps.apigw.ntruss.com/map-reversegeocode/v2/gc";
-
-    const response = await axios.get(naverApiUrl, {
-      params: {
-        coords: `${lng},${lat}`, // 경도,위도 순서 주의
-        orders: "addr,roadaddr",
-        output: "json",
-      },
-      headers: {
-        "X-NCP-APIGW-API-KEY-ID": clientId,
-        "X-NCP-APIGW-API-KEY": clientSecret,
-      },
+    const { results, provider, cached } = await searchAddress(query, {
+      limit: req.query.limit,
     });
 
+    res.json({
+      success: true,
+      data: results,
+      provider,
+      cached,
+    });
+  } catch (error) {
+    console.error("주소 검색 오류:", error);
+    res.status(502).json({
+      success: false,
+      error: "주소 검색 중 오류가 발생했습니다.",
+    });
+  }
+});
 
-    // 응답 파싱
-    if (response.data.status.code === 0 && response.data.results?.length > 0) {
-      // addr(지번주소)와 roadaddr(도로명주소) 찾기
-      const addrResult = response.data.results.find(r => r.name === "addr");
-      const roadResult = response.data.results.find(r => r.name === "roadaddr");
-
-      let jibunAddress = "";
-      let roadAddress = "";
-      let finalAddress = "";
-
-      // 지번 주소 조합
-      if (addrResult) {
-        const region = addrResult.region;
-        const land = addrResult.land;
-
-        jibunAddress = [
-          region.area1?.name,
-          region.area2?.name,
-          region.area3?.name,
-          region.area4?.name,
-          land?.number1 && `${land.number1}${land.number2 ? `-${land.number2}` : ""}`
-        ]
-          .filter(Boolean)
-          .join(" ");
-      }
-
-      // 도로명 주소 조합
-      if (roadResult) {
-        const region = roadResult.region;
-        const land = roadResult.land;
+/**
+ * @route   GET /api/geocode/reverse
+ * @desc    좌표를 주소로 변환 (역지오코딩)
+ *          네이버 API 키가 없거나 호출 실패/요청 제한 시 번들된 행정구역 경계로 대체 (source: "offline")
+ * @access  Public
+ */
+router.get("/reverse", async (req, res) => {
+  const lat = parseFloat(req.query.lat);
+  const lng = parseFloat(req.query.lng);
 
-        roadAddress = [
-          region.area1?.name,
-          region.area2?.name,
-          region.area3?.name,
-          land?.name,
-          land?.number1,
-          land?.number2
-        ]
-          .filter(Boolean)
-          .join(" ");
-      }
+  if (!isFinite(lat) || !isFinite(lng)) {
+    return res.status(400).json({
+      success: false,
+      error: "위도와 경도가 필요합니다.",
+    });
+  }
 
-      // 우선순위: 도로명 주소 > 지번 주소
-      finalAddress = roadAddress || jibunAddress || "주소를 찾을 수 없습니다";
+  let result = null;
+  let source = "naver";
 
-      return res.json({
-        success: true,
-        address: finalAddress,
-        detail: {
-          jibun: jibunAddress || null,
-          road: roadAddress || null,
-          region: addrResult?.region || roadResult?.region || null,
-          land: {
-            jibun: addrResult?.land || null,
-            road: roadResult?.land || null
-          }
-        },
-      });
-    } else {
-      // 주소를 찾을 수 없는 경우
-      return res.json({
-        success: true,
-        address: `위도 ${parseFloat(lat).toFixed(4)}, 경도 ${parseFloat(
-          lng
-        ).toFixed(4)}`,
-        isTemp: true,
-        message: "정확한 주소를 찾을 수 없습니다",
-      });
+  try {
+    if (hasNaverCredentials()) {
+      result = await PROVIDERS.naver.reverse(lat, lng);
     }
   } catch (error) {
+    console.warn(
+      "네이버 역지오코딩 실패, 오프라인 경계로 대체:",
+      error.response?.status || error.message
+    );
+  }
 
-    // 에러 발생 시에도 좌표는 표시
-    const { lat, lng } = req.query;
-    res.json({
+  if (!result) {
+    result = reverseGeocodeOffline(lat, lng);
+    source = "offline";
+  }
+
+  if (!result) {
+    // 경계 밖(해상 등)이거나 경계 파일이 없는 경우 좌표만 표시
+    return res.json({
       success: true,
-      address: `위도 ${parseFloat(lat).toFixed(4)}, 경도 ${parseFloat(
-        lng
-      ).toFixed(4)}`,
+      address: `위도 ${lat.toFixed(4)}, 경도 ${lng.toFixed(4)}`,
       isTemp: true,
-      error: "주소를 가져올 수 없습니다",
+      source: "coordinates",
+      message: "정확한 주소를 찾을 수 없습니다",
     });
   }
+
+  // 우선순위: 도로명 주소 > 지번 주소
+  return res.json({
+    success: true,
+    address: result.roadAddress || result.jibunAddress || "주소를 찾을 수 없습니다",
+    detail: {
+      jibun: result.jibunAddress || null,
+      road: result.roadAddress || null,
+      region: result.region,
+      land: result.land || null,
+    },
+    source,
+  });
 });
 
 module.exports = router;
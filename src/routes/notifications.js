@@ -0,0 +1,151 @@
+const express = require("express");
+const router = express.Router();
+const { prisma } = require("../services/prisma");
+const { authenticateToken } = require("../middleware/auth");
+
+// 모든 알림 라우트에 인증 미들웨어 적용
+router.use(authenticateToken);
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * @route   GET /api/notifications
+ * @desc    내 알림 목록 조회 (최신순)
+ *          page, limit, unreadOnly=true (읽지 않은 알림만)
+ * @access  Private (인증 필요)
+ */
+router.get("/", async (req, res) => {
+  try {
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        error: "로그인이 필요합니다.",
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    const where = { userId };
+    if (req.query.unreadOnly === "true") {
+      where.readAt = null;
+    }
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      prisma.notification.findMany({
+        where,
+        orderBy: { createdAt: "desc" },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.notification.count({ where }),
+      prisma.notification.count({ where: { userId, readAt: null } }),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        unreadCount,
+        pagination: {
+          total,
+          page,
+          limit,
+          totalPages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("알림 목록 조회 오류:", error);
+    res.status(500).json({
+      success: false,
+      error: "알림 목록을 불러오는 중 오류가 발생했습니다.",
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/notifications/read-all
+ * @desc    내 알림 모두 읽음 처리
+ * @access  Private (인증 필요)
+ */
+router.patch("/read-all", async (req, res) => {
+  try {
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        error: "로그인이 필요합니다.",
+      });
+    }
+
+    const { count } = await prisma.notification.updateMany({
+      where: { userId, readAt: null },
+      data: { readAt: new Date() },
+    });
+
+    res.json({
+      success: true,
+      data: { updated: count },
+    });
+  } catch (error) {
+    console.error("알림 전체 읽음 처리 오류:", error);
+    res.status(500).json({
+      success: false,
+      error: "알림을 읽음 처리하는 중 오류가 발생했습니다.",
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/notifications/:id/read
+ * @desc    알림 읽음 처리
+ * @access  Private (인증 필요)
+ */
+router.patch("/:id/read", async (req, res) => {
+  try {
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        error: "로그인이 필요합니다.",
+      });
+    }
+
+    const { count } = await prisma.notification.updateMany({
+      where: { id: req.params.id, userId, readAt: null },
+      data: { readAt: new Date() },
+    });
+
+    if (count === 0) {
+      const exists = await prisma.notification.findFirst({
+        where: { id: req.params.id, userId },
+        select: { id: true },
+      });
+      if (!exists) {
+        return res.status(404).json({
+          success: false,
+          error: "알림을 찾을 수 없습니다.",
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: "알림을 읽음 처리했습니다.",
+    });
+  } catch (error) {
+    console.error("알림 읽음 처리 오류:", error);
+    res.status(500).json({
+      success: false,
+      error: "알림을 읽음 처리하는 중 오류가 발생했습니다.",
+    });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,11 @@
 const express = require("express");
 const router = express.Router();
+const { Prisma } = require("../generated/prisma");
 const { prisma } = require("../services/prisma");
-const { makePayment, executePayment } = require("../services/tossPayment");
-const { authenticateToken } = require("../middleware/auth");
+const { makePayment, executePayment, parseTossDateTime } = require("../services/tossPayment");
+const { assertNoActiveAdPayment, buildAdPaymentOrder, markAdRequestPaid } = require("../services/adPayments");
+const { refundPaymentById, cancelPayment, listPaymentRefunds } = require("../services/paymentRefunds");
+const { authenticateToken, requireAdmin } = require("../middleware/auth");
 
 /**
  * 주문번호 생성 (구매물품-현재날짜시간-userId)
@@ -50,6 +53,8 @@ function validateProductDesc(productDesc) {
 /**
  * POST /api/payment/make-payment
  * 결제 건 생성
+ * - adRequestId를 보내면 광고 상품 가격으로 금액/상품 설명을 서버에서 정합니다. (클라이언트 금액 무시)
+ * - 광고 신청에 진행 중이거나 완료된 결제가 있으면 409 (중복 결제 방지)
  */
 router.post("/make-payment", authenticateToken, async (req, res) => {
   try {
@@ -68,6 +73,13 @@ router.post("/make-payment", authenticateToken, async (req, res) => {
 
     // 2. 필수 파라미터 검증
     const {
+      adRequestId,
+      enablePayMethods,
+      cashReceipt,
+      cashReceiptTradeOption,
+      installment,
+    } = req.body;
+    let {
       productType,
       productDesc,
       amount,
@@ -75,12 +87,27 @@ router.post("/make-payment", authenticateToken, async (req, res) => {
       amountTaxable,
       amountVat,
       amountServiceFee,
-      enablePayMethods,
-      cashReceipt,
-      cashReceiptTradeOption,
-      installment,
     } = req.body;
 
+    // 광고 결제: 금액과 상품 설명을 광고 신청의 상품으로 계산
+    if (adRequestId) {
+      try {
+        const order = await buildAdPaymentOrder(adRequestId, user.id);
+        ({ productType, productDesc, amount, amountTaxFree } = order);
+        amountTaxable = undefined;
+        amountVat = undefined;
+        amountServiceFee = undefined;
+      } catch (orderError) {
+        if ([400, 403, 404, 409].includes(orderError.status)) {
+          return res.status(orderError.status).json({
+            success: false,
+            error: orderError.message,
+          });
+        }
+        throw orderError;
+      }
+    }
+
     if (!productType || !productDesc || amount === undefined || amountTaxFree === undefined) {
       return res.status(400).json({
         success: false,
@@ -118,25 +145,47 @@ router.post("/make-payment", authenticateToken, async (req, res) => {
     const orderNo = generateOrderNo(productType, user.id);
 
     // 4. Payment 레코드 생성 (status: pending)
-    const payment = await prisma.payment.create({
-      data: {
-        orderNo,
-        productDesc,
-        amount,
-        amountTaxFree,
-        amountTaxable,
-        amountVat,
-        amountServiceFee,
-        enablePayMethods,
-        cashReceipt: cashReceipt || false,
-        cashReceiptTradeOption,
-        installment,
-        isTestPayment,
-        userId: user.id,
-        userKey,
-        status: "pending",
-      },
-    });
+    // 광고 결제는 같은 트랜잭션에서 진행 중인 결제를 다시 확인해 동시 요청으로 결제가 두 번 생기지 않게 함
+    let payment;
+    try {
+      payment = await prisma.$transaction(
+        async (tx) => {
+          if (adRequestId) {
+            await assertNoActiveAdPayment(tx, adRequestId);
+          }
+          return tx.payment.create({
+            data: {
+              orderNo,
+              productDesc,
+              amount,
+              amountTaxFree,
+              amountTaxable,
+              amountVat,
+              amountServiceFee,
+              enablePayMethods,
+              cashReceipt: cashReceipt || false,
+              cashReceiptTradeOption,
+              installment,
+              isTestPayment,
+              userId: user.id,
+              userKey,
+              adRequestId: adRequestId ? String(adRequestId) : null,
+              status: "pending",
+            },
+          });
+        },
+        { isolationLevel: Prisma.TransactionIsolationLevel.Serializable }
+      );
+    } catch (createError) {
+      // 동시에 만든 다른 결제와 충돌한 경우도 409
+      if (createError.status === 409 || createError.code === "P2034") {
+        return res.status(409).json({
+          success: false,
+          error: createError.status === 409 ? createError.message : "같은 광고 신청의 결제가 동시에 요청되었습니다.",
+        });
+      }
+      throw createError;
+    }
 
     // 5. 토스페이 API 호출
     try {
@@ -262,6 +311,14 @@ router.post("/execute", authenticateToken, async (req, res) => {
       });
     }
 
+    // 취소/환불된 결제는 실행 불가
+    if (["cancelled", "partially_refunded", "refunded"].includes(payment.status)) {
+      return res.status(400).json({
+        success: false,
+        error: "취소되었거나 환불된 결제입니다.",
+      });
+    }
+
     // 토스페이 결제 실행 API 호출
     try {
       const tossResponse = await executePayment(userKey, {
@@ -272,12 +329,19 @@ router.post("/execute", authenticateToken, async (req, res) => {
       // 토스페이 응답에서 결제 정보 추출
       const successData = tossResponse.success || tossResponse;
 
-      // 결제 상태 업데이트 (성공)
-      const updatedPayment = await prisma.payment.update({
-        where: { id: payment.id },
-        data: {
-          status: "completed",
-        },
+      // 결제 상태 업데이트 (성공), 광고 결제면 광고 신청을 심사 대기로 변경
+      const updatedPayment = await prisma.$transaction(async (tx) => {
+        const completedPayment = await tx.payment.update({
+          where: { id: payment.id },
+          data: {
+            status: "completed",
+            transactionId: successData.transactionId || null,
+            approvalTime: parseTossDateTime(successData.approvalTime),
+            payMethod: successData.payMethod || null,
+          },
+        });
+        await markAdRequestPaid(tx, completedPayment);
+        return completedPayment;
       });
 
       return res.json({
@@ -382,9 +446,12 @@ router.get("/:id", authenticateToken, async (req, res) => {
       });
     }
 
+    const refunds = await listPaymentRefunds(payment.id);
+
     return res.json({
       success: true,
       payment,
+      refunds,
     });
   } catch (error) {
     console.error("결제 조회 오류:", error);
@@ -395,4 +462,86 @@ router.get("/:id", authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/payment/:id/cancel
+ * 결제 취소 (토스페이 결제 실행 전, 본인 결제만)
+ */
+router.post("/:id/cancel", authenticateToken, async (req, res) => {
+  try {
+    const payment = await cancelPayment(req.params.id, req.user.userKey);
+
+    return res.json({
+      success: true,
+      payment,
+      message: "결제가 취소되었습니다.",
+    });
+  } catch (error) {
+    if ([400, 403, 404].includes(error.status)) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error("결제 취소 오류:", error);
+    return res.status(500).json({
+      success: false,
+      error: "결제 취소 중 오류가 발생했습니다.",
+    });
+  }
+});
+
+/**
+ * POST /api/payment/:id/refund
+ * 결제 환불 (관리자, 토스페이 환불 API)
+ * - amount: 환불 금액 (생략 시 남은 금액 전액, 일부 금액이면 부분 환불)
+ * - reason: 환불 사유 (필수)
+ * 전액 환불되면 결제로 신청한 광고는 취소(cancelled)되어 노출/슬롯에서 빠집니다.
+ */
+router.post("/:id/refund", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { amount, reason } = req.body;
+
+    const { payment, refund, adRequestCancelled } = await refundPaymentById(req.params.id, {
+      amount,
+      reason,
+      requestedBy: req.user.id,
+    });
+
+    return res.json({
+      success: true,
+      payment,
+      refund,
+      adRequestCancelled,
+      message: refund.isFullRefund ? "결제가 전액 환불되었습니다." : "결제가 부분 환불되었습니다.",
+    });
+  } catch (error) {
+    if ([400, 404, 409].includes(error.status)) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    if (error.status === 502) {
+      return res.status(502).json({
+        success: false,
+        error: `토스페이 환불에 실패했습니다: ${error.message}`,
+      });
+    }
+    // 결과를 알 수 없는 환불은 처리 중으로 남고 결제 대조에서 확정
+    if (error.status === 504) {
+      return res.status(504).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error("결제 환불 오류:", error);
+    return res.status(500).json({
+      success: false,
+      error: "결제 환불 중 오류가 발생했습니다.",
+    });
+  }
+});
+
 module.exports = router;
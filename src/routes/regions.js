@@ -0,0 +1,104 @@
+const express = require("express");
+const { optionalAuth } = require("../middleware/auth");
+const { getRegionTree, REGION_SORTERS } = require("../services/regionStats");
+const { findStoresInRegion } = require("../services/storeLocator");
+const { formatStoreSummary } = require("../services/storeFormat");
+const { parseRegionCode } = require("../utils/regions");
+
+const router = express.Router();
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const STORE_SORT_OPTIONS = ["rating", "reviews", "name"];
+
+/**
+ * GET /api/regions
+ * 행정구역 트리 (지역별 영업 중인 매장 수, 리뷰 수, 평균 별점)
+ * - depth: 1(시도) | 2(시군구, 기본) | 3(읍면동)
+ * - sortBy: name(기본) | stores | rating | reviews
+ */
+router.get("/", async (req, res) => {
+  try {
+    const depth = Math.min(Math.max(parseInt(req.query.depth) || 2, 1), 3);
+    const sortBy = req.query.sortBy || "name";
+
+    if (!REGION_SORTERS[sortBy]) {
+      return res.status(400).json({
+        error: "Bad Request",
+        message: "sortBy는 name, stores, rating, reviews 중 하나여야 합니다.",
+      });
+    }
+
+    const regions = await getRegionTree({ depth, sortBy });
+
+    res.json({
+      success: true,
+      data: regions,
+    });
+  } catch (error) {
+    console.error("지역 목록 조회 오류:", error);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: "지역 목록을 불러오는 중 오류가 발생했습니다.",
+    });
+  }
+});
+
+/**
+ * GET /api/regions/:code/stores
+ * 지역 내 영업 중인 매장 목록 (지역 랭킹)
+ * - code: 지역 코드 ("11", "11:마포구", "11:마포구:서교동")
+ * - sortBy: rating(기본) | reviews | name
+ * - page, limit: 페이지네이션 (기본 20, 최대 100)
+ */
+router.get("/:code/stores", optionalAuth, async (req, res) => {
+  try {
+    const region = parseRegionCode(req.params.code);
+    if (!region) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: "지역을 찾을 수 없습니다.",
+      });
+    }
+
+    const sortBy = req.query.sortBy || "rating";
+    if (!STORE_SORT_OPTIONS.includes(sortBy)) {
+      return res.status(400).json({
+        error: "Bad Request",
+        message: "sortBy는 rating, reviews, name 중 하나여야 합니다.",
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    const { stores, total } = await findStoresInRegion({
+      region,
+      sortBy,
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        region: { code: req.params.code, ...region },
+        stores: stores.map(formatStoreSummary),
+        pagination: {
+          total,
+          page,
+          limit,
+          totalPages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("지역 매장 목록 조회 오류:", error);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: "지역 매장 목록을 불러오는 중 오류가 발생했습니다.",
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const { prisma } = require('../services/prisma');
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { isStoreReviewUnlocked, formatStoreReview } = require('../services/reviewVisibility');
 
 const router = express.Router();
 
@@ -25,18 +26,7 @@ router.get('/store/:storeId', optionalAuth, async (req, res) => {
     }
 
     // 해금 여부 확인
-    let isUnlocked = false;
-    if (req.user) {
-      const unlockRecord = await prisma.userUnlockedStoreReview.findUnique({
-        where: {
-          unique_user_store_review_unlock: {
-            userId: req.user.id,
-            storeId: parseInt(storeId)
-          }
-        }
-      });
-      isUnlocked = !!unlockRecord;
-    }
+    const isUnlocked = await isStoreReviewUnlocked(req.user?.id, parseInt(storeId));
 
     const reviews = await prisma.review.findMany({
       where: {
@@ -62,39 +52,14 @@ router.get('/store/:storeId', optionalAuth, async (req, res) => {
       }
     });
 
-    // 리뷰 포맷팅 (해금 여부에 따라 블라인드 처리)
-    const formattedReviews = reviews.map((review, index) => {
-      const baseReview = {
-        id: review.id,
-        rating: review.rating,
-        content: review.content,
-        images: review.images,
-        tags: review.tags,
-        dollCount: review.dollCount,
-        spentAmount: review.spentAmount,
-        dollImages: review.dollImages,
-        userName: review.user ? review.user.nickname : review.userName,
-        userAvatar: review.user?.avatar,
-        isOwner: req.user && review.userId === req.user.id,
-        createdAt: review.createdAt,
-        updatedAt: review.updatedAt,
-        isBlinded: false
-      };
-
-      // 해금되지 않은 경우: 첫 번째 리뷰만 표시, 나머지는 블라인드
-      if (!isUnlocked && index > 0) {
-        return {
-          ...baseReview,
-          content: '광고를 시청하면 후기를 볼 수 있어요',
-          images: [],
-          tags: [],
-          dollImages: [],
-          isBlinded: true
-        };
-      }
-
-      return baseReview;
-    });
+    // 리뷰 포맷팅 (해금 여부에 따라 블라인드 처리, 위치는 페이지 offset 포함)
+    const formattedReviews = reviews.map((review, index) =>
+      formatStoreReview(review, {
+        position: parseInt(offset) + index,
+        isUnlocked,
+        viewerId: req.user?.id
+      })
+    );
 
     res.json({
       success: true,
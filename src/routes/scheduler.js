@@ -1,6 +1,12 @@
 const express = require('express');
 const router = express.Router();
-const { triggerDailyReport } = require('../scheduler');
+const {
+  triggerDailyReport,
+  triggerAdLifecycleSync,
+  triggerPaymentReconciliation,
+  triggerAdEventRollup,
+  triggerAdDocumentPurge
+} = require('../scheduler');
 
 /**
  * 테스트용 - 일일 리포트 수동 실행
@@ -88,6 +94,202 @@ router.get('/cron/daily-report', async (req, res) => {
   }
 });
 
+/**
+ * Vercel Cron Job 전용 엔드포인트 - 광고 진행 상태 갱신
+ * GET /api/scheduler/cron/ad-lifecycle
+ *
+ * Vercel Cron이 매시 정각에 호출 (상시 서버에서는 node-cron이 같은 주기로 실행)
+ * CRON_SECRET 환경변수로 보안 검증
+ */
+router.get('/cron/ad-lifecycle', async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization;
+    const cronSecret = process.env.CRON_SECRET;
+
+    if (cronSecret && authHeader !== `Bearer ${cronSecret}`) {
+      console.log('🚫 Cron 인증 실패 - 잘못된 Authorization 헤더');
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const summary = await triggerAdLifecycleSync();
+
+    if (summary) {
+      res.json({
+        success: true,
+        message: '광고 진행 상태가 갱신되었습니다.',
+        data: summary,
+        timestamp: new Date().toISOString()
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        message: '광고 진행 상태 갱신에 실패했습니다.',
+        timestamp: new Date().toISOString()
+      });
+    }
+  } catch (error) {
+    console.error('❌ Vercel Cron 실행 중 오류:', error);
+    res.status(500).json({
+      success: false,
+      message: '광고 진행 상태 갱신 중 오류가 발생했습니다.',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * Vercel Cron Job 전용 엔드포인트 - 결제 대조
+ * GET /api/scheduler/cron/payment-reconciliation
+ *
+ * Vercel Cron이 10분마다 호출 (상시 서버에서는 node-cron이 같은 주기로 실행)
+ * CRON_SECRET 환경변수로 보안 검증
+ */
+router.get('/cron/payment-reconciliation', async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization;
+    const cronSecret = process.env.CRON_SECRET;
+
+    if (cronSecret && authHeader !== `Bearer ${cronSecret}`) {
+      console.log('🚫 Cron 인증 실패 - 잘못된 Authorization 헤더');
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const summary = await triggerPaymentReconciliation();
+
+    if (summary) {
+      res.json({
+        success: true,
+        message: '결제 대조가 완료되었습니다.',
+        data: {
+          checked: summary.checked,
+          fixed: summary.fixed,
+          errors: summary.errors.length
+        },
+        timestamp: new Date().toISOString()
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        message: '결제 대조에 실패했습니다.',
+        timestamp: new Date().toISOString()
+      });
+    }
+  } catch (error) {
+    console.error('❌ Vercel Cron 실행 중 오류:', error);
+    res.status(500).json({
+      success: false,
+      message: '결제 대조 중 오류가 발생했습니다.',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * Vercel Cron Job 전용 엔드포인트 - 광고 성과 집계
+ * GET /api/scheduler/cron/ad-events
+ *
+ * Vercel Cron이 매시 5분에 호출 (상시 서버에서는 node-cron이 같은 주기로 실행)
+ * CRON_SECRET 환경변수로 보안 검증
+ */
+router.get('/cron/ad-events', async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization;
+    const cronSecret = process.env.CRON_SECRET;
+
+    if (cronSecret && authHeader !== `Bearer ${cronSecret}`) {
+      console.log('🚫 Cron 인증 실패 - 잘못된 Authorization 헤더');
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const summary = await triggerAdEventRollup();
+
+    if (summary) {
+      res.json({
+        success: true,
+        message: '광고 성과가 집계되었습니다.',
+        data: summary,
+        timestamp: new Date().toISOString()
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        message: '광고 성과 집계에 실패했습니다.',
+        timestamp: new Date().toISOString()
+      });
+    }
+  } catch (error) {
+    console.error('❌ Vercel Cron 실행 중 오류:', error);
+    res.status(500).json({
+      success: false,
+      message: '광고 성과 집계 중 오류가 발생했습니다.',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * Vercel Cron Job 전용 엔드포인트 - 광고 첨부 서류 삭제
+ * GET /api/scheduler/cron/ad-documents
+ *
+ * Vercel Cron이 매일 UTC 18:45 (KST 03:45)에 호출 (상시 서버에서는 node-cron이 같은 시각에 실행)
+ * CRON_SECRET 환경변수로 보안 검증
+ */
+router.get('/cron/ad-documents', async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization;
+    const cronSecret = process.env.CRON_SECRET;
+
+    if (cronSecret && authHeader !== `Bearer ${cronSecret}`) {
+      console.log('🚫 Cron 인증 실패 - 잘못된 Authorization 헤더');
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const summary = await triggerAdDocumentPurge();
+
+    if (summary) {
+      res.json({
+        success: true,
+        message: '보관 기간이 지난 광고 첨부 서류가 삭제되었습니다.',
+        data: summary,
+        timestamp: new Date().toISOString()
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        message: '광고 첨부 서류 삭제에 실패했습니다.',
+        timestamp: new Date().toISOString()
+      });
+    }
+  } catch (error) {
+    console.error('❌ Vercel Cron 실행 중 오류:', error);
+    res.status(500).json({
+      success: false,
+      message: '광고 첨부 서류 삭제 중 오류가 발생했습니다.',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * 스케줄러 상태 확인
  * GET /api/scheduler/status
@@ -109,7 +311,39 @@ router.get('/status', (req, res) => {
           schedule: '매일 오전 9시',
           cron: '0 9 * * *',
           description: '어제 하루의 통계를 집계하여 슬랙으로 전송'
-        }
+        },
+        {
+          name: '광고 진행 상태 갱신',
+          schedule: '매시 정각',
+          cron: '0 * * * *',
+          description: '승인된 광고의 시작/종료 상태를 갱신하고 종료 임박 광고주에게 연장 안내 알림'
+        },
+        {
+          name: '결제 대조',
+          schedule: '10분마다',
+          cron: '*/10 * * * *',
+          description: '미완료/실패 결제를 토스페이 결제 상태와 대조해 상태를 바로잡고 불일치를 슬랙으로 전송'
+        },
+        {
+          name: '광고 성과 집계',
+          schedule: '매시 5분',
+          cron: '5 * * * *',
+          description: '어제/오늘 광고 이벤트를 일별 성과로 집계하고 보관 기간이 지난 원본 이벤트 삭제'
+        },
+        {
+          name: '광고 첨부 서류 삭제',
+          schedule: '매일 새벽 3시 45분',
+          cron: '45 3 * * *',
+          description: '보관 기간이 지난 광고 신청 첨부 서류(사업자등록증, 신분증)를 저장소에서 삭제'
+        },
+        ...(process.env.LOCALDATA_IMPORT_FILE ? [
+          {
+            name: 'LOCALDATA 매장 데이터 동기화',
+            schedule: '매일 오전 4시',
+            cron: '0 4 * * *',
+            description: 'LOCALDATA 게임제공업 파일을 증분 반영하고 결과를 슬랙으로 전송'
+          }
+        ] : [])
       ]
     },
     timestamp: new Date().toISOString()
@@ -2,6 +2,10 @@ const express = require('express');
 const router = express.Router();
 const { PrismaClient } = require('../generated/prisma');
 const { authenticateToken } = require('../middleware/auth');
+const { parseCorrectionInput } = require('../services/storeCorrections');
+const { evaluateClosedReports } = require('../services/storeClosureRules');
+const { findDuplicateCandidates } = require('../services/storeDuplicates');
+const { fillMissingCoordinates } = require('../services/geocoding');
 
 const prisma = new PrismaClient();
 
@@ -102,16 +106,25 @@ router.post('/', async (req, res) => {
       });
     }
 
+    // 좌표를 입력하지 않은 경우 주소 검색으로 자동 입력
+    const reportData = await fillMissingCoordinates({
+      storeName: storeName.trim(),
+      address: address.trim(),
+      latitude: latitude ? parseFloat(latitude) : null,
+      longitude: longitude ? parseFloat(longitude) : null
+    });
+
+    // 기존 매장 및 대기 중인 제보와 중복 여부 확인
+    const duplicates = await findDuplicateCandidates(reportData);
+
     // 새로운 매장 제보 생성
     const storeReport = await prisma.storeReport.create({
       data: {
+        ...reportData,
         userId: userId,
-        storeName: storeName.trim(),
-        address: address.trim(),
         phone: phone?.trim() || null,
         description: description?.trim() || null,
-        latitude: latitude ? parseFloat(latitude) : null,
-        longitude: longitude ? parseFloat(longitude) : null,
+        duplicateCandidates: duplicates,
         status: 'pending'
       }
     });
@@ -120,7 +133,12 @@ router.post('/', async (req, res) => {
       success: true,
       data: {
         id: storeReport.id,
-        message: `${storeName} 매장 제보가 성공적으로 등록되었습니다.`
+        message: `${storeName} 매장 제보가 성공적으로 등록되었습니다.`,
+        latitude: storeReport.latitude,
+        longitude: storeReport.longitude,
+        coordinateSource: storeReport.coordinateSource,
+        duplicates,
+        duplicateMessage: duplicates.length > 0 ? '이미 등록된 매장일 수 있어요' : null
       }
     });
 
@@ -133,6 +151,151 @@ router.post('/', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/store-reports/corrections
+ * @desc    사용자의 매장 정보 정정 제보 목록 조회
+ * @access  Private (인증 필요)
+ */
+router.get('/corrections', async (req, res) => {
+  try {
+    const userId = req.user?.id;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        error: '로그인이 필요합니다.'
+      });
+    }
+
+    const corrections = await prisma.storeCorrectionReport.findMany({
+      where: {
+        userId: userId
+      },
+      orderBy: {
+        createdAt: 'desc'
+      },
+      include: {
+        store: {
+          select: {
+            id: true,
+            사업장명: true,
+            소재지전체주소: true,
+            영업상태명: true
+          }
+        }
+      }
+    });
+
+    res.json({
+      success: true,
+      data: corrections
+    });
+
+  } catch (error) {
+    console.error('매장 정정 제보 목록 조회 오류:', error);
+    res.status(500).json({
+      success: false,
+      error: '매장 정정 제보 목록을 불러오는 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/store-reports/corrections
+ * @desc    기존 매장 정보 정정 제보 (폐업, 위치 오류, 상호 오류, 전화번호 오류)
+ * @access  Private (인증 필요)
+ */
+router.post('/corrections', async (req, res) => {
+  try {
+    const userId = req.user?.id;
+    const storeId = parseInt(req.body.storeId);
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        error: '로그인이 필요합니다.'
+      });
+    }
+
+    if (isNaN(storeId) || storeId <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: '정정할 매장 ID가 필요합니다.'
+      });
+    }
+
+    const { data, error } = parseCorrectionInput(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const store = await prisma.gameBusiness.findUnique({
+      where: { id: storeId },
+      select: { id: true, 사업장명: true }
+    });
+
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        error: '매장을 찾을 수 없습니다.'
+      });
+    }
+
+    // 같은 사용자가 같은 매장에 같은 사유로 처리 대기 중인 제보가 있으면 중복
+    const existingCorrection = await prisma.storeCorrectionReport.findFirst({
+      where: {
+        userId: userId,
+        storeId: storeId,
+        reason: data.reason,
+        status: 'pending'
+      }
+    });
+
+    if (existingCorrection) {
+      return res.status(409).json({
+        success: false,
+        error: '이미 같은 내용으로 제보한 매장입니다.'
+      });
+    }
+
+    const correction = await prisma.storeCorrectionReport.create({
+      data: {
+        ...data,
+        userId: userId,
+        storeId: storeId,
+        status: 'pending'
+      }
+    });
+
+    // 폐업 제보가 누적되면 폐업 의심 매장으로 표시 (실패해도 제보 등록은 유지)
+    if (data.reason === 'closed') {
+      try {
+        await evaluateClosedReports(storeId);
+      } catch (ruleError) {
+        console.error('폐업 의심 규칙 평가 오류:', ruleError);
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        id: correction.id,
+        message: `${store.사업장명} 매장 정정 제보가 성공적으로 등록되었습니다.`
+      }
+    });
+
+  } catch (error) {
+    console.error('매장 정정 제보 등록 오류:', error);
+    res.status(500).json({
+      success: false,
+      error: '매장 정정 제보 등록 중 오류가 발생했습니다.'
+    });
+  }
+});
+
 /**
  * @route   GET /api/store-reports/:id
  * @desc    특정 매장 제보 상세 조회
@@ -162,9 +325,13 @@ router.get('/:id', async (req, res) => {
             id: true,
             사업장명: true,
             소재지전체주소: true,
+            도로명전체주소: true,
+            소재지전화: true,
             영업상태명: true,
             좌표정보x: true,
-            좌표정보y: true
+            좌표정보y: true,
+            latitude: true,
+            longitude: true
           }
         }
       }
@@ -240,18 +407,30 @@ router.put('/:id', async (req, res) => {
       });
     }
 
+    // 좌표를 입력하지 않은 경우 주소 검색으로 자동 입력
+    const reportData = await fillMissingCoordinates({
+      storeName: storeName.trim(),
+      address: address.trim(),
+      latitude: latitude ? parseFloat(latitude) : null,
+      longitude: longitude ? parseFloat(longitude) : null
+    });
+
+    // 수정된 매장명/위치로 중복 여부 다시 확인
+    const duplicates = await findDuplicateCandidates({
+      ...reportData,
+      excludeReportId: reportId
+    });
+
     // 매장 제보 수정
     const updatedReport = await prisma.storeReport.update({
       where: {
         id: reportId
       },
       data: {
-        storeName: storeName.trim(),
-        address: address.trim(),
+        ...reportData,
         phone: phone?.trim() || null,
         description: description?.trim() || null,
-        latitude: latitude ? parseFloat(latitude) : null,
-        longitude: longitude ? parseFloat(longitude) : null
+        duplicateCandidates: duplicates
       }
     });
 
@@ -259,7 +438,12 @@ router.put('/:id', async (req, res) => {
       success: true,
       data: {
         id: updatedReport.id,
-        message: '매장 제보가 성공적으로 수정되었습니다.'
+        message: '매장 제보가 성공적으로 수정되었습니다.',
+        latitude: updatedReport.latitude,
+        longitude: updatedReport.longitude,
+        coordinateSource: updatedReport.coordinateSource,
+        duplicates,
+        duplicateMessage: duplicates.length > 0 ? '이미 등록된 매장일 수 있어요' : null
       }
     });
 
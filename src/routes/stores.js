@@ -1,88 +1,67 @@
 const express = require("express");
 const { prisma } = require("../services/prisma");
 const { optionalAuth } = require("../middleware/auth");
-const proj4 = require("proj4");
+const { getStoreCoordinates, parseBoundingBox } = require("../utils/coordinates");
+const { normalizeStoreAttributes } = require("../utils/storeAttributes");
+const {
+  findStoresNearby,
+  findStoreClusters,
+  findStoresInBounds,
+} = require("../services/storeLocator");
+const { searchStores } = require("../services/storeSearchIndex");
+const { formatStoreSummary } = require("../services/storeFormat");
+const { iterateStoreFeatures } = require("../services/storeExport");
+const { parseRegionCode } = require("../utils/regions");
+const {
+  SPONSORED_LABEL,
+  getActiveSponsoredStores,
+  applySponsoredPlacement,
+} = require("../services/sponsoredPlacement");
+const {
+  isStoreReviewUnlocked,
+  formatStoreReview,
+} = require("../services/reviewVisibility");
+
+// 반경/개수 기본값 및 상한
+const DEFAULT_RADIUS = 2000; // m
+const MAX_RADIUS = 20000; // m
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 300;
+const SEARCH_CANDIDATE_LIMIT = 1000; // 검색 시 반경 조회에 넘길 후보 매장 수
+
+// 매장 상세에 포함하는 리뷰 미리보기 개수
+const REVIEW_PREVIEW_COUNT = 3;
+const MAX_REVIEW_PREVIEW_COUNT = 10;
+
+// 클러스터 대신 개별 매장을 반환하기 시작하는 줌 레벨
+const CLUSTER_MAX_ZOOM = parseInt(process.env.STORE_CLUSTER_MAX_ZOOM) || 15;
 
-// EPSG:5174 (Korea 2000 / Central Belt 2010) 좌표계 정의
-// 중부원점(Central Belt) 사용 - 서울/경기 지역에 적합
-// towgs84 파라미터를 한국 측지계에 최적화
-const epsg5174 =
-  "+proj=tmerc +lat_0=38 +lon_0=127 +k=1 +x_0=200000 +y_0=500000 +ellps=GRS80 +units=m +no_defs";
-
-// WGS84 좌표계 정의
-const wgs84 = "+proj=longlat +datum=WGS84 +no_defs";
-
-// TM 좌표계(EPSG:5174)를 WGS84(위도/경도)로 변환하는 함수
-function tmToWgs84(x, y) {
-  try {
-    const tmX = parseFloat(x);
-    const tmY = parseFloat(y);
-
-    // NaN, Infinity 체크
-    if (!isFinite(tmX) || !isFinite(tmY) || isNaN(tmX) || isNaN(tmY)) {
-      return { lat: 37.5665, lng: 126.978 }; // 서울 중심 기본값
-    }
+/**
+ * 쿼리의 시설 속성 필터를 파싱합니다.
+ * @returns {{filters: Object}|{error: string}}
+ */
+function parseAttributeFilters(query) {
+  const filters = {};
 
-    // 이미 WGS84 좌표계인 경우 (경도 100~140, 위도 30~45 범위)
-    if (tmX >= 100 && tmX <= 140 && tmY >= 30 && tmY <= 45) {
-      return { lat: tmY, lng: tmX };
+  for (const param of ["minGameCount", "maxGameCount", "minArea", "maxArea"]) {
+    if (query[param] === undefined || query[param] === "") {
+      continue;
     }
-
-    // TM 좌표계 유효 범위 체크 (한국 좌표 범위)
-    if (tmX < 50000 || tmX > 350000 || tmY < 0 || tmY > 700000) {
-      return { lat: 37.5665, lng: 126.978 };
+    const value = Number(query[param]);
+    if (!isFinite(value) || value < 0) {
+      return { error: `${param}는 0 이상의 숫자여야 합니다.` };
     }
-
-    // proj4를 사용한 정확한 좌표 변환
-    const [lng, lat] = proj4(epsg5174, wgs84, [tmX, tmY]);
-
-    // 시스템적 오차 보정 (평균 오차 적용)
-    // 분석 결과: 위도 +0.002747도, 경도 +0.000790도 보정 필요
-    const correctedLat = lat + 0.002747;
-    const correctedLng = lng + 0.00079;
-
-    return {
-      lat: Math.max(33, Math.min(43, correctedLat)),
-      lng: Math.max(124, Math.min(132, correctedLng)),
-    };
-  } catch (error) {
-    // 서울 중심 기본값
-    return { lat: 37.5665, lng: 126.978 };
+    filters[param] = param.endsWith("GameCount") ? Math.floor(value) : value;
   }
-}
-
-// WGS84(위도/경도)를 TM 좌표계(EPSG:5174)로 변환하는 함수
-function wgs84ToTm(lat, lng) {
-  try {
-    const latitude = parseFloat(lat);
-    const longitude = parseFloat(lng);
-
-    // NaN, Infinity 체크
-    if (
-      !isFinite(latitude) ||
-      !isFinite(longitude) ||
-      isNaN(latitude) ||
-      isNaN(longitude)
-    ) {
-      return { x: 200000, y: 450000 }; // 중부원점 근처 기본값
-    }
 
-    // WGS84 유효 범위 체크 (한국 지역)
-    if (latitude < 33 || latitude > 43 || longitude < 124 || longitude > 132) {
-      return { x: 200000, y: 450000 };
+  if (query.youthRoom !== undefined && query.youthRoom !== "") {
+    if (query.youthRoom !== "true" && query.youthRoom !== "false") {
+      return { error: "youthRoom은 true 또는 false여야 합니다." };
     }
-
-    // proj4를 사용한 정확한 좌표 변환
-    const [tmX, tmY] = proj4(wgs84, epsg5174, [longitude, latitude]);
-
-    return {
-      x: Math.max(50000, Math.min(350000, tmX)),
-      y: Math.max(0, Math.min(600000, tmY)),
-    };
-  } catch (error) {
-    // 중부원점 근처 기본값
-    return { x: 200000, y: 450000 };
+    filters.youthRoom = query.youthRoom === "true";
   }
+
+  return { filters };
 }
 
 const router = express.Router();
@@ -90,128 +69,114 @@ const router = express.Router();
 /**
  * GET /api/stores
  * 매장 목록 조회 (지도용)
+ * - lat, lng: 중심 좌표 (WGS84)
+ * - radius: 반경 (m, 기본 2km, 최대 20km)
+ * - limit: 최대 결과 수 (기본 100, 최대 300)
+ * - sortBy: distance(기본) | rating | reviews
+ * - search: 매장명/주소 검색어 (초성 가능, sortBy가 없으면 관련도순)
+ * - minGameCount, maxGameCount: 게임기 수 범위
+ * - minArea, maxArea: 시설면적 범위 (㎡)
+ * - youthRoom: true | false (청소년실 보유 여부)
+ * 반경 안의 광고 매장은 isSponsored: true로 상단 고정 또는 순위 상향 (SPONSORED_* 환경 변수)
  */
 router.get("/", optionalAuth, async (req, res) => {
   try {
     const {
       lat = 37.570237461,
       lng = 126.983220147,
-      radius = 2000, // 기본 5km
-
+      radius = DEFAULT_RADIUS,
+      limit = DEFAULT_LIMIT,
+      sortBy,
       search,
     } = req.query;
 
-    let whereClause = {
-      영업상태명: "영업/정상", // 영업 중인 매장만
-    };
+    const latFloat = parseFloat(lat);
+    const lngFloat = parseFloat(lng);
 
-    // 검색 조건 추가
-    if (search) {
-      whereClause.OR = [
-        { 사업장명: { contains: search, mode: "insensitive" } },
-        { 소재지전체주소: { contains: search, mode: "insensitive" } },
-        { 도로명전체주소: { contains: search, mode: "insensitive" } },
-      ];
+    if (!isFinite(latFloat) || !isFinite(lngFloat)) {
+      return res.status(400).json({
+        error: "Bad Request",
+        message: "유효하지 않은 좌표입니다.",
+      });
     }
 
-    // 좌표 기반 필터링 (TM 좌표계 사용)
-    if (lat && lng) {
-      const latFloat = parseFloat(lat);
-      const lngFloat = parseFloat(lng);
-      const radiusKm = parseFloat(radius) / 1000;
-
-      // WGS84 좌표를 TM 좌표로 변환
-      const centerTm = wgs84ToTm(latFloat, lngFloat);
-
-      // TM 좌표계에서의 대략적인 반경 계산 (1km ≈ 1000 TM 단위)
-      const tmRadius = radiusKm * 1000;
+    const { filters, error: filterError } = parseAttributeFilters(req.query);
+    if (filterError) {
+      return res.status(400).json({
+        error: "Bad Request",
+        message: filterError,
+      });
+    }
 
-      whereClause.좌표정보x = {
-        gte: (centerTm.x - tmRadius).toString(),
-        lte: (centerTm.x + tmRadius).toString(),
-      };
-      whereClause.좌표정보y = {
-        gte: (centerTm.y - tmRadius).toString(),
-        lte: (centerTm.y + tmRadius).toString(),
-      };
+    const radiusMeters = Math.min(
+      Math.max(parseFloat(radius) || DEFAULT_RADIUS, 1),
+      MAX_RADIUS
+    );
+    const take = Math.min(
+      Math.max(parseInt(limit) || DEFAULT_LIMIT, 1),
+      MAX_LIMIT
+    );
+
+    // 검색어가 있으면 검색 인덱스에서 후보 매장을 찾아 반경 조회를 제한
+    const keyword = search ? search.trim() : "";
+    let matches = null;
+    if (keyword) {
+      matches = await searchStores(keyword, {
+        lat: latFloat,
+        lng: lngFloat,
+        limit: SEARCH_CANDIDATE_LIMIT,
+      });
     }
 
-    const stores = await prisma.gameBusiness.findMany({
-      where: whereClause,
-      include: {
-        reviews: {
-          select: {
-            rating: true,
-          },
-        },
-      },
+    // 정렬 기준을 지정하지 않은 검색은 관련도순
+    // (거리순으로 limit을 먼저 자르면 관련도 높은 먼 매장이 빠지므로 반경 안의 후보를 모두 조회한 뒤 정렬)
+    const sortByScore = matches && !sortBy;
+
+    let results = await findStoresNearby({
+      lat: latFloat,
+      lng: lngFloat,
+      radius: radiusMeters,
+      limit: sortByScore ? matches.length : take,
+      sortBy,
+      storeIds: matches ? matches.map((match) => match.id) : undefined,
+      filters,
     });
 
-    // 거리 계산 및 응답 포맷팅
-    const formattedStores = stores.map((store) => {
-      // 좌표 값이 없으면 기본값 사용
-      if (!store.좌표정보x || !store.좌표정보y) {
-        const defaultCoords = { lat: 37.5665, lng: 126.978 };
-        return {
-          ...store,
-          latitude: defaultCoords.lat,
-          longitude: defaultCoords.lng,
-          거리: 0,
-        };
-      }
+    if (sortByScore) {
+      const scoreMap = new Map(matches.map((match) => [match.id, match.score]));
+      results = results
+        .sort((a, b) => scoreMap.get(b.store.id) - scoreMap.get(a.store.id))
+        .slice(0, take);
+    }
 
-      // TM 좌표계를 WGS84로 변환
-      const coords = tmToWgs84(store.좌표정보x, store.좌표정보y);
-
-      let distance = 0;
-      if (lat && lng) {
-        const latFloat = parseFloat(lat);
-        const lngFloat = parseFloat(lng);
-
-        const R = 6371; // 지구 반지름 (km)
-        const dLat = ((coords.lat - latFloat) * Math.PI) / 180;
-        const dLng = ((coords.lng - lngFloat) * Math.PI) / 180;
-        const a =
-          Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-          Math.cos((latFloat * Math.PI) / 180) *
-            Math.cos((coords.lat * Math.PI) / 180) *
-            Math.sin(dLng / 2) *
-            Math.sin(dLng / 2);
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-        distance = Math.round(R * c * 10) / 10;
+    const sponsoredStores = await getActiveSponsoredStores();
+    if (sponsoredStores.size > 0) {
+      // limit에 밀려 빠진 반경 안의 광고 매장도 함께 조회해 노출 대상에 포함
+      const loadedIds = new Set(results.map((result) => result.store.id));
+      const matchIds = matches ? new Set(matches.map((match) => match.id)) : null;
+      const missingIds = [...sponsoredStores.keys()].filter(
+        (id) => !loadedIds.has(id) && (!matchIds || matchIds.has(id))
+      );
+
+      if (results.length === take && missingIds.length > 0) {
+        const sponsoredResults = await findStoresNearby({
+          lat: latFloat,
+          lng: lngFloat,
+          radius: radiusMeters,
+          limit: missingIds.length,
+          sortBy,
+          storeIds: missingIds,
+          filters,
+        });
+        results = results.concat(sponsoredResults);
       }
 
-      // 평균 평점 계산
-      const ratings = store.reviews.map((r) => r.rating);
-      const avgRating =
-        ratings.length > 0
-          ? Math.round(
-              (ratings.reduce((a, b) => a + b, 0) / ratings.length) * 10
-            ) / 10
-          : 0;
-
-      return {
-        id: store.id,
-        name: store.사업장명,
-        address: store.도로명전체주소 || store.소재지전체주소,
-        phone: store.소재지전화,
-        lat: coords.lat,
-        lng: coords.lng,
-        distance,
-        status: store.영업상태명,
-        category: store.업태구분명,
-        gameCount: null,
-        area: store.소재지전체주소?.split(" ")[1] || "",
-        averageRating: avgRating,
-        reviewCount: store.reviews.length,
-      };
-    });
-
-    // 거리 기준으로 정렬 (가까운 순)
-    if (lat && lng) {
-      formattedStores.sort((a, b) => a.distance - b.distance);
+      results = applySponsoredPlacement(results, sponsoredStores).slice(0, take);
     }
 
+    // 응답 포맷팅
+    const formattedStores = results.map(formatStoreSummary);
+
     res.json({
       success: true,
       data: formattedStores,
@@ -225,6 +190,176 @@ router.get("/", optionalAuth, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/stores/clusters
+ * 지도 뷰포트 내 매장 클러스터 조회
+ * - bbox: minLng,minLat,maxLng,maxLat (또는 minLat/minLng/maxLat/maxLng)
+ * - zoom: 지도 줌 레벨 (STORE_CLUSTER_MAX_ZOOM 이상이면 개별 매장 반환)
+ */
+router.get("/clusters", optionalAuth, async (req, res) => {
+  try {
+    const bbox = parseBoundingBox(req.query);
+    const zoom = parseInt(req.query.zoom);
+
+    if (!bbox) {
+      return res.status(400).json({
+        error: "Bad Request",
+        message: "유효한 지도 범위(bbox)가 필요합니다.",
+      });
+    }
+
+    if (isNaN(zoom) || zoom < 0 || zoom > 22) {
+      return res.status(400).json({
+        error: "Bad Request",
+        message: "유효한 줌 레벨(0~22)이 필요합니다.",
+      });
+    }
+
+    // 충분히 확대된 경우 개별 매장 반환
+    if (zoom >= CLUSTER_MAX_ZOOM) {
+      const results = await findStoresInBounds({ bbox, limit: MAX_LIMIT });
+
+      return res.json({
+        success: true,
+        data: {
+          zoom,
+          clustered: false,
+          stores: results.map(formatStoreSummary),
+        },
+      });
+    }
+
+    const clusters = await findStoreClusters({ bbox, zoom });
+
+    res.json({
+      success: true,
+      data: {
+        zoom,
+        clustered: true,
+        expandZoom: CLUSTER_MAX_ZOOM,
+        clusters: clusters.map((cluster) => ({
+          ...cluster,
+          averageRating: Math.round(cluster.averageRating * 10) / 10,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("매장 클러스터 조회 오류:", error);
+    res.status(500).json({
+      error: "Internal Server Error",
+      message: "매장 클러스터를 불러오는 중 오류가 발생했습니다.",
+    });
+  }
+});
+
+/**
+ * 매장 데이터를 GeoJSON FeatureCollection 또는 NDJSON(한 줄에 Feature 하나)으로 스트리밍합니다.
+ * 응답 버퍼가 차면 drain을 기다리고, 클라이언트가 연결을 끊으면 조회를 멈춥니다.
+ */
+async function streamStoreExport(req, res, format) {
+  let bbox;
+  if (req.query.bbox || req.query.minLat) {
+    bbox = parseBoundingBox(req.query);
+    if (!bbox) {
+      return res.status(400).json({
+        error: "Bad Request",
+        message: "유효한 지도 범위(bbox)가 필요합니다.",
+      });
+    }
+  }
+
+  let region;
+  if (req.query.region) {
+    region = parseRegionCode(req.query.region);
+    if (!region) {
+      return res.status(400).json({
+        error: "Bad Request",
+        message: "유효하지 않은 지역 코드입니다.",
+      });
+    }
+  }
+
+  const isGeoJson = format === "geojson";
+  const collectionStart = '{"type":"FeatureCollection","features":[\n';
+
+  let closed = false;
+  req.on("close", () => {
+    closed = true;
+  });
+
+  // 파일 응답 헤더는 첫 데이터를 쓸 때 설정 (그 전에 실패하면 JSON 오류 응답을 보냄)
+  const startFile = () => {
+    if (res.headersSent) {
+      return;
+    }
+    res.setHeader(
+      "Content-Type",
+      isGeoJson ? "application/geo+json; charset=utf-8" : "application/x-ndjson; charset=utf-8"
+    );
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="stores.${isGeoJson ? "geojson" : "ndjson"}"`
+    );
+  };
+
+  const write = async (chunk) => {
+    startFile();
+    if (!res.write(chunk)) {
+      await new Promise((resolve) => {
+        const done = () => {
+          res.off("drain", done);
+          res.off("close", done);
+          resolve();
+        };
+        res.on("drain", done);
+        res.on("close", done);
+      });
+    }
+  };
+
+  try {
+    let count = 0;
+    for await (const feature of iterateStoreFeatures({ bbox, region })) {
+      if (closed) {
+        return;
+      }
+      const json = JSON.stringify(feature);
+      await write(isGeoJson ? `${count > 0 ? ",\n" : collectionStart}${json}` : `${json}\n`);
+      count++;
+    }
+
+    if (isGeoJson) {
+      await write(`${count > 0 ? "" : collectionStart}\n]}\n`);
+    }
+    startFile();
+    res.end();
+  } catch (error) {
+    console.error("매장 데이터 내보내기 오류:", error);
+    if (!res.headersSent) {
+      return res.status(500).json({
+        error: "Internal Server Error",
+        message: "매장 데이터를 내보내는 중 오류가 발생했습니다.",
+      });
+    }
+    // 스트리밍 도중 실패하면 잘린 파일임을 알 수 있도록 연결을 끊음
+    res.destroy(error);
+  }
+}
+
+/**
+ * GET /api/stores/export.geojson
+ * 영업 중인 매장 전체를 GeoJSON FeatureCollection으로 내보내기 (스트리밍)
+ * - bbox: minLng,minLat,maxLng,maxLat (선택)
+ * - region: 지역 코드 ("11", "11:마포구", 선택)
+ */
+router.get("/export.geojson", (req, res) => streamStoreExport(req, res, "geojson"));
+
+/**
+ * GET /api/stores/export.ndjson
+ * export.geojson과 같은 데이터를 한 줄에 Feature 하나씩 NDJSON으로 내보내기 (스트리밍)
+ */
+router.get("/export.ndjson", (req, res) => streamStoreExport(req, res, "ndjson"));
+
 /**
  * GET /api/stores/top-reviewed
  * 후기가 가장 많은 매장 조회
@@ -261,8 +396,10 @@ router.get("/top-reviewed", optionalAuth, async (req, res) => {
       });
     }
 
+    const sponsoredStores = await getActiveSponsoredStores();
+
     // 좌표 변환
-    const coordinates = tmToWgs84(topStore.좌표정보x, topStore.좌표정보y);
+    const coordinates = getStoreCoordinates(topStore);
 
     // 평균 평점 계산
     const ratings = topStore.reviews.map(r => r.rating);
@@ -281,7 +418,9 @@ router.get("/top-reviewed", optionalAuth, async (req, res) => {
       averageRating: avgRating,
       gameCount: topStore.총게임기수,
       facilityArea: topStore.시설면적,
-      businessStatus: topStore.영업상태명
+      businessStatus: topStore.영업상태명,
+      isSponsored: sponsoredStores.has(topStore.id),
+      adRequestId: sponsoredStores.get(topStore.id)?.adId ?? null
     };
 
     res.json({
@@ -335,10 +474,12 @@ router.get("/top-reviewed-three", optionalAuth, async (req, res) => {
       });
     }
 
+    const sponsoredStores = await getActiveSponsoredStores();
+
     // 각 매장 포맷팅
     const formattedStores = topStores.map((store, index) => {
       // 좌표 변환
-      const coordinates = tmToWgs84(store.좌표정보x, store.좌표정보y);
+      const coordinates = getStoreCoordinates(store);
 
       // 평균 평점 계산
       const ratings = store.reviews.map(r => r.rating);
@@ -358,7 +499,9 @@ router.get("/top-reviewed-three", optionalAuth, async (req, res) => {
         averageRating: avgRating,
         gameCount: store.총게임기수,
         facilityArea: store.시설면적,
-        businessStatus: store.영업상태명
+        businessStatus: store.영업상태명,
+        isSponsored: sponsoredStores.has(store.id),
+        adRequestId: sponsoredStores.get(store.id)?.adId ?? null
       };
     });
 
@@ -379,6 +522,8 @@ router.get("/top-reviewed-three", optionalAuth, async (req, res) => {
 /**
  * GET /api/stores/:id
  * 특정 매장 상세 정보 조회
+ * - 매장 정보, 리뷰 통계, 최신 리뷰 미리보기(reviewPreview개, 기본 3개)를 반환
+ * - 리뷰는 해금 여부에 따라 블라인드 처리 (GET /api/reviews/store/:storeId와 동일)
  */
 router.get("/:id", optionalAuth, async (req, res) => {
   try {
@@ -402,8 +547,34 @@ router.get("/:id", optionalAuth, async (req, res) => {
 
     const store = await prisma.gameBusiness.findUnique({
       where: { id: storeId },
-      include: {
-        reviews: {
+    });
+
+    if (!store) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: "매장을 찾을 수 없습니다.",
+      });
+    }
+
+    const previewCount = Math.min(
+      Math.max(parseInt(req.query.reviewPreview) || REVIEW_PREVIEW_COUNT, 0),
+      MAX_REVIEW_PREVIEW_COUNT
+    );
+
+    const [ratingStats, reviewAggregate, previewReviews, isUnlocked] =
+      await Promise.all([
+        prisma.review.groupBy({
+          by: ["rating"],
+          where: { storeId },
+          _count: { rating: true },
+        }),
+        prisma.review.aggregate({
+          where: { storeId },
+          _avg: { rating: true },
+          _count: { _all: true },
+        }),
+        prisma.review.findMany({
+          where: { storeId },
           include: {
             user: {
               select: {
@@ -416,32 +587,23 @@ router.get("/:id", optionalAuth, async (req, res) => {
           orderBy: {
             createdAt: "desc",
           },
-        },
-      },
+          take: previewCount,
+        }),
+        isStoreReviewUnlocked(req.user?.id, storeId),
+      ]);
+
+    // 평점별 분포
+    const ratingDistribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    ratingStats.forEach((stat) => {
+      ratingDistribution[stat.rating] = stat._count.rating;
     });
 
-    if (!store) {
-      return res.status(404).json({
-        error: "Not Found",
-        message: "매장을 찾을 수 없습니다.",
-      });
-    }
-
-    // 평균 평점 계산
-    const ratings = store.reviews.map((r) => r.rating);
-    const averageRating =
-      ratings.length > 0
-        ? ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length
-        : 0;
+    const reviewCount = reviewAggregate._count._all;
+    const averageRating = reviewAggregate._avg.rating || 0;
 
-    // 좌표 값 검증 및 변환
-    let coords;
-    if (!store.좌표정보x || !store.좌표정보y) {
-      coords = { lat: 37.5665, lng: 126.978 }; // 서울 중심 기본값
-    } else {
-      // TM 좌표계를 WGS84로 변환
-      coords = tmToWgs84(store.좌표정보x, store.좌표정보y);
-    }
+    // 좌표 (미리 계산된 WGS84 좌표 우선)
+    const coords = getStoreCoordinates(store);
+    const attributes = normalizeStoreAttributes(store);
 
     const storeData = {
       id: store.id,
@@ -450,25 +612,28 @@ router.get("/:id", optionalAuth, async (req, res) => {
       phone: store.소재지전화,
       lat: coords.lat,
       lng: coords.lng,
+      coordinateStatus: store.coordinateStatus,
       status: store.영업상태명,
+      suspectedClosed: store.suspectedClosed,
       category: store.업태구분명,
-      totalFloors: store.총층수,
-      facilityArea: store.시설면적,
-      gameCount: store.총게임기수,
+      totalFloors: attributes.totalFloors,
+      facilityArea: attributes.facilityArea,
+      gameCount: attributes.gameCount,
+      attributes,
       lastUpdated: store.최종수정시점,
-      reviewCount: store.reviews.length,
+      reviewCount,
       averageRating: Math.round(averageRating * 10) / 10,
-      reviews: store.reviews.map((review) => ({
-        id: review.id,
-        rating: review.rating,
-        content: review.content,
-        images: review.images,
-        tags: review.tags,
-        userName: review.user ? review.user.nickname : review.userName,
-        userAvatar: review.user?.avatar,
-        createdAt: review.createdAt,
-        updatedAt: review.updatedAt,
-      })),
+      ratingDistribution,
+      isUnlocked,
+      // 최신 리뷰 미리보기 (전체 목록은 GET /api/reviews/store/:storeId)
+      reviews: previewReviews.map((review, index) =>
+        formatStoreReview(review, {
+          position: index,
+          isUnlocked,
+          viewerId: req.user?.id,
+        })
+      ),
+      hasMoreReviews: reviewCount > previewReviews.length,
     };
 
     res.json({
@@ -485,65 +650,45 @@ router.get("/:id", optionalAuth, async (req, res) => {
 });
 
 /**
- * GET /api/stores/search
+ * GET /api/stores/search/suggestions
  * 매장 검색 (자동완성용)
+ * - q: 검색어 (초성 검색 가능, 예: "ㅇㅎㅃㄱ")
+ * - lat, lng: 기준 좌표 (선택, 가까운 매장 우선)
+ * - limit: 최대 결과 수 (기본 10, 최대 50)
+ * 광고 매장은 isSponsored: true, label: "광고"
  */
 router.get("/search/suggestions", async (req, res) => {
   try {
-    const { q, limit = 10 } = req.query;
+    const { q, lat, lng, limit = 10 } = req.query;
 
-    if (!q || q.length < 2) {
+    if (!q || q.trim().length < 2) {
       return res.json({
         success: true,
         data: [],
       });
     }
 
-    const suggestions = await prisma.gameBusiness.findMany({
-      where: {
-        AND: [
-          { 영업상태명: "영업/정상" },
-          {
-            OR: [
-              { 사업장명: { contains: q, mode: "insensitive" } },
-              { 소재지전체주소: { contains: q, mode: "insensitive" } },
-              { 도로명전체주소: { contains: q, mode: "insensitive" } },
-            ],
-          },
-        ],
-      },
-      select: {
-        id: true,
-        사업장명: true,
-        소재지전체주소: true,
-        도로명전체주소: true,
-        좌표정보x: true,
-        좌표정보y: true,
-      },
-      take: parseInt(limit),
-      orderBy: {
-        사업장명: "asc",
-      },
+    const suggestions = await searchStores(q.trim(), {
+      lat: parseFloat(lat),
+      lng: parseFloat(lng),
+      limit: Math.min(Math.max(parseInt(limit) || 10, 1), 50),
     });
 
-    const formattedSuggestions = suggestions.map((store) => {
-      // 좌표 값 검증 및 변환
-      let coords;
-      if (!store.좌표정보x || !store.좌표정보y) {
-        coords = { lat: 37.5665, lng: 126.978 };
-      } else {
-        // TM 좌표계를 WGS84로 변환
-        coords = tmToWgs84(store.좌표정보x, store.좌표정보y);
-      }
+    const sponsoredStores = await getActiveSponsoredStores();
 
-      return {
-        id: store.id,
-        name: store.사업장명,
-        address: store.도로명전체주소 || store.소재지전체주소,
-        latitude: coords.lat,
-        longitude: coords.lng,
-      };
-    });
+    const formattedSuggestions = suggestions.map((store) => ({
+      id: store.id,
+      name: store.name,
+      address: store.address,
+      latitude: store.lat,
+      longitude: store.lng,
+      distance: store.distance,
+      reviewCount: store.reviewCount,
+      suspectedClosed: store.suspectedClosed,
+      isSponsored: sponsoredStores.has(store.id),
+      label: sponsoredStores.has(store.id) ? SPONSORED_LABEL : null,
+      adRequestId: sponsoredStores.get(store.id)?.adId ?? null,
+    }));
 
     res.json({
       success: true,
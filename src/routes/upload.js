@@ -2,6 +2,8 @@ const express = require('express');
 const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
 const { supabase } = require('../config/supabase');
+const { authenticateToken } = require('../middleware/auth');
+const { uploadAdDocument, formatAdDocument } = require('../services/adDocuments');
 
 const router = express.Router();
 
@@ -22,6 +24,15 @@ const upload = multer({
   }
 });
 
+// 광고 신청 첨부 서류 (사업자등록증, 신분증): 파일 1개, 5MB 제한
+// 형식 검증은 서비스에서 하고 비공개 버킷에 저장
+const documentUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB 제한
+  }
+});
+
 /**
  * POST /api/upload/images
  * 이미지 파일들을 Supabase Storage에 업로드
@@ -85,6 +96,51 @@ router.post('/images', upload.array('images', 5), async (req, res) => {
   }
 });
 
+/**
+ * POST /api/upload/documents
+ * 광고 신청 첨부 서류를 비공개 저장소에 업로드 (공개 URL 없음)
+ * - document: 파일 (이미지 또는 PDF)
+ * - type: business_license | id_card
+ * 응답의 서류 ID를 광고 신청 시 businessLicenseDocumentId / idCardDocumentId로 보냅니다.
+ */
+router.post('/documents', authenticateToken, documentUpload.single('document'), async (req, res) => {
+  try {
+    const document = await uploadAdDocument(req.user.id, req.body.type, req.file);
+
+    res.status(201).json({
+      success: true,
+      message: '서류가 업로드되었습니다.',
+      data: formatAdDocument(document)
+    });
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error.message
+      });
+    }
+    if (error.status === 503) {
+      return res.status(503).json({
+        error: 'Service Unavailable',
+        message: error.message
+      });
+    }
+    if (error.status === 502) {
+      return res.status(500).json({
+        error: 'Storage Error',
+        message: error.message
+      });
+    }
+
+    console.error('서류 업로드 오류:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: '서류 업로드 중 오류가 발생했습니다.'
+    });
+  }
+});
+
 /**
  * DELETE /api/upload/images
  * Supabase Storage에서 이미지 파일 삭제
@@ -1,5 +1,16 @@
 const cron = require('node-cron');
-const { sendDailyReport } = require('../services/schedulerSlack');
+const {
+  sendDailyReport,
+  sendLocaldataImportReport,
+  sendPaymentReconciliationReport
+} = require('../services/schedulerSlack');
+const { importLocaldataFile } = require('../services/localdataImport');
+const { purgeExpiredGeocodeCache } = require('../services/geocoding');
+const { rollupAdEvents, purgeOldAdEvents } = require('../services/adEvents');
+const { purgeExpiredAdDocuments } = require('../services/adDocuments');
+const { syncAdLifecycles, AD_END_REMINDER_DAYS } = require('../services/adLifecycle');
+const { reconcilePayments } = require('../services/paymentReconciliation');
+const { toKstDateString, addDays } = require('../utils/kstDate');
 
 /**
  * 스케줄러 초기화 함수
@@ -19,6 +30,70 @@ function initScheduler() {
 
   console.log('✅ 일일 리포트 스케줄러 등록 완료 (매일 오전 9시)');
 
+  // 매일 새벽 4시에 LOCALDATA 매장 데이터 증분 동기화 (파일 경로가 설정된 경우만)
+  if (process.env.LOCALDATA_IMPORT_FILE) {
+    cron.schedule('0 4 * * *', async () => {
+      console.log('🚀 LOCALDATA 가져오기 스케줄 실행');
+      await triggerLocaldataImport();
+    }, {
+      scheduled: true,
+      timezone: "Asia/Seoul"
+    });
+
+    console.log('✅ LOCALDATA 가져오기 스케줄러 등록 완료 (매일 오전 4시)');
+  }
+
+  // 매일 새벽 3시 30분에 만료된 주소 검색 캐시 삭제
+  cron.schedule('30 3 * * *', async () => {
+    try {
+      const count = await purgeExpiredGeocodeCache();
+      console.log(`🧹 만료된 주소 검색 캐시 ${count}건 삭제`);
+    } catch (error) {
+      console.error('주소 검색 캐시 정리 중 오류:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: "Asia/Seoul"
+  });
+
+  // 매일 새벽 3시 45분에 보관 기간이 지난 광고 신청 첨부 서류 삭제
+  cron.schedule('45 3 * * *', async () => {
+    await triggerAdDocumentPurge();
+  }, {
+    scheduled: true,
+    timezone: "Asia/Seoul"
+  });
+
+  // 매시 정각에 광고 진행 상태(시작 전/노출 중/종료) 갱신, 종료 임박 광고주 알림
+  cron.schedule('0 * * * *', async () => {
+    await triggerAdLifecycleSync();
+  }, {
+    scheduled: true,
+    timezone: "Asia/Seoul"
+  });
+
+  console.log(`✅ 광고 진행 상태 스케줄러 등록 완료 (매시 정각, 종료 ${AD_END_REMINDER_DAYS}일 전 알림)`);
+
+  // 10분마다 미완료/실패 결제를 토스페이 결제 상태와 대조
+  cron.schedule('*/10 * * * *', async () => {
+    await triggerPaymentReconciliation();
+  }, {
+    scheduled: true,
+    timezone: "Asia/Seoul"
+  });
+
+  console.log('✅ 결제 대조 스케줄러 등록 완료 (10분마다)');
+
+  // 매시 5분에 어제/오늘 광고 이벤트를 일별 성과로 집계하고 보관 기간이 지난 원본 이벤트 삭제
+  cron.schedule('5 * * * *', async () => {
+    await triggerAdEventRollup();
+  }, {
+    scheduled: true,
+    timezone: "Asia/Seoul"
+  });
+
+  console.log('✅ 광고 성과 집계 스케줄러 등록 완료 (매시 5분)');
+
   // 개발 환경에서만 테스트용 로그 출력
   if (process.env.NODE_ENV === 'development') {
     console.log('📌 [개발 모드] 테스트 API 사용 가능: GET /api/scheduler/test-daily-report');
@@ -34,6 +109,100 @@ async function triggerDailyReport() {
   return await sendDailyReport();
 }
 
+/**
+ * 광고 진행 상태를 갱신하고 종료 임박 알림을 보냅니다.
+ * @returns {Promise<Object|null>} 실행 요약 (실패 시 null)
+ */
+async function triggerAdLifecycleSync() {
+  try {
+    const summary = await syncAdLifecycles();
+    console.log(`📣 광고 시작 ${summary.started}건, 종료 ${summary.ended}건, 종료 임박 알림 ${summary.endingSoon}건`);
+    return summary;
+  } catch (error) {
+    console.error('광고 진행 상태 갱신 중 오류:', error);
+    return null;
+  }
+}
+
+/**
+ * 미완료/실패 결제를 토스페이 결제 상태와 대조하고 불일치를 슬랙으로 전송
+ * @returns {Promise<Object|null>} 실행 요약 (실패 시 null)
+ */
+async function triggerPaymentReconciliation() {
+  try {
+    const summary = await reconcilePayments();
+    console.log(`💳 결제 ${summary.checked}건 대조, 수정 ${summary.fixed}건, 조회 실패 ${summary.errors.length}건`);
+    await sendPaymentReconciliationReport(summary);
+    return summary;
+  } catch (error) {
+    console.error('결제 대조 중 오류:', error);
+    await sendPaymentReconciliationReport(null, error);
+    return null;
+  }
+}
+
+/**
+ * 보관 기간이 지난 광고 신청 첨부 서류(사업자등록증, 신분증)를 저장소에서 삭제합니다.
+ * @returns {Promise<Object|null>} 삭제한 서류 수 (실패 시 null)
+ */
+async function triggerAdDocumentPurge() {
+  try {
+    const summary = await purgeExpiredAdDocuments();
+    console.log(`🧹 보관 기간이 지난 광고 첨부 서류 ${summary.documents}건, 기존 공개 서류 ${summary.legacy}건 삭제`);
+    return summary;
+  } catch (error) {
+    console.error('광고 첨부 서류 정리 중 오류:', error);
+    return null;
+  }
+}
+
+/**
+ * 어제와 오늘 광고 이벤트를 일별 성과로 집계하고 보관 기간이 지난 원본 이벤트를 삭제합니다.
+ * 어제 성과도 매번 다시 집계해 자정 전후 실행이 빠져도 마지막 이벤트까지 반영됩니다. (upsert라 반복 실행해도 같음)
+ * @returns {Promise<Object|null>} 실행 요약 (실패 시 null)
+ */
+async function triggerAdEventRollup() {
+  try {
+    const today = toKstDateString();
+    const yesterday = addDays(today, -1);
+    const summary = {
+      yesterday: await rollupAdEvents(yesterday),
+      today: await rollupAdEvents(today),
+      purged: await purgeOldAdEvents()
+    };
+    console.log(`📈 광고 성과 집계 (${yesterday} ${summary.yesterday}건, ${today} ${summary.today}건), 원본 이벤트 ${summary.purged}건 삭제`);
+    return summary;
+  } catch (error) {
+    console.error('광고 성과 집계 중 오류:', error);
+    return null;
+  }
+}
+
+/**
+ * LOCALDATA 파일을 가져와 매장 데이터를 동기화하고 결과를 슬랙으로 전송
+ * @param {Object} [options] - importLocaldataFile 옵션 (full, dryRun)
+ * @returns {Promise<Object|null>} 실행 요약 (실패 시 null)
+ */
+async function triggerLocaldataImport(options = {}) {
+  const filePath = process.env.LOCALDATA_IMPORT_FILE;
+
+  if (!filePath) {
+    console.error('LOCALDATA_IMPORT_FILE 환경변수가 설정되지 않았습니다.');
+    return null;
+  }
+
+  try {
+    const summary = await importLocaldataFile(filePath, options);
+    console.log('✅ LOCALDATA 가져오기 완료:', summary);
+    await sendLocaldataImportReport(summary);
+    return summary;
+  } catch (error) {
+    console.error('LOCALDATA 가져오기 중 오류:', error);
+    await sendLocaldataImportReport(null, error);
+    return null;
+  }
+}
+
 /**
  * 모든 스케줄 중지
  */
@@ -46,5 +215,10 @@ function stopAllSchedules() {
 module.exports = {
   initScheduler,
   triggerDailyReport,
+  triggerLocaldataImport,
+  triggerAdLifecycleSync,
+  triggerPaymentReconciliation,
+  triggerAdEventRollup,
+  triggerAdDocumentPurge,
   stopAllSchedules
 };
\ No newline at end of file
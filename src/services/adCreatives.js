@@ -0,0 +1,298 @@
+const { prisma } = require("./prisma");
+const { getStoreCoordinates } = require("../utils/coordinates");
+
+/**
+ * 광고 소재 서비스
+ * 광고 신청에 배너 이미지/제목/홍보 문구/쿠폰 소재를 붙이고, 소재마다 관리자 심사를 거칩니다.
+ * 승인되고 광고 기간 중인 광고는 가장 최근에 승인된 소재로 노출합니다.
+ */
+
+const MAX_ACTIVE_ADS = 50;
+
+const CREATIVE_LIMITS = {
+  headline: 40,
+  promoText: 200,
+  couponCode: 30,
+  couponDescription: 100,
+};
+
+/**
+ * 상태 코드가 있는 에러 (라우트에서 응답 코드로 사용)
+ */
+function createCreativeError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === "https:" || url.protocol === "http:";
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * 소재 입력을 검증해 AdCreative data로 변환합니다.
+ * @param {Object} body - { imageUrl, headline, promoText, couponCode, couponDescription, couponExpiresAt }
+ * @returns {{data: Object}|{error: string}}
+ */
+function parseCreativeInput(body) {
+  const { imageUrl, headline, promoText, couponCode, couponDescription, couponExpiresAt } = body;
+
+  if (!imageUrl || !isHttpUrl(imageUrl)) {
+    return { error: "배너 이미지 URL을 입력해주세요." };
+  }
+  if (!headline || !String(headline).trim()) {
+    return { error: "광고 제목을 입력해주세요." };
+  }
+
+  const data = {
+    imageUrl,
+    headline: String(headline).trim(),
+    promoText: promoText ? String(promoText).trim() : null,
+    couponCode: couponCode ? String(couponCode).trim() : null,
+    couponDescription: couponDescription ? String(couponDescription).trim() : null,
+    couponExpiresAt: couponExpiresAt ? new Date(couponExpiresAt) : null,
+  };
+
+  for (const [field, limit] of Object.entries(CREATIVE_LIMITS)) {
+    if (data[field] && data[field].length > limit) {
+      return { error: `${field}는 ${limit}자 이내로 입력해주세요.` };
+    }
+  }
+  if (data.couponExpiresAt && isNaN(data.couponExpiresAt)) {
+    return { error: "쿠폰 만료일 형식이 올바르지 않습니다." };
+  }
+  if ((data.couponDescription || data.couponExpiresAt) && !data.couponCode) {
+    return { error: "쿠폰 코드를 입력해주세요." };
+  }
+
+  return { data };
+}
+
+/**
+ * 본인 광고 신청을 조회합니다.
+ * @throws 신청이 없으면 404, 본인 신청이 아니면 403
+ */
+async function findOwnAdRequest(adRequestId, userId) {
+  const adRequest = await prisma.adRequest.findUnique({
+    where: { id: adRequestId },
+    select: { id: true, userId: true, status: true },
+  });
+  if (!adRequest) {
+    throw createCreativeError(404, "광고 신청을 찾을 수 없습니다.");
+  }
+  if (adRequest.userId !== userId) {
+    throw createCreativeError(403, "접근 권한이 없습니다.");
+  }
+  return adRequest;
+}
+
+/**
+ * 광고 신청의 소재 목록 (최신순)
+ */
+async function listCreatives(adRequestId, userId) {
+  await findOwnAdRequest(adRequestId, userId);
+  return prisma.adCreative.findMany({
+    where: { adRequestId },
+    orderBy: { createdAt: "desc" },
+  });
+}
+
+/**
+ * 광고 소재를 등록합니다. (심사 대기)
+ */
+async function createCreative(adRequestId, userId, body) {
+  const adRequest = await findOwnAdRequest(adRequestId, userId);
+  if (adRequest.status === "rejected") {
+    throw createCreativeError(400, "거절된 광고 신청에는 소재를 등록할 수 없습니다.");
+  }
+
+  const { data, error } = parseCreativeInput(body);
+  if (error) {
+    throw createCreativeError(400, error);
+  }
+
+  return prisma.adCreative.create({
+    data: { adRequestId, ...data },
+  });
+}
+
+/**
+ * 광고 소재를 수정합니다. 수정한 소재는 다시 심사 대기로 돌아갑니다.
+ */
+async function updateCreative(adRequestId, creativeId, userId, body) {
+  await findOwnAdRequest(adRequestId, userId);
+
+  const creative = await prisma.adCreative.findFirst({
+    where: { id: creativeId, adRequestId },
+    select: { id: true },
+  });
+  if (!creative) {
+    throw createCreativeError(404, "광고 소재를 찾을 수 없습니다.");
+  }
+
+  const { data, error } = parseCreativeInput(body);
+  if (error) {
+    throw createCreativeError(400, error);
+  }
+
+  return prisma.adCreative.update({
+    where: { id: creativeId },
+    data: {
+      ...data,
+      status: "pending",
+      rejectionReason: null,
+      reviewedAt: null,
+      reviewedBy: null,
+    },
+  });
+}
+
+/**
+ * 관리자가 광고 소재를 승인/거절합니다. (거절 시 사유 필수)
+ * @param {string} adRequestId - 광고 신청 ID
+ * @param {string} creativeId - 소재 ID
+ * @param {Object} review - { status, reason, reviewedBy }
+ */
+async function reviewCreative(adRequestId, creativeId, { status, reason, reviewedBy }) {
+  if (!["approved", "rejected"].includes(status)) {
+    throw createCreativeError(400, "유효하지 않은 상태입니다. (approved, rejected 중 선택)");
+  }
+  if (status === "rejected" && !reason?.trim()) {
+    throw createCreativeError(400, "거절 사유를 입력해주세요.");
+  }
+
+  const creative = await prisma.adCreative.findFirst({
+    where: { id: creativeId, adRequestId },
+    select: { id: true },
+  });
+  if (!creative) {
+    throw createCreativeError(404, "광고 소재를 찾을 수 없습니다.");
+  }
+
+  return prisma.adCreative.update({
+    where: { id: creativeId },
+    data: {
+      status,
+      rejectionReason: status === "rejected" ? reason.trim() : null,
+      reviewedAt: new Date(),
+      reviewedBy: reviewedBy || null,
+    },
+  });
+}
+
+/**
+ * 광고 소재 응답 포맷
+ * @param {Object} creative - AdCreative
+ * @param {Object} [options]
+ * @param {boolean} [options.includeReview] - 심사 정보 포함 (광고주/관리자용)
+ */
+function formatCreative(creative, { includeReview = false } = {}) {
+  const formatted = {
+    id: creative.id,
+    imageUrl: creative.imageUrl,
+    headline: creative.headline,
+    promoText: creative.promoText,
+    coupon: creative.couponCode
+      ? {
+          code: creative.couponCode,
+          description: creative.couponDescription,
+          expiresAt: creative.couponExpiresAt,
+        }
+      : null,
+  };
+
+  if (includeReview) {
+    Object.assign(formatted, {
+      status: creative.status,
+      rejectionReason: creative.rejectionReason,
+      reviewedAt: creative.reviewedAt,
+      createdAt: creative.createdAt,
+    });
+  }
+
+  return formatted;
+}
+
+/**
+ * 뷰포트 안에서 노출 중인 광고를 승인된 최신 소재와 함께 조회합니다.
+ * 매장을 선택한 광고는 매장 좌표, 주소로 신청한 광고는 신청 좌표로 범위를 판단합니다.
+ * @param {{minLat: number, minLng: number, maxLat: number, maxLng: number}} bbox
+ */
+async function findActiveAdsInBounds(bbox) {
+  const now = new Date();
+  const inBounds = {
+    latitude: { gte: bbox.minLat, lte: bbox.maxLat },
+    longitude: { gte: bbox.minLng, lte: bbox.maxLng },
+  };
+
+  const ads = await prisma.adRequest.findMany({
+    where: {
+      status: "approved",
+      startDate: { lte: now },
+      endDate: { gte: now },
+      creatives: { some: { status: "approved" } },
+      OR: [{ store: inBounds }, { storeId: null, ...inBounds }],
+    },
+    include: {
+      store: {
+        select: {
+          id: true,
+          사업장명: true,
+          소재지전체주소: true,
+          도로명전체주소: true,
+          소재지전화: true,
+          좌표정보x: true,
+          좌표정보y: true,
+          latitude: true,
+          longitude: true,
+          coordinateStatus: true,
+        },
+      },
+      creatives: {
+        where: { status: "approved" },
+        orderBy: { reviewedAt: "desc" },
+        take: 1,
+      },
+    },
+    orderBy: { approvedAt: "desc" },
+    take: MAX_ACTIVE_ADS,
+  });
+
+  return ads.map((ad) => {
+    const coordinates = ad.store
+      ? getStoreCoordinates(ad.store)
+      : { lat: ad.latitude, lng: ad.longitude };
+
+    return {
+      adRequestId: ad.id,
+      placement: ad.placement,
+      store: ad.store
+        ? {
+            id: ad.store.id,
+            name: ad.store.사업장명,
+            address: ad.store.도로명전체주소 || ad.store.소재지전체주소,
+            phone: ad.store.소재지전화,
+          }
+        : null,
+      address: ad.store ? null : ad.address,
+      lat: coordinates.lat,
+      lng: coordinates.lng,
+      creative: formatCreative(ad.creatives[0]),
+      endDate: ad.endDate,
+    };
+  });
+}
+
+module.exports = {
+  listCreatives,
+  createCreative,
+  updateCreative,
+  reviewCreative,
+  formatCreative,
+  findActiveAdsInBounds,
+};
@@ -0,0 +1,262 @@
+const path = require("path");
+const { v4: uuidv4 } = require("uuid");
+const { prisma } = require("./prisma");
+const { supabase, supabaseAdmin } = require("../config/supabase");
+
+/**
+ * 광고 신청 첨부 서류 서비스
+ * 사업자등록증/신분증은 공개 URL 없이 비공개 버킷에 저장하고, 관리자는 열람할 때마다 발급하는 짧은 서명 URL로만 봅니다.
+ * 서명 URL 발급은 모두 열람 기록으로 남기고, 승인/거절/취소된 신청의 서류는 보관 기간이 지나면 저장소에서 삭제합니다.
+ */
+
+const AD_DOCUMENT_TYPES = ["business_license", "id_card"];
+const AD_DOCUMENT_BUCKET = process.env.SUPABASE_PRIVATE_BUCKET || "dollpickmap-private";
+const AD_DOCUMENT_CONTENT_TYPES = ["image/jpeg", "image/png", "image/webp", "image/heic", "application/pdf"];
+
+const SIGNED_URL_EXPIRES_SECONDS = parseInt(process.env.AD_DOCUMENT_SIGNED_URL_SECONDS) || 300; // 5분
+const AD_DOCUMENT_RETENTION_DAYS = parseInt(process.env.AD_DOCUMENT_RETENTION_DAYS) || 30;
+// 업로드 후 광고 신청에 첨부되지 않은 서류를 지우기까지의 시간
+const UNATTACHED_DOCUMENT_HOURS = 24;
+
+// 심사/취소가 끝나 서류 보관 기간을 세는 상태 (decidedAt 기준)
+const DECIDED_STATUSES = ["approved", "rejected", "cancelled"];
+
+// 기존 공개 버킷 업로드 (POST /api/upload/images)
+const LEGACY_BUCKET = "dollpickmap";
+
+/**
+ * 상태 코드가 있는 에러 (라우트에서 응답 코드로 사용)
+ */
+function createDocumentError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * 비공개 서류 버킷 클라이언트 (서비스 롤 키가 없으면 503)
+ */
+function getPrivateBucket() {
+  if (!supabaseAdmin) {
+    throw createDocumentError(503, "비공개 서류 저장소가 설정되지 않았습니다. (SUPABASE_SERVICE_ROLE_KEY)");
+  }
+  return supabaseAdmin.storage.from(AD_DOCUMENT_BUCKET);
+}
+
+/**
+ * 첨부 서류를 비공개 버킷에 업로드합니다. (광고 신청 전, adRequestId 없이 저장)
+ * @param {string} userId - 업로드하는 사용자 ID
+ * @param {string} type - business_license | id_card
+ * @param {{originalname: string, mimetype: string, size: number, buffer: Buffer}} file - multer 파일
+ * @returns {Promise<Object>} 생성된 AdDocument
+ */
+async function uploadAdDocument(userId, type, file) {
+  if (!AD_DOCUMENT_TYPES.includes(type)) {
+    throw createDocumentError(400, `type은 ${AD_DOCUMENT_TYPES.join(", ")} 중 하나여야 합니다.`);
+  }
+  if (!file) {
+    throw createDocumentError(400, "업로드할 서류가 없습니다.");
+  }
+  if (!AD_DOCUMENT_CONTENT_TYPES.includes(file.mimetype)) {
+    throw createDocumentError(400, "이미지(JPG, PNG, WEBP, HEIC) 또는 PDF 파일만 업로드할 수 있습니다.");
+  }
+
+  const extension = path.extname(file.originalname || "").toLowerCase() || "";
+  const storagePath = `ad-documents/${userId}/${uuidv4()}${extension}`;
+
+  const { error } = await getPrivateBucket().upload(storagePath, file.buffer, {
+    contentType: file.mimetype,
+    upsert: false,
+  });
+  if (error) {
+    console.error("첨부 서류 업로드 오류:", error);
+    throw createDocumentError(502, "서류 업로드 중 오류가 발생했습니다.");
+  }
+
+  return prisma.adDocument.create({
+    data: {
+      userId,
+      type,
+      storagePath,
+      contentType: file.mimetype,
+      size: file.size,
+    },
+  });
+}
+
+/**
+ * 광고 신청에 첨부할 서류를 확인합니다. (본인이 올렸고, 종류가 맞고, 아직 첨부되지 않은 서류)
+ * @param {string} userId - 신청하는 사용자 ID
+ * @param {Object} ids - { businessLicenseDocumentId, idCardDocumentId }
+ * @returns {Promise<string[]>} 첨부할 서류 ID 목록
+ */
+async function resolveAdDocumentIds(userId, { businessLicenseDocumentId, idCardDocumentId }) {
+  const expected = [
+    [businessLicenseDocumentId, "business_license"],
+    [idCardDocumentId, "id_card"],
+  ].filter(([id]) => id);
+  if (expected.length === 0) {
+    return [];
+  }
+
+  const documents = await prisma.adDocument.findMany({
+    where: { id: { in: expected.map(([id]) => String(id)) } },
+    select: { id: true, userId: true, type: true, adRequestId: true, deletedAt: true },
+  });
+
+  for (const [id, type] of expected) {
+    const document = documents.find((item) => item.id === String(id));
+    if (!document || document.userId !== userId || document.deletedAt) {
+      throw createDocumentError(400, "첨부 서류를 찾을 수 없습니다. 다시 업로드해주세요.");
+    }
+    if (document.type !== type) {
+      throw createDocumentError(400, "첨부 서류의 종류가 올바르지 않습니다.");
+    }
+    if (document.adRequestId) {
+      throw createDocumentError(400, "이미 다른 광고 신청에 첨부된 서류입니다.");
+    }
+  }
+
+  return expected.map(([id]) => String(id));
+}
+
+/**
+ * 관리자 열람용 서명 URL을 발급하고 열람 기록을 남깁니다.
+ * @param {string} adRequestId - 광고 신청 ID
+ * @param {string} documentId - 서류 ID
+ * @param {Object} viewer - { accessedBy, ipAddress, userAgent }
+ * @returns {Promise<{url: string, expiresAt: Date}>}
+ */
+async function createAdDocumentViewUrl(adRequestId, documentId, { accessedBy, ipAddress, userAgent }) {
+  const document = await prisma.adDocument.findFirst({
+    where: { id: documentId, adRequestId },
+  });
+  if (!document) {
+    throw createDocumentError(404, "첨부 서류를 찾을 수 없습니다.");
+  }
+  if (document.deletedAt) {
+    throw createDocumentError(410, "보관 기간이 지나 삭제된 서류입니다.");
+  }
+
+  const { data, error } = await getPrivateBucket().createSignedUrl(document.storagePath, SIGNED_URL_EXPIRES_SECONDS);
+  if (error) {
+    console.error("첨부 서류 서명 URL 발급 오류:", error);
+    throw createDocumentError(502, "서류 열람 URL 발급 중 오류가 발생했습니다.");
+  }
+
+  const expiresAt = new Date(Date.now() + SIGNED_URL_EXPIRES_SECONDS * 1000);
+  await prisma.adDocumentAccessLog.create({
+    data: {
+      documentId: document.id,
+      accessedBy: accessedBy || null,
+      ipAddress: ipAddress || null,
+      userAgent: userAgent || null,
+      expiresAt,
+    },
+  });
+
+  return { url: data.signedUrl, expiresAt };
+}
+
+/**
+ * 광고 신청 첨부 서류의 열람 기록 (최신순)
+ */
+async function listAdDocumentAccessLogs(adRequestId) {
+  return prisma.adDocumentAccessLog.findMany({
+    where: { document: { adRequestId } },
+    include: { document: { select: { id: true, type: true } } },
+    orderBy: { createdAt: "desc" },
+  });
+}
+
+/**
+ * 공개 URL에서 버킷 내 파일 경로를 추출합니다. (DELETE /api/upload/images와 같은 방식)
+ */
+function getLegacyStoragePath(url) {
+  return url.split("/").slice(-2).join("/");
+}
+
+/**
+ * 보관 기간이 지난 첨부 서류를 저장소에서 삭제합니다.
+ * - 승인/거절/취소된 지 AD_DOCUMENT_RETENTION_DAYS일이 지난 신청의 서류
+ * - 업로드 후 광고 신청에 첨부되지 않고 UNATTACHED_DOCUMENT_HOURS시간이 지난 서류
+ * - 같은 기준을 넘긴 기존 공개 버킷 서류 URL (businessLicenseUrl, idCardUrl)
+ * @returns {Promise<{documents: number, legacy: number}>} 삭제한 서류 수
+ */
+async function purgeExpiredAdDocuments() {
+  const decidedBefore = new Date(Date.now() - AD_DOCUMENT_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const uploadedBefore = new Date(Date.now() - UNATTACHED_DOCUMENT_HOURS * 60 * 60 * 1000);
+  const expiredRequest = { status: { in: DECIDED_STATUSES }, decidedAt: { lt: decidedBefore } };
+
+  const documents = await prisma.adDocument.findMany({
+    where: {
+      deletedAt: null,
+      OR: [{ adRequest: expiredRequest }, { adRequestId: null, createdAt: { lt: uploadedBefore } }],
+    },
+    select: { id: true, storagePath: true },
+  });
+
+  if (documents.length > 0) {
+    const { error } = await getPrivateBucket().remove(documents.map((document) => document.storagePath));
+    if (error) {
+      throw error;
+    }
+    await prisma.adDocument.updateMany({
+      where: { id: { in: documents.map((document) => document.id) } },
+      data: { deletedAt: new Date() },
+    });
+  }
+
+  const legacyRequests = await prisma.adRequest.findMany({
+    where: {
+      ...expiredRequest,
+      OR: [{ businessLicenseUrl: { not: null } }, { idCardUrl: { not: null } }],
+    },
+    select: { id: true, businessLicenseUrl: true, idCardUrl: true },
+  });
+
+  let legacy = 0;
+  if (legacyRequests.length > 0) {
+    const legacyPaths = legacyRequests
+      .flatMap((request) => [request.businessLicenseUrl, request.idCardUrl])
+      .filter(Boolean)
+      .map(getLegacyStoragePath);
+    const { error } = await supabase.storage.from(LEGACY_BUCKET).remove(legacyPaths);
+    if (error) {
+      throw error;
+    }
+    await prisma.adRequest.updateMany({
+      where: { id: { in: legacyRequests.map((request) => request.id) } },
+      data: { businessLicenseUrl: null, idCardUrl: null },
+    });
+    legacy = legacyPaths.length;
+  }
+
+  return { documents: documents.length, legacy };
+}
+
+/**
+ * 첨부 서류 응답 포맷 (저장 경로와 URL은 포함하지 않음)
+ */
+function formatAdDocument(document) {
+  return {
+    id: document.id,
+    type: document.type,
+    contentType: document.contentType,
+    size: document.size,
+    uploadedAt: document.createdAt,
+    deletedAt: document.deletedAt,
+  };
+}
+
+module.exports = {
+  AD_DOCUMENT_TYPES,
+  AD_DOCUMENT_RETENTION_DAYS,
+  SIGNED_URL_EXPIRES_SECONDS,
+  uploadAdDocument,
+  resolveAdDocumentIds,
+  createAdDocumentViewUrl,
+  listAdDocumentAccessLogs,
+  purgeExpiredAdDocuments,
+  formatAdDocument,
+};
@@ -0,0 +1,274 @@
+const crypto = require("crypto");
+const { prisma } = require("./prisma");
+const { toKstDateString, toDbDate, addDays, listDates } = require("../utils/kstDate");
+
+/**
+ * 광고 성과 측정 서비스
+ * 광고 노출/상세 조회/길찾기·전화 클릭 이벤트를 조회자별 하루 1회로 중복 제거해 저장하고,
+ * 스케줄러가 일별 집계(AdDailyStat)로 묶어 광고주 리포트에 사용합니다.
+ * 조회자는 서버에서 정한 키(로그인 사용자 또는 IP/User-Agent 해시)로 구분하고, 조회자별 요청 수를 제한합니다.
+ */
+
+// 이벤트 유형 → 집계 컬럼
+const AD_EVENT_TYPES = {
+  impression: "impressions",
+  detail_view: "detailViews",
+  directions_click: "directionsClicks",
+  call_click: "callClicks",
+};
+
+const MAX_EVENTS_PER_REQUEST = 100;
+const AD_EVENT_RETENTION_DAYS = parseInt(process.env.AD_EVENT_RETENTION_DAYS) || 90;
+
+// 조회자별 1분당 이벤트 수집 요청 수 (인스턴스 메모리 기준)
+const AD_EVENT_RATE_LIMIT_PER_MINUTE = parseInt(process.env.AD_EVENT_RATE_LIMIT_PER_MINUTE) || 30;
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+
+// viewerKey → { windowStart, count }
+const rateLimitWindows = new Map();
+
+/**
+ * 상태 코드가 있는 에러 (라우트에서 응답 코드로 사용)
+ */
+function createAdEventError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * 중복 제거에 쓰는 조회자 키를 만듭니다.
+ * 클라이언트가 정하는 값(세션 ID 등)은 바꿔 보내면 중복 제거를 피할 수 있으므로 쓰지 않고,
+ * 로그인 사용자가 아니면 IP/User-Agent 해시를 사용합니다.
+ * @param {Object} viewer - { userId, ip, userAgent }
+ */
+function buildViewerKey({ userId, ip, userAgent }) {
+  if (userId) {
+    return `user:${userId}`;
+  }
+  const hash = crypto
+    .createHash("sha256")
+    .update(`${ip || ""}|${userAgent || ""}`)
+    .digest("hex")
+    .slice(0, 32);
+  return `anon:${hash}`;
+}
+
+/**
+ * 조회자별 요청 수를 세고 1분 한도를 넘으면 429 에러를 던집니다.
+ */
+function assertWithinRateLimit(viewerKey, now = Date.now()) {
+  // 지난 구간 정리 (메모리 누수 방지)
+  if (rateLimitWindows.size > 10000) {
+    for (const [key, window] of rateLimitWindows) {
+      if (now - window.windowStart >= RATE_LIMIT_WINDOW_MS) {
+        rateLimitWindows.delete(key);
+      }
+    }
+  }
+
+  const window = rateLimitWindows.get(viewerKey);
+  if (!window || now - window.windowStart >= RATE_LIMIT_WINDOW_MS) {
+    rateLimitWindows.set(viewerKey, { windowStart: now, count: 1 });
+    return;
+  }
+
+  window.count++;
+  if (window.count > AD_EVENT_RATE_LIMIT_PER_MINUTE) {
+    throw createAdEventError(429, "광고 이벤트 요청이 너무 많습니다. 잠시 후 다시 시도해주세요.");
+  }
+}
+
+/**
+ * 광고 이벤트를 저장합니다.
+ * 승인되었고 광고 기간 중인 광고의 이벤트만 받고, 같은 조회자·광고·유형의 이벤트는 하루 1건만 남깁니다.
+ * @param {Array<{adRequestId: string, type: string}>} events
+ * @param {Object} viewer - buildViewerKey 입력
+ * @returns {Promise<{received: number, accepted: number, recorded: number}>}
+ *          accepted: 유효한 이벤트 수, recorded: 중복 제거 후 새로 저장된 수
+ * @throws 잘못된 이벤트면 400, 요청 한도를 넘으면 429
+ */
+async function recordAdEvents(events, viewer) {
+  const viewerKey = buildViewerKey(viewer);
+  assertWithinRateLimit(viewerKey);
+
+  if (!Array.isArray(events) || events.length === 0) {
+    throw createAdEventError(400, "이벤트가 없습니다.");
+  }
+  if (events.length > MAX_EVENTS_PER_REQUEST) {
+    throw createAdEventError(400, `이벤트는 한 번에 ${MAX_EVENTS_PER_REQUEST}개까지 보낼 수 있습니다.`);
+  }
+
+  for (const event of events) {
+    if (!event || typeof event.adRequestId !== "string" || !event.adRequestId) {
+      throw createAdEventError(400, "adRequestId가 필요합니다.");
+    }
+    if (!AD_EVENT_TYPES[event.type]) {
+      throw createAdEventError(
+        400,
+        `유효하지 않은 이벤트 유형입니다. (${Object.keys(AD_EVENT_TYPES).join(", ")} 중 선택)`
+      );
+    }
+  }
+
+  const now = new Date();
+  const activeAds = await prisma.adRequest.findMany({
+    where: {
+      id: { in: [...new Set(events.map((event) => event.adRequestId))] },
+      status: "approved",
+      startDate: { lte: now },
+      endDate: { gte: now },
+    },
+    select: { id: true },
+  });
+  const activeAdIds = new Set(activeAds.map((ad) => ad.id));
+
+  const eventDate = toDbDate(toKstDateString(now));
+  const data = events
+    .filter((event) => activeAdIds.has(event.adRequestId))
+    .map((event) => ({
+      adRequestId: event.adRequestId,
+      type: event.type,
+      viewerKey,
+      eventDate,
+    }));
+
+  if (data.length === 0) {
+    return { received: events.length, accepted: 0, recorded: 0 };
+  }
+
+  const { count } = await prisma.adEvent.createMany({
+    data,
+    skipDuplicates: true,
+  });
+
+  return { received: events.length, accepted: data.length, recorded: count };
+}
+
+/**
+ * 이벤트 유형별 건수 행을 광고별 집계 객체로 묶습니다.
+ * @returns {Map<string, Object>} adRequestId → { impressions, detailViews, directionsClicks, callClicks }
+ */
+function groupEventCounts(rows) {
+  const counts = new Map();
+  for (const row of rows) {
+    if (!counts.has(row.adRequestId)) {
+      counts.set(row.adRequestId, createEmptyMetrics());
+    }
+    counts.get(row.adRequestId)[AD_EVENT_TYPES[row.type]] = row._count._all;
+  }
+  return counts;
+}
+
+function createEmptyMetrics() {
+  return { impressions: 0, detailViews: 0, directionsClicks: 0, callClicks: 0 };
+}
+
+/**
+ * 하루치 이벤트를 광고별로 집계해 AdDailyStat에 저장합니다. (다시 실행해도 같은 결과)
+ * @param {string} [dateString] - 한국 시간 기준 날짜 (기본: 오늘)
+ * @returns {Promise<number>} 집계한 광고 수
+ */
+async function rollupAdEvents(dateString = toKstDateString()) {
+  const date = toDbDate(dateString);
+  const rows = await prisma.adEvent.groupBy({
+    by: ["adRequestId", "type"],
+    where: { eventDate: date },
+    _count: { _all: true },
+  });
+
+  const counts = groupEventCounts(rows);
+  for (const [adRequestId, metrics] of counts) {
+    await prisma.adDailyStat.upsert({
+      where: { unique_ad_daily_stat: { adRequestId, date } },
+      create: { adRequestId, date, ...metrics },
+      update: metrics,
+    });
+  }
+
+  return counts.size;
+}
+
+/**
+ * 보관 기간이 지난 원본 이벤트를 삭제합니다. (일별 집계는 유지)
+ * @returns {Promise<number>} 삭제한 건수
+ */
+async function purgeOldAdEvents() {
+  const cutoff = toDbDate(addDays(toKstDateString(), -AD_EVENT_RETENTION_DAYS));
+  const { count } = await prisma.adEvent.deleteMany({
+    where: { eventDate: { lt: cutoff } },
+  });
+  return count;
+}
+
+/**
+ * 광고 기간의 일별 성과 리포트를 만듭니다.
+ * 오늘 성과는 아직 집계 전일 수 있어 원본 이벤트에서 바로 계산합니다.
+ * @param {{id: string, startDate: Date, endDate: Date}} adRequest
+ * @returns {Promise<{period: Object, totals: Object, daily: Array<Object>}>}
+ */
+async function getAdReport(adRequest) {
+  const today = toKstDateString();
+  const startDate = toKstDateString(adRequest.startDate);
+  const periodEnd = toKstDateString(adRequest.endDate);
+  const endDate = periodEnd < today ? periodEnd : today;
+
+  const dailyStats = await prisma.adDailyStat.findMany({
+    where: {
+      adRequestId: adRequest.id,
+      date: { gte: toDbDate(startDate), lte: toDbDate(endDate) },
+    },
+  });
+  const statsByDate = new Map(
+    dailyStats.map((stat) => [
+      stat.date.toISOString().slice(0, 10),
+      {
+        impressions: stat.impressions,
+        detailViews: stat.detailViews,
+        directionsClicks: stat.directionsClicks,
+        callClicks: stat.callClicks,
+      },
+    ])
+  );
+
+  if (startDate <= today && today <= endDate) {
+    const rows = await prisma.adEvent.groupBy({
+      by: ["adRequestId", "type"],
+      where: { adRequestId: adRequest.id, eventDate: toDbDate(today) },
+      _count: { _all: true },
+    });
+    const todayMetrics = groupEventCounts(rows).get(adRequest.id);
+    if (todayMetrics) {
+      statsByDate.set(today, todayMetrics);
+    }
+  }
+
+  const daily = [];
+  const totals = createEmptyMetrics();
+  for (const date of listDates(startDate, endDate)) {
+    const metrics = statsByDate.get(date) || createEmptyMetrics();
+    for (const key of Object.keys(totals)) {
+      totals[key] += metrics[key];
+    }
+    daily.push({ date, ...metrics });
+  }
+
+  const clicks = totals.directionsClicks + totals.callClicks;
+  return {
+    period: { startDate, endDate: periodEnd },
+    totals: {
+      ...totals,
+      // 노출 대비 클릭률 (%)
+      clickThroughRate: totals.impressions > 0 ? Math.round((clicks / totals.impressions) * 1000) / 10 : 0,
+    },
+    daily,
+  };
+}
+
+module.exports = {
+  AD_EVENT_TYPES,
+  recordAdEvents,
+  rollupAdEvents,
+  purgeOldAdEvents,
+  getAdReport,
+};
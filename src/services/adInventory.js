@@ -0,0 +1,297 @@
+const { Prisma } = require("../generated/prisma");
+const { prisma } = require("./prisma");
+const { PLACEMENT_CONFIG } = require("./sponsoredPlacement");
+const { buildRegionCode, parseAddressRegion } = require("../utils/regions");
+const { toKstDateString, toKstDayStart, addDays, listDates } = require("../utils/kstDate");
+const { hasPaidAdPayment, hasAdPaymentRefund } = require("./adPayments");
+
+/**
+ * 광고 재고 서비스
+ * 시군구마다 하루에 판매할 수 있는 광고 슬롯 수를 두고, 광고 기간의 날짜별 남은 슬롯을 계산합니다.
+ * 기본 슬롯 수는 목록의 시군구별 광고 노출 수(SPONSORED_REGION_CAP)와 같고, AdRegionCapacity로 지역별로 바꿀 수 있습니다.
+ */
+
+const AD_REGION_DAILY_SLOTS = parseInt(process.env.AD_REGION_DAILY_SLOTS) || PLACEMENT_CONFIG.regionCap;
+const MAX_CALENDAR_DAYS = 92;
+
+// 신청 시에는 심사/결제 대기 중인 신청도 슬롯을 차지한 것으로 보고, 승인 시에는 승인된 광고만 셉니다.
+const BOOKED_STATUSES = ["awaiting_payment", "pending", "paid", "approved"];
+const APPROVED_STATUSES = ["approved"];
+
+// 관리자가 바꿀 수 있는 광고 신청 상태 (현재 상태 -> 바꿀 수 있는 상태)
+// - 승인은 결제 완료(paid)나 결제가 확인된 심사 대기(pending)에서만 (아래에서 결제 확인)
+// - 거절에서 되돌리는 것은 환불 기록이 없을 때만 (아래에서 환불 확인)
+// - 결제 전(awaiting_payment)은 거절만, 환불로 취소된 신청(cancelled)은 변경 불가
+const AD_REQUEST_STATUS_TRANSITIONS = {
+  awaiting_payment: ["rejected"],
+  pending: ["approved", "rejected"],
+  paid: ["approved", "rejected"],
+  approved: ["pending", "rejected"],
+  rejected: ["pending"],
+  cancelled: [],
+};
+
+const AD_REQUEST_STATUS_LABELS = {
+  awaiting_payment: "결제 대기",
+  pending: "심사 대기",
+  paid: "결제 완료",
+  approved: "승인",
+  rejected: "거절",
+  cancelled: "취소",
+};
+
+// 결제 대기 신청이 슬롯을 잡아두는 시간 (지나면 슬롯 계산에서 제외)
+const AD_PAYMENT_HOLD_MINUTES = parseInt(process.env.AD_PAYMENT_HOLD_MINUTES) || 30;
+
+/**
+ * 상태 코드가 있는 에러 (라우트에서 응답 코드로 사용)
+ */
+function createInventoryError(status, message, details) {
+  const error = new Error(message);
+  error.status = status;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+}
+
+/**
+ * 광고 재고 지역을 결정합니다. (매장을 선택했으면 매장의 시군구, 아니면 입력한 주소의 시군구)
+ * @param {Object} source
+ * @param {{sido: string|null, sigungu: string|null}} [source.store]
+ * @param {string} [source.address]
+ * @returns {{code: string, sido: string, sigungu: string|null}|null} 지역을 알 수 없으면 null
+ */
+function resolveAdRegion({ store, address }) {
+  const region = store
+    ? { sido: store.sido, sigungu: store.sigungu }
+    : parseAddressRegion(address);
+  if (!region.sido) {
+    return null;
+  }
+
+  const code = buildRegionCode({ sido: region.sido, sigungu: region.sigungu });
+  return code ? { code, sido: region.sido, sigungu: region.sigungu } : null;
+}
+
+/**
+ * 지역의 하루 광고 슬롯 수 (시군구 설정 > 시도 설정 > 기본값)
+ * @param {Object} client - prisma 또는 트랜잭션 클라이언트(tx)
+ */
+async function getRegionCapacity(client, regionCode) {
+  const sidoCode = regionCode.split(":")[0];
+  const capacities = await client.adRegionCapacity.findMany({
+    where: { regionCode: { in: [regionCode, sidoCode] } },
+  });
+  const capacity =
+    capacities.find((item) => item.regionCode === regionCode) ||
+    capacities.find((item) => item.regionCode === sidoCode);
+  return capacity ? capacity.slotsPerDay : AD_REGION_DAILY_SLOTS;
+}
+
+/**
+ * 지역의 날짜별 광고 슬롯 현황을 계산합니다.
+ * @param {Object} client - prisma 또는 트랜잭션 클라이언트(tx)
+ * @param {Object} options
+ * @param {string} options.regionCode - 시군구 지역 코드
+ * @param {string} options.startDate - 시작일 (YYYY-MM-DD, 한국 시간)
+ * @param {string} options.endDate - 종료일 (YYYY-MM-DD, 포함)
+ * @param {string[]} [options.statuses] - 슬롯을 차지하는 광고 상태
+ * @param {string} [options.excludeId] - 계산에서 뺄 광고 신청 ID (승인 중인 신청 자신)
+ * @returns {Promise<Array<{date: string, capacity: number, booked: number, available: number}>>}
+ */
+async function getRegionCalendar(client, { regionCode, startDate, endDate, statuses = BOOKED_STATUSES, excludeId }) {
+  const capacity = await getRegionCapacity(client, regionCode);
+  const ads = await client.adRequest.findMany({
+    where: {
+      regionCode,
+      status: { in: statuses },
+      ...(excludeId ? { id: { not: excludeId } } : {}),
+      NOT: {
+        status: "awaiting_payment",
+        createdAt: { lt: new Date(Date.now() - AD_PAYMENT_HOLD_MINUTES * 60 * 1000) },
+      },
+      startDate: { lt: toKstDayStart(addDays(endDate, 1)) },
+      endDate: { gte: toKstDayStart(startDate) },
+    },
+    select: { startDate: true, endDate: true },
+  });
+  const periods = ads.map((ad) => ({
+    start: toKstDateString(ad.startDate),
+    end: toKstDateString(ad.endDate),
+  }));
+
+  return listDates(startDate, endDate).map((date) => {
+    const booked = periods.filter((period) => period.start <= date && date <= period.end).length;
+    return {
+      date,
+      capacity,
+      booked,
+      available: Math.max(capacity - booked, 0),
+    };
+  });
+}
+
+/**
+ * 광고 기간의 모든 날짜에 남은 슬롯이 있는지 확인합니다.
+ * 마감된 날짜가 있으면 409 에러를 던지고, error.details.unavailableDates에 날짜 목록을 담습니다.
+ * @param {Object} client - prisma 또는 트랜잭션 클라이언트(tx)
+ * @param {Object} options - getRegionCalendar 옵션 (startDate/endDate는 Date)
+ */
+async function assertAdSlotsAvailable(client, { regionCode, startDate, endDate, statuses, excludeId }) {
+  const calendar = await getRegionCalendar(client, {
+    regionCode,
+    startDate: toKstDateString(startDate),
+    endDate: toKstDateString(endDate),
+    statuses,
+    excludeId,
+  });
+
+  const unavailableDates = calendar.filter((day) => day.available === 0).map((day) => day.date);
+  if (unavailableDates.length > 0) {
+    const preview = unavailableDates.slice(0, 5).join(", ");
+    const more = unavailableDates.length > 5 ? ` 외 ${unavailableDates.length - 5}일` : "";
+    throw createInventoryError(
+      409,
+      `선택한 기간에 광고 슬롯이 마감된 날짜가 있습니다. (${preview}${more})`,
+      { regionCode, unavailableDates }
+    );
+  }
+}
+
+/**
+ * 광고 신청 가능 여부 달력 (GET /api/ad-requests/availability)
+ * @param {Object} options
+ * @param {{code: string, sido: string, sigungu: string|null}} options.region - resolveAdRegion 결과
+ * @param {string} [options.from] - 시작일 (YYYY-MM-DD, 기본: 오늘)
+ * @param {string} [options.to] - 종료일 (YYYY-MM-DD, 기본: 시작일 + 30일)
+ */
+async function getAdAvailability({ region, from, to }) {
+  const startDate = from || toKstDateString();
+  const endDate = to || addDays(startDate, 30);
+
+  if (endDate < startDate) {
+    throw createInventoryError(400, "종료일은 시작일보다 늦어야 합니다.");
+  }
+  if (listDates(startDate, endDate).length > MAX_CALENDAR_DAYS) {
+    throw createInventoryError(400, `최대 ${MAX_CALENDAR_DAYS}일까지 조회할 수 있습니다.`);
+  }
+
+  const days = await getRegionCalendar(prisma, {
+    regionCode: region.code,
+    startDate,
+    endDate,
+  });
+
+  return { region, days };
+}
+
+/**
+ * 관리자가 광고 신청 상태를 바꿀 수 있는지 확인합니다. (AD_REQUEST_STATUS_TRANSITIONS, 같은 상태는 허용)
+ * @param {Object} client - 트랜잭션 클라이언트(tx)
+ * @param {Object} existing - 현재 AdRequest
+ * @param {string} nextStatus - 바꿀 상태
+ * @throws 바꿀 수 없으면 400
+ */
+async function assertAdRequestTransition(client, existing, nextStatus) {
+  if (!nextStatus || nextStatus === existing.status) {
+    return;
+  }
+
+  if (existing.status === "cancelled") {
+    throw createInventoryError(400, "결제가 환불되어 취소된 광고 신청입니다.");
+  }
+  if (nextStatus === "approved" && existing.status === "awaiting_payment") {
+    throw createInventoryError(400, "결제가 완료되지 않은 광고 신청은 승인할 수 없습니다.");
+  }
+  if (!(AD_REQUEST_STATUS_TRANSITIONS[existing.status] || []).includes(nextStatus)) {
+    const from = AD_REQUEST_STATUS_LABELS[existing.status] || existing.status;
+    const to = AD_REQUEST_STATUS_LABELS[nextStatus] || nextStatus;
+    throw createInventoryError(400, `${from} 상태의 광고 신청은 ${to} 상태로 바꿀 수 없습니다.`);
+  }
+
+  if (nextStatus === "approved" && existing.status === "pending" && !(await hasPaidAdPayment(client, existing.id))) {
+    throw createInventoryError(400, "결제가 완료되지 않은 광고 신청은 승인할 수 없습니다.");
+  }
+  if (existing.status === "rejected" && (await hasAdPaymentRefund(client, existing.id))) {
+    throw createInventoryError(400, "결제가 환불된 거절 광고 신청은 다시 심사할 수 없습니다.");
+  }
+}
+
+/**
+ * 광고 신청 상태를 바꿉니다.
+ * 상태 변경은 AD_REQUEST_STATUS_TRANSITIONS를 따르고,
+ * 승인으로 바꿀 때는 같은 트랜잭션에서 승인된 광고 기준으로 재고를 다시 확인해 동시 승인으로 인한 초과 판매를 막습니다.
+ * @param {string} id - 광고 신청 ID
+ * @param {Object} data - AdRequest update data (status 포함)
+ * @param {Object} [options]
+ * @param {Object} [options.include] - 반환할 관계
+ * @returns {Promise<Object>} 변경된 광고 신청
+ * @throws 없으면 404, 바꿀 수 없는 상태면 400, 재고가 부족하거나 동시에 승인되면 409
+ */
+async function updateAdRequestStatus(id, data, { include } = {}) {
+  try {
+    return await prisma.$transaction(
+      async (tx) => {
+        const existing = await tx.adRequest.findUnique({
+          where: { id },
+          include: { store: { select: { sido: true, sigungu: true } } },
+        });
+        if (!existing) {
+          throw createInventoryError(404, "광고 신청을 찾을 수 없습니다.");
+        }
+
+        await assertAdRequestTransition(tx, existing, data.status);
+
+        const updateData = { ...data };
+        // 승인/거절 일시 (첨부 서류 보관 기간 기준)
+        // 진행 상태는 비워 두고 스케줄러가 광고 기간에 맞춰 다시 계산 (시작/종료 알림 포함)
+        if (data.status && data.status !== existing.status) {
+          updateData.decidedAt = ["approved", "rejected"].includes(data.status) ? new Date() : null;
+          updateData.lifecycleStatus = null;
+          updateData.endingReminderSentAt = null;
+        }
+        if (data.status === "approved" && existing.status !== "approved") {
+          const regionCode =
+            existing.regionCode ||
+            resolveAdRegion({ store: existing.store, address: existing.address })?.code;
+
+          if (regionCode) {
+            await assertAdSlotsAvailable(tx, {
+              regionCode,
+              startDate: existing.startDate,
+              endDate: existing.endDate,
+              statuses: APPROVED_STATUSES,
+              excludeId: id,
+            });
+            updateData.regionCode = regionCode;
+          }
+        }
+
+        return tx.adRequest.update({
+          where: { id },
+          data: updateData,
+          include,
+        });
+      },
+      { isolationLevel: Prisma.TransactionIsolationLevel.Serializable }
+    );
+  } catch (error) {
+    // 동시에 승인된 다른 광고와 충돌한 경우
+    if (error.code === "P2034") {
+      throw createInventoryError(409, "다른 광고 승인과 동시에 처리되었습니다. 잠시 후 다시 시도해주세요.");
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  AD_REGION_DAILY_SLOTS,
+  BOOKED_STATUSES,
+  AD_REQUEST_STATUS_TRANSITIONS,
+  resolveAdRegion,
+  getRegionCalendar,
+  assertAdSlotsAvailable,
+  getAdAvailability,
+  updateAdRequestStatus,
+};
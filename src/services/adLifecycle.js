@@ -0,0 +1,177 @@
+const { prisma } = require("./prisma");
+const { notifyAdLifecycleChanges } = require("./eventSlack");
+const { invalidateSponsoredStores } = require("./sponsoredPlacement");
+const { toKstDateString } = require("../utils/kstDate");
+
+/**
+ * 광고 진행 상태 서비스
+ * 승인된 광고의 진행 상태(scheduled → running → ended)를 광고 기간에 맞춰 갱신하고,
+ * 시작/종료/종료 임박 시 광고주에게 앱 알림을, 운영팀에는 슬랙으로 요약을 보냅니다.
+ */
+
+const AD_LIFECYCLE_STATUSES = ["scheduled", "running", "ended"];
+
+// 종료 며칠 전에 종료 임박 알림을 보낼지
+const AD_END_REMINDER_DAYS = parseInt(process.env.AD_END_REMINDER_DAYS) || 3;
+
+// 연장 신청이 이미 진행 중인지 판단할 때 보는 상태
+const RENEWAL_ACTIVE_STATUSES = ["awaiting_payment", "pending", "paid", "approved"];
+
+const LIFECYCLE_NOTIFICATIONS = {
+  running: {
+    type: "ad_started",
+    title: "광고 시작",
+    message: (name) => `'${name}' 광고가 시작되었어요.`,
+  },
+  ended: {
+    type: "ad_ended",
+    title: "광고 종료",
+    message: (name) => `'${name}' 광고가 종료되었어요. 광고를 연장하려면 연장 신청을 해주세요.`,
+  },
+  ending_soon: {
+    type: "ad_ending_soon",
+    title: "광고 종료 임박",
+    message: (name, endDate) => `'${name}' 광고가 ${toKstDateString(endDate)}에 종료돼요. 계속 노출하려면 연장 신청을 해주세요.`,
+  },
+};
+
+const LIFECYCLE_SELECT = {
+  id: true,
+  userId: true,
+  storeId: true,
+  address: true,
+  startDate: true,
+  endDate: true,
+  lifecycleStatus: true,
+  store: { select: { 사업장명: true } },
+};
+
+/**
+ * 광고 기간으로 진행 상태를 계산합니다. (승인된 광고 기준)
+ * @param {{startDate: Date, endDate: Date}} ad
+ * @param {Date} [now]
+ * @returns {"scheduled"|"running"|"ended"}
+ */
+function computeAdLifecycleStatus(ad, now = new Date()) {
+  if (now < ad.startDate) {
+    return "scheduled";
+  }
+  if (now > ad.endDate) {
+    return "ended";
+  }
+  return "running";
+}
+
+/**
+ * 알림/슬랙에 표시할 광고 이름 (매장명, 없으면 입력 주소)
+ */
+function getAdDisplayName(ad) {
+  return ad.store?.사업장명 || ad.address || "광고";
+}
+
+function buildNotification(ad, template) {
+  return {
+    userId: ad.userId,
+    type: template.type,
+    title: template.title,
+    message: template.message(getAdDisplayName(ad), ad.endDate),
+    storeId: ad.storeId,
+    data: { adRequestId: ad.id, endDate: ad.endDate },
+  };
+}
+
+/**
+ * 승인된 광고의 진행 상태를 갱신하고 종료 임박 알림을 보냅니다. (스케줄러에서 매시 실행)
+ * - 상태가 바뀐 광고: running이 되면 시작 알림, ended가 되면 종료 알림
+ * - 종료까지 AD_END_REMINDER_DAYS일 이내인 노출 중 광고: 종료 임박 알림 1회 (연장 신청이 진행 중이면 생략)
+ * @param {Date} [now]
+ * @returns {Promise<{started: number, ended: number, endingSoon: number}>}
+ */
+async function syncAdLifecycles(now = new Date()) {
+  const ads = await prisma.adRequest.findMany({
+    where: {
+      status: "approved",
+      OR: [{ lifecycleStatus: null }, { lifecycleStatus: { not: "ended" } }],
+    },
+    select: LIFECYCLE_SELECT,
+  });
+
+  const changed = { scheduled: [], running: [], ended: [] };
+  for (const ad of ads) {
+    const next = computeAdLifecycleStatus(ad, now);
+    if (next !== ad.lifecycleStatus) {
+      changed[next].push(ad);
+    }
+  }
+
+  const reminderBefore = new Date(now.getTime() + AD_END_REMINDER_DAYS * 24 * 60 * 60 * 1000);
+  const endingSoon = await prisma.adRequest.findMany({
+    where: {
+      status: "approved",
+      startDate: { lte: now },
+      endDate: { gte: now, lte: reminderBefore },
+      endingReminderSentAt: null,
+      renewals: { none: { status: { in: RENEWAL_ACTIVE_STATUSES } } },
+    },
+    select: LIFECYCLE_SELECT,
+  });
+
+  await prisma.$transaction(async (tx) => {
+    for (const status of AD_LIFECYCLE_STATUSES) {
+      if (changed[status].length > 0) {
+        await tx.adRequest.updateMany({
+          where: { id: { in: changed[status].map((ad) => ad.id) } },
+          data: { lifecycleStatus: status },
+        });
+      }
+    }
+
+    if (endingSoon.length > 0) {
+      await tx.adRequest.updateMany({
+        where: { id: { in: endingSoon.map((ad) => ad.id) } },
+        data: { endingReminderSentAt: now },
+      });
+    }
+
+    const notifications = [
+      ...changed.running.map((ad) => buildNotification(ad, LIFECYCLE_NOTIFICATIONS.running)),
+      ...changed.ended.map((ad) => buildNotification(ad, LIFECYCLE_NOTIFICATIONS.ended)),
+      ...endingSoon.map((ad) => buildNotification(ad, LIFECYCLE_NOTIFICATIONS.ending_soon)),
+    ];
+    if (notifications.length > 0) {
+      await tx.notification.createMany({ data: notifications });
+    }
+  });
+
+  if (changed.running.length > 0 || changed.ended.length > 0) {
+    invalidateSponsoredStores();
+  }
+
+  const toSlackItem = (ad) => ({
+    id: ad.id,
+    name: getAdDisplayName(ad),
+    startDate: ad.startDate,
+    endDate: ad.endDate,
+  });
+  if (changed.running.length > 0 || changed.ended.length > 0 || endingSoon.length > 0) {
+    await notifyAdLifecycleChanges({
+      started: changed.running.map(toSlackItem),
+      endingSoon: endingSoon.map(toSlackItem),
+      ended: changed.ended.map(toSlackItem),
+    });
+  }
+
+  return {
+    started: changed.running.length,
+    ended: changed.ended.length,
+    endingSoon: endingSoon.length,
+  };
+}
+
+module.exports = {
+  AD_LIFECYCLE_STATUSES,
+  AD_END_REMINDER_DAYS,
+  RENEWAL_ACTIVE_STATUSES,
+  computeAdLifecycleStatus,
+  syncAdLifecycles,
+};
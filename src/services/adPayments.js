@@ -0,0 +1,169 @@
+const { prisma } = require("./prisma");
+const { toKstDateString } = require("../utils/kstDate");
+
+/**
+ * 광고 결제 서비스
+ * 광고 상품으로 신청한 광고의 결제 금액을 서버에서 정하고, 결제 완료 시 심사 대기(paid)로 바꾸며,
+ * 결제가 전액 환불되면 광고 신청을 취소합니다. (환불 처리는 paymentRefunds)
+ */
+
+/**
+ * 상태 코드가 있는 에러 (라우트에서 응답 코드로 사용)
+ */
+function createAdPaymentError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// 같은 광고 신청에 새 결제를 만들 수 없는 결제 상태 (진행 중이거나 이미 결제됨)
+const ACTIVE_AD_PAYMENT_STATUSES = ["pending", "created", "completed", "partially_refunded"];
+
+/**
+ * 광고 신청에 진행 중이거나 완료된 결제가 있으면 409 에러를 던집니다. (중복 결제 방지)
+ * @param {Object} client - prisma 또는 트랜잭션 클라이언트(tx)
+ * @param {string} adRequestId - 광고 신청 ID
+ */
+async function assertNoActiveAdPayment(client, adRequestId) {
+  const existing = await client.payment.findFirst({
+    where: { adRequestId: String(adRequestId), status: { in: ACTIVE_AD_PAYMENT_STATUSES } },
+    select: { id: true, status: true },
+  });
+  if (!existing) {
+    return;
+  }
+
+  throw createAdPaymentError(
+    409,
+    PAID_AD_PAYMENT_STATUSES.includes(existing.status)
+      ? "이미 결제가 완료된 광고 신청입니다."
+      : `진행 중인 결제가 있습니다. 결제를 취소한 뒤 다시 시도해주세요. (paymentId: ${existing.id})`
+  );
+}
+
+// 결제가 완료된 것으로 보는 결제 상태 (부분 환불은 보상 성격이라 광고 유지)
+const PAID_AD_PAYMENT_STATUSES = ["completed", "partially_refunded"];
+
+/**
+ * 광고 신청에 결제가 완료된 결제가 있는지 확인합니다.
+ * @param {Object} client - prisma 또는 트랜잭션 클라이언트(tx)
+ * @param {string} adRequestId - 광고 신청 ID
+ * @param {Object} [options]
+ * @param {string} [options.excludePaymentId] - 제외할 결제 ID (다른 결제가 있는지 확인할 때)
+ * @returns {Promise<boolean>}
+ */
+async function hasPaidAdPayment(client, adRequestId, { excludePaymentId } = {}) {
+  const payment = await client.payment.findFirst({
+    where: {
+      adRequestId: String(adRequestId),
+      status: { in: PAID_AD_PAYMENT_STATUSES },
+      ...(excludePaymentId ? { id: { not: excludePaymentId } } : {}),
+    },
+    select: { id: true },
+  });
+  return Boolean(payment);
+}
+
+/**
+ * 광고 신청의 결제에 처리 중이거나 완료된 환불이 있는지 확인합니다.
+ * @param {Object} client - prisma 또는 트랜잭션 클라이언트(tx)
+ * @param {string} adRequestId - 광고 신청 ID
+ * @returns {Promise<boolean>}
+ */
+async function hasAdPaymentRefund(client, adRequestId) {
+  const refund = await client.paymentRefund.findFirst({
+    where: { status: { in: ["pending", "completed"] }, payment: { adRequestId: String(adRequestId) } },
+    select: { id: true },
+  });
+  return Boolean(refund);
+}
+
+/**
+ * 광고 신청의 결제 주문 정보를 만듭니다. (금액은 신청 시 저장한 상품 가격)
+ * @param {string} adRequestId - 광고 신청 ID
+ * @param {string} userId - 결제하는 사용자 ID
+ * @returns {Promise<{adRequest: Object, productType: string, productDesc: string, amount: number, amountTaxFree: number}>}
+ * @throws 진행 중이거나 완료된 결제가 있으면 409
+ */
+async function buildAdPaymentOrder(adRequestId, userId) {
+  const adRequest = await prisma.adRequest.findUnique({
+    where: { id: String(adRequestId) },
+    include: { product: true },
+  });
+
+  if (!adRequest) {
+    throw createAdPaymentError(404, "광고 신청을 찾을 수 없습니다.");
+  }
+  if (adRequest.userId !== userId) {
+    throw createAdPaymentError(403, "권한이 없습니다.");
+  }
+  if (!adRequest.product || !adRequest.price) {
+    throw createAdPaymentError(400, "광고 상품으로 신청한 광고만 결제할 수 있습니다.");
+  }
+  if (adRequest.status !== "awaiting_payment") {
+    throw createAdPaymentError(400, "결제 대기 중인 광고 신청이 아닙니다.");
+  }
+  await assertNoActiveAdPayment(prisma, adRequest.id);
+
+  const period = `${toKstDateString(adRequest.startDate)}~${toKstDateString(adRequest.endDate)}`;
+
+  return {
+    adRequest,
+    productType: `AD_${adRequest.product.code}`,
+    productDesc: `${adRequest.product.name} (${period})`,
+    amount: adRequest.price,
+    amountTaxFree: 0,
+  };
+}
+
+/**
+ * 결제 완료된 광고 신청을 심사 대기(paid)로 바꿉니다. (이미 바뀐 경우 그대로 둠)
+ * @param {Object} client - prisma 또는 트랜잭션 클라이언트(tx)
+ * @param {Object} payment - 완료된 Payment
+ * @returns {Promise<boolean>} 상태를 바꿨는지 여부
+ */
+async function markAdRequestPaid(client, payment) {
+  if (!payment.adRequestId) {
+    return false;
+  }
+
+  const { count } = await client.adRequest.updateMany({
+    where: { id: payment.adRequestId, status: "awaiting_payment" },
+    data: { status: "paid", paidAt: new Date() },
+  });
+  return count > 0;
+}
+
+/**
+ * 결제가 전액 환불된 광고 신청을 취소합니다.
+ * 이미 거절된 신청과 다른 결제로 결제된 신청(중복 결제를 환불한 경우)은 그대로 둡니다.
+ * 취소된 신청은 광고 노출과 지역 광고 슬롯 계산에서 빠지고, 첨부 서류는 보관 기간이 지나면 삭제됩니다.
+ * @param {Object} client - prisma 또는 트랜잭션 클라이언트(tx)
+ * @param {Object} payment - 환불된 Payment
+ * @returns {Promise<boolean>} 상태를 바꿨는지 여부
+ */
+async function cancelRefundedAdRequest(client, payment) {
+  if (!payment.adRequestId) {
+    return false;
+  }
+  if (await hasPaidAdPayment(client, payment.adRequestId, { excludePaymentId: payment.id })) {
+    return false;
+  }
+
+  const { count } = await client.adRequest.updateMany({
+    where: { id: payment.adRequestId, status: { in: ["awaiting_payment", "pending", "paid", "approved"] } },
+    // 취소 일시도 decidedAt에 남겨 첨부 서류 보관 기간을 계산
+    data: { status: "cancelled", decidedAt: new Date(), lifecycleStatus: null },
+  });
+  return count > 0;
+}
+
+module.exports = {
+  PAID_AD_PAYMENT_STATUSES,
+  assertNoActiveAdPayment,
+  hasPaidAdPayment,
+  hasAdPaymentRefund,
+  buildAdPaymentOrder,
+  markAdRequestPaid,
+  cancelRefundedAdRequest,
+};
@@ -0,0 +1,135 @@
+const { prisma } = require("./prisma");
+const { toKstDateString, toKstDayStart, addDays } = require("../utils/kstDate");
+
+/**
+ * 광고 상품 카탈로그 서비스
+ * 광고 기간/노출 방식/가격을 서버에 두고, 광고 신청의 종료일과 결제 금액을 상품으로 계산합니다.
+ */
+
+const AD_PLACEMENTS = ["pin", "boost"];
+
+// 기본 상품 (npm run db:seed-ad-products로 등록, 이후 관리자 API로 변경)
+const DEFAULT_AD_PRODUCTS = [
+  { code: "PIN_7D", name: "지도 상단 고정 7일", durationDays: 7, placement: "pin", price: 49000, sortOrder: 1 },
+  { code: "PIN_30D", name: "지도 상단 고정 30일", durationDays: 30, placement: "pin", price: 149000, sortOrder: 2 },
+  { code: "BOOST_7D", name: "지도 순위 상향 7일", durationDays: 7, placement: "boost", price: 29000, sortOrder: 3 },
+  { code: "BOOST_30D", name: "지도 순위 상향 30일", durationDays: 30, placement: "boost", price: 89000, sortOrder: 4 },
+];
+
+/**
+ * 상태 코드가 있는 에러 (라우트에서 응답 코드로 사용)
+ */
+function createProductError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * 판매 중인 광고 상품 목록
+ */
+async function listAdProducts({ includeInactive = false } = {}) {
+  return prisma.adProduct.findMany({
+    where: includeInactive ? {} : { isActive: true },
+    orderBy: [{ sortOrder: "asc" }, { price: "asc" }],
+  });
+}
+
+/**
+ * 판매 중인 광고 상품을 코드로 조회합니다.
+ * @throws 상품이 없거나 판매 중지된 경우 400
+ */
+async function getActiveAdProduct(code) {
+  const product = await prisma.adProduct.findUnique({
+    where: { code: String(code) },
+  });
+  if (!product || !product.isActive) {
+    throw createProductError(400, "판매 중인 광고 상품이 아닙니다.");
+  }
+  return product;
+}
+
+/**
+ * 상품 기간으로 광고 기간을 계산합니다. (시작일 0시 ~ 종료일 23:59:59, 한국 시간)
+ * @param {Object} product - AdProduct
+ * @param {Date} startDate - 광고 시작일
+ * @returns {{startDate: Date, endDate: Date}}
+ */
+function computeAdPeriod(product, startDate) {
+  const startDay = toKstDateString(startDate);
+  const nextDay = addDays(startDay, product.durationDays);
+  return {
+    startDate: toKstDayStart(startDay),
+    endDate: new Date(toKstDayStart(nextDay).getTime() - 1000),
+  };
+}
+
+/**
+ * 관리자 상품 등록/수정 데이터를 검증합니다.
+ * @returns {{data: Object}|{error: string}}
+ */
+function parseAdProductInput(body) {
+  const { name, description, durationDays, placement, price, isActive, sortOrder } = body;
+  const data = {};
+
+  if (name !== undefined) {
+    if (!String(name).trim() || /[\\'"]/.test(name) || name.length > 100) {
+      return { error: "상품명은 100자 이내로 입력해주세요. (백슬래시와 따옴표 불가)" };
+    }
+    data.name = String(name).trim();
+  }
+  if (description !== undefined) {
+    data.description = description ? String(description).trim() : null;
+  }
+  if (durationDays !== undefined) {
+    if (!Number.isInteger(durationDays) || durationDays < 1 || durationDays > 365) {
+      return { error: "durationDays는 1~365 사이의 정수여야 합니다." };
+    }
+    data.durationDays = durationDays;
+  }
+  if (placement !== undefined) {
+    if (!AD_PLACEMENTS.includes(placement)) {
+      return { error: `placement는 ${AD_PLACEMENTS.join(", ")} 중 하나여야 합니다.` };
+    }
+    data.placement = placement;
+  }
+  if (price !== undefined) {
+    if (!Number.isInteger(price) || price <= 0) {
+      return { error: "price는 0보다 큰 정수여야 합니다." };
+    }
+    data.price = price;
+  }
+  if (isActive !== undefined) {
+    data.isActive = Boolean(isActive);
+  }
+  if (sortOrder !== undefined) {
+    data.sortOrder = parseInt(sortOrder) || 0;
+  }
+
+  return { data };
+}
+
+/**
+ * 광고 상품 응답 포맷
+ */
+function formatAdProduct(product) {
+  return {
+    code: product.code,
+    name: product.name,
+    description: product.description,
+    durationDays: product.durationDays,
+    placement: product.placement,
+    price: product.price,
+    isActive: product.isActive,
+  };
+}
+
+module.exports = {
+  AD_PLACEMENTS,
+  DEFAULT_AD_PRODUCTS,
+  listAdProducts,
+  getActiveAdProduct,
+  computeAdPeriod,
+  parseAdProductInput,
+  formatAdProduct,
+};
@@ -0,0 +1,137 @@
+const { prisma } = require("./prisma");
+const { resolveAdRegion, assertAdSlotsAvailable } = require("./adInventory");
+const { getActiveAdProduct, computeAdPeriod } = require("./adProducts");
+const { RENEWAL_ACTIVE_STATUSES } = require("./adLifecycle");
+const { toKstDateString, toKstDayStart, addDays } = require("../utils/kstDate");
+
+/**
+ * 광고 연장 서비스
+ * 승인된 광고를 새 기간으로 복제해 연장 신청을 만듭니다.
+ * 매장/주소, 사장님 정보, 상품, 승인된 소재를 그대로 가져오고, 재고 확인과 결제/심사는 새 신청과 같게 진행합니다.
+ */
+
+/**
+ * 상태 코드가 있는 에러 (라우트에서 응답 코드로 사용)
+ */
+function createRenewalError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * 연장 기간 시작일 기본값 (기존 광고 종료 다음 날, 이미 지났으면 오늘)
+ */
+function getDefaultRenewalStart(source) {
+  const nextDay = addDays(toKstDateString(source.endDate), 1);
+  const today = toKstDateString();
+  return toKstDayStart(nextDay < today ? today : nextDay);
+}
+
+/**
+ * 광고 연장 신청을 만듭니다.
+ * @param {string} adRequestId - 연장할 광고 신청 ID
+ * @param {string} userId - 신청자 ID
+ * @param {Object} options
+ * @param {string} [options.startDate] - 시작일 (기본: 기존 광고 종료 다음 날)
+ * @param {string} [options.productCode] - 광고 상품 코드 (기본: 기존 광고의 상품, 상품 없이 신청한 광고는 필수)
+ * @returns {Promise<Object>} 생성된 광고 신청 (store 포함)
+ */
+async function renewAdRequest(adRequestId, userId, { startDate, productCode } = {}) {
+  const source = await prisma.adRequest.findUnique({
+    where: { id: adRequestId },
+    include: {
+      product: { select: { code: true } },
+      store: { select: { sido: true, sigungu: true } },
+      creatives: { where: { status: "approved" } },
+    },
+  });
+
+  if (!source) {
+    throw createRenewalError(404, "광고 신청을 찾을 수 없습니다.");
+  }
+  if (source.userId !== userId) {
+    throw createRenewalError(403, "접근 권한이 없습니다.");
+  }
+  if (source.status !== "approved") {
+    throw createRenewalError(400, "승인된 광고만 연장할 수 있습니다.");
+  }
+
+  const pendingRenewal = await prisma.adRequest.findFirst({
+    where: { renewedFromId: source.id, status: { in: RENEWAL_ACTIVE_STATUSES } },
+    select: { id: true },
+  });
+  if (pendingRenewal) {
+    throw createRenewalError(409, "이미 진행 중인 연장 신청이 있습니다.");
+  }
+
+  // 연장도 결제 후 심사 (상품 없이 신청한 기존 광고는 상품을 골라야 함)
+  const code = productCode || source.product?.code;
+  if (!code) {
+    throw createRenewalError(400, "광고 상품을 선택해주세요. (productCode)");
+  }
+  const product = await getActiveAdProduct(code);
+
+  const requestedStart = startDate ? new Date(startDate) : getDefaultRenewalStart(source);
+  if (isNaN(requestedStart)) {
+    throw createRenewalError(400, "날짜 형식이 올바르지 않습니다.");
+  }
+  const { startDate: start, endDate: end } = computeAdPeriod(product, requestedStart);
+  if (toKstDateString(start) < toKstDateString()) {
+    throw createRenewalError(400, "시작일은 오늘 이후여야 합니다.");
+  }
+
+  const regionCode =
+    source.regionCode || resolveAdRegion({ store: source.store, address: source.address })?.code || null;
+  if (regionCode) {
+    await assertAdSlotsAvailable(prisma, { regionCode, startDate: start, endDate: end });
+  }
+
+  return prisma.adRequest.create({
+    data: {
+      userId,
+      storeId: source.storeId,
+      address: source.address,
+      latitude: source.latitude,
+      longitude: source.longitude,
+      coordinateSource: source.coordinateSource,
+      regionCode,
+      startDate: start,
+      endDate: end,
+      ownerName: source.ownerName,
+      ownerPhone: source.ownerPhone,
+      productId: product.id,
+      placement: product.placement,
+      price: product.price,
+      status: "awaiting_payment",
+      renewedFromId: source.id,
+      // 심사를 마친 소재는 그대로 이어서 사용
+      creatives: {
+        create: source.creatives.map((creative) => ({
+          imageUrl: creative.imageUrl,
+          headline: creative.headline,
+          promoText: creative.promoText,
+          couponCode: creative.couponCode,
+          couponDescription: creative.couponDescription,
+          couponExpiresAt: creative.couponExpiresAt,
+          status: creative.status,
+          reviewedAt: creative.reviewedAt,
+          reviewedBy: creative.reviewedBy,
+        })),
+      },
+    },
+    include: {
+      store: {
+        select: {
+          id: true,
+          사업장명: true,
+          소재지전체주소: true,
+        },
+      },
+    },
+  });
+}
+
+module.exports = {
+  renewAdRequest,
+};
@@ -47,8 +47,10 @@ async function notifyNewAdRequest(adRequestData) {
       endDate,
       ownerName,
       ownerPhone,
-      businessLicenseUrl,
-      idCardUrl,
+      hasBusinessLicense,
+      hasIdCard,
+      address,
+      renewedFromId,
       createdAt
     } = adRequestData;
 
@@ -133,12 +135,12 @@ async function notifyNewAdRequest(adRequestData) {
           fields: [
             {
               title: "사업자등록증",
-              value: businessLicenseUrl ? '✅ 첨부됨' : '❌ 미첨부',
+              value: hasBusinessLicense ? '✅ 첨부됨' : '❌ 미첨부',
               short: true
             },
             {
               title: "신분증",
-              value: idCardUrl ? '✅ 첨부됨' : '❌ 미첨부',
+              value: hasIdCard ? '✅ 첨부됨' : '❌ 미첨부',
               short: true
             }
           ]
@@ -153,11 +155,21 @@ async function notifyNewAdRequest(adRequestData) {
       ]
     };
 
-    // 매장 주소가 있으면 추가
-    if (store?.소재지전체주소) {
+    // 매장 주소가 있으면 추가 (직접 입력한 주소 포함)
+    if (store?.소재지전체주소 || address) {
       message.attachments[0].fields.push({
         title: "매장 주소",
-        value: store.소재지전체주소,
+        value: store?.소재지전체주소 || address,
+        short: false
+      });
+    }
+
+    // 연장 신청이면 기존 신청 표시
+    if (renewedFromId) {
+      message.text = `🔁 광고 연장 신청이 접수되었습니다!`;
+      message.attachments[0].fields.push({
+        title: "연장 대상 신청 ID",
+        value: renewedFromId,
         short: false
       });
     }
@@ -178,6 +190,67 @@ async function notifyNewAdRequest(adRequestData) {
   }
 }
 
+/**
+ * 광고 진행 상태 변경 알림 (시작, 종료 임박, 종료)
+ * @param {Object} changes - { started, endingSoon, ended } 각각 { id, name, startDate, endDate } 배열
+ * @returns {Promise<boolean>} 전송 성공 여부
+ */
+async function notifyAdLifecycleChanges({ started = [], endingSoon = [], ended = [] }) {
+  try {
+    const formatDate = (date) => {
+      return new Date(date).toLocaleDateString('ko-KR', {
+        timeZone: 'Asia/Seoul',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+      });
+    };
+
+    // 목록이 길면 앞의 10건만 표시
+    const formatAds = (ads) => {
+      const lines = ads.slice(0, 10).map(ad => `• ${ad.name} (${formatDate(ad.startDate)} ~ ${formatDate(ad.endDate)}) \`${ad.id}\``);
+      if (ads.length > 10) {
+        lines.push(`외 ${ads.length - 10}건`);
+      }
+      return lines.join('\n');
+    };
+
+    const sections = [
+      { ads: started, color: "#36a64f", title: `▶️ 광고 시작 ${started.length}건` },
+      { ads: endingSoon, color: "#ff9800", title: `⏰ 종료 임박 ${endingSoon.length}건 (광고주에게 연장 안내 발송)` },
+      { ads: ended, color: "#9e9e9e", title: `⏹️ 광고 종료 ${ended.length}건` }
+    ].filter(section => section.ads.length > 0);
+
+    if (sections.length === 0) {
+      return true;
+    }
+
+    const message = {
+      text: `📣 광고 진행 상태가 변경되었습니다.`,
+      username: "DollCatcher Event Bot",
+      icon_emoji: ":loudspeaker:",
+      attachments: sections.map(section => ({
+        color: section.color,
+        title: section.title,
+        text: formatAds(section.ads)
+      }))
+    };
+
+    const result = await sendEventSlackMessage(message);
+
+    if (result) {
+      console.log('광고 진행 상태 알림이 슬랙으로 전송되었습니다.');
+    } else {
+      console.error('광고 진행 상태 알림 전송 실패');
+    }
+
+    return result;
+  } catch (error) {
+    console.error('광고 진행 상태 알림 생성 중 오류:', error);
+    return false;
+  }
+}
+
 /**
  * 새로운 리뷰 알림
  * @param {Object} reviewData - 리뷰 데이터
@@ -371,6 +444,7 @@ async function notifyNewStoreReport(reportData) {
 module.exports = {
   sendEventSlackMessage,
   notifyNewAdRequest,
+  notifyAdLifecycleChanges,
   notifyNewReview,
   notifyNewStoreReport
 };
\ No newline at end of file
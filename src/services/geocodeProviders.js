@@ -0,0 +1,212 @@
+const axios = require("axios");
+const { prisma } = require("./prisma");
+const { reverseGeocodeOffline } = require("./offlineGeocoder");
+const { parseAddressRegion } = require("../utils/regions");
+
+/**
+ * 지오코딩 제공자
+ * 모든 제공자는 같은 인터페이스를 구현합니다.
+ *   - name: 캐시 키에 쓰는 제공자 이름
+ *   - search(query, { limit }): 주소 → 정규화된 결과 목록
+ *   - reverse(lat, lng): 좌표 → { jibunAddress, roadAddress, region, land } 또는 null
+ *
+ * 정규화된 검색 결과:
+ *   { address, roadAddress, jibunAddress, sido, sigungu, dong, latitude, longitude }
+ *
+ * GEOCODE_PROVIDER 환경변수로 고르며 (naver | local), 지정하지 않으면
+ * 네이버 API 키가 있을 때 naver, 없으면 local을 사용합니다.
+ */
+
+const NAVER_API_BASE_URL = "https://maps.apigw.ntruss.com";
+const NAVER_TIMEOUT_MS = 3000;
+
+function getNaverHeaders() {
+  return {
+    "X-NCP-APIGW-API-KEY-ID": process.env.NAVER_MAP_CLIENT_ID,
+    "X-NCP-APIGW-API-KEY": process.env.NAVER_MAP_CLIENT_SECRET,
+  };
+}
+
+function hasNaverCredentials() {
+  return !!(process.env.NAVER_MAP_CLIENT_ID && process.env.NAVER_MAP_CLIENT_SECRET);
+}
+
+/**
+ * 네이버 Geocoding 응답의 주소 항목을 정규화합니다.
+ */
+function normalizeNaverAddress(item) {
+  const findElement = (type) =>
+    item.addressElements?.find((element) => element.types?.includes(type))?.longName || null;
+
+  const parsed = parseAddressRegion(item.jibunAddress || item.roadAddress);
+
+  return {
+    address: item.roadAddress || item.jibunAddress,
+    roadAddress: item.roadAddress || null,
+    jibunAddress: item.jibunAddress || null,
+    sido: findElement("SIDO") || parsed.sido,
+    sigungu: findElement("SIGUGUN") || parsed.sigungu,
+    dong: findElement("DONGMYUN") || parsed.dong,
+    latitude: parseFloat(item.y),
+    longitude: parseFloat(item.x),
+  };
+}
+
+/**
+ * 네이버 지도 API 제공자
+ */
+const naverProvider = {
+  name: "naver",
+
+  async search(query, { limit = 5 } = {}) {
+    const response = await axios.get(`${NAVER_API_BASE_URL}/map-geocode/v2/geocode`, {
+      params: { query, count: limit },
+      headers: getNaverHeaders(),
+      timeout: NAVER_TIMEOUT_MS,
+    });
+
+    if (response.data.status !== "OK") {
+      throw new Error(response.data.errorMessage || `네이버 지오코딩 오류: ${response.data.status}`);
+    }
+
+    return (response.data.addresses || [])
+      .map(normalizeNaverAddress)
+      .filter((result) => isFinite(result.latitude) && isFinite(result.longitude));
+  },
+
+  /**
+   * 주소를 찾지 못하면 null, 호출 실패/요청 제한(429)이면 에러를 던집니다.
+   */
+  async reverse(lat, lng) {
+    const response = await axios.get(`${NAVER_API_BASE_URL}/map-reversegeocode/v2/gc`, {
+      params: {
+        coords: `${lng},${lat}`, // 경도,위도 순서 주의
+        orders: "addr,roadaddr",
+        output: "json",
+      },
+      headers: getNaverHeaders(),
+      timeout: NAVER_TIMEOUT_MS,
+    });
+
+    if (response.data.status.code !== 0 || !response.data.results?.length) {
+      return null;
+    }
+
+    // addr(지번주소)와 roadaddr(도로명주소) 찾기
+    const addrResult = response.data.results.find((r) => r.name === "addr");
+    const roadResult = response.data.results.find((r) => r.name === "roadaddr");
+
+    let jibunAddress = "";
+    let roadAddress = "";
+
+    // 지번 주소 조합
+    if (addrResult) {
+      const region = addrResult.region;
+      const land = addrResult.land;
+
+      jibunAddress = [
+        region.area1?.name,
+        region.area2?.name,
+        region.area3?.name,
+        region.area4?.name,
+        land?.number1 && `${land.number1}${land.number2 ? `-${land.number2}` : ""}`,
+      ]
+        .filter(Boolean)
+        .join(" ");
+    }
+
+    // 도로명 주소 조합
+    if (roadResult) {
+      const region = roadResult.region;
+      const land = roadResult.land;
+
+      roadAddress = [
+        region.area1?.name,
+        region.area2?.name,
+        region.area3?.name,
+        land?.name,
+        land?.number1,
+        land?.number2,
+      ]
+        .filter(Boolean)
+        .join(" ");
+    }
+
+    return {
+      jibunAddress,
+      roadAddress,
+      region: addrResult?.region || roadResult?.region || null,
+      land: {
+        jibun: addrResult?.land || null,
+        road: roadResult?.land || null,
+      },
+    };
+  },
+};
+
+/**
+ * 로컬 제공자 (외부 API 없이 동작, 개발/테스트용)
+ * 좌표가 있는 기존 매장 중 주소가 검색어를 포함하는 매장의 좌표를 돌려주고,
+ * 역지오코딩은 번들된 행정구역 경계를 사용합니다.
+ */
+const localProvider = {
+  name: "local",
+
+  async search(query, { limit = 5 } = {}) {
+    const stores = await prisma.gameBusiness.findMany({
+      where: {
+        latitude: { not: null },
+        longitude: { not: null },
+        OR: [
+          { 도로명전체주소: { contains: query } },
+          { 소재지전체주소: { contains: query } },
+        ],
+      },
+      select: {
+        도로명전체주소: true,
+        소재지전체주소: true,
+        latitude: true,
+        longitude: true,
+      },
+      take: limit,
+    });
+
+    return stores.map((store) => {
+      const parsed = parseAddressRegion(store.소재지전체주소 || store.도로명전체주소);
+      return {
+        address: store.도로명전체주소 || store.소재지전체주소,
+        roadAddress: store.도로명전체주소 || null,
+        jibunAddress: store.소재지전체주소 || null,
+        ...parsed,
+        latitude: store.latitude,
+        longitude: store.longitude,
+      };
+    });
+  },
+
+  async reverse(lat, lng) {
+    return reverseGeocodeOffline(lat, lng);
+  },
+};
+
+const PROVIDERS = {
+  naver: naverProvider,
+  local: localProvider,
+};
+
+/**
+ * 설정에 맞는 지오코딩 제공자를 반환합니다.
+ */
+function getGeocodeProvider() {
+  const configured = process.env.GEOCODE_PROVIDER;
+  if (configured && PROVIDERS[configured]) {
+    return PROVIDERS[configured];
+  }
+  return hasNaverCredentials() ? naverProvider : localProvider;
+}
+
+module.exports = {
+  PROVIDERS,
+  getGeocodeProvider,
+  hasNaverCredentials,
+};
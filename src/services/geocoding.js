@@ -0,0 +1,133 @@
+const { prisma } = require("./prisma");
+const { getGeocodeProvider } = require("./geocodeProviders");
+const { isWithinKorea } = require("../utils/regions");
+
+/**
+ * 주소 검색(정지오코딩) 서비스
+ * 설정된 제공자로 주소를 좌표로 변환하고, 결과를 geocode_cache 테이블에 TTL과 함께 저장합니다.
+ * 결과가 없는 검색어도 짧은 TTL로 캐시해 같은 주소로 반복 호출하지 않습니다.
+ */
+
+const GEOCODE_CACHE_TTL_DAYS = parseInt(process.env.GEOCODE_CACHE_TTL_DAYS) || 30;
+const GEOCODE_EMPTY_CACHE_TTL_HOURS = 6;
+const MAX_RESULTS = 10;
+
+/**
+ * 캐시 키로 쓰는 검색어 (앞뒤 공백 제거, 연속 공백 정리)
+ */
+function normalizeGeocodeQuery(query) {
+  return String(query || "").trim().replace(/\s+/g, " ");
+}
+
+/**
+ * 주소를 검색합니다.
+ * @param {string} query - 주소 검색어
+ * @param {Object} [options]
+ * @param {number} [options.limit=5] - 최대 결과 수 (1~10)
+ * @returns {Promise<{results: Array, provider: string, cached: boolean}>}
+ */
+async function searchAddress(query, { limit = 5 } = {}) {
+  const normalizedQuery = normalizeGeocodeQuery(query);
+  const provider = getGeocodeProvider();
+  const take = Math.min(Math.max(parseInt(limit) || 5, 1), MAX_RESULTS);
+
+  const cache = await prisma.geocodeCache.findUnique({
+    where: {
+      unique_geocode_cache_query: {
+        provider: provider.name,
+        query: normalizedQuery,
+      },
+    },
+  });
+
+  if (cache && cache.expiresAt > new Date()) {
+    return {
+      results: cache.results.slice(0, take),
+      provider: provider.name,
+      cached: true,
+    };
+  }
+
+  // 캐시는 최대 개수로 저장해 limit이 달라도 재사용
+  const results = (await provider.search(normalizedQuery, { limit: MAX_RESULTS })).filter(
+    (result) => isWithinKorea(result.latitude, result.longitude)
+  );
+
+  const ttlMs =
+    results.length > 0
+      ? GEOCODE_CACHE_TTL_DAYS * 24 * 60 * 60 * 1000
+      : GEOCODE_EMPTY_CACHE_TTL_HOURS * 60 * 60 * 1000;
+  const expiresAt = new Date(Date.now() + ttlMs);
+
+  await prisma.geocodeCache.upsert({
+    where: {
+      unique_geocode_cache_query: {
+        provider: provider.name,
+        query: normalizedQuery,
+      },
+    },
+    create: {
+      provider: provider.name,
+      query: normalizedQuery,
+      results,
+      expiresAt,
+    },
+    update: { results, expiresAt },
+  });
+
+  return {
+    results: results.slice(0, take),
+    provider: provider.name,
+    cached: false,
+  };
+}
+
+/**
+ * 위도/경도가 비어 있으면 주소 검색 결과의 첫 번째 좌표로 채웁니다.
+ * 검색에 실패해도 에러를 던지지 않고 좌표 없이 반환합니다. (제보/신청 등록을 막지 않음)
+ * @param {{address: string, latitude: number|null, longitude: number|null}} data
+ * @returns {Promise<Object>} latitude/longitude/coordinateSource가 채워진 data
+ */
+async function fillMissingCoordinates(data) {
+  if (data.latitude != null && data.longitude != null) {
+    return { ...data, coordinateSource: "user" };
+  }
+  if (!data.address) {
+    return { ...data, coordinateSource: null };
+  }
+
+  try {
+    const { results } = await searchAddress(data.address, { limit: 1 });
+    if (results.length > 0) {
+      return {
+        ...data,
+        latitude: results[0].latitude,
+        longitude: results[0].longitude,
+        coordinateSource: "geocode",
+      };
+    }
+  } catch (error) {
+    console.error("주소 좌표 자동 입력 실패:", error.message);
+  }
+
+  return { ...data, latitude: null, longitude: null, coordinateSource: null };
+}
+
+/**
+ * 만료된 캐시를 삭제합니다.
+ * @returns {Promise<number>} 삭제한 건수
+ */
+async function purgeExpiredGeocodeCache() {
+  const { count } = await prisma.geocodeCache.deleteMany({
+    where: { expiresAt: { lt: new Date() } },
+  });
+  return count;
+}
+
+module.exports = {
+  GEOCODE_CACHE_TTL_DAYS,
+  normalizeGeocodeQuery,
+  searchAddress,
+  fillMissingCoordinates,
+  purgeExpiredGeocodeCache,
+};
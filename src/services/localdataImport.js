@@ -0,0 +1,252 @@
+const path = require("path");
+const { prisma } = require("./prisma");
+const { parseLocaldataFile } = require("../utils/localdataParser");
+const { invalidateStoreSearchIndex } = require("./storeSearchIndex");
+const { TRACKED_SELECT, recordStoreChange } = require("./storeStatusHistory");
+
+/**
+ * LOCALDATA 게임제공업 데이터 가져오기 서비스
+ * - 관리번호 기준으로 신규 매장은 추가, 기존 매장은 갱신합니다.
+ * - 데이터갱신일자가 이전 실행 기준일 이후인 레코드만 반영합니다. (증분 동기화)
+ * - 폐업으로 바뀐 매장은 closed로 집계합니다.
+ * - 기존 매장의 영업상태/주요 정보가 바뀌면 상태 이력을 남기고 즐겨찾기 사용자에게 알립니다.
+ */
+
+const IMPORT_SOURCE = "localdata_game";
+
+/**
+ * 폐업(또는 말소) 상태인지 확인합니다.
+ */
+function isClosedRecord(record) {
+  if (!record) {
+    return false;
+  }
+  return (
+    Boolean(record.폐업일자) ||
+    (record.영업상태명 || "").includes("폐업") ||
+    (record.영업상태명 || "").includes("말소")
+  );
+}
+
+/**
+ * 마지막으로 성공한 가져오기 실행에서 반영한 데이터갱신일자를 조회합니다.
+ * 마지막 실행의 기준일이 비어 있으면(실패 레코드보다 앞선 반영 기록이 없음) 그보다 오래된 실행의 기준일을 쓰지 않고 전체를 다시 봅니다.
+ */
+async function getLastWatermark() {
+  const lastRun = await prisma.dataImportRun.findFirst({
+    where: {
+      source: IMPORT_SOURCE,
+      status: "completed",
+    },
+    orderBy: { startedAt: "desc" },
+  });
+
+  return lastRun?.lastDataUpdatedAt || null;
+}
+
+/**
+ * 레코드 한 건을 반영하고 결과 유형과 매장 ID를 반환합니다.
+ * @returns {Promise<{result: "inserted"|"updated"|"closed"|"deleted"|"skipped", id: number|null}>}
+ */
+async function applyRecord(record, existing, { full, dryRun }) {
+  // 데이터갱신구분 D: 원본에서 삭제된 레코드 → 기존 매장을 목록에서 제외
+  if (record.데이터갱신구분 === "D") {
+    if (!existing) {
+      return { result: "skipped", id: null };
+    }
+    if (!dryRun) {
+      const updated = await prisma.gameBusiness.update({
+        where: { id: existing.id },
+        data: {
+          데이터갱신구분: record.데이터갱신구분,
+          데이터갱신일자: record.데이터갱신일자,
+          영업상태명: "삭제",
+        },
+        select: TRACKED_SELECT,
+      });
+      await recordStoreChange(prisma, {
+        before: existing,
+        after: updated,
+        source: "import",
+        note: record.관리번호,
+      });
+    }
+    return { result: "deleted", id: existing.id };
+  }
+
+  if (!existing) {
+    const created = dryRun
+      ? null
+      : await prisma.gameBusiness.create({ data: record, select: { id: true } });
+    return { result: "inserted", id: created?.id ?? null };
+  }
+
+  // 이미 같은 시점 이후의 데이터가 반영된 경우 건너뜀
+  if (
+    !full &&
+    existing.데이터갱신일자 &&
+    record.데이터갱신일자 &&
+    existing.데이터갱신일자 >= record.데이터갱신일자
+  ) {
+    return { result: "skipped", id: existing.id };
+  }
+
+  if (!dryRun) {
+    const updated = await prisma.gameBusiness.update({
+      where: { id: existing.id },
+      data: record,
+      select: TRACKED_SELECT,
+    });
+    await recordStoreChange(prisma, {
+      before: existing,
+      after: updated,
+      source: "import",
+      note: record.관리번호,
+    });
+  }
+
+  const result =
+    !isClosedRecord(existing) && isClosedRecord(record) ? "closed" : "updated";
+  return { result, id: existing.id };
+}
+
+/**
+ * LOCALDATA 파일을 가져와 GameBusiness에 반영합니다.
+ * @param {string} filePath - CSV 또는 XML 파일 경로
+ * @param {Object} [options]
+ * @param {boolean} [options.full=false] - 증분 기준을 무시하고 전체 반영
+ * @param {boolean} [options.dryRun=false] - DB에 쓰지 않고 집계만 수행
+ * @returns {Promise<Object>} 실행 요약 (inserted, updated, closed, deleted, skipped, failed)
+ */
+async function importLocaldataFile(filePath, { full = false, dryRun = false } = {}) {
+  const startedAt = new Date();
+  const records = parseLocaldataFile(filePath).filter((r) => r.관리번호);
+  const watermark = full ? null : await getLastWatermark();
+
+  const summary = {
+    source: IMPORT_SOURCE,
+    fileName: path.basename(filePath),
+    mode: full ? "full" : "incremental",
+    dryRun,
+    since: watermark,
+    totalRows: records.length,
+    inserted: 0,
+    updated: 0,
+    closed: 0,
+    deleted: 0,
+    skipped: 0,
+    failed: 0,
+    lastDataUpdatedAt: watermark,
+    errors: [],
+  };
+
+  const run = dryRun
+    ? null
+    : await prisma.dataImportRun.create({
+        data: {
+          source: IMPORT_SOURCE,
+          fileName: summary.fileName,
+          mode: summary.mode,
+          totalRows: summary.totalRows,
+          startedAt,
+        },
+      });
+
+  try {
+    // 기존 매장을 관리번호로 한 번에 조회
+    const existingStores = await prisma.gameBusiness.findMany({
+      where: { 관리번호: { not: null } },
+      select: {
+        ...TRACKED_SELECT,
+        관리번호: true,
+        데이터갱신일자: true,
+      },
+    });
+    const existingMap = new Map(existingStores.map((s) => [s.관리번호, s]));
+
+    // 다음 증분 기준은 실패한 레코드 중 가장 이른 데이터갱신일자보다 앞서야 함 (다음 실행에서 다시 시도)
+    const appliedDates = [];
+    let earliestFailedAt = null;
+
+    for (const record of records) {
+      // 증분 모드: 이전 실행 이후 갱신된 레코드만 반영
+      if (watermark && record.데이터갱신일자 && record.데이터갱신일자 <= watermark) {
+        summary.skipped++;
+        continue;
+      }
+
+      try {
+        const existing = existingMap.get(record.관리번호);
+        const { result, id } = await applyRecord(record, existing, { full, dryRun });
+        summary[result]++;
+
+        // 같은 파일 안에 관리번호가 반복되면 이후 레코드는 갱신으로 처리
+        if (result !== "skipped") {
+          existingMap.set(record.관리번호, { ...existing, ...record, id });
+        }
+
+        if (record.데이터갱신일자) {
+          appliedDates.push(record.데이터갱신일자);
+        }
+      } catch (error) {
+        summary.failed++;
+        if (summary.errors.length < 20) {
+          summary.errors.push({ 관리번호: record.관리번호, message: error.message });
+        }
+        if (record.데이터갱신일자 && (!earliestFailedAt || record.데이터갱신일자 < earliestFailedAt)) {
+          earliestFailedAt = record.데이터갱신일자;
+        }
+      }
+    }
+
+    for (const date of appliedDates) {
+      if (
+        (!earliestFailedAt || date < earliestFailedAt) &&
+        (!summary.lastDataUpdatedAt || date > summary.lastDataUpdatedAt)
+      ) {
+        summary.lastDataUpdatedAt = date;
+      }
+    }
+
+    if (!dryRun) {
+      invalidateStoreSearchIndex();
+    }
+
+    if (run) {
+      await prisma.dataImportRun.update({
+        where: { id: run.id },
+        data: {
+          status: "completed",
+          inserted: summary.inserted,
+          updated: summary.updated,
+          closed: summary.closed,
+          deleted: summary.deleted,
+          skipped: summary.skipped,
+          failed: summary.failed,
+          lastDataUpdatedAt: summary.lastDataUpdatedAt,
+          finishedAt: new Date(),
+        },
+      });
+    }
+
+    return summary;
+  } catch (error) {
+    if (run) {
+      await prisma.dataImportRun.update({
+        where: { id: run.id },
+        data: {
+          status: "failed",
+          errorMessage: error.message,
+          finishedAt: new Date(),
+        },
+      });
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  IMPORT_SOURCE,
+  importLocaldataFile,
+  isClosedRecord,
+};
@@ -0,0 +1,171 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * 오프라인 역지오코딩 서비스
+ * 번들된 행정구역(시도/시군구/읍면동) 경계 GeoJSON으로 좌표가 속한 행정구역을 찾습니다.
+ * 네이버 API 키가 없거나 호출이 실패/제한될 때 역지오코딩 대체 수단으로 사용합니다.
+ *
+ * 경계 파일은 scripts/buildAdminBoundaries.js로 만들며 (배포 빌드에서 ADMIN_BOUNDARY_SOURCE로 생성), 각 Feature의 properties는
+ * { code, sido, sigungu, emd } 형태입니다. (상위 단계 경계만 있으면 하위 필드는 null)
+ */
+
+const BOUNDARY_FILE =
+  process.env.ADMIN_BOUNDARY_FILE ||
+  path.join(__dirname, "../../data/admin-boundaries.geojson");
+
+let boundaryIndex = null; // 로드에 성공한 경우만 유지 (실패하면 다음 호출에서 다시 읽음)
+let boundaryLoadWarned = false;
+
+/**
+ * 폴리곤 좌표 배열의 범위를 계산합니다.
+ * @returns {[number, number, number, number]} [minLng, minLat, maxLng, maxLat]
+ */
+function getPolygonsBbox(polygons) {
+  let minLng = Infinity;
+  let minLat = Infinity;
+  let maxLng = -Infinity;
+  let maxLat = -Infinity;
+
+  for (const polygon of polygons) {
+    // 외곽 링만 보면 충분
+    for (const [lng, lat] of polygon[0]) {
+      if (lng < minLng) minLng = lng;
+      if (lng > maxLng) maxLng = lng;
+      if (lat < minLat) minLat = lat;
+      if (lat > maxLat) maxLat = lat;
+    }
+  }
+
+  return [minLng, minLat, maxLng, maxLat];
+}
+
+/**
+ * 행정구역 단계 (읍면동 3, 시군구 2, 시도 1)
+ */
+function getBoundaryLevel(properties) {
+  if (properties.emd) return 3;
+  if (properties.sigungu) return 2;
+  return 1;
+}
+
+/**
+ * 경계 파일을 읽어 검색용 인덱스를 만듭니다. 한 번 읽으면 메모리에 유지합니다.
+ * 읽지 못하면 빈 배열을 반환하고, 실패는 캐시하지 않아 파일이 생기면 다음 호출에서 읽습니다.
+ */
+function loadBoundaries() {
+  if (boundaryIndex) {
+    return boundaryIndex;
+  }
+
+  try {
+    const geojson = JSON.parse(fs.readFileSync(BOUNDARY_FILE, "utf8"));
+
+    const index = geojson.features
+      .filter((feature) => feature.geometry && feature.properties?.sido)
+      .map((feature) => {
+        const { type, coordinates } = feature.geometry;
+        const polygons = type === "MultiPolygon" ? coordinates : [coordinates];
+        return {
+          properties: feature.properties,
+          level: getBoundaryLevel(feature.properties),
+          polygons,
+          bbox: getPolygonsBbox(polygons),
+        };
+      })
+      // 하위 행정구역이 먼저 매칭되도록 정렬
+      .sort((a, b) => b.level - a.level);
+
+    console.log(`🗺️ 행정구역 경계 ${index.length}개 로드: ${BOUNDARY_FILE}`);
+    boundaryIndex = index;
+    return boundaryIndex;
+  } catch (error) {
+    // 같은 경고를 매 요청마다 남기지 않도록 처음 한 번만 출력
+    if (!boundaryLoadWarned) {
+      console.warn(`⚠️ 행정구역 경계 파일을 불러올 수 없습니다 (${BOUNDARY_FILE}):`, error.message);
+      boundaryLoadWarned = true;
+    }
+    return [];
+  }
+}
+
+/**
+ * 점이 링(닫힌 좌표열) 안에 있는지 확인합니다. (ray casting)
+ */
+function isPointInRing(lng, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > lat !== yj > lat && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * 점이 폴리곤 안에 있는지 확인합니다. (구멍 링 제외)
+ */
+function isPointInPolygon(lng, lat, [outer, ...holes]) {
+  if (!isPointInRing(lng, lat, outer)) {
+    return false;
+  }
+  return !holes.some((hole) => isPointInRing(lng, lat, hole));
+}
+
+/**
+ * 좌표가 속한 행정구역을 찾습니다.
+ * @param {number} lat - 위도
+ * @param {number} lng - 경도
+ * @returns {{code: string|null, sido: string, sigungu: string|null, emd: string|null}|null}
+ */
+function findAdminRegion(lat, lng) {
+  const boundaries = loadBoundaries();
+
+  for (const boundary of boundaries) {
+    const [minLng, minLat, maxLng, maxLat] = boundary.bbox;
+    if (lng < minLng || lng > maxLng || lat < minLat || lat > maxLat) {
+      continue;
+    }
+    if (boundary.polygons.some((polygon) => isPointInPolygon(lng, lat, polygon))) {
+      const { code, sido, sigungu, emd } = boundary.properties;
+      return {
+        code: code || null,
+        sido,
+        sigungu: sigungu || null,
+        emd: emd || null,
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 좌표를 행정구역 주소로 변환합니다. (네이버 역지오코딩 응답과 같은 형태)
+ * 번지/도로명 정보가 없으므로 roadAddress는 항상 null입니다.
+ * @returns {{jibunAddress: string, roadAddress: null, region: Object}|null}
+ */
+function reverseGeocodeOffline(lat, lng) {
+  const region = findAdminRegion(lat, lng);
+  if (!region) {
+    return null;
+  }
+
+  return {
+    jibunAddress: [region.sido, region.sigungu, region.emd].filter(Boolean).join(" "),
+    roadAddress: null,
+    region: {
+      area1: { name: region.sido },
+      area2: { name: region.sigungu || "" },
+      area3: { name: region.emd || "" },
+      code: region.code,
+    },
+  };
+}
+
+module.exports = {
+  findAdminRegion,
+  reverseGeocodeOffline,
+};
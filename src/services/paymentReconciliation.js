@@ -0,0 +1,377 @@
+const { prisma } = require("./prisma");
+const { getPaymentStatus, parseTossDateTime, isTossErrorResponse } = require("./tossPayment");
+const { markAdRequestPaid, cancelRefundedAdRequest, hasPaidAdPayment } = require("./adPayments");
+const { refundPaymentById, completeRefund, failRefund } = require("./paymentRefunds");
+const { invalidateSponsoredStores } = require("./sponsoredPlacement");
+
+/**
+ * 결제 대조 서비스
+ * 결제 실행 응답을 받지 못했거나(타임아웃, 앱 종료) 실행이 실패한 결제를 토스페이 결제 상태와 대조해 상태를 바로잡습니다.
+ * 대조하면서 거래 ID, 승인 일시, 결제 수단을 함께 기록하고, 토스 응답을 받지 못한 처리 중 환불도 확정합니다.
+ * 실패로 알았던 결제가 토스에서 완료됐는데 같은 광고 신청을 다른 결제로 이미 결제했다면 늦게 확인된 결제를 환불합니다.
+ */
+
+// 생성 후 이 시간이 지난 결제만 대조 (결제 진행 중인 건 제외)
+const RECONCILE_STALE_MINUTES = parseInt(process.env.PAYMENT_RECONCILE_STALE_MINUTES) || 10;
+// 이 기간보다 오래된 결제는 대조하지 않음
+const RECONCILE_LOOKBACK_DAYS = parseInt(process.env.PAYMENT_RECONCILE_LOOKBACK_DAYS) || 7;
+const RECONCILE_BATCH_SIZE = 30;
+// 한 번 실행에서 토스페이 요청을 시작할 수 있는 시간 (Vercel 함수 maxDuration 30초 안에 끝나도록)
+const RECONCILE_TIME_BUDGET_MS = 15 * 1000;
+// 대조 중 토스페이 요청 하나의 응답 대기 시간 (시간 초과는 조회 실패/결과 불명으로 다음 실행에서 다시 확인)
+const RECONCILE_TOSS_TIMEOUT_MS = 5 * 1000;
+
+// 결제를 완료하지 않은 채 이 시간이 지나면 만료 (failed)
+const PAYMENT_EXPIRE_MINUTES = parseInt(process.env.PAYMENT_EXPIRE_MINUTES) || 60;
+// 사용자가 취소한 결제를 다시 대조하는 기간 (취소 직전에 토스에서 결제가 완료됐을 수 있음)
+const RECONCILE_CANCELLED_HOURS = 24;
+
+// 대조 대상 상태
+const RECONCILE_STATUSES = ["pending", "created", "failed"];
+// 실행되지 않은 결제 (만료 대상)
+const UNEXECUTED_STATUSES = ["pending", "created"];
+
+// 토스페이 payStatus → Payment.status (진행 중 상태는 그대로 둠)
+const TOSS_STATUS_MAP = {
+  PAY_COMPLETE: "completed",
+  SETTLEMENT_COMPLETE: "completed",
+  PAY_CANCEL: "cancelled",
+  REFUND_SUCCESS: "refunded",
+  SETTLEMENT_REFUND_COMPLETE: "refunded",
+};
+
+// 아직 결제되지 않은 토스페이 상태 (PAYMENT_EXPIRE_MINUTES가 지나면 만료 처리)
+const UNPAID_TOSS_STATUSES = ["PAY_STANDBY", "PAY_APPROVED", "PAY_PROGRESS"];
+
+const EXPIRED_PAYMENT = {
+  errorCode: "PAYMENT_EXPIRED",
+  errorMessage: "결제가 완료되지 않은 채 만료되었습니다.",
+};
+
+const DUPLICATE_REFUND_REASON = "같은 광고 신청의 중복 결제 자동 환불";
+
+// 전액 환불 결과를 판단하는 토스페이 상태 (부분 환불은 결제 상태만으로 알 수 없음)
+const REFUNDED_TOSS_STATUSES = ["REFUND_SUCCESS", "SETTLEMENT_REFUND_COMPLETE"];
+const PAID_TOSS_STATUSES = ["PAY_COMPLETE", "SETTLEMENT_COMPLETE"];
+
+/**
+ * 토스페이 결제 상태를 조회합니다.
+ * @returns {Promise<{tossStatus: string|null, tossFields: Object}>}
+ */
+async function fetchTossStatus(payment) {
+  const response = await getPaymentStatus(
+    payment.userKey,
+    { payToken: payment.payToken, orderNo: payment.orderNo },
+    { timeoutMs: RECONCILE_TOSS_TIMEOUT_MS }
+  );
+
+  const result = response.success || response;
+  return {
+    tossStatus: result.payStatus || result.status || null,
+    tossFields: {
+      transactionId: result.transactionId || payment.transactionId,
+      approvalTime: parseTossDateTime(result.approvalTime || result.paidTs) || payment.approvalTime,
+      payMethod: result.payMethod || payment.payMethod,
+    },
+  };
+}
+
+/**
+ * 토스 응답을 받지 못해 처리 중(pending)으로 남은 환불을 토스페이 결제 상태로 확정합니다.
+ * 전액 환불만 자동으로 확정하고, 부분 환불은 확인이 필요한 건으로 한 번만 errors에 남깁니다. (flaggedAt 기록)
+ * deadline이 지나면 남은 환불은 다음 실행에서 대조합니다.
+ * @returns {Promise<number>} 대조한 환불 수
+ */
+async function reconcilePendingRefunds(now, deadline, mismatches, errors) {
+  const refunds = await prisma.paymentRefund.findMany({
+    where: {
+      status: "pending",
+      createdAt: {
+        lt: new Date(now.getTime() - RECONCILE_STALE_MINUTES * 60 * 1000),
+        gte: new Date(now.getTime() - RECONCILE_LOOKBACK_DAYS * 24 * 60 * 60 * 1000),
+      },
+      // 이미 알린 부분 환불은 제외 (매 실행마다 같은 알림이 가지 않도록)
+      OR: [{ isFullRefund: true }, { flaggedAt: null }],
+    },
+    include: { payment: true },
+    orderBy: { createdAt: "asc" },
+    take: RECONCILE_BATCH_SIZE,
+  });
+
+  let checked = 0;
+  for (const refund of refunds) {
+    if (Date.now() > deadline) {
+      break;
+    }
+    checked += 1;
+
+    const { payment } = refund;
+    if (!refund.isFullRefund) {
+      await prisma.paymentRefund.update({ where: { id: refund.id }, data: { flaggedAt: now } });
+      errors.push({
+        paymentId: payment.id,
+        orderNo: payment.orderNo,
+        message: `처리 중인 부분 환불 ${refund.amount}원은 토스페이 결제 상태로 확인할 수 없습니다. 가맹점 관리자에서 확인해주세요. (환불 ID: ${refund.id})`,
+      });
+      continue;
+    }
+
+    let tossStatus;
+    try {
+      ({ tossStatus } = await fetchTossStatus(payment));
+    } catch (error) {
+      errors.push({
+        paymentId: payment.id,
+        orderNo: payment.orderNo,
+        message: error.response?.success?.msg || error.message || "결제 상태 조회 실패",
+      });
+      continue;
+    }
+
+    let to = null;
+    if (REFUNDED_TOSS_STATUSES.includes(tossStatus)) {
+      await completeRefund(payment, refund, now);
+      to = "refund_completed";
+    } else if (PAID_TOSS_STATUSES.includes(tossStatus)) {
+      await failRefund(payment, refund, {
+        errorCode: "REFUND_NOT_APPLIED",
+        errorMessage: "토스페이에 환불이 반영되지 않았습니다.",
+      });
+      to = "refund_failed";
+    }
+
+    if (to) {
+      mismatches.push({
+        paymentId: payment.id,
+        orderNo: payment.orderNo,
+        from: "refund_pending",
+        to,
+        tossStatus,
+        amount: refund.amount,
+        adRequestId: payment.adRequestId,
+      });
+    }
+  }
+
+  return checked;
+}
+
+/**
+ * 완료로 바로잡은 광고 결제 외에 같은 광고 신청의 다른 결제가 이미 완료됐으면 바로잡은 결제를 전액 환불합니다.
+ * (실행 실패로 알고 사용자가 다시 결제한 경우) 환불이 실패하거나 결과를 알 수 없으면 errors에 남깁니다.
+ */
+async function refundDuplicateAdPayment(payment, tossStatus, mismatches, errors) {
+  if (!payment.adRequestId) {
+    return;
+  }
+  if (!(await hasPaidAdPayment(prisma, payment.adRequestId, { excludePaymentId: payment.id }))) {
+    return;
+  }
+
+  try {
+    await refundPaymentById(payment.id, { reason: DUPLICATE_REFUND_REASON, timeoutMs: RECONCILE_TOSS_TIMEOUT_MS });
+    mismatches.push({
+      paymentId: payment.id,
+      orderNo: payment.orderNo,
+      from: "completed",
+      to: "refunded",
+      tossStatus,
+      amount: payment.amount,
+      adRequestId: payment.adRequestId,
+      note: "중복 결제 자동 환불",
+    });
+  } catch (error) {
+    errors.push({
+      paymentId: payment.id,
+      orderNo: payment.orderNo,
+      message:
+        error.status === 504
+          ? "중복 결제 환불 결과를 확인하지 못했습니다. 다음 결제 대조에서 확정합니다."
+          : `같은 광고 신청에 완료된 결제가 있어 중복 결제 환불이 필요합니다. (${error.message})`,
+    });
+  }
+}
+
+/**
+ * 토스페이 상태에 맞게 결제를 고칩니다.
+ * @param {Object} [failure] - failed로 바꿀 때 남길 { errorCode, errorMessage }
+ * @returns {Promise<boolean>} 광고 신청 상태를 바꿨는지 여부 (노출 캐시 갱신용)
+ */
+async function applyTossStatus(payment, status, tossFields, now, failure = {}) {
+  return prisma.$transaction(async (tx) => {
+    const data = { ...tossFields, ...failure, status, reconciledAt: now };
+    if (status === "completed") {
+      data.errorCode = null;
+      data.errorMessage = null;
+    }
+    if (status === "cancelled") {
+      data.cancelledAt = now;
+    }
+    if (status === "refunded") {
+      data.refundedAmount = payment.amount;
+      data.refundedAt = now;
+    }
+
+    const updated = await tx.payment.update({ where: { id: payment.id }, data });
+
+    if (status === "completed") {
+      return markAdRequestPaid(tx, updated);
+    }
+    if (status === "refunded") {
+      return cancelRefundedAdRequest(tx, updated);
+    }
+    return false;
+  });
+}
+
+/**
+ * 오래된 미완료/실패 결제와 최근 취소한 결제를 토스페이 결제 상태와 대조합니다. (스케줄러에서 실행)
+ * - 토스페이 결제 토큰이 없는 결제(결제 생성 실패)는 failed로 정리
+ * - 토스페이 상태가 완료/취소/환불이면 DB 상태를 맞추고, 완료된 광고 결제는 광고 신청을 심사 대기(paid)로 변경
+ * - 완료로 바로잡은 광고 결제는 같은 광고 신청에 이미 완료된 다른 결제가 있으면 중복 결제로 보고 전액 환불
+ * - 실행되지 않은 결제가 PAYMENT_EXPIRE_MINUTES가 지나도록 미결제 상태이거나 토스에서 조회되지 않으면 failed(만료)로 정리
+ * - 대조 기간(RECONCILE_LOOKBACK_DAYS)이 지난 미실행 결제는 조회 없이 만료
+ * - 처리 중으로 남은 전액 환불은 토스페이 상태가 환불이면 완료, 결제 완료 그대로면 실패로 확정
+ * - RECONCILE_TIME_BUDGET_MS가 지나면 새 토스페이 요청을 시작하지 않고 남은 결제는 다음 실행에서 대조
+ * @param {Date} [now]
+ * @returns {Promise<{checked: number, fixed: number, expired: number, mismatches: Array<Object>, errors: Array<Object>}>}
+ */
+async function reconcilePayments(now = new Date()) {
+  const lookbackFrom = new Date(now.getTime() - RECONCILE_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+  const payments = await prisma.payment.findMany({
+    where: {
+      createdAt: { lt: new Date(now.getTime() - RECONCILE_STALE_MINUTES * 60 * 1000) },
+      OR: [
+        {
+          status: { in: RECONCILE_STATUSES },
+          createdAt: { gte: lookbackFrom },
+          // 토큰 없는 failed는 이미 정리된 결제
+          NOT: { status: "failed", payToken: null },
+        },
+        {
+          status: "cancelled",
+          payToken: { not: null },
+          cancelledAt: { gte: new Date(now.getTime() - RECONCILE_CANCELLED_HOURS * 60 * 60 * 1000) },
+        },
+      ],
+    },
+    // 아직 대조하지 않은 결제부터
+    orderBy: [{ reconciledAt: { sort: "asc", nulls: "first" } }, { createdAt: "asc" }],
+    take: RECONCILE_BATCH_SIZE,
+  });
+
+  const deadline = Date.now() + RECONCILE_TIME_BUDGET_MS;
+  const mismatches = [];
+  const errors = [];
+  let adRequestsChanged = false;
+  let checked = 0;
+
+  for (const payment of payments) {
+    if (Date.now() > deadline) {
+      break;
+    }
+    checked += 1;
+
+    const expirable =
+      UNEXECUTED_STATUSES.includes(payment.status) &&
+      now.getTime() - payment.createdAt.getTime() > PAYMENT_EXPIRE_MINUTES * 60 * 1000;
+
+    if (!payment.payToken) {
+      await prisma.payment.update({
+        where: { id: payment.id },
+        data: {
+          status: "failed",
+          errorCode: payment.errorCode || "NO_PAY_TOKEN",
+          errorMessage: payment.errorMessage || "토스페이 결제 토큰 없이 중단된 결제",
+          reconciledAt: now,
+        },
+      });
+      mismatches.push({ paymentId: payment.id, orderNo: payment.orderNo, from: payment.status, to: "failed", tossStatus: null });
+      continue;
+    }
+
+    let tossStatus;
+    let tossFields;
+    try {
+      ({ tossStatus, tossFields } = await fetchTossStatus(payment));
+    } catch (error) {
+      // 토스가 결제를 찾지 못하는 등 실패 응답을 보낸 만료 대상 결제는 만료 처리
+      if (expirable && isTossErrorResponse(error)) {
+        await applyTossStatus(payment, "failed", {}, now, EXPIRED_PAYMENT);
+        mismatches.push({
+          paymentId: payment.id,
+          orderNo: payment.orderNo,
+          from: payment.status,
+          to: "failed",
+          tossStatus: error.response?.success?.errorCode || error.response?.errorCode || null,
+        });
+        continue;
+      }
+
+      // 조회 실패한 결제가 매번 먼저 대조되어 다른 결제를 밀어내지 않도록 시도 일시 기록
+      await prisma.payment.update({ where: { id: payment.id }, data: { reconciledAt: now } });
+      errors.push({
+        paymentId: payment.id,
+        orderNo: payment.orderNo,
+        message: error.response?.success?.msg || error.message || "결제 상태 조회 실패",
+      });
+      continue;
+    }
+
+    let expected = TOSS_STATUS_MAP[tossStatus];
+    let failure;
+    if (!expected && expirable && UNPAID_TOSS_STATUSES.includes(tossStatus)) {
+      expected = "failed";
+      failure = EXPIRED_PAYMENT;
+    }
+
+    if (!expected || expected === payment.status) {
+      await prisma.payment.update({
+        where: { id: payment.id },
+        data: { ...tossFields, reconciledAt: now },
+      });
+      continue;
+    }
+
+    const changed = await applyTossStatus(payment, expected, tossFields, now, failure);
+    adRequestsChanged = adRequestsChanged || changed;
+    mismatches.push({
+      paymentId: payment.id,
+      orderNo: payment.orderNo,
+      from: payment.status,
+      to: expected,
+      tossStatus,
+      amount: payment.amount,
+      adRequestId: payment.adRequestId,
+    });
+
+    if (expected === "completed") {
+      await refundDuplicateAdPayment(payment, tossStatus, mismatches, errors);
+    }
+  }
+
+  if (adRequestsChanged) {
+    invalidateSponsoredStores();
+  }
+
+  // 대조 기간이 지나도록 실행되지 않은 결제는 만료
+  const { count: expired } = await prisma.payment.updateMany({
+    where: { status: { in: UNEXECUTED_STATUSES }, createdAt: { lt: lookbackFrom } },
+    data: { ...EXPIRED_PAYMENT, status: "failed", reconciledAt: now },
+  });
+
+  const refundsChecked = await reconcilePendingRefunds(now, deadline, mismatches, errors);
+
+  return {
+    checked: checked + refundsChecked,
+    fixed: mismatches.length,
+    expired,
+    mismatches,
+    errors,
+  };
+}
+
+module.exports = {
+  RECONCILE_STALE_MINUTES,
+  reconcilePayments,
+};
@@ -0,0 +1,270 @@
+const { prisma } = require("./prisma");
+const { refundPayment, isTossErrorResponse } = require("./tossPayment");
+const { cancelRefundedAdRequest } = require("./adPayments");
+const { invalidateSponsoredStores } = require("./sponsoredPlacement");
+
+/**
+ * 결제 환불/취소 서비스
+ * 완료된 결제를 토스페이 환불 API로 전액 또는 부분 환불하고, 환불마다 PaymentRefund를 남깁니다.
+ * 전액 환불되면 결제로 얻은 권한(광고 신청)을 취소하고, 실행 전 결제는 사용자가 취소할 수 있습니다.
+ */
+
+// 환불할 수 있는 결제 상태
+const REFUNDABLE_STATUSES = ["completed", "partially_refunded"];
+
+// 사용자가 취소할 수 있는 결제 상태 (토스페이 실행 전)
+const CANCELLABLE_STATUSES = ["pending", "created"];
+
+/**
+ * 상태 코드가 있는 에러 (라우트에서 응답 코드로 사용)
+ */
+function createRefundError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * 이번 환불의 비과세 금액 (결제 비과세 비율대로, 마지막 환불은 남은 비과세 금액 전부)
+ */
+async function computeRefundTaxFree(payment, refundAmount, isFullRefund) {
+  if (!payment.amountTaxFree) {
+    return 0;
+  }
+
+  const { _sum } = await prisma.paymentRefund.aggregate({
+    where: { paymentId: payment.id, status: "completed" },
+    _sum: { amountTaxFree: true },
+  });
+  const remainingTaxFree = payment.amountTaxFree - (_sum.amountTaxFree || 0);
+
+  if (isFullRefund) {
+    return remainingTaxFree;
+  }
+  return Math.min(Math.floor((payment.amountTaxFree * refundAmount) / payment.amount), remainingTaxFree);
+}
+
+/**
+ * 처리 중(pending)인 환불을 완료하고 결제 상태를 바꿉니다. (전액 환불이면 광고 신청 취소)
+ * @param {Object} payment - 환불 전 Payment
+ * @param {Object} refund - 처리 중인 PaymentRefund
+ * @param {Date} [now]
+ * @returns {Promise<{payment: Object, refund: Object, adRequestCancelled: boolean}>}
+ */
+async function completeRefund(payment, refund, now = new Date()) {
+  const result = await prisma.$transaction(async (tx) => {
+    const completedRefund = await tx.paymentRefund.update({
+      where: { id: refund.id },
+      data: { status: "completed", completedAt: now },
+    });
+    const updatedPayment = await tx.payment.update({
+      where: { id: payment.id },
+      data: {
+        status: refund.isFullRefund ? "refunded" : "partially_refunded",
+        refundedAt: now,
+      },
+    });
+    // 전액 환불되면 결제로 얻은 광고 신청을 취소 (부분 환불은 보상 성격으로 유지)
+    const adRequestCancelled = refund.isFullRefund ? await cancelRefundedAdRequest(tx, updatedPayment) : false;
+
+    return { payment: updatedPayment, refund: completedRefund, adRequestCancelled };
+  });
+
+  if (result.adRequestCancelled) {
+    invalidateSponsoredStores();
+  }
+
+  return result;
+}
+
+/**
+ * 처리 중(pending)인 환불을 실패로 바꾸고 선반영한 환불 금액을 되돌립니다.
+ * @param {Object} payment - Payment
+ * @param {Object} refund - 처리 중인 PaymentRefund
+ * @param {{errorCode: string, errorMessage: string}} failure
+ */
+async function failRefund(payment, refund, { errorCode, errorMessage }) {
+  await prisma.$transaction([
+    prisma.paymentRefund.update({
+      where: { id: refund.id },
+      data: { status: "failed", errorCode, errorMessage },
+    }),
+    prisma.payment.update({
+      where: { id: payment.id },
+      data: { refundedAmount: { decrement: refund.amount }, errorCode, errorMessage },
+    }),
+  ]);
+}
+
+/**
+ * 결제를 환불합니다. (amount를 생략하면 남은 금액 전액)
+ * 토스 요청 전에 환불 금액을 refundedAmount에 먼저 반영해 동시에 들어온 환불이 결제 금액을 넘지 않게 하고,
+ * 토스가 실패 응답을 보내면 되돌립니다. 결과를 알 수 없는 오류(타임아웃, 네트워크)는 환불을 처리 중(pending)으로 두고
+ * 결제 대조(paymentReconciliation)에서 토스 결제 상태로 확정합니다.
+ * @param {string} paymentId - 결제 ID
+ * @param {Object} options
+ * @param {number} [options.amount] - 환불 금액 (원)
+ * @param {string} options.reason - 환불 사유
+ * @param {string} [options.requestedBy] - 요청한 관리자 ID
+ * @param {number} [options.timeoutMs] - 토스 환불 응답 대기 시간 (ms, 지나면 504)
+ * @returns {Promise<{payment: Object, refund: Object, adRequestCancelled: boolean}>}
+ * @throws 결제가 없으면 404, 환불할 수 없는 상태/금액이면 400, 동시 환불이면 409, 토스 환불 실패 시 502,
+ *   결과를 알 수 없으면 504
+ */
+async function refundPaymentById(paymentId, { amount, reason, requestedBy, timeoutMs }) {
+  if (!reason || !String(reason).trim()) {
+    throw createRefundError(400, "환불 사유를 입력해주세요.");
+  }
+
+  const payment = await prisma.payment.findUnique({ where: { id: paymentId } });
+  if (!payment) {
+    throw createRefundError(404, "결제 정보를 찾을 수 없습니다.");
+  }
+  if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+    throw createRefundError(400, "완료된 결제만 환불할 수 있습니다.");
+  }
+
+  const remaining = payment.amount - payment.refundedAmount;
+  const refundAmount = amount === undefined || amount === null ? remaining : amount;
+  if (!Number.isInteger(refundAmount) || refundAmount <= 0 || refundAmount > remaining) {
+    throw createRefundError(400, `환불 금액은 1원 이상 ${remaining}원 이하의 정수여야 합니다.`);
+  }
+
+  const isFullRefund = refundAmount === remaining;
+  const amountTaxFree = await computeRefundTaxFree(payment, refundAmount, isFullRefund);
+
+  // 환불 금액 선반영 (다른 환불이 먼저 반영했으면 409)
+  const refund = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.payment.updateMany({
+      where: {
+        id: payment.id,
+        status: { in: REFUNDABLE_STATUSES },
+        refundedAmount: payment.refundedAmount,
+      },
+      data: { refundedAmount: { increment: refundAmount } },
+    });
+    if (count === 0) {
+      throw createRefundError(409, "같은 결제에 대한 다른 환불이 처리 중입니다. 잠시 후 다시 시도해주세요.");
+    }
+
+    return tx.paymentRefund.create({
+      data: {
+        paymentId: payment.id,
+        amount: refundAmount,
+        amountTaxFree,
+        reason: String(reason).trim(),
+        isFullRefund,
+        requestedBy: requestedBy || null,
+      },
+    });
+  });
+
+  try {
+    await refundPayment(
+      payment.userKey,
+      {
+        payToken: payment.payToken,
+        amount: refundAmount,
+        amountTaxFree,
+        reason: refund.reason,
+      },
+      { timeoutMs }
+    );
+  } catch (error) {
+    console.error("토스페이 환불 실패:", error);
+
+    // 토스가 실패 응답을 보낸 경우만 실패 처리 (타임아웃/네트워크 오류는 환불됐을 수 있음)
+    if (!isTossErrorResponse(error)) {
+      throw createRefundError(504, "환불 결과를 확인하지 못했습니다. 결제 대조에서 토스페이 상태를 확인한 뒤 반영됩니다.");
+    }
+
+    const errorCode = error.response?.success?.errorCode || error.response?.errorCode || "REFUND_FAILED";
+    const errorMessage = error.response?.success?.msg || error.message || "환불 실패";
+    await failRefund(payment, refund, { errorCode, errorMessage });
+
+    throw createRefundError(502, errorMessage);
+  }
+
+  return completeRefund(payment, refund);
+}
+
+/**
+ * 광고 신청의 완료된 결제를 전액 환불합니다. (심사 거절 시)
+ * 토스 환불이 실패하면 결제는 그대로 두고 실패 결과를 반환합니다. (결과를 알 수 없으면 pending: true, 결제 대조에서 확정)
+ * @param {string} adRequestId - 광고 신청 ID
+ * @param {string} [reason] - 환불 사유
+ * @param {string} [requestedBy] - 거절한 관리자 ID
+ * @returns {Promise<{paymentId: string, refunded: boolean, pending?: boolean, amount: number, error?: string}|null>}
+ *   환불할 결제가 없으면 null
+ */
+async function refundAdRequestPayment(adRequestId, reason = "광고 심사 거절", requestedBy) {
+  const payment = await prisma.payment.findFirst({
+    where: { adRequestId, status: { in: REFUNDABLE_STATUSES } },
+    orderBy: { createdAt: "desc" },
+  });
+
+  if (!payment) {
+    return null;
+  }
+
+  const amount = payment.amount - payment.refundedAmount;
+  try {
+    await refundPaymentById(payment.id, { reason, requestedBy });
+    return { paymentId: payment.id, refunded: true, amount };
+  } catch (error) {
+    if (error.status === 504) {
+      return { paymentId: payment.id, refunded: false, pending: true, amount, error: error.message };
+    }
+    if (error.status) {
+      return { paymentId: payment.id, refunded: false, amount, error: error.message };
+    }
+    throw error;
+  }
+}
+
+/**
+ * 토스페이 실행 전 결제를 사용자가 취소합니다.
+ * @param {string} paymentId - 결제 ID
+ * @param {string} userKey - 요청한 사용자의 토스 userKey
+ * @returns {Promise<Object>} 취소된 결제
+ * @throws 결제가 없으면 404, 본인 결제가 아니면 403, 이미 실행/종료된 결제면 400
+ */
+async function cancelPayment(paymentId, userKey) {
+  const payment = await prisma.payment.findUnique({ where: { id: paymentId } });
+  if (!payment) {
+    throw createRefundError(404, "결제 정보를 찾을 수 없습니다.");
+  }
+  if (payment.userKey !== userKey) {
+    throw createRefundError(403, "권한이 없습니다.");
+  }
+
+  const { count } = await prisma.payment.updateMany({
+    where: { id: payment.id, status: { in: CANCELLABLE_STATUSES } },
+    data: { status: "cancelled", cancelledAt: new Date() },
+  });
+  if (count === 0) {
+    throw createRefundError(400, "결제 실행 전인 결제만 취소할 수 있습니다. 완료된 결제는 환불을 요청해주세요.");
+  }
+
+  return prisma.payment.findUnique({ where: { id: payment.id } });
+}
+
+/**
+ * 결제의 환불 내역 (최신순)
+ */
+async function listPaymentRefunds(paymentId) {
+  return prisma.paymentRefund.findMany({
+    where: { paymentId },
+    orderBy: { createdAt: "desc" },
+  });
+}
+
+module.exports = {
+  REFUNDABLE_STATUSES,
+  refundPaymentById,
+  completeRefund,
+  failRefund,
+  refundAdRequestPayment,
+  cancelPayment,
+  listPaymentRefunds,
+};
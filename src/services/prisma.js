@@ -1,10 +1,53 @@
 const { PrismaClient } = require("../generated/prisma");
+const { withWgs84Coordinates } = require("../utils/coordinates");
+const { withStoreAttributeColumns } = require("../utils/storeAttributes");
+const { withRegionColumns } = require("../utils/regions");
 
 // Prisma 클라이언트 인스턴스 생성
-const prisma = new PrismaClient({
+const basePrisma = new PrismaClient({
   // log: process.env.NODE_ENV === 'development' ? ['query', 'info', 'warn', 'error'] : ['error'],
 });
 
+/**
+ * GameBusiness 쓰기 데이터에 파생 컬럼을 채웁니다.
+ * - TM 좌표가 바뀌면 위도/경도(latitude, longitude)
+ * - 총게임기수/시설면적/청소년실 정보가 바뀌면 필터용 컬럼(gameCount, facilityArea, hasYouthRoom)
+ * - 주소가 바뀌면 지역 컬럼(sido, sigungu, dong)
+ */
+function withDerivedColumns(data) {
+  return withRegionColumns(withStoreAttributeColumns(withWgs84Coordinates(data)));
+}
+
+const prisma = basePrisma.$extends({
+  query: {
+    gameBusiness: {
+      async create({ args, query }) {
+        args.data = withDerivedColumns(args.data);
+        return query(args);
+      },
+      async createMany({ args, query }) {
+        args.data = Array.isArray(args.data)
+          ? args.data.map(withDerivedColumns)
+          : withDerivedColumns(args.data);
+        return query(args);
+      },
+      async update({ args, query }) {
+        args.data = withDerivedColumns(args.data);
+        return query(args);
+      },
+      async updateMany({ args, query }) {
+        args.data = withDerivedColumns(args.data);
+        return query(args);
+      },
+      async upsert({ args, query }) {
+        args.create = withDerivedColumns(args.create);
+        args.update = withDerivedColumns(args.update);
+        return query(args);
+      },
+    },
+  },
+});
+
 // 프로세스 종료 시 Prisma 연결 정리
 process.on("beforeExit", async () => {
   await prisma.$disconnect();
@@ -0,0 +1,169 @@
+const { prisma } = require("./prisma");
+const { SUSPECTED_CLOSED_SQL } = require("./storeLocator");
+const { SIDO_REGIONS, buildRegionCode } = require("../utils/regions");
+
+/**
+ * 행정구역별 매장 집계 서비스
+ * 영업 중인 매장을 시도 > 시군구 > 읍면동 트리로 묶어 매장 수, 리뷰 수, 평균 별점을 계산합니다.
+ * 집계 결과는 메모리에 캐시하고 일정 시간이 지나면 다시 계산합니다.
+ */
+
+const STATS_TTL_MS = 10 * 60 * 1000; // 10분
+
+const REGION_SORTERS = {
+  name: (a, b) => a.name.localeCompare(b.name, "ko"),
+  stores: (a, b) => b.storeCount - a.storeCount,
+  rating: (a, b) => b.averageRating - a.averageRating || b.reviewCount - a.reviewCount,
+  reviews: (a, b) => b.reviewCount - a.reviewCount,
+};
+
+let statsCache = null; // { rows, builtAt }
+let buildPromise = null;
+
+/**
+ * 시도/시군구/읍면동 단위 집계 행을 조회합니다.
+ */
+async function loadRegionRows() {
+  const rows = await prisma.$queryRaw`
+    SELECT
+      g.sido,
+      g.sigungu,
+      g.dong,
+      COUNT(*)::int AS "storeCount",
+      COALESCE(SUM(r."reviewCount"), 0)::int AS "reviewCount",
+      COALESCE(SUM(r."ratingSum"), 0)::int AS "ratingSum"
+    FROM game_businesses g
+    LEFT JOIN (
+      SELECT rv."storeId", COUNT(*) AS "reviewCount", SUM(rv.rating) AS "ratingSum"
+      FROM reviews rv
+      GROUP BY rv."storeId"
+    ) r ON r."storeId" = g.id
+    WHERE g."영업상태명" = '영업/정상'
+      AND g.sido IS NOT NULL
+      ${SUSPECTED_CLOSED_SQL}
+    GROUP BY g.sido, g.sigungu, g.dong
+  `;
+
+  return rows.map((row) => ({
+    sido: row.sido,
+    sigungu: row.sigungu,
+    dong: row.dong,
+    storeCount: Number(row.storeCount),
+    reviewCount: Number(row.reviewCount),
+    ratingSum: Number(row.ratingSum),
+  }));
+}
+
+/**
+ * 캐시된 집계 행을 반환합니다. (만료 시 다시 조회, 동시 요청은 같은 조회를 공유)
+ */
+async function getRegionRows() {
+  if (statsCache && Date.now() - statsCache.builtAt < STATS_TTL_MS) {
+    return statsCache.rows;
+  }
+
+  if (!buildPromise) {
+    buildPromise = loadRegionRows()
+      .then((rows) => {
+        statsCache = { rows, builtAt: Date.now() };
+        return rows;
+      })
+      .finally(() => {
+        buildPromise = null;
+      });
+  }
+
+  return buildPromise;
+}
+
+function createNode(level, region, name) {
+  return {
+    code: buildRegionCode(region),
+    name,
+    level,
+    storeCount: 0,
+    reviewCount: 0,
+    ratingSum: 0,
+    children: new Map(),
+  };
+}
+
+function addCounts(node, row) {
+  node.storeCount += row.storeCount;
+  node.reviewCount += row.reviewCount;
+  node.ratingSum += row.ratingSum;
+}
+
+/**
+ * 내부 노드를 응답 형태로 바꿉니다. (평균 별점은 리뷰 수 가중 평균)
+ */
+function toResponseNode(node, { depth, sortBy }) {
+  const { ratingSum, children, ...rest } = node;
+  const result = {
+    ...rest,
+    averageRating:
+      node.reviewCount > 0 ? Math.round((ratingSum / node.reviewCount) * 10) / 10 : 0,
+  };
+
+  if (depth > 1 && children.size > 0) {
+    result.children = [...children.values()]
+      .map((child) => toResponseNode(child, { depth: depth - 1, sortBy }))
+      .sort(REGION_SORTERS[sortBy] || REGION_SORTERS.name);
+  }
+
+  return result;
+}
+
+/**
+ * 행정구역 트리를 반환합니다.
+ * 시군구가 없는 지역(세종시)은 읍면동이 시도 바로 아래에 놓입니다.
+ * @param {Object} [options]
+ * @param {number} [options.depth=2] - 1: 시도, 2: 시군구까지, 3: 읍면동까지
+ * @param {string} [options.sortBy="name"] - 하위 지역 정렬: name | stores | rating | reviews
+ * @returns {Promise<Array>} 시도 노드 목록 (name 정렬이면 SIDO_REGIONS 순서)
+ */
+async function getRegionTree({ depth = 2, sortBy = "name" } = {}) {
+  const rows = await getRegionRows();
+
+  const sidoNodes = new Map(
+    SIDO_REGIONS.map((region) => [
+      region.name,
+      createNode("sido", { sido: region.name }, region.name),
+    ])
+  );
+
+  for (const row of rows) {
+    const sidoNode = sidoNodes.get(row.sido);
+    if (!sidoNode) {
+      continue;
+    }
+    addCounts(sidoNode, row);
+
+    let parent = sidoNode;
+    if (row.sigungu) {
+      if (!parent.children.has(row.sigungu)) {
+        parent.children.set(
+          row.sigungu,
+          createNode("sigungu", { sido: row.sido, sigungu: row.sigungu }, row.sigungu)
+        );
+      }
+      parent = parent.children.get(row.sigungu);
+      addCounts(parent, row);
+    }
+
+    if (row.dong) {
+      if (!parent.children.has(row.dong)) {
+        parent.children.set(row.dong, createNode("dong", row, row.dong));
+      }
+      addCounts(parent.children.get(row.dong), row);
+    }
+  }
+
+  const tree = [...sidoNodes.values()].map((node) => toResponseNode(node, { depth, sortBy }));
+  return sortBy === "name" ? tree : tree.sort(REGION_SORTERS[sortBy]);
+}
+
+module.exports = {
+  REGION_SORTERS,
+  getRegionTree,
+};
@@ -0,0 +1,81 @@
+const { prisma } = require("./prisma");
+
+/**
+ * 리뷰 블라인드 처리 서비스
+ * 매장 리뷰는 목록의 첫 번째 리뷰만 공개하고, 광고 시청으로 해금(UserUnlockedStoreReview)한
+ * 사용자에게만 나머지 리뷰를 보여줍니다.
+ * 리뷰를 응답에 담는 모든 라우트는 이 모듈을 통해 같은 규칙을 적용합니다.
+ */
+
+const BLINDED_REVIEW_MESSAGE = "광고를 시청하면 후기를 볼 수 있어요";
+
+// 해금 없이 공개되는 리뷰 수 (목록 앞에서부터)
+const FREE_REVIEW_COUNT = 1;
+
+/**
+ * 사용자가 해당 매장의 리뷰를 해금했는지 확인합니다.
+ * @param {string|undefined} userId - 로그인하지 않았으면 undefined
+ * @param {number} storeId
+ */
+async function isStoreReviewUnlocked(userId, storeId) {
+  if (!userId) {
+    return false;
+  }
+
+  const unlockRecord = await prisma.userUnlockedStoreReview.findUnique({
+    where: {
+      unique_user_store_review_unlock: {
+        userId,
+        storeId,
+      },
+    },
+  });
+
+  return !!unlockRecord;
+}
+
+/**
+ * 리뷰 응답 포맷 (해금 여부에 따라 블라인드 처리)
+ * @param {Object} review - user(id, nickname, avatar)를 포함한 리뷰
+ * @param {Object} options
+ * @param {number} options.position - 전체 목록에서의 위치 (0부터, 페이지 offset 포함)
+ * @param {boolean} options.isUnlocked - 해금 여부
+ * @param {string} [options.viewerId] - 조회하는 사용자 ID
+ */
+function formatStoreReview(review, { position, isUnlocked, viewerId }) {
+  const baseReview = {
+    id: review.id,
+    rating: review.rating,
+    content: review.content,
+    images: review.images,
+    tags: review.tags,
+    dollCount: review.dollCount,
+    spentAmount: review.spentAmount,
+    dollImages: review.dollImages,
+    userName: review.user ? review.user.nickname : review.userName,
+    userAvatar: review.user?.avatar,
+    isOwner: !!viewerId && review.userId === viewerId,
+    createdAt: review.createdAt,
+    updatedAt: review.updatedAt,
+    isBlinded: false,
+  };
+
+  if (!isUnlocked && position >= FREE_REVIEW_COUNT) {
+    return {
+      ...baseReview,
+      content: BLINDED_REVIEW_MESSAGE,
+      images: [],
+      tags: [],
+      dollImages: [],
+      isBlinded: true,
+    };
+  }
+
+  return baseReview;
+}
+
+module.exports = {
+  BLINDED_REVIEW_MESSAGE,
+  isStoreReviewUnlocked,
+  formatStoreReview,
+};
@@ -279,7 +279,123 @@ async function sendDailyReport() {
   }
 }
 
+/**
+ * LOCALDATA 가져오기 실행 결과 전송
+ * @param {Object} summary - importLocaldataFile 실행 요약
+ * @param {Error} [error] - 실행 실패 시 에러
+ * @returns {Promise<boolean>} 전송 성공 여부
+ */
+async function sendLocaldataImportReport(summary, error) {
+  if (error) {
+    return sendSchedulerSlackMessage({
+      text: `⚠️ LOCALDATA 매장 데이터 가져오기 실패`,
+      username: "DollCatcher Data Importer",
+      icon_emoji: ":warning:",
+      attachments: [
+        {
+          color: "danger",
+          title: "오류 정보",
+          text: `${error.message}`,
+          footer: "DollCatcher Backend Scheduler",
+          ts: Math.floor(Date.now() / 1000)
+        }
+      ]
+    });
+  }
+
+  return sendSchedulerSlackMessage({
+    text: `🗂️ LOCALDATA 매장 데이터 가져오기 완료 (${summary.fileName})`,
+    username: "DollCatcher Data Importer",
+    icon_emoji: ":card_index_dividers:",
+    attachments: [
+      {
+        color: summary.failed > 0 ? "warning" : "#36a64f",
+        fields: [
+          { title: "모드", value: summary.mode === "full" ? "전체" : `증분 (${summary.since || "최초"} 이후)`, short: true },
+          { title: "전체 행", value: `${summary.totalRows.toLocaleString()}건`, short: true },
+          { title: "신규", value: `${summary.inserted}건`, short: true },
+          { title: "갱신", value: `${summary.updated}건`, short: true },
+          { title: "폐업", value: `${summary.closed}건`, short: true },
+          { title: "삭제", value: `${summary.deleted}건`, short: true },
+          { title: "실패", value: `${summary.failed}건`, short: true },
+          { title: "기준 갱신일자", value: summary.lastDataUpdatedAt || "N/A", short: true }
+        ],
+        footer: "DollCatcher Backend Scheduler",
+        ts: Math.floor(Date.now() / 1000)
+      }
+    ]
+  });
+}
+
+/**
+ * 결제 대조 결과를 슬랙으로 전송 (고친 결제나 조회 실패가 있을 때만)
+ * @param {Object|null} summary - reconcilePayments 결과
+ * @param {Error} [error] - 실행 실패 시 오류
+ * @returns {Promise<boolean>} 전송 성공 여부
+ */
+async function sendPaymentReconciliationReport(summary, error) {
+  if (error) {
+    return sendSchedulerSlackMessage({
+      text: `⚠️ 결제 대조 실패`,
+      username: "DollCatcher Payment Reconciler",
+      icon_emoji: ":warning:",
+      attachments: [
+        {
+          color: "danger",
+          title: "오류 정보",
+          text: `${error.message}`,
+          footer: "DollCatcher Backend Scheduler",
+          ts: Math.floor(Date.now() / 1000)
+        }
+      ]
+    });
+  }
+
+  if (summary.mismatches.length === 0 && summary.errors.length === 0 && !summary.expired) {
+    return true;
+  }
+
+  const attachments = [];
+  if (summary.expired > 0) {
+    attachments.push({
+      color: "#808080",
+      title: `대조 기간이 지나 만료 처리한 미실행 결제 ${summary.expired}건`
+    });
+  }
+  if (summary.mismatches.length > 0) {
+    attachments.push({
+      color: "warning",
+      title: `토스페이 상태와 달라 수정한 결제 ${summary.mismatches.length}건`,
+      text: summary.mismatches.slice(0, 20).map(item =>
+        `• \`${item.orderNo}\` ${item.from} → ${item.to}` +
+        (item.tossStatus ? ` (토스: ${item.tossStatus})` : ' (결제 토큰 없음)') +
+        (item.adRequestId ? ` 광고 신청 \`${item.adRequestId}\`` : '') +
+        (item.note ? ` - ${item.note}` : '')
+      ).join('\n') + (summary.mismatches.length > 20 ? `\n외 ${summary.mismatches.length - 20}건` : '')
+    });
+  }
+  if (summary.errors.length > 0) {
+    attachments.push({
+      color: "danger",
+      title: `조회 실패 또는 확인이 필요한 결제 ${summary.errors.length}건`,
+      text: summary.errors.slice(0, 20).map(item => `• \`${item.orderNo}\` ${item.message}`).join('\n')
+    });
+  }
+  attachments[attachments.length - 1].footer = `대조한 결제 ${summary.checked}건 · DollCatcher Backend Scheduler`;
+  attachments[attachments.length - 1].ts = Math.floor(Date.now() / 1000);
+
+  return sendSchedulerSlackMessage({
+    text: `💳 결제 대조 결과: 불일치 ${summary.mismatches.length}건, 조회 실패/확인 필요 ${summary.errors.length}건` +
+      (summary.expired ? `, 만료 ${summary.expired}건` : ''),
+    username: "DollCatcher Payment Reconciler",
+    icon_emoji: ":credit_card:",
+    attachments
+  });
+}
+
 module.exports = {
   sendSchedulerSlackMessage,
-  sendDailyReport
+  sendDailyReport,
+  sendLocaldataImportReport,
+  sendPaymentReconciliationReport
 };
\ No newline at end of file
@@ -0,0 +1,144 @@
+const { prisma } = require("./prisma");
+const { buildRegionCode } = require("../utils/regions");
+
+/**
+ * 스폰서(광고) 매장 노출 서비스
+ * 승인되고 광고 기간 중인 AdRequest의 매장을 매장 목록에서 상단 고정(pin) 또는 순위 상향(boost)합니다.
+ * 목록이 광고로만 채워지지 않도록 시군구별로 노출할 광고 매장 수를 제한합니다.
+ */
+
+const ACTIVE_ADS_TTL_MS = 60 * 1000; // 1분
+
+const SPONSORED_LABEL = "광고";
+
+const PLACEMENT_CONFIG = {
+  // pin: 광고 매장을 목록 맨 앞 슬롯에 고정, boost: 원래 순위에서 boostPositions만큼 올림
+  mode: process.env.SPONSORED_PLACEMENT_MODE === "boost" ? "boost" : "pin",
+  pinSlots: parseInt(process.env.SPONSORED_PIN_SLOTS) || 3,
+  boostPositions: parseInt(process.env.SPONSORED_BOOST_POSITIONS) || 5,
+  regionCap: parseInt(process.env.SPONSORED_REGION_CAP) || 2,
+};
+
+let activeAdsCache = null; // { ads, loadedAt }
+let loadPromise = null;
+
+/**
+ * 승인되었고 현재 광고 기간인 광고를 매장 ID별로 조회합니다.
+ * 한 매장에 광고가 여러 건이면 가장 먼저 끝나는 광고를 사용합니다.
+ */
+async function loadActiveSponsoredStores() {
+  const now = new Date();
+  const ads = await prisma.adRequest.findMany({
+    where: {
+      status: "approved",
+      storeId: { not: null },
+      startDate: { lte: now },
+      endDate: { gte: now },
+    },
+    select: { id: true, storeId: true, startDate: true, endDate: true, placement: true },
+    orderBy: { endDate: "asc" },
+  });
+
+  const sponsoredStores = new Map();
+  for (const ad of ads) {
+    if (!sponsoredStores.has(ad.storeId)) {
+      sponsoredStores.set(ad.storeId, {
+        adId: ad.id,
+        placement: ad.placement,
+        startDate: ad.startDate,
+        endDate: ad.endDate,
+      });
+    }
+  }
+  return sponsoredStores;
+}
+
+/**
+ * 광고 중인 매장 목록을 반환합니다. (캐시 만료 시 다시 조회, 동시 요청은 같은 조회를 공유)
+ * @returns {Promise<Map<number, {adId: string, placement: string|null, startDate: Date, endDate: Date}>>}
+ */
+async function getActiveSponsoredStores() {
+  if (activeAdsCache && Date.now() - activeAdsCache.loadedAt < ACTIVE_ADS_TTL_MS) {
+    return activeAdsCache.ads;
+  }
+
+  if (!loadPromise) {
+    loadPromise = loadActiveSponsoredStores()
+      .then((ads) => {
+        activeAdsCache = { ads, loadedAt: Date.now() };
+        return ads;
+      })
+      .finally(() => {
+        loadPromise = null;
+      });
+  }
+
+  return loadPromise;
+}
+
+/**
+ * 광고 승인/거절 등으로 활성 광고가 바뀌었을 때 캐시를 비웁니다.
+ */
+function invalidateSponsoredStores() {
+  activeAdsCache = null;
+}
+
+/**
+ * 광고 노출 제한에 쓰는 지역 키 (시군구, 없으면 시도)
+ */
+function getRegionKey(store) {
+  if (!store.sido) {
+    return "unknown";
+  }
+  return buildRegionCode({ sido: store.sido, sigungu: store.sigungu }) || store.sido;
+}
+
+/**
+ * 매장 목록에 광고 매장 노출을 적용합니다.
+ * 원래 순서가 앞선 광고 매장부터 시군구별 regionCap개까지만 광고로 노출하고,
+ * 제한을 넘은 광고 매장은 일반 매장과 같은 순위로 둡니다.
+ * 노출 방식은 광고 상품의 placement를 따르고(없으면 mode), 고정 슬롯이 찬 pin 광고는 boost로 노출합니다.
+ * @param {Array<{store: Object}>} results - storeLocator 조회 결과 (정렬된 상태)
+ * @param {Map<number, Object>} sponsoredStores - getActiveSponsoredStores 결과
+ * @param {Object} [options] - PLACEMENT_CONFIG 덮어쓰기
+ * @returns {Array<Object>} sponsored(광고 정보 또는 null)가 추가된 새 목록
+ */
+function applySponsoredPlacement(results, sponsoredStores, options = {}) {
+  const { mode, pinSlots, boostPositions, regionCap } = { ...PLACEMENT_CONFIG, ...options };
+  const regionCounts = new Map();
+  let pinnedCount = 0;
+
+  const marked = results.map((result, index) => {
+    const ad = sponsoredStores.get(result.store.id);
+    if (!ad) {
+      return { ...result, sponsored: null, rank: index };
+    }
+
+    const regionKey = getRegionKey(result.store);
+    const regionCount = regionCounts.get(regionKey) || 0;
+    if (regionCount >= regionCap) {
+      return { ...result, sponsored: null, rank: index };
+    }
+
+    regionCounts.set(regionKey, regionCount + 1);
+    const pinned = (ad.placement || mode) === "pin" && pinnedCount < pinSlots;
+    if (pinned) {
+      pinnedCount++;
+    }
+    // pin은 맨 앞으로, boost는 boostPositions만큼 위로 (같은 순위면 광고 매장이 앞)
+    const rank = pinned ? -results.length + index : index - boostPositions - 0.5;
+    return { ...result, sponsored: ad, rank };
+  });
+
+  return marked
+    .sort((a, b) => a.rank - b.rank)
+    .map(({ rank, ...result }) => result);
+}
+
+module.exports = {
+  SPONSORED_LABEL,
+  PLACEMENT_CONFIG,
+  getActiveSponsoredStores,
+  invalidateSponsoredStores,
+  applySponsoredPlacement,
+};
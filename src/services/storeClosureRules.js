@@ -0,0 +1,144 @@
+const { prisma } = require("./prisma");
+const { buildStoreUpdate } = require("./storeCorrections");
+const { invalidateStoreSearchIndex } = require("./storeSearchIndex");
+const { TRACKED_SELECT, recordStoreChange } = require("./storeStatusHistory");
+
+/**
+ * 폐업 의심 매장 규칙 서비스
+ * 일정 기간 안에 서로 다른 사용자 N명이 같은 매장을 폐업으로 제보하면 suspectedClosed 플래그를 세웁니다.
+ * 플래그가 선 매장은 목록/자동완성에서 후순위로 밀리거나 숨겨지며(storeLocator의 SUSPECTED_CLOSED_MODE),
+ * 관리자가 폐업 확정 또는 플래그 해제로 처리합니다.
+ */
+
+const CLOSED_REPORT_THRESHOLD = parseInt(process.env.CLOSED_REPORT_THRESHOLD) || 3;
+const CLOSED_REPORT_WINDOW_DAYS = parseInt(process.env.CLOSED_REPORT_WINDOW_DAYS) || 30;
+
+/**
+ * 기간 내 처리 대기 중인 폐업 제보의 서로 다른 제보자 수를 셉니다.
+ */
+async function countRecentClosedReporters(storeId) {
+  const since = new Date(Date.now() - CLOSED_REPORT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  const reporters = await prisma.storeCorrectionReport.findMany({
+    where: {
+      storeId,
+      reason: "closed",
+      status: "pending",
+      createdAt: { gte: since },
+    },
+    distinct: ["userId"],
+    select: { userId: true },
+  });
+
+  return reporters.length;
+}
+
+/**
+ * 매장의 폐업 제보를 평가해 기준을 넘으면 폐업 의심 플래그를 세웁니다.
+ * 폐업 정정 제보가 등록될 때마다 호출합니다.
+ * @returns {Promise<{flagged: boolean, reporterCount: number}>}
+ */
+async function evaluateClosedReports(storeId) {
+  const store = await prisma.gameBusiness.findUnique({
+    where: { id: storeId },
+    select: { id: true, 영업상태명: true, suspectedClosed: true },
+  });
+
+  if (!store || store.suspectedClosed || store.영업상태명 !== "영업/정상") {
+    return { flagged: false, reporterCount: 0 };
+  }
+
+  const reporterCount = await countRecentClosedReporters(storeId);
+  if (reporterCount < CLOSED_REPORT_THRESHOLD) {
+    return { flagged: false, reporterCount };
+  }
+
+  await prisma.gameBusiness.update({
+    where: { id: storeId },
+    data: {
+      suspectedClosed: true,
+      suspectedClosedAt: new Date(),
+    },
+  });
+  invalidateStoreSearchIndex();
+
+  return { flagged: true, reporterCount };
+}
+
+/**
+ * 폐업 의심 매장을 폐업으로 확정합니다.
+ * 영업상태명을 폐업으로 바꾸고 대기 중인 폐업 제보를 반영 처리합니다.
+ */
+async function confirmSuspectedClosure(storeId, { adminNote } = {}) {
+  const result = await prisma.$transaction(async (tx) => {
+    const before = await tx.gameBusiness.findUnique({
+      where: { id: storeId },
+      select: TRACKED_SELECT,
+    });
+
+    const store = await tx.gameBusiness.update({
+      where: { id: storeId },
+      data: buildStoreUpdate({ reason: "closed" }),
+    });
+
+    await recordStoreChange(tx, {
+      before,
+      after: store,
+      source: "closure_review",
+      note: adminNote,
+    });
+
+    const { count } = await tx.storeCorrectionReport.updateMany({
+      where: { storeId, reason: "closed", status: "pending" },
+      data: {
+        status: "applied",
+        resolvedAt: new Date(),
+        ...(adminNote ? { adminNote } : {}),
+      },
+    });
+
+    return { store, resolvedReports: count };
+  });
+
+  invalidateStoreSearchIndex();
+  return result;
+}
+
+/**
+ * 폐업 의심 플래그를 해제합니다. (영업 중 확인)
+ * 대기 중인 폐업 제보는 반려 처리해 같은 제보로 다시 플래그가 서지 않도록 합니다.
+ */
+async function clearSuspectedClosure(storeId, { adminNote } = {}) {
+  const result = await prisma.$transaction(async (tx) => {
+    const store = await tx.gameBusiness.update({
+      where: { id: storeId },
+      data: {
+        suspectedClosed: false,
+        suspectedClosedAt: null,
+      },
+    });
+
+    const { count } = await tx.storeCorrectionReport.updateMany({
+      where: { storeId, reason: "closed", status: "pending" },
+      data: {
+        status: "rejected",
+        resolvedAt: new Date(),
+        ...(adminNote ? { adminNote } : {}),
+      },
+    });
+
+    return { store, resolvedReports: count };
+  });
+
+  invalidateStoreSearchIndex();
+  return result;
+}
+
+module.exports = {
+  CLOSED_REPORT_THRESHOLD,
+  CLOSED_REPORT_WINDOW_DAYS,
+  countRecentClosedReporters,
+  evaluateClosedReports,
+  confirmSuspectedClosure,
+  clearSuspectedClosure,
+};
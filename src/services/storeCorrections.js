@@ -0,0 +1,246 @@
+const { prisma } = require("./prisma");
+const { wgs84ToTm } = require("../utils/coordinates");
+const { isWithinKorea } = require("../utils/regions");
+const { invalidateStoreSearchIndex } = require("./storeSearchIndex");
+const { recordStoreChange } = require("./storeStatusHistory");
+
+/**
+ * 매장 정보 정정 제보 서비스
+ * 기존 매장(GameBusiness)에 대한 폐업/위치/상호/전화번호 정정 제보를 검증하고,
+ * 관리자가 승인하면 제안 값을 매장 레코드에 반영합니다.
+ */
+
+const CORRECTION_REASONS = ["closed", "wrong_location", "wrong_name", "wrong_phone"];
+
+const MAX_CORRECTION_PHOTOS = 5;
+
+/**
+ * 상태 코드가 있는 에러 (라우트에서 응답 코드로 사용)
+ */
+function createCorrectionError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function trimOrNull(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const trimmed = String(value).trim();
+  return trimmed || null;
+}
+
+function parseCoordinate(value) {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+  const number = parseFloat(value);
+  return isFinite(number) ? number : NaN;
+}
+
+/**
+ * 정정 제보 요청 본문을 검증하고 저장할 값으로 변환합니다.
+ * @returns {{data: Object}|{error: string}}
+ */
+function parseCorrectionInput(body) {
+  const { reason, description, photos = [] } = body;
+
+  if (!CORRECTION_REASONS.includes(reason)) {
+    return {
+      error: `유효하지 않은 정정 사유입니다. (${CORRECTION_REASONS.join(", ")} 중 선택)`,
+    };
+  }
+
+  if (!Array.isArray(photos) || photos.some((url) => typeof url !== "string")) {
+    return { error: "photos는 이미지 URL 배열이어야 합니다." };
+  }
+  if (photos.length > MAX_CORRECTION_PHOTOS) {
+    return { error: `증빙 사진은 최대 ${MAX_CORRECTION_PHOTOS}장까지 첨부할 수 있습니다.` };
+  }
+
+  const proposedLatitude = parseCoordinate(body.proposedLatitude);
+  const proposedLongitude = parseCoordinate(body.proposedLongitude);
+  if (Number.isNaN(proposedLatitude) || Number.isNaN(proposedLongitude)) {
+    return { error: "제안 좌표가 올바르지 않습니다." };
+  }
+  if ((proposedLatitude === null) !== (proposedLongitude === null)) {
+    return { error: "제안 좌표는 위도와 경도를 함께 입력해야 합니다." };
+  }
+  if (proposedLatitude !== null && !isWithinKorea(proposedLatitude, proposedLongitude)) {
+    return { error: "제안 좌표가 국내 범위를 벗어났습니다." };
+  }
+
+  return {
+    data: {
+      reason,
+      description: trimOrNull(description),
+      photos,
+      proposedName: trimOrNull(body.proposedName),
+      proposedAddress: trimOrNull(body.proposedAddress),
+      proposedPhone: trimOrNull(body.proposedPhone),
+      proposedLatitude,
+      proposedLongitude,
+    },
+  };
+}
+
+/**
+ * 오늘 날짜 (YYYY-MM-DD, 한국 시간)
+ */
+function getTodayDateString() {
+  return new Date().toLocaleDateString("sv-SE", { timeZone: "Asia/Seoul" });
+}
+
+/**
+ * 정정 사유와 제안 값으로 매장 업데이트 데이터를 만듭니다.
+ * @param {Object} correction - 정정 제보 (관리자가 수정한 값이 덮어써진 상태)
+ * @returns {Object} GameBusiness update data (반영할 값이 없으면 빈 객체)
+ */
+function buildStoreUpdate(correction) {
+  switch (correction.reason) {
+    case "closed":
+      return {
+        영업상태명: "폐업",
+        상세영업상태명: "폐업",
+        폐업일자: getTodayDateString(),
+        suspectedClosed: false,
+      };
+
+    case "wrong_location": {
+      const data = {};
+      if (correction.proposedAddress) {
+        data.도로명전체주소 = correction.proposedAddress;
+      }
+      if (correction.proposedLatitude != null && correction.proposedLongitude != null) {
+        const tm = wgs84ToTm(correction.proposedLatitude, correction.proposedLongitude);
+        if (tm) {
+          data.좌표정보x = String(tm.x);
+          data.좌표정보y = String(tm.y);
+          data.latitude = correction.proposedLatitude;
+          data.longitude = correction.proposedLongitude;
+        }
+      }
+      return data;
+    }
+
+    case "wrong_name":
+      return correction.proposedName ? { 사업장명: correction.proposedName } : {};
+
+    case "wrong_phone":
+      return correction.proposedPhone ? { 소재지전화: correction.proposedPhone } : {};
+
+    default:
+      return {};
+  }
+}
+
+/**
+ * 정정 제보를 매장에 반영합니다.
+ * @param {string} reportId - 정정 제보 ID
+ * @param {Object} [options]
+ * @param {Object} [options.overrides] - 관리자가 수정한 제안 값 (proposedName 등)
+ * @param {string} [options.adminNote] - 관리자 메모
+ * @returns {Promise<{report: Object, store: Object}>}
+ */
+async function applyStoreCorrection(reportId, { overrides = {}, adminNote } = {}) {
+  const result = await prisma.$transaction(async (tx) => {
+    const report = await tx.storeCorrectionReport.findUnique({
+      where: { id: reportId },
+      include: { store: true },
+    });
+
+    if (!report) {
+      throw createCorrectionError(404, "정정 제보를 찾을 수 없습니다.");
+    }
+    if (report.status !== "pending") {
+      throw createCorrectionError(400, "이미 처리된 정정 제보입니다.");
+    }
+
+    const { data: overrideValues, error } = parseCorrectionInput({
+      ...report,
+      ...overrides,
+      reason: report.reason,
+      photos: report.photos,
+    });
+    if (error) {
+      throw createCorrectionError(400, error);
+    }
+
+    const storeData = buildStoreUpdate(overrideValues);
+    if (Object.keys(storeData).length === 0) {
+      throw createCorrectionError(400, "반영할 제안 값이 없습니다.");
+    }
+
+    // 변경 전 값 보관
+    const previousValues = {};
+    for (const field of Object.keys(storeData)) {
+      previousValues[field] = report.store[field] ?? null;
+    }
+
+    const store = await tx.gameBusiness.update({
+      where: { id: report.storeId },
+      data: storeData,
+    });
+
+    await recordStoreChange(tx, {
+      before: report.store,
+      after: store,
+      source: "correction",
+      note: `정정 제보 ${report.id} (${report.reason})`,
+    });
+
+    const updatedReport = await tx.storeCorrectionReport.update({
+      where: { id: reportId },
+      data: {
+        status: "applied",
+        proposedName: overrideValues.proposedName,
+        proposedAddress: overrideValues.proposedAddress,
+        proposedPhone: overrideValues.proposedPhone,
+        proposedLatitude: overrideValues.proposedLatitude,
+        proposedLongitude: overrideValues.proposedLongitude,
+        previousValues,
+        adminNote: adminNote ?? report.adminNote,
+        resolvedAt: new Date(),
+      },
+    });
+
+    return { report: updatedReport, store };
+  });
+
+  invalidateStoreSearchIndex();
+  return result;
+}
+
+/**
+ * 정정 제보를 반려합니다.
+ */
+async function rejectStoreCorrection(reportId, { adminNote } = {}) {
+  const report = await prisma.storeCorrectionReport.findUnique({
+    where: { id: reportId },
+  });
+
+  if (!report) {
+    throw createCorrectionError(404, "정정 제보를 찾을 수 없습니다.");
+  }
+  if (report.status !== "pending") {
+    throw createCorrectionError(400, "이미 처리된 정정 제보입니다.");
+  }
+
+  return prisma.storeCorrectionReport.update({
+    where: { id: reportId },
+    data: {
+      status: "rejected",
+      adminNote: adminNote ?? report.adminNote,
+      resolvedAt: new Date(),
+    },
+  });
+}
+
+module.exports = {
+  CORRECTION_REASONS,
+  parseCorrectionInput,
+  buildStoreUpdate,
+  applyStoreCorrection,
+  rejectStoreCorrection,
+};
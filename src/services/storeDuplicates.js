@@ -0,0 +1,183 @@
+const { prisma } = require("./prisma");
+const { getBoundingBox } = require("./storeLocator");
+const { getStoreCoordinates, haversineKm } = require("../utils/coordinates");
+const { getNameSimilarity, normalizeSearchText } = require("../utils/hangul");
+
+/**
+ * 매장 제보 중복 탐지 서비스
+ * 신규 매장 제보를 기존 매장(GameBusiness)과 처리 대기 중인 다른 제보와 비교해
+ * 매장명 유사도와 거리로 중복 의심 후보를 찾습니다.
+ */
+
+const NEARBY_RADIUS_M = 300; // 좌표 비교 범위
+const SAME_SPOT_DISTANCE_M = 30; // 이 거리 안이면 매장명이 달라도 후보
+const NEARBY_MIN_SIMILARITY = 0.6; // 범위 내 매장명 유사도 기준
+const NAME_ONLY_MIN_SIMILARITY = 0.85; // 좌표가 없을 때 매장명 유사도 기준
+const MAX_CANDIDATES = 5;
+const CANDIDATE_SCAN_LIMIT = 500;
+
+/**
+ * 후보 점수: 매장명 유사도와 거리(가까울수록 높음)를 합산
+ */
+function scoreCandidate(similarity, distance) {
+  const distanceScore = distance === null ? 0 : 1 - Math.min(distance, NEARBY_RADIUS_M) / NEARBY_RADIUS_M;
+  return Math.round((similarity * 0.7 + distanceScore * 0.3) * 100) / 100;
+}
+
+/**
+ * 매장명/거리 기준으로 후보 여부를 판단하고 후보 정보를 만듭니다.
+ * @returns {Object|null}
+ */
+function toCandidate({ type, id, name, address, lat, lng }, submitted) {
+  const similarity = getNameSimilarity(submitted.storeName, name);
+  const addressMatch =
+    !!submitted.address &&
+    !!address &&
+    normalizeSearchText(submitted.address) === normalizeSearchText(address);
+
+  let distance = null;
+  if (submitted.hasLocation && lat != null && lng != null) {
+    distance = Math.round(haversineKm(submitted.latitude, submitted.longitude, lat, lng) * 1000);
+  }
+
+  const isCandidate =
+    distance !== null
+      ? distance <= SAME_SPOT_DISTANCE_M ||
+        (distance <= NEARBY_RADIUS_M && similarity >= NEARBY_MIN_SIMILARITY)
+      : similarity >= NAME_ONLY_MIN_SIMILARITY || (addressMatch && similarity >= NEARBY_MIN_SIMILARITY);
+
+  if (!isCandidate) {
+    return null;
+  }
+
+  return {
+    type,
+    id,
+    name,
+    address,
+    distance, // m
+    similarity: Math.round(similarity * 100) / 100,
+    addressMatch,
+    score: scoreCandidate(similarity, distance),
+  };
+}
+
+/**
+ * 제보와 중복일 수 있는 기존 매장/제보를 찾습니다.
+ * @param {Object} report
+ * @param {string} report.storeName - 제보 매장명
+ * @param {string} report.address - 제보 주소
+ * @param {number|null} [report.latitude] - 제보 위도
+ * @param {number|null} [report.longitude] - 제보 경도
+ * @param {string} [report.excludeReportId] - 비교에서 제외할 제보 ID (자기 자신)
+ * @returns {Promise<Array<{type: "store"|"report", id: number|string, name: string, address: string,
+ *   distance: number|null, similarity: number, addressMatch: boolean, score: number}>>}
+ */
+async function findDuplicateCandidates({ storeName, address, latitude, longitude, excludeReportId }) {
+  const submitted = {
+    storeName,
+    address,
+    latitude,
+    longitude,
+    hasLocation: Number.isFinite(latitude) && Number.isFinite(longitude),
+  };
+
+  // 좌표가 있으면 주변 매장/제보, 없으면 매장명 첫 단어나 주소가 같은 매장과 대기 중인 제보 전체
+  let storeWhere;
+  let reportWhere = { status: "pending" };
+
+  if (submitted.hasLocation) {
+    const { minLat, maxLat, minLng, maxLng } = getBoundingBox(latitude, longitude, NEARBY_RADIUS_M);
+    storeWhere = {
+      latitude: { gte: minLat, lte: maxLat },
+      longitude: { gte: minLng, lte: maxLng },
+    };
+    reportWhere = {
+      ...reportWhere,
+      latitude: { gte: minLat, lte: maxLat },
+      longitude: { gte: minLng, lte: maxLng },
+    };
+  } else {
+    const keyword = storeName.trim().split(/\s+/)[0];
+    storeWhere = {
+      OR: [
+        { 사업장명: { contains: keyword, mode: "insensitive" } },
+        ...(address ? [{ 도로명전체주소: address }, { 소재지전체주소: address }] : []),
+      ],
+    };
+  }
+
+  if (excludeReportId) {
+    reportWhere.id = { not: excludeReportId };
+  }
+
+  const [stores, reports] = await Promise.all([
+    prisma.gameBusiness.findMany({
+      where: {
+        영업상태명: { notIn: ["폐업", "삭제"] },
+        ...storeWhere,
+      },
+      select: {
+        id: true,
+        사업장명: true,
+        도로명전체주소: true,
+        소재지전체주소: true,
+        좌표정보x: true,
+        좌표정보y: true,
+        latitude: true,
+        longitude: true,
+        coordinateStatus: true,
+      },
+      take: CANDIDATE_SCAN_LIMIT,
+    }),
+    prisma.storeReport.findMany({
+      where: reportWhere,
+      select: {
+        id: true,
+        storeName: true,
+        address: true,
+        latitude: true,
+        longitude: true,
+      },
+      orderBy: { createdAt: "desc" },
+      take: CANDIDATE_SCAN_LIMIT,
+    }),
+  ]);
+
+  const candidates = [
+    ...stores.map((store) => {
+      const coords = getStoreCoordinates(store);
+      return toCandidate(
+        {
+          type: "store",
+          id: store.id,
+          name: store.사업장명,
+          address: store.도로명전체주소 || store.소재지전체주소,
+          lat: coords.lat,
+          lng: coords.lng,
+        },
+        submitted
+      );
+    }),
+    ...reports.map((report) =>
+      toCandidate(
+        {
+          type: "report",
+          id: report.id,
+          name: report.storeName,
+          address: report.address,
+          lat: report.latitude,
+          lng: report.longitude,
+        },
+        submitted
+      )
+    ),
+  ].filter(Boolean);
+
+  candidates.sort((a, b) => b.score - a.score);
+  return candidates.slice(0, MAX_CANDIDATES);
+}
+
+module.exports = {
+  findDuplicateCandidates,
+};
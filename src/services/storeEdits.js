@@ -0,0 +1,131 @@
+const { prisma } = require("./prisma");
+const { buildStoreUpdate } = require("./storeCorrections");
+const { invalidateStoreSearchIndex } = require("./storeSearchIndex");
+const { TRACKED_SELECT, recordStoreChange } = require("./storeStatusHistory");
+
+/**
+ * 관리자 매장 정보 수정 서비스
+ * 매장명/주소/전화번호/위치/영업상태를 직접 수정하고 변경 내용을 상태 이력에 남깁니다.
+ */
+
+const STORE_STATUSES = ["영업/정상", "휴업", "폐업"];
+
+/**
+ * 상태 코드가 있는 에러 (라우트에서 응답 코드로 사용)
+ */
+function createEditError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * 영업상태 변경 데이터
+ */
+function buildStatusUpdate(status) {
+  switch (status) {
+    case "영업/정상":
+      return { 영업상태명: "영업/정상", 상세영업상태명: "영업", 폐업일자: null, suspectedClosed: false };
+    case "휴업":
+      return { 영업상태명: "휴업", 상세영업상태명: "휴업" };
+    case "폐업":
+      return buildStoreUpdate({ reason: "closed" });
+    default:
+      return {};
+  }
+}
+
+/**
+ * 관리자 수정 요청 본문을 GameBusiness update data로 변환합니다.
+ * 정정 제보 반영과 같은 규칙(buildStoreUpdate)으로 매장명/주소/전화번호/위치를 바꿉니다.
+ * @param {Object} body - { name, address, phone, latitude, longitude, status }
+ * @returns {{data: Object}|{error: string}}
+ */
+function parseStoreEdit(body) {
+  const { name, address, phone, latitude, longitude, status } = body;
+
+  if (status !== undefined && !STORE_STATUSES.includes(status)) {
+    return { error: `유효하지 않은 영업상태입니다. (${STORE_STATUSES.join(", ")} 중 선택)` };
+  }
+
+  const hasLatitude = latitude !== undefined && latitude !== null && latitude !== "";
+  const hasLongitude = longitude !== undefined && longitude !== null && longitude !== "";
+  if (hasLatitude !== hasLongitude) {
+    return { error: "위도와 경도를 함께 입력해야 합니다." };
+  }
+
+  const data = {
+    ...buildStoreUpdate({ reason: "wrong_name", proposedName: name?.trim() }),
+    ...buildStoreUpdate({ reason: "wrong_phone", proposedPhone: phone?.trim() }),
+    ...buildStoreUpdate({
+      reason: "wrong_location",
+      proposedAddress: address?.trim(),
+      proposedLatitude: hasLatitude ? parseFloat(latitude) : null,
+      proposedLongitude: hasLongitude ? parseFloat(longitude) : null,
+    }),
+    ...(status !== undefined ? buildStatusUpdate(status) : {}),
+  };
+
+  if (hasLatitude && data.latitude === undefined) {
+    return { error: "좌표가 올바르지 않거나 국내 범위를 벗어났습니다." };
+  }
+  if (Object.keys(data).length === 0) {
+    return { error: "수정할 값이 없습니다." };
+  }
+
+  return { data };
+}
+
+/**
+ * 관리자가 매장 정보를 수정합니다. (수정과 이력 기록을 하나의 트랜잭션으로 처리)
+ * @param {number} storeId - 매장 ID
+ * @param {Object} body - parseStoreEdit 입력
+ * @param {Object} [options]
+ * @param {string} [options.changedBy] - 관리자 ID
+ * @param {string} [options.note] - 변경 사유
+ * @returns {Promise<{store: Object, history: Object|null, notified: number}>}
+ */
+async function updateStoreByAdmin(storeId, body, { changedBy, note } = {}) {
+  const { data, error } = parseStoreEdit(body);
+  if (error) {
+    throw createEditError(400, error);
+  }
+
+  const result = await prisma.$transaction(async (tx) => {
+    const before = await tx.gameBusiness.findUnique({
+      where: { id: storeId },
+      select: TRACKED_SELECT,
+    });
+    if (!before) {
+      throw createEditError(404, "매장을 찾을 수 없습니다.");
+    }
+
+    const store = await tx.gameBusiness.update({
+      where: { id: storeId },
+      data,
+    });
+
+    const change = await recordStoreChange(tx, {
+      before,
+      after: store,
+      source: "admin",
+      changedBy,
+      note,
+    });
+
+    return {
+      store,
+      history: change?.history || null,
+      notified: change?.notified || 0,
+    };
+  });
+
+  invalidateStoreSearchIndex();
+  return result;
+}
+
+module.exports = {
+  STORE_STATUSES,
+  parseStoreEdit,
+  updateStoreByAdmin,
+};
@@ -0,0 +1,120 @@
+const { prisma } = require("./prisma");
+const { SUSPECTED_CLOSED_MODE } = require("./storeLocator");
+const { normalizeStoreAttributes } = require("../utils/storeAttributes");
+
+/**
+ * 매장 데이터 내보내기 서비스
+ * 영업 중이고 좌표가 있는 매장을 id 커서로 나눠 읽어 GeoJSON Feature로 변환합니다.
+ * 전체 테이블을 메모리에 올리지 않도록 배치 단위로 조회합니다.
+ */
+
+const EXPORT_BATCH_SIZE = 500;
+
+/**
+ * 내보내기 조회 조건을 만듭니다.
+ * @param {Object} [options]
+ * @param {{minLat: number, minLng: number, maxLat: number, maxLng: number}} [options.bbox]
+ * @param {{sido: string, sigungu: string|null, dong: string|null}} [options.region] - parseRegionCode 결과
+ */
+function buildExportWhere({ bbox, region } = {}) {
+  const where = {
+    영업상태명: "영업/정상",
+    latitude: bbox ? { gte: bbox.minLat, lte: bbox.maxLat } : { not: null },
+    longitude: bbox ? { gte: bbox.minLng, lte: bbox.maxLng } : { not: null },
+  };
+
+  if (SUSPECTED_CLOSED_MODE === "hide") {
+    where.suspectedClosed = false;
+  }
+
+  if (region) {
+    where.sido = region.sido;
+    if (region.sigungu) where.sigungu = region.sigungu;
+    if (region.dong) where.dong = region.dong;
+  }
+
+  return where;
+}
+
+/**
+ * 매장 레코드를 GeoJSON Feature로 변환합니다.
+ * @param {Object} store - GameBusiness 레코드
+ * @param {{averageRating: number, reviewCount: number}} stats - 리뷰 집계
+ */
+function toStoreFeature(store, stats) {
+  const attributes = normalizeStoreAttributes(store);
+
+  return {
+    type: "Feature",
+    id: store.id,
+    geometry: {
+      type: "Point",
+      coordinates: [store.longitude, store.latitude],
+    },
+    properties: {
+      id: store.id,
+      name: store.사업장명,
+      roadAddress: store.도로명전체주소,
+      jibunAddress: store.소재지전체주소,
+      phone: store.소재지전화,
+      status: store.영업상태명,
+      sido: store.sido,
+      sigungu: store.sigungu,
+      dong: store.dong,
+      suspectedClosed: store.suspectedClosed,
+      ...attributes,
+      averageRating: Math.round(stats.averageRating * 10) / 10,
+      reviewCount: stats.reviewCount,
+      updatedAt: store.updatedAt,
+    },
+  };
+}
+
+/**
+ * 조건에 맞는 매장을 GeoJSON Feature로 하나씩 내보냅니다. (id 오름차순)
+ * @param {Object} [options] - buildExportWhere 옵션 + batchSize
+ * @returns {AsyncGenerator<Object>}
+ */
+async function* iterateStoreFeatures({ bbox, region, batchSize = EXPORT_BATCH_SIZE } = {}) {
+  const where = buildExportWhere({ bbox, region });
+  let cursor = 0;
+
+  while (true) {
+    const stores = await prisma.gameBusiness.findMany({
+      where: { ...where, id: { gt: cursor } },
+      orderBy: { id: "asc" },
+      take: batchSize,
+    });
+
+    if (stores.length === 0) {
+      return;
+    }
+
+    const reviewStats = await prisma.review.groupBy({
+      by: ["storeId"],
+      where: { storeId: { in: stores.map((store) => store.id) } },
+      _avg: { rating: true },
+      _count: { _all: true },
+    });
+    const statsMap = new Map(
+      reviewStats.map((stat) => [
+        stat.storeId,
+        { averageRating: stat._avg.rating || 0, reviewCount: stat._count._all },
+      ])
+    );
+
+    for (const store of stores) {
+      yield toStoreFeature(store, statsMap.get(store.id) || { averageRating: 0, reviewCount: 0 });
+    }
+
+    if (stores.length < batchSize) {
+      return;
+    }
+    cursor = stores[stores.length - 1].id;
+  }
+}
+
+module.exports = {
+  EXPORT_BATCH_SIZE,
+  iterateStoreFeatures,
+};
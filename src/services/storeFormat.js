@@ -0,0 +1,41 @@
+const { getStoreCoordinates } = require("../utils/coordinates");
+const { normalizeStoreAttributes } = require("../utils/storeAttributes");
+
+/**
+ * 목록용 매장 응답 포맷
+ * @param {Object} result - storeLocator 조회 결과 ({ store, distance, averageRating, reviewCount })
+ *                          광고 노출이 적용된 경우 sponsored 포함
+ */
+function formatStoreSummary({ store, distance, averageRating, reviewCount, sponsored }) {
+  const coords = getStoreCoordinates(store);
+  const attributes = normalizeStoreAttributes(store);
+
+  return {
+    id: store.id,
+    name: store.사업장명,
+    address: store.도로명전체주소 || store.소재지전체주소,
+    phone: store.소재지전화,
+    lat: coords.lat,
+    lng: coords.lng,
+    distance: distance != null ? Math.round(distance / 100) / 10 : null, // km, 소수점 첫째 자리
+    status: store.영업상태명,
+    category: store.업태구분명,
+    gameCount: attributes.gameCount,
+    area: store.sigungu || "",
+    region: {
+      sido: store.sido,
+      sigungu: store.sigungu,
+      dong: store.dong,
+    },
+    averageRating: Math.round(averageRating * 10) / 10,
+    reviewCount,
+    suspectedClosed: store.suspectedClosed,
+    isSponsored: Boolean(sponsored),
+    adRequestId: sponsored ? sponsored.adId : null, // 광고 이벤트 수집(POST /api/ad-events)용
+    attributes,
+  };
+}
+
+module.exports = {
+  formatStoreSummary,
+};
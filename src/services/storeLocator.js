@@ -0,0 +1,326 @@
+const { Prisma } = require("../generated/prisma");
+const { prisma } = require("./prisma");
+
+/**
+ * 위치 기반 매장 조회 서비스
+ * 미리 계산된 latitude/longitude 컬럼으로 DB에서 반경 검색, 정렬, 개수 제한을 처리합니다.
+ */
+
+const EARTH_RADIUS_M = 6371000;
+const METERS_PER_DEGREE_LAT = 111320;
+const CLUSTER_CELL_PX = 60; // 클러스터 격자 한 칸의 화면 크기 (px)
+
+// 폐업 의심 매장 노출 방식: downrank(기본, 목록 뒤로) | hide(목록에서 제외)
+const SUSPECTED_CLOSED_MODE =
+  process.env.SUSPECTED_CLOSED_MODE === "hide" ? "hide" : "downrank";
+
+// 정렬 옵션 (허용된 값만 SQL로 변환, 폐업 의심 매장은 항상 뒤로)
+const ORDER_BY = {
+  distance: Prisma.sql`n."suspectedClosed" ASC, n.distance ASC`,
+  rating: Prisma.sql`n."suspectedClosed" ASC, "averageRating" DESC, "reviewCount" DESC, n.distance ASC`,
+  reviews: Prisma.sql`n."suspectedClosed" ASC, "reviewCount" DESC, n.distance ASC`,
+};
+
+// 폐업 의심 매장 숨김 조건 (SUSPECTED_CLOSED_MODE=hide일 때)
+const SUSPECTED_CLOSED_SQL =
+  SUSPECTED_CLOSED_MODE === "hide"
+    ? Prisma.sql`AND g."suspectedClosed" = false`
+    : Prisma.empty;
+
+/**
+ * 시설 속성 필터를 SQL 조건으로 변환합니다. (game_businesses 별칭 g 기준)
+ * @param {Object} [filters]
+ * @param {number} [filters.minGameCount] - 최소 게임기 수
+ * @param {number} [filters.maxGameCount] - 최대 게임기 수
+ * @param {number} [filters.minArea] - 최소 시설면적 (㎡)
+ * @param {number} [filters.maxArea] - 최대 시설면적 (㎡)
+ * @param {boolean} [filters.youthRoom] - 청소년실 보유 여부
+ */
+function buildAttributeFilterSql(filters = {}) {
+  const conditions = [];
+
+  if (filters.minGameCount !== undefined) {
+    conditions.push(Prisma.sql`g."gameCount" >= ${filters.minGameCount}`);
+  }
+  if (filters.maxGameCount !== undefined) {
+    conditions.push(Prisma.sql`g."gameCount" <= ${filters.maxGameCount}`);
+  }
+  if (filters.minArea !== undefined) {
+    conditions.push(Prisma.sql`g."facilityArea" >= ${filters.minArea}::float8`);
+  }
+  if (filters.maxArea !== undefined) {
+    conditions.push(Prisma.sql`g."facilityArea" <= ${filters.maxArea}::float8`);
+  }
+  if (filters.youthRoom !== undefined) {
+    conditions.push(Prisma.sql`g."hasYouthRoom" = ${filters.youthRoom}`);
+  }
+
+  if (conditions.length === 0) {
+    return Prisma.empty;
+  }
+  return Prisma.sql`AND ${Prisma.join(conditions, " AND ")}`;
+}
+
+/**
+ * 중심 좌표와 반경(m)을 감싸는 위경도 bounding box를 계산합니다.
+ */
+function getBoundingBox(lat, lng, radius) {
+  const latDelta = radius / METERS_PER_DEGREE_LAT;
+  const lngDelta =
+    radius / (METERS_PER_DEGREE_LAT * Math.cos((lat * Math.PI) / 180));
+
+  return {
+    minLat: lat - latDelta,
+    maxLat: lat + latDelta,
+    minLng: lng - lngDelta,
+    maxLng: lng + lngDelta,
+  };
+}
+
+/**
+ * 반경 내 영업 중인 매장을 조회합니다.
+ * @param {Object} options
+ * @param {number} options.lat - 중심 위도
+ * @param {number} options.lng - 중심 경도
+ * @param {number} options.radius - 반경 (m)
+ * @param {number} options.limit - 최대 결과 수
+ * @param {string} [options.sortBy] - distance | rating | reviews
+ * @param {number[]} [options.storeIds] - 조회 대상 매장 ID (검색 인덱스 결과)
+ * @param {Object} [options.filters] - 시설 속성 필터 (buildAttributeFilterSql 참고)
+ * @returns {Promise<Array<{store: Object, distance: number, averageRating: number, reviewCount: number}>>}
+ *   distance는 미터 단위
+ */
+async function findStoresNearby({
+  lat,
+  lng,
+  radius,
+  limit,
+  sortBy = "distance",
+  storeIds,
+  filters,
+}) {
+  const { minLat, maxLat, minLng, maxLng } = getBoundingBox(lat, lng, radius);
+
+  const distanceSql = Prisma.sql`(2 * ${EARTH_RADIUS_M}::float8 * asin(LEAST(1, sqrt(
+    power(sin(radians(g.latitude - ${lat}::float8) / 2), 2) +
+    cos(radians(${lat}::float8)) * cos(radians(g.latitude)) *
+    power(sin(radians(g.longitude - ${lng}::float8) / 2), 2)
+  ))))`;
+
+  if (storeIds && storeIds.length === 0) {
+    return [];
+  }
+
+  const storeIdsSql = storeIds
+    ? Prisma.sql`AND g.id IN (${Prisma.join(storeIds)})`
+    : Prisma.empty;
+
+  const orderBySql = ORDER_BY[sortBy] || ORDER_BY.distance;
+
+  const rows = await prisma.$queryRaw`
+    SELECT
+      n.id,
+      n.distance,
+      COALESCE(r."averageRating", 0) AS "averageRating",
+      COALESCE(r."reviewCount", 0) AS "reviewCount"
+    FROM (
+      SELECT g.id, g."suspectedClosed", ${distanceSql} AS distance
+      FROM game_businesses g
+      WHERE g."영업상태명" = '영업/정상'
+        AND g.latitude BETWEEN ${minLat}::float8 AND ${maxLat}::float8
+        AND g.longitude BETWEEN ${minLng}::float8 AND ${maxLng}::float8
+        ${SUSPECTED_CLOSED_SQL}
+        ${storeIdsSql}
+        ${buildAttributeFilterSql(filters)}
+    ) n
+    LEFT JOIN LATERAL (
+      SELECT AVG(rv.rating)::float8 AS "averageRating", COUNT(*)::int AS "reviewCount"
+      FROM reviews rv
+      WHERE rv."storeId" = n.id
+    ) r ON true
+    WHERE n.distance <= ${radius}::float8
+    ORDER BY ${orderBySql}
+    LIMIT ${limit}
+  `;
+
+  return attachStores(rows);
+}
+
+/**
+ * 조회된 id/집계 행에 매장 레코드를 붙여 반환합니다. (행 순서 유지)
+ */
+async function attachStores(rows) {
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const stores = await prisma.gameBusiness.findMany({
+    where: { id: { in: rows.map((row) => row.id) } },
+  });
+  const storeMap = new Map(stores.map((store) => [store.id, store]));
+
+  return rows
+    .filter((row) => storeMap.has(row.id))
+    .map((row) => ({
+      store: storeMap.get(row.id),
+      distance: row.distance != null ? Number(row.distance) : null,
+      averageRating: Number(row.averageRating),
+      reviewCount: Number(row.reviewCount),
+    }));
+}
+
+/**
+ * 줌 레벨에 해당하는 클러스터 격자 크기(도)를 계산합니다.
+ * 256px 타일 기준으로 한 격자가 화면에서 약 CLUSTER_CELL_PX 픽셀이 되도록 합니다.
+ */
+function getClusterCellSize(zoom) {
+  return (360 / Math.pow(2, zoom)) * (CLUSTER_CELL_PX / 256);
+}
+
+/**
+ * 뷰포트 내 영업 중인 매장을 격자 단위로 묶어 클러스터를 반환합니다.
+ * @param {Object} options
+ * @param {{minLat: number, minLng: number, maxLat: number, maxLng: number}} options.bbox
+ * @param {number} options.zoom - 지도 줌 레벨
+ * @returns {Promise<Array<Object>>} 클러스터 목록 (매장 수, 중심 좌표, 평균 평점, 대표 매장 ID)
+ */
+async function findStoreClusters({ bbox, zoom }) {
+  const cellSize = getClusterCellSize(zoom);
+
+  const rows = await prisma.$queryRaw`
+    SELECT
+      floor(g.longitude / ${cellSize}::float8)::int AS "cellX",
+      floor(g.latitude / ${cellSize}::float8)::int AS "cellY",
+      COUNT(*)::int AS count,
+      AVG(g.latitude)::float8 AS lat,
+      AVG(g.longitude)::float8 AS lng,
+      MIN(g.latitude)::float8 AS "minLat",
+      MIN(g.longitude)::float8 AS "minLng",
+      MAX(g.latitude)::float8 AS "maxLat",
+      MAX(g.longitude)::float8 AS "maxLng",
+      COALESCE(SUM(r."ratingSum")::float8 / NULLIF(SUM(r."reviewCount"), 0), 0) AS "averageRating",
+      COALESCE(SUM(r."reviewCount"), 0)::int AS "reviewCount",
+      (array_agg(g.id ORDER BY r."reviewCount" DESC, g.id ASC))[1] AS "sampleStoreId"
+    FROM game_businesses g
+    LEFT JOIN LATERAL (
+      SELECT COALESCE(SUM(rv.rating), 0) AS "ratingSum", COUNT(*) AS "reviewCount"
+      FROM reviews rv
+      WHERE rv."storeId" = g.id
+    ) r ON true
+    WHERE g."영업상태명" = '영업/정상'
+      AND g.latitude BETWEEN ${bbox.minLat}::float8 AND ${bbox.maxLat}::float8
+      AND g.longitude BETWEEN ${bbox.minLng}::float8 AND ${bbox.maxLng}::float8
+      ${SUSPECTED_CLOSED_SQL}
+    GROUP BY 1, 2
+    ORDER BY count DESC
+  `;
+
+  return rows.map((row) => ({
+    id: `${zoom}:${row.cellX}:${row.cellY}`,
+    count: Number(row.count),
+    lat: Number(row.lat),
+    lng: Number(row.lng),
+    bounds: {
+      minLat: Number(row.minLat),
+      minLng: Number(row.minLng),
+      maxLat: Number(row.maxLat),
+      maxLng: Number(row.maxLng),
+    },
+    averageRating: Number(row.averageRating),
+    reviewCount: Number(row.reviewCount),
+    sampleStoreId: row.sampleStoreId,
+  }));
+}
+
+/**
+ * 뷰포트 내 영업 중인 매장을 리뷰 많은 순으로 조회합니다.
+ * @param {Object} options
+ * @param {{minLat: number, minLng: number, maxLat: number, maxLng: number}} options.bbox
+ * @param {number} options.limit - 최대 결과 수
+ */
+async function findStoresInBounds({ bbox, limit }) {
+  const rows = await prisma.$queryRaw`
+    SELECT
+      g.id,
+      COALESCE(r."averageRating", 0) AS "averageRating",
+      COALESCE(r."reviewCount", 0) AS "reviewCount"
+    FROM game_businesses g
+    LEFT JOIN LATERAL (
+      SELECT AVG(rv.rating)::float8 AS "averageRating", COUNT(*)::int AS "reviewCount"
+      FROM reviews rv
+      WHERE rv."storeId" = g.id
+    ) r ON true
+    WHERE g."영업상태명" = '영업/정상'
+      AND g.latitude BETWEEN ${bbox.minLat}::float8 AND ${bbox.maxLat}::float8
+      AND g.longitude BETWEEN ${bbox.minLng}::float8 AND ${bbox.maxLng}::float8
+      ${SUSPECTED_CLOSED_SQL}
+    ORDER BY g."suspectedClosed" ASC, "reviewCount" DESC, g.id ASC
+    LIMIT ${limit}
+  `;
+
+  return attachStores(rows);
+}
+
+// 지역별 매장 정렬 옵션 (지역 랭킹)
+const REGION_ORDER_BY = {
+  rating: Prisma.sql`g."suspectedClosed" ASC, "averageRating" DESC, "reviewCount" DESC, g.id ASC`,
+  reviews: Prisma.sql`g."suspectedClosed" ASC, "reviewCount" DESC, "averageRating" DESC, g.id ASC`,
+  name: Prisma.sql`g."suspectedClosed" ASC, g."사업장명" ASC, g.id ASC`,
+};
+
+/**
+ * 행정구역 내 영업 중인 매장을 조회합니다.
+ * @param {Object} options
+ * @param {{sido: string, sigungu: string|null, dong: string|null}} options.region - parseRegionCode 결과
+ * @param {string} [options.sortBy] - rating | reviews | name
+ * @param {number} options.limit - 최대 결과 수
+ * @param {number} [options.offset] - 건너뛸 개수
+ * @returns {Promise<{stores: Array, total: number}>}
+ */
+async function findStoresInRegion({ region, sortBy = "rating", limit, offset = 0 }) {
+  const regionSql = Prisma.sql`g.sido = ${region.sido}
+    ${region.sigungu ? Prisma.sql`AND g.sigungu = ${region.sigungu}` : Prisma.empty}
+    ${region.dong ? Prisma.sql`AND g.dong = ${region.dong}` : Prisma.empty}`;
+
+  const orderBySql = REGION_ORDER_BY[sortBy] || REGION_ORDER_BY.rating;
+
+  const [rows, [{ total }]] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT
+        g.id,
+        COALESCE(r."averageRating", 0) AS "averageRating",
+        COALESCE(r."reviewCount", 0) AS "reviewCount"
+      FROM game_businesses g
+      LEFT JOIN LATERAL (
+        SELECT AVG(rv.rating)::float8 AS "averageRating", COUNT(*)::int AS "reviewCount"
+        FROM reviews rv
+        WHERE rv."storeId" = g.id
+      ) r ON true
+      WHERE g."영업상태명" = '영업/정상'
+        AND ${regionSql}
+        ${SUSPECTED_CLOSED_SQL}
+      ORDER BY ${orderBySql}
+      LIMIT ${limit}
+      OFFSET ${offset}
+    `,
+    prisma.$queryRaw`
+      SELECT COUNT(*)::int AS total
+      FROM game_businesses g
+      WHERE g."영업상태명" = '영업/정상'
+        AND ${regionSql}
+        ${SUSPECTED_CLOSED_SQL}
+    `,
+  ]);
+
+  return { stores: await attachStores(rows), total: Number(total) };
+}
+
+module.exports = {
+  SUSPECTED_CLOSED_MODE,
+  SUSPECTED_CLOSED_SQL,
+  findStoresNearby,
+  findStoreClusters,
+  findStoresInBounds,
+  findStoresInRegion,
+  getBoundingBox,
+};
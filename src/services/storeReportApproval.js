@@ -0,0 +1,116 @@
+const { prisma } = require("./prisma");
+const { wgs84ToTm } = require("../utils/coordinates");
+const { invalidateStoreSearchIndex } = require("./storeSearchIndex");
+
+/**
+ * 신규 매장 제보 승인 서비스
+ * 승인 시 제보 내용으로 GameBusiness를 새로 만들거나, 관리자가 고른 기존 매장에 연결하고
+ * StoreReport.approvedStoreId를 채웁니다. (하나의 트랜잭션)
+ */
+
+/**
+ * 상태 코드가 있는 에러 (라우트에서 응답 코드로 사용)
+ */
+function createApprovalError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * 제보 내용으로 GameBusiness 생성 데이터를 만듭니다.
+ * @param {Object} report - StoreReport (관리자가 수정한 값이 덮어써진 상태)
+ */
+function buildStoreFromReport(report) {
+  const tm = wgs84ToTm(report.latitude, report.longitude);
+
+  return {
+    사업장명: report.storeName,
+    // 제보 주소가 도로명/지번 중 어느 쪽인지 알 수 없어 두 컬럼에 모두 저장
+    도로명전체주소: report.address,
+    소재지전체주소: report.address,
+    소재지전화: report.phone,
+    영업상태명: "영업/정상",
+    상세영업상태명: "영업",
+    좌표정보x: String(tm.x),
+    좌표정보y: String(tm.y),
+    latitude: report.latitude,
+    longitude: report.longitude,
+  };
+}
+
+/**
+ * 매장 제보를 승인합니다.
+ * @param {string} reportId - 매장 제보 ID
+ * @param {Object} [options]
+ * @param {number} [options.linkStoreId] - 연결할 기존 매장 ID (없으면 새 매장 생성)
+ * @param {Object} [options.overrides] - 관리자가 수정한 제보 값 (storeName, address, phone, latitude, longitude)
+ * @param {string} [options.adminNote] - 관리자 메모
+ * @returns {Promise<{report: Object, store: Object, created: boolean}>}
+ */
+async function approveStoreReport(reportId, { linkStoreId, overrides = {}, adminNote } = {}) {
+  const result = await prisma.$transaction(async (tx) => {
+    const report = await tx.storeReport.findUnique({
+      where: { id: reportId },
+    });
+
+    if (!report) {
+      throw createApprovalError(404, "제보를 찾을 수 없습니다.");
+    }
+    if (report.status === "approved" && report.approvedStoreId) {
+      throw createApprovalError(400, "이미 매장과 연결된 제보입니다.");
+    }
+
+    let store;
+    let created = false;
+
+    if (linkStoreId) {
+      store = await tx.gameBusiness.findUnique({
+        where: { id: linkStoreId },
+      });
+      if (!store) {
+        throw createApprovalError(404, "연결할 매장을 찾을 수 없습니다.");
+      }
+    } else {
+      const values = { ...report, ...overrides };
+      const latitude = parseFloat(values.latitude);
+      const longitude = parseFloat(values.longitude);
+
+      if (!values.storeName || !values.address) {
+        throw createApprovalError(400, "매장명과 주소는 필수 항목입니다.");
+      }
+      if (!isFinite(latitude) || !isFinite(longitude) || !wgs84ToTm(latitude, longitude)) {
+        throw createApprovalError(
+          400,
+          "좌표가 없거나 국내 범위를 벗어난 제보입니다. 좌표를 입력하거나 기존 매장에 연결해주세요."
+        );
+      }
+
+      store = await tx.gameBusiness.create({
+        data: buildStoreFromReport({ ...values, latitude, longitude }),
+      });
+      created = true;
+    }
+
+    const updatedReport = await tx.storeReport.update({
+      where: { id: reportId },
+      data: {
+        status: "approved",
+        approvedStoreId: store.id,
+        ...(adminNote !== undefined ? { adminNote } : {}),
+      },
+    });
+
+    return { report: updatedReport, store, created };
+  });
+
+  if (result.created) {
+    invalidateStoreSearchIndex();
+  }
+  return result;
+}
+
+module.exports = {
+  buildStoreFromReport,
+  approveStoreReport,
+};
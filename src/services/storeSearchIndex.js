@@ -0,0 +1,292 @@
+const { prisma } = require("./prisma");
+const { getStoreCoordinates, haversineKm } = require("../utils/coordinates");
+const { SUSPECTED_CLOSED_MODE } = require("./storeLocator");
+const {
+  isChosung,
+  getChosung,
+  decomposeHangul,
+  normalizeSearchText,
+} = require("../utils/hangul");
+
+/**
+ * 매장 검색 인덱스 서비스
+ * 영업 중인 매장을 메모리에 올려 초성 검색, 오타 허용 검색, 관련도 순위를 제공합니다.
+ * 인덱스는 INDEX_TTL_MS마다 다시 만들며, 매장 데이터가 크게 바뀌면 invalidate로 즉시 비울 수 있습니다.
+ */
+
+const INDEX_TTL_MS = 10 * 60 * 1000; // 10분
+
+// 이름 일치 점수
+const MATCH_SCORE = {
+  exact: 100,
+  prefix: 85,
+  contains: 65,
+  chosungPrefix: 70,
+  chosungContains: 55,
+  jamoContains: 50,
+  fuzzy: 40,
+  address: 30,
+};
+
+// 폐업 의심 매장 감점 (SUSPECTED_CLOSED_MODE=downrank일 때)
+const SUSPECTED_CLOSED_PENALTY = 60;
+
+let indexCache = null; // { entries, builtAt }
+let buildingPromise = null;
+
+/**
+ * 영업 중인 매장과 리뷰/즐겨찾기 수로 인덱스를 만듭니다.
+ */
+async function buildIndex() {
+  const stores = await prisma.gameBusiness.findMany({
+    where: {
+      영업상태명: "영업/정상",
+      ...(SUSPECTED_CLOSED_MODE === "hide" ? { suspectedClosed: false } : {}),
+    },
+    select: {
+      id: true,
+      suspectedClosed: true,
+      사업장명: true,
+      소재지전체주소: true,
+      도로명전체주소: true,
+      좌표정보x: true,
+      좌표정보y: true,
+      latitude: true,
+      longitude: true,
+      coordinateStatus: true,
+      _count: {
+        select: {
+          reviews: true,
+          favorites: true,
+        },
+      },
+    },
+  });
+
+  const entries = stores
+    .filter((store) => store.사업장명)
+    .map((store) => {
+      const coords = getStoreCoordinates(store);
+      const nameNorm = normalizeSearchText(store.사업장명);
+
+      return {
+        id: store.id,
+        name: store.사업장명,
+        address: store.도로명전체주소 || store.소재지전체주소,
+        lat: coords.lat,
+        lng: coords.lng,
+        reviewCount: store._count.reviews,
+        favoriteCount: store._count.favorites,
+        suspectedClosed: store.suspectedClosed,
+        nameNorm,
+        nameChars: Array.from(nameNorm),
+        nameJamo: decomposeHangul(nameNorm),
+        addressNorm: normalizeSearchText(
+          `${store.도로명전체주소 || ""} ${store.소재지전체주소 || ""}`
+        ),
+      };
+    });
+
+  return { entries, builtAt: Date.now() };
+}
+
+/**
+ * 인덱스를 반환합니다. 만료되었으면 다시 만듭니다.
+ */
+async function getIndex() {
+  if (indexCache && Date.now() - indexCache.builtAt < INDEX_TTL_MS) {
+    return indexCache;
+  }
+
+  if (!buildingPromise) {
+    buildingPromise = buildIndex()
+      .then((index) => {
+        indexCache = index;
+        return index;
+      })
+      .finally(() => {
+        buildingPromise = null;
+      });
+  }
+
+  return buildingPromise;
+}
+
+/**
+ * 인덱스를 비웁니다. 다음 검색 시 다시 만들어집니다.
+ */
+function invalidateStoreSearchIndex() {
+  indexCache = null;
+}
+
+/**
+ * 초성이 섞인 검색어가 이름에 포함되는 위치를 찾습니다.
+ * 검색어의 초성 글자는 이름 글자의 초성과, 나머지 글자는 그대로 비교합니다.
+ * @returns {number} 일치 시작 위치 (없으면 -1)
+ */
+function findMixedChosungMatch(nameChars, queryChars) {
+  for (let start = 0; start + queryChars.length <= nameChars.length; start++) {
+    let matched = true;
+    for (let i = 0; i < queryChars.length; i++) {
+      const nameChar = nameChars[start + i];
+      const queryChar = queryChars[i];
+      const same = isChosung(queryChar)
+        ? getChosung(nameChar) === queryChar
+        : nameChar === queryChar;
+      if (!same) {
+        matched = false;
+        break;
+      }
+    }
+    if (matched) {
+      return start;
+    }
+  }
+  return -1;
+}
+
+/**
+ * 검색어가 이름의 일부와 얼마나 다른지 계산합니다. (부분 문자열 편집 거리)
+ */
+function substringEditDistance(text, pattern) {
+  let previous = new Array(text.length + 1).fill(0);
+
+  for (let i = 1; i <= pattern.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= text.length; j++) {
+      const cost = pattern[i - 1] === text[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+    }
+    previous = current;
+  }
+
+  return Math.min(...previous);
+}
+
+/**
+ * 매장 하나의 이름/주소 일치 점수를 계산합니다. (0이면 불일치)
+ */
+function scoreMatch(entry, query) {
+  const { norm, chars, jamo, hasChosung } = query;
+
+  if (entry.nameNorm === norm) {
+    return MATCH_SCORE.exact;
+  }
+  if (entry.nameNorm.startsWith(norm)) {
+    return MATCH_SCORE.prefix;
+  }
+
+  const position = entry.nameNorm.indexOf(norm);
+  if (position >= 0) {
+    return MATCH_SCORE.contains - Math.min(position, 10);
+  }
+
+  if (hasChosung) {
+    const chosungPosition = findMixedChosungMatch(entry.nameChars, chars);
+    if (chosungPosition === 0) {
+      return MATCH_SCORE.chosungPrefix;
+    }
+    if (chosungPosition > 0) {
+      return MATCH_SCORE.chosungContains - Math.min(chosungPosition, 10);
+    }
+  }
+
+  // 입력 중인 마지막 글자 대응 (예: "인형뽀" → "인형뽑기")
+  if (entry.nameJamo.includes(jamo)) {
+    return MATCH_SCORE.jamoContains;
+  }
+
+  if (entry.addressNorm.includes(norm)) {
+    return MATCH_SCORE.address;
+  }
+
+  // 오타 허용: 자모 기준 4글자당 1개의 오타까지 허용
+  const allowedTypos = Math.floor(jamo.length / 4);
+  if (!hasChosung && allowedTypos > 0) {
+    const distance = substringEditDistance(entry.nameJamo, jamo);
+    if (distance <= allowedTypos) {
+      return MATCH_SCORE.fuzzy * (1 - distance / (allowedTypos + 1));
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * 인덱스에서 매장을 검색해 관련도 순으로 반환합니다.
+ * 점수 = 이름 일치 점수 + 인기도(리뷰/즐겨찾기 수) + 거리(lat/lng가 주어진 경우) - 폐업 의심 감점
+ * @param {string} q - 검색어 (초성 가능)
+ * @param {Object} [options]
+ * @param {number} [options.lat] - 기준 위도
+ * @param {number} [options.lng] - 기준 경도
+ * @param {number} [options.limit=10] - 최대 결과 수
+ * @returns {Promise<Array<{id: number, name: string, address: string, lat: number, lng: number,
+ *   reviewCount: number, favoriteCount: number, suspectedClosed: boolean, distance: number|null, score: number}>>}
+ */
+async function searchStores(q, { lat, lng, limit = 10 } = {}) {
+  const norm = normalizeSearchText(q);
+  if (!norm) {
+    return [];
+  }
+
+  const chars = Array.from(norm);
+  const query = {
+    norm,
+    chars,
+    jamo: decomposeHangul(norm),
+    hasChosung: chars.some(isChosung),
+  };
+  const hasLocation = isFinite(lat) && isFinite(lng);
+
+  const { entries } = await getIndex();
+  const results = [];
+
+  for (const entry of entries) {
+    const matchScore = scoreMatch(entry, query);
+    if (matchScore <= 0) {
+      continue;
+    }
+
+    // 인기도 점수 (최대 20점)
+    const popularityScore = Math.min(
+      20,
+      Math.log1p(entry.reviewCount + entry.favoriteCount * 2) * 5
+    );
+
+    // 거리 점수 (최대 20점, 5km마다 약 1/e로 감소)
+    let distance = null;
+    let distanceScore = 0;
+    if (hasLocation && entry.lat !== null) {
+      distance = haversineKm(lat, lng, entry.lat, entry.lng);
+      distanceScore = 20 * Math.exp(-distance / 5);
+    }
+
+    const penalty = entry.suspectedClosed ? SUSPECTED_CLOSED_PENALTY : 0;
+
+    results.push({
+      id: entry.id,
+      name: entry.name,
+      address: entry.address,
+      lat: entry.lat,
+      lng: entry.lng,
+      reviewCount: entry.reviewCount,
+      favoriteCount: entry.favoriteCount,
+      suspectedClosed: entry.suspectedClosed,
+      distance: distance != null ? Math.round(distance * 10) / 10 : null,
+      score:
+        Math.round((matchScore + popularityScore + distanceScore - penalty) * 10) / 10,
+    });
+  }
+
+  results.sort((a, b) => b.score - a.score || a.name.localeCompare(b.name, "ko"));
+  return results.slice(0, limit);
+}
+
+module.exports = {
+  searchStores,
+  invalidateStoreSearchIndex,
+};
@@ -0,0 +1,184 @@
+const { prisma } = require("./prisma");
+
+/**
+ * 매장 상태 이력 서비스
+ * 매장의 영업상태나 주요 정보(매장명, 주소, 전화번호, 위치)가 바뀔 때마다 StoreStatusHistory에 기록하고,
+ * 폐업/휴업/영업 재개처럼 영업 상태가 바뀌면 매장을 즐겨찾기한 사용자에게 알림을 만듭니다.
+ *
+ * 가져오기(import), 관리자 수정(admin), 정정 제보 반영(correction), 폐업 의심 확정(closure_review)에서
+ * 변경 전/후 레코드를 넘겨 호출합니다. 트랜잭션 안에서는 tx를 client로 넘깁니다.
+ */
+
+// 이력에 남기는 필드
+const TRACKED_FIELDS = [
+  "영업상태명",
+  "상세영업상태명",
+  "폐업일자",
+  "휴업시작일자",
+  "휴업종료일자",
+  "사업장명",
+  "도로명전체주소",
+  "소재지전체주소",
+  "소재지전화",
+  "latitude",
+  "longitude",
+];
+
+// 변경 전/후 비교에 필요한 select
+const TRACKED_SELECT = Object.fromEntries(
+  [["id", true], ...TRACKED_FIELDS.map((field) => [field, true])]
+);
+
+const STATUS_NOTIFICATIONS = {
+  closed: {
+    type: "store_closed",
+    title: "즐겨찾기 매장 폐업",
+    message: (name) => `즐겨찾기한 '${name}' 매장이 폐업했어요.`,
+  },
+  paused: {
+    type: "store_paused",
+    title: "즐겨찾기 매장 휴업",
+    message: (name) => `즐겨찾기한 '${name}' 매장이 휴업 중이에요.`,
+  },
+  open: {
+    type: "store_reopened",
+    title: "즐겨찾기 매장 영업 재개",
+    message: (name) => `즐겨찾기한 '${name}' 매장이 다시 영업을 시작했어요.`,
+  },
+};
+
+/**
+ * 영업상태명을 closed(폐업/말소/삭제) | paused(휴업) | open 으로 분류합니다.
+ * @param {string|null} status - 영업상태명
+ * @returns {"closed"|"paused"|"open"|null} 상태가 없으면 null
+ */
+function getLifecycleStatus(status) {
+  if (!status) {
+    return null;
+  }
+  if (/폐업|말소|취소|삭제/.test(status)) {
+    return "closed";
+  }
+  if (status.includes("휴업")) {
+    return "paused";
+  }
+  return "open";
+}
+
+/**
+ * 추적 필드 중 바뀐 값만 모읍니다.
+ * @returns {Object} { 필드명: { from, to } }
+ */
+function diffTrackedFields(before, after) {
+  const changes = {};
+  for (const field of TRACKED_FIELDS) {
+    if (after[field] === undefined) {
+      continue;
+    }
+    const from = before[field] ?? null;
+    const to = after[field] ?? null;
+    if (from !== to) {
+      changes[field] = { from, to };
+    }
+  }
+  return changes;
+}
+
+/**
+ * 매장을 즐겨찾기한 사용자에게 영업 상태 변경 알림을 만듭니다.
+ * @returns {Promise<number>} 알림 수
+ */
+async function notifyFavoriters(client, store, lifecycleStatus) {
+  const template = STATUS_NOTIFICATIONS[lifecycleStatus];
+  if (!template) {
+    return 0;
+  }
+
+  const favorites = await client.favorite.findMany({
+    where: { storeId: store.id },
+    select: { userId: true },
+  });
+  if (favorites.length === 0) {
+    return 0;
+  }
+
+  const { count } = await client.notification.createMany({
+    data: favorites.map(({ userId }) => ({
+      userId,
+      type: template.type,
+      title: template.title,
+      message: template.message(store.사업장명),
+      storeId: store.id,
+      data: { status: store.영업상태명 },
+    })),
+  });
+  return count;
+}
+
+/**
+ * 매장 변경을 이력에 기록하고, 영업 상태가 바뀌었으면 즐겨찾기 사용자에게 알립니다.
+ * 추적 필드가 바뀌지 않았으면 아무것도 기록하지 않습니다.
+ * @param {Object} client - prisma 또는 트랜잭션 클라이언트(tx)
+ * @param {Object} change
+ * @param {Object} change.before - 변경 전 매장 (TRACKED_SELECT 필드 포함)
+ * @param {Object} change.after - 변경 후 매장
+ * @param {string} change.source - import | admin | correction | closure_review
+ * @param {string} [change.changedBy] - 변경한 관리자/사용자 ID
+ * @param {string} [change.note] - 메모 (정정 제보 ID 등)
+ * @returns {Promise<{history: Object, notified: number}|null>}
+ */
+async function recordStoreChange(client, { before, after, source, changedBy, note }) {
+  const changes = diffTrackedFields(before, after);
+  if (Object.keys(changes).length === 0) {
+    return null;
+  }
+
+  const previousStatus = before.영업상태명 ?? null;
+  const newStatus = after.영업상태명 !== undefined ? after.영업상태명 : previousStatus;
+
+  const history = await client.storeStatusHistory.create({
+    data: {
+      storeId: before.id,
+      source,
+      changedBy: changedBy || null,
+      previousStatus,
+      newStatus,
+      changes,
+      note: note || null,
+    },
+  });
+
+  const previousLifecycle = getLifecycleStatus(previousStatus);
+  const newLifecycle = getLifecycleStatus(newStatus);
+  let notified = 0;
+
+  // 폐업/휴업으로 바뀌거나, 폐업/휴업에서 영업으로 돌아온 경우만 알림
+  if (previousLifecycle && newLifecycle && previousLifecycle !== newLifecycle) {
+    notified = await notifyFavoriters(
+      client,
+      { id: before.id, 사업장명: after.사업장명 ?? before.사업장명, 영업상태명: newStatus },
+      newLifecycle
+    );
+  }
+
+  return { history, notified };
+}
+
+/**
+ * 매장의 상태 이력을 최신순으로 조회합니다.
+ */
+async function getStoreStatusHistory(storeId, { limit = 50 } = {}) {
+  return prisma.storeStatusHistory.findMany({
+    where: { storeId },
+    orderBy: { createdAt: "desc" },
+    take: limit,
+  });
+}
+
+module.exports = {
+  TRACKED_FIELDS,
+  TRACKED_SELECT,
+  getLifecycleStatus,
+  recordStoreChange,
+  getStoreStatusHistory,
+};
@@ -1,12 +1,27 @@
 const https = require("https");
 
+// 토스페이 API 응답을 기다리는 최대 시간 (지나면 요청을 끊고 결과를 알 수 없는 오류로 처리)
+const TOSS_REQUEST_TIMEOUT_MS = parseInt(process.env.TOSS_REQUEST_TIMEOUT_MS) || 10000;
+
 /**
- * 토스페이 결제 건을 생성합니다.
+ * 토스페이 파트너 API에 POST 요청을 보냅니다.
+ * HTTP 200이고 resultType이 SUCCESS인 경우만 성공으로 처리합니다.
+ * @param {string} path API 경로
  * @param {string} userKey 토스 로그인을 통해 획득한 userKey
- * @param {Object} paymentData 결제 정보
+ * @param {Object} body 요청 본문
+ * @param {string} failureLabel 실패 메시지 접두어 (예: "결제 환불")
+ * @param {Object} [options]
+ * @param {boolean} [options.requireSuccessResult=true] false면 HTTP 200만 확인 (결제 생성)
+ * @param {number} [options.timeoutMs=TOSS_REQUEST_TIMEOUT_MS] 응답 대기 시간 (ms)
  * @returns {Promise<Object>} 토스페이 API 응답
  */
-async function makePayment(userKey, paymentData) {
+function requestTossPay(
+  path,
+  userKey,
+  body,
+  failureLabel,
+  { requireSuccessResult = true, timeoutMs = TOSS_REQUEST_TIMEOUT_MS } = {}
+) {
   return new Promise((resolve, reject) => {
     // 환경 변수에서 인증서 읽기
     const cert = process.env.TOSS_CERT;
@@ -16,30 +31,11 @@ async function makePayment(userKey, paymentData) {
       return reject(new Error("Toss 인증서가 설정되지 않았습니다."));
     }
 
-    // 테스트 환경 여부 결정 (개발 환경이면 테스트 결제)
-    const isTestPayment =
-      paymentData.isTestPayment !== undefined
-        ? paymentData.isTestPayment
-        : process.env.NODE_ENV !== "production";
-
-    const postData = JSON.stringify({
-      orderNo: paymentData.orderNo,
-      productDesc: paymentData.productDesc,
-      amount: paymentData.amount,
-      amountTaxFree: paymentData.amountTaxFree,
-      amountTaxable: paymentData.amountTaxable,
-      amountVat: paymentData.amountVat,
-      amountServiceFee: paymentData.amountServiceFee,
-      enablePayMethods: paymentData.enablePayMethods,
-      cashReceipt: paymentData.cashReceipt,
-      cashReceiptTradeOption: paymentData.cashReceiptTradeOption,
-      installment: paymentData.installment,
-      isTestPayment: isTestPayment,
-    });
+    const postData = JSON.stringify(body);
 
     const options = {
       hostname: "apps-in-toss-api.toss.im",
-      path: "/api-partner/v1/apps-in-toss/pay/make-payment",
+      path,
       method: "POST",
       cert: cert,
       key: key,
@@ -60,22 +56,27 @@ async function makePayment(userKey, paymentData) {
 
       res.on("end", () => {
         try {
-          const paymentResponse = JSON.parse(responseData);
-          if (res.statusCode === 200) {
-            resolve(paymentResponse);
+          const response = JSON.parse(responseData);
+          if (res.statusCode === 200 && (!requireSuccessResult || response.resultType === "SUCCESS")) {
+            resolve(response);
           } else {
             reject({
               statusCode: res.statusCode,
-              response: paymentResponse,
-              message: "결제 생성 실패: " + JSON.stringify(paymentResponse),
+              response,
+              message: `${failureLabel} 실패: ` + JSON.stringify(response),
             });
           }
         } catch (error) {
-          reject(new Error("결제 응답 파싱 실패: " + responseData));
+          reject(new Error(`${failureLabel} 응답 파싱 실패: ` + responseData));
         }
       });
     });
 
+    // 응답이 없으면 요청을 끊음 (토스에서 처리됐을 수 있어 실패 응답과 구분)
+    req.setTimeout(timeoutMs, () => {
+      req.destroy(new Error(`${failureLabel} 응답 시간 초과 (${timeoutMs}ms)`));
+    });
+
     req.on("error", (error) => {
       reject(error);
     });
@@ -85,6 +86,41 @@ async function makePayment(userKey, paymentData) {
   });
 }
 
+/**
+ * 토스페이 결제 건을 생성합니다.
+ * @param {string} userKey 토스 로그인을 통해 획득한 userKey
+ * @param {Object} paymentData 결제 정보
+ * @returns {Promise<Object>} 토스페이 API 응답
+ */
+async function makePayment(userKey, paymentData) {
+  // 테스트 환경 여부 결정 (개발 환경이면 테스트 결제)
+  const isTestPayment =
+    paymentData.isTestPayment !== undefined
+      ? paymentData.isTestPayment
+      : process.env.NODE_ENV !== "production";
+
+  return requestTossPay(
+    "/api-partner/v1/apps-in-toss/pay/make-payment",
+    userKey,
+    {
+      orderNo: paymentData.orderNo,
+      productDesc: paymentData.productDesc,
+      amount: paymentData.amount,
+      amountTaxFree: paymentData.amountTaxFree,
+      amountTaxable: paymentData.amountTaxable,
+      amountVat: paymentData.amountVat,
+      amountServiceFee: paymentData.amountServiceFee,
+      enablePayMethods: paymentData.enablePayMethods,
+      cashReceipt: paymentData.cashReceipt,
+      cashReceiptTradeOption: paymentData.cashReceiptTradeOption,
+      installment: paymentData.installment,
+      isTestPayment: isTestPayment,
+    },
+    "결제 생성",
+    { requireSuccessResult: false }
+  );
+}
+
 /**
  * 테스트 환경 여부를 확인합니다.
  * TOSS_PAY_SECRET_KEY가 sk_test로 시작하면 테스트 환경
@@ -104,71 +140,103 @@ function isTestMode() {
  * @returns {Promise<Object>} 토스페이 API 응답
  */
 async function executePayment(userKey, executeData) {
-  return new Promise((resolve, reject) => {
-    // 환경 변수에서 인증서 읽기
-    const cert = process.env.TOSS_CERT;
-    const key = process.env.TOSS_PRIVATE;
-
-    if (!cert || !key) {
-      return reject(new Error("Toss 인증서가 설정되지 않았습니다."));
-    }
-
-    const postData = JSON.stringify({
+  return requestTossPay(
+    "/api-partner/v1/apps-in-toss/pay/execute-payment",
+    userKey,
+    {
       payToken: executeData.payToken,
       orderNo: executeData.orderNo,
       isTestPayment: isTestMode(),
-    });
-
-    const options = {
-      hostname: "apps-in-toss-api.toss.im",
-      path: "/api-partner/v1/apps-in-toss/pay/execute-payment",
-      method: "POST",
-      cert: cert,
-      key: key,
-      rejectUnauthorized: true,
-      headers: {
-        "Content-Type": "application/json",
-        "Content-Length": Buffer.byteLength(postData),
-        "x-toss-user-key": userKey,
-      },
-    };
-
-    const req = https.request(options, (res) => {
-      let responseData = "";
+    },
+    "결제 실행"
+  );
+}
 
-      res.on("data", (chunk) => {
-        responseData += chunk;
-      });
+/**
+ * 토스페이 결제를 환불합니다.
+ * @param {string} userKey 결제한 사용자의 userKey
+ * @param {Object} refundData 환불 정보
+ * @param {string} refundData.payToken 환불할 결제의 토스페이 토큰
+ * @param {number} [refundData.amount] 환불 금액 (생략 시 전액)
+ * @param {number} [refundData.amountTaxFree] 환불 금액 중 비과세 금액
+ * @param {string} [refundData.reason] 환불 사유
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] 응답 대기 시간 (ms)
+ * @returns {Promise<Object>} 토스페이 API 응답
+ */
+async function refundPayment(userKey, refundData, { timeoutMs } = {}) {
+  return requestTossPay(
+    "/api-partner/v1/apps-in-toss/pay/refund-payment",
+    userKey,
+    {
+      payToken: refundData.payToken,
+      amount: refundData.amount,
+      amountTaxFree: refundData.amountTaxFree,
+      reason: refundData.reason,
+      isTestPayment: isTestMode(),
+    },
+    "결제 환불",
+    { timeoutMs }
+  );
+}
 
-      res.on("end", () => {
-        try {
-          const executeResponse = JSON.parse(responseData);
-          if (res.statusCode === 200 && executeResponse.resultType === "SUCCESS") {
-            resolve(executeResponse);
-          } else {
-            reject({
-              statusCode: res.statusCode,
-              response: executeResponse,
-              message: "결제 실행 실패: " + JSON.stringify(executeResponse),
-            });
-          }
-        } catch (error) {
-          reject(new Error("결제 실행 응답 파싱 실패: " + responseData));
-        }
-      });
-    });
+/**
+ * 토스페이 결제 상태를 조회합니다.
+ * @param {string} userKey 결제한 사용자의 userKey
+ * @param {Object} statusData 조회 정보
+ * @param {string} statusData.payToken 조회할 결제의 토스페이 토큰
+ * @param {string} [statusData.orderNo] 가맹점 주문번호
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] 응답 대기 시간 (ms)
+ * @returns {Promise<Object>} 토스페이 API 응답 (payStatus, transactionId, approvalTime, payMethod 등)
+ */
+async function getPaymentStatus(userKey, statusData, { timeoutMs } = {}) {
+  return requestTossPay(
+    "/api-partner/v1/apps-in-toss/pay/get-payment-status",
+    userKey,
+    {
+      payToken: statusData.payToken,
+      orderNo: statusData.orderNo,
+      isTestPayment: isTestMode(),
+    },
+    "결제 상태 조회",
+    { timeoutMs }
+  );
+}
 
-    req.on("error", (error) => {
-      reject(error);
-    });
+/**
+ * 토스페이가 실패 응답을 보낸 오류인지 확인합니다. (requestTossPay가 reject한 응답 오류 중 5xx 제외)
+ * 네트워크 오류, 타임아웃, 응답 파싱 실패, 5xx는 토스에서 요청이 처리됐을 수 있어 false입니다.
+ * @param {Object} error requestTossPay 오류
+ * @returns {boolean}
+ */
+function isTossErrorResponse(error) {
+  return Boolean(error && error.response && error.statusCode && error.statusCode < 500);
+}
 
-    req.write(postData);
-    req.end();
-  });
+/**
+ * 토스페이 응답의 일시를 Date로 변환합니다.
+ * 시간대 없는 "YYYY-MM-DD HH:mm:ss" 형식은 한국 시간으로 봅니다.
+ * @param {string} value 토스페이 응답 일시
+ * @returns {Date|null} 변환할 수 없으면 null
+ */
+function parseTossDateTime(value) {
+  if (!value) {
+    return null;
+  }
+  const text = String(value);
+  const date = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}$/.test(text)
+    ? new Date(`${text.replace(" ", "T")}+09:00`)
+    : new Date(text);
+  return isNaN(date) ? null : date;
 }
 
 module.exports = {
   makePayment,
   executePayment,
+  refundPayment,
+  getPaymentStatus,
+  parseTossDateTime,
+  isTossErrorResponse,
   isTestMode,
 };
@@ -0,0 +1,316 @@
+const proj4 = require("proj4");
+const { findSidoByAddress, isWithinBbox, isWithinKorea } = require("./regions");
+
+/**
+ * 매장 좌표 변환 유틸리티
+ * 공공데이터의 TM 좌표(좌표정보x/y)와 WGS84(위도/경도) 간 변환을 담당합니다.
+ *
+ * LOCALDATA 좌표는 대부분 베셀 타원체 기반 EPSG:5174이지만, 일부 레코드는 GRS80 기반
+ * 좌표계(EPSG:5181, EPSG:5186)나 보정 전 중부원점(EPSG:2097)으로 들어옵니다.
+ * 5174/5181/2097은 같은 좌표를 250~320m 차이 나게 변환할 뿐이라 시도 범위로는 구분할 수 없으므로,
+ * 주소를 지오코딩한 기준점이 있으면 기준점에 가장 가까운(REFERENCE_TOLERANCE_M 이내) 좌표계를 고르고,
+ * 없으면 LOCALDATA 기본 좌표계로 보고 y 원점이 100km 다른 5186만 시도 범위로 판별합니다.
+ */
+
+// 베셀 타원체 → WGS84 변환 파라미터 (국토지리정보원 고시값)
+const BESSEL_TOWGS84 = "+towgs84=-115.80,474.99,674.11,1.16,-2.31,-1.63,6.43";
+
+// 판별 우선순위 순서 (앞쪽일수록 LOCALDATA에서 흔한 좌표계)
+const COORDINATE_SYSTEMS = {
+  // Korean 1985 / Modified Central Belt (보정된 중부원점, 베셀) - LOCALDATA 기본
+  "EPSG:5174": `+proj=tmerc +lat_0=38 +lon_0=127.0028902777778 +k=1 +x_0=200000 +y_0=500000 +ellps=bessel +units=m +no_defs ${BESSEL_TOWGS84}`,
+  // Korea 2000 / Central Belt (중부원점, GRS80)
+  "EPSG:5181": "+proj=tmerc +lat_0=38 +lon_0=127 +k=1 +x_0=200000 +y_0=500000 +ellps=GRS80 +units=m +no_defs",
+  // Korea 2000 / Central Belt 2010 (중부원점, GRS80, y 원점 600000)
+  "EPSG:5186": "+proj=tmerc +lat_0=38 +lon_0=127 +k=1 +x_0=200000 +y_0=600000 +ellps=GRS80 +units=m +no_defs",
+  // Korean 1985 / Central Belt (중부원점, 베셀)
+  "EPSG:2097": `+proj=tmerc +lat_0=38 +lon_0=127 +k=1 +x_0=200000 +y_0=500000 +ellps=bessel +units=m +no_defs ${BESSEL_TOWGS84}`,
+};
+
+// 위경도를 TM으로 저장할 때 사용하는 좌표계 (LOCALDATA와 동일)
+const STORAGE_COORDINATE_SYSTEM = "EPSG:5174";
+
+// 기준점이 없을 때의 후보 (시도 범위로 구분할 수 있는 좌표계만, 앞쪽이 우선)
+const DEFAULT_CANDIDATE_SYSTEMS = ["EPSG:5174", "EPSG:5186"];
+
+// 기준점과 변환 결과의 허용 거리 (후보 좌표계 간 최소 차이 약 250m의 절반보다 작아야 한 좌표계만 맞음)
+const REFERENCE_TOLERANCE_M = 100;
+
+// WGS84 좌표계 정의
+const wgs84 = "+proj=longlat +datum=WGS84 +no_defs";
+
+// 중부원점 TM 좌표의 대한민국 범위 (울릉도/독도, 마라도 포함)
+const TM_RANGE = { minX: -100000, maxX: 700000, minY: -100000, maxY: 800000 };
+
+/**
+ * 좌표 값을 숫자로 변환합니다. 빈 값이나 숫자가 아니면 null
+ */
+function parseCoordinateValue(value) {
+  if (value === null || value === undefined || String(value).trim() === "") {
+    return null;
+  }
+  const number = parseFloat(value);
+  return isFinite(number) ? number : null;
+}
+
+/**
+ * TM 좌표를 지정한 좌표계 기준으로 WGS84로 변환합니다.
+ * @returns {{lat: number, lng: number}|null}
+ */
+function projectToWgs84(tmX, tmY, system) {
+  try {
+    const [lng, lat] = proj4(COORDINATE_SYSTEMS[system], wgs84, [tmX, tmY]);
+    return isFinite(lat) && isFinite(lng) ? { lat, lng } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 기준점에서 REFERENCE_TOLERANCE_M 이내로 변환되는 좌표계를 찾습니다.
+ * @returns {{lat: number, lng: number, system: string}|null} 맞는 좌표계가 없으면 null
+ */
+function matchReferencePoint(tmX, tmY, reference) {
+  let best = null;
+  for (const candidate of Object.keys(COORDINATE_SYSTEMS)) {
+    const coords = projectToWgs84(tmX, tmY, candidate);
+    if (!coords) {
+      continue;
+    }
+    const distanceM = haversineKm(reference.lat, reference.lng, coords.lat, coords.lng) * 1000;
+    if (distanceM <= REFERENCE_TOLERANCE_M && (!best || distanceM < best.distanceM)) {
+      best = { ...coords, system: candidate, distanceM };
+    }
+  }
+  return best ? { lat: best.lat, lng: best.lng, system: best.system } : null;
+}
+
+/**
+ * TM 좌표를 WGS84로 변환합니다. 변환할 수 없는 좌표면 null을 반환합니다.
+ * - system을 알면 그 좌표계로만 변환
+ * - reference(주소 지오코딩 좌표)가 있으면 기준점 REFERENCE_TOLERANCE_M 이내로 변환되는 좌표계를 사용
+ * - 그 외에는 DEFAULT_CANDIDATE_SYSTEMS 중 결과가 주소의 시도 범위에 들어오는 좌표계를 사용
+ * 어느 좌표계로도 시도 범위에 들어오지 않으면 변환 불가(null)로 처리합니다.
+ * @param {string|number} x - 좌표정보x
+ * @param {string|number} y - 좌표정보y
+ * @param {Object} [options]
+ * @param {string} [options.address] - 소재지/도로명 전체주소 (좌표계 판별용)
+ * @param {string} [options.system] - 좌표계를 알고 있는 경우 지정 (예: "EPSG:5174")
+ * @param {{lat: number, lng: number}} [options.reference] - 주소를 지오코딩한 기준점
+ * @returns {{lat: number, lng: number, system: string}|null}
+ */
+function convertTmToWgs84(x, y, { address, system, reference } = {}) {
+  const tmX = parseCoordinateValue(x);
+  const tmY = parseCoordinateValue(y);
+
+  // 0,0은 좌표 미입력으로 간주
+  if (tmX === null || tmY === null || (tmX === 0 && tmY === 0)) {
+    return null;
+  }
+
+  // 이미 WGS84 좌표인 경우 (경도 124~132, 위도 33~39 범위)
+  if (isWithinKorea(tmY, tmX)) {
+    return { lat: tmY, lng: tmX, system: "EPSG:4326" };
+  }
+
+  if (
+    tmX < TM_RANGE.minX ||
+    tmX > TM_RANGE.maxX ||
+    tmY < TM_RANGE.minY ||
+    tmY > TM_RANGE.maxY
+  ) {
+    return null;
+  }
+
+  if (!system && reference) {
+    const matched = matchReferencePoint(tmX, tmY, reference);
+    if (matched) {
+      return matched;
+    }
+  }
+
+  const sido = findSidoByAddress(address);
+  const candidates = system ? [system] : DEFAULT_CANDIDATE_SYSTEMS;
+
+  for (const candidate of candidates) {
+    const coords = projectToWgs84(tmX, tmY, candidate);
+    if (!coords) {
+      continue;
+    }
+
+    const plausible = sido
+      ? isWithinBbox(coords.lat, coords.lng, sido.bbox)
+      : isWithinKorea(coords.lat, coords.lng);
+
+    if (plausible) {
+      return { ...coords, system: candidate };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * WGS84(위도/경도)를 TM 좌표계(EPSG:5174)로 변환합니다.
+ * 대한민국 범위를 벗어나거나 변환할 수 없으면 null을 반환합니다.
+ * @returns {{x: number, y: number}|null}
+ */
+function wgs84ToTm(lat, lng) {
+  const latitude = parseCoordinateValue(lat);
+  const longitude = parseCoordinateValue(lng);
+
+  if (latitude === null || longitude === null || !isWithinKorea(latitude, longitude)) {
+    return null;
+  }
+
+  try {
+    const [x, y] = proj4(wgs84, COORDINATE_SYSTEMS[STORAGE_COORDINATE_SYSTEM], [
+      longitude,
+      latitude,
+    ]);
+    return isFinite(x) && isFinite(y) ? { x, y } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 매장 레코드의 WGS84 좌표를 반환합니다.
+ * 미리 계산된 latitude/longitude가 있으면 그대로 사용하고, 없으면 TM 좌표를 변환합니다.
+ * 변환할 수 없는 좌표는 기본 위치로 대체하지 않고 lat/lng를 null로 반환합니다.
+ * @param {Object} store - GameBusiness 레코드
+ * @returns {{lat: number|null, lng: number|null}}
+ */
+function getStoreCoordinates(store) {
+  if (store.latitude != null && store.longitude != null) {
+    return { lat: store.latitude, lng: store.longitude };
+  }
+  if (store.coordinateStatus === "unconvertible") {
+    return { lat: null, lng: null };
+  }
+
+  const coords = convertTmToWgs84(store.좌표정보x, store.좌표정보y, {
+    address: store.소재지전체주소 || store.도로명전체주소,
+  });
+  return coords ? { lat: coords.lat, lng: coords.lng } : { lat: null, lng: null };
+}
+
+/**
+ * GameBusiness 레코드의 좌표 관련 컬럼 값을 계산합니다.
+ * @param {Object} store - 좌표정보x/y와 주소 (원본 좌표계를 알면 coordinateSystem)
+ * @param {Object} [options]
+ * @param {{lat: number, lng: number}} [options.reference] - 주소를 지오코딩한 기준점 (좌표계 판별용)
+ * @returns {{latitude: number|null, longitude: number|null, coordinateSystem: string|null,
+ *   coordinateStatus: "ok"|"missing"|"unconvertible"}}
+ */
+function resolveStoreCoordinates(store, { reference } = {}) {
+  if (
+    parseCoordinateValue(store.좌표정보x) === null ||
+    parseCoordinateValue(store.좌표정보y) === null
+  ) {
+    return {
+      latitude: null,
+      longitude: null,
+      coordinateSystem: null,
+      coordinateStatus: "missing",
+    };
+  }
+
+  const coords = convertTmToWgs84(store.좌표정보x, store.좌표정보y, {
+    address: store.소재지전체주소 || store.도로명전체주소,
+    system: COORDINATE_SYSTEMS[store.coordinateSystem] ? store.coordinateSystem : undefined,
+    reference,
+  });
+
+  return {
+    latitude: coords ? coords.lat : null,
+    longitude: coords ? coords.lng : null,
+    coordinateSystem: coords ? coords.system : null,
+    coordinateStatus: coords ? "ok" : "unconvertible",
+  };
+}
+
+/**
+ * GameBusiness 쓰기 데이터에 TM 좌표가 포함된 경우 latitude/longitude와 좌표 상태를 함께 채웁니다.
+ * - 좌표정보x/y가 둘 다 주어지면 변환 결과로 latitude/longitude/coordinateSystem/coordinateStatus를 계산
+ *   (원본 좌표계를 아는 경우 coordinateSystem을 함께 넘기면 그 좌표계로 변환)
+ * - latitude/longitude를 직접 지정한 경우 (정정 제보 반영 등) 좌표 상태만 채움
+ * @param {Object} data - Prisma create/update data
+ * @returns {Object} 좌표 컬럼이 채워진 data
+ */
+function withWgs84Coordinates(data) {
+  if (!data) {
+    return data;
+  }
+
+  if (data.latitude !== undefined || data.longitude !== undefined) {
+    if (data.coordinateStatus !== undefined) {
+      return data;
+    }
+    const hasCoords = data.latitude != null && data.longitude != null;
+    return {
+      ...data,
+      coordinateStatus: hasCoords ? "ok" : "missing",
+    };
+  }
+
+  if (data.좌표정보x === undefined || data.좌표정보y === undefined) {
+    return data;
+  }
+
+  return {
+    ...data,
+    ...resolveStoreCoordinates(data),
+  };
+}
+
+/**
+ * 두 WGS84 좌표 사이의 거리(km)를 계산합니다. (Haversine)
+ */
+function haversineKm(lat1, lng1, lat2, lng2) {
+  const R = 6371; // 지구 반지름 (km)
+  const dLat = ((lat2 - lat1) * Math.PI) / 180;
+  const dLng = ((lng2 - lng1) * Math.PI) / 180;
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos((lat1 * Math.PI) / 180) *
+      Math.cos((lat2 * Math.PI) / 180) *
+      Math.sin(dLng / 2) *
+      Math.sin(dLng / 2);
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * 쿼리의 뷰포트 범위를 파싱합니다.
+ * bbox=minLng,minLat,maxLng,maxLat 또는 minLat/minLng/maxLat/maxLng 개별 파라미터를 지원합니다.
+ * @returns {{minLat: number, minLng: number, maxLat: number, maxLng: number}|null}
+ */
+function parseBoundingBox(query) {
+  const values = query.bbox
+    ? String(query.bbox).split(",").map(parseFloat)
+    : [query.minLng, query.minLat, query.maxLng, query.maxLat].map(parseFloat);
+
+  if (values.length !== 4 || values.some((value) => !isFinite(value))) {
+    return null;
+  }
+
+  const [minLng, minLat, maxLng, maxLat] = values;
+  if (minLat > maxLat || minLng > maxLng) {
+    return null;
+  }
+
+  return { minLat, minLng, maxLat, maxLng };
+}
+
+module.exports = {
+  COORDINATE_SYSTEMS,
+  STORAGE_COORDINATE_SYSTEM,
+  REFERENCE_TOLERANCE_M,
+  convertTmToWgs84,
+  wgs84ToTm,
+  getStoreCoordinates,
+  resolveStoreCoordinates,
+  withWgs84Coordinates,
+  haversineKm,
+  parseBoundingBox,
+};
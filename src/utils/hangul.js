@@ -0,0 +1,151 @@
+/**
+ * 한글 검색 유틸리티
+ * 초성 추출, 자모 분해, 검색어 정규화 등 한글 검색에 필요한 함수들
+ */
+
+const HANGUL_START = 0xac00;
+const HANGUL_END = 0xd7a3;
+
+// 초성 (19개)
+const CHOSUNG = [
+  "ㄱ", "ㄲ", "ㄴ", "ㄷ", "ㄸ", "ㄹ", "ㅁ", "ㅂ", "ㅃ", "ㅅ",
+  "ㅆ", "ㅇ", "ㅈ", "ㅉ", "ㅊ", "ㅋ", "ㅌ", "ㅍ", "ㅎ",
+];
+
+// 중성 (21개)
+const JUNGSUNG = [
+  "ㅏ", "ㅐ", "ㅑ", "ㅒ", "ㅓ", "ㅔ", "ㅕ", "ㅖ", "ㅗ", "ㅘ",
+  "ㅙ", "ㅚ", "ㅛ", "ㅜ", "ㅝ", "ㅞ", "ㅟ", "ㅠ", "ㅡ", "ㅢ", "ㅣ",
+];
+
+// 종성 (28개, 첫 번째는 받침 없음)
+const JONGSUNG = [
+  "", "ㄱ", "ㄲ", "ㄳ", "ㄴ", "ㄵ", "ㄶ", "ㄷ", "ㄹ", "ㄺ",
+  "ㄻ", "ㄼ", "ㄽ", "ㄾ", "ㄿ", "ㅀ", "ㅁ", "ㅂ", "ㅄ", "ㅅ",
+  "ㅆ", "ㅇ", "ㅈ", "ㅊ", "ㅋ", "ㅌ", "ㅍ", "ㅎ",
+];
+
+// 복합 모음/겹받침 분해 (입력 중인 글자와 비교하기 위함)
+const COMPOUND_JAMO = {
+  ㅘ: "ㅗㅏ", ㅙ: "ㅗㅐ", ㅚ: "ㅗㅣ", ㅝ: "ㅜㅓ", ㅞ: "ㅜㅔ", ㅟ: "ㅜㅣ", ㅢ: "ㅡㅣ",
+  ㄳ: "ㄱㅅ", ㄵ: "ㄴㅈ", ㄶ: "ㄴㅎ", ㄺ: "ㄹㄱ", ㄻ: "ㄹㅁ", ㄼ: "ㄹㅂ",
+  ㄽ: "ㄹㅅ", ㄾ: "ㄹㅌ", ㄿ: "ㄹㅍ", ㅀ: "ㄹㅎ", ㅄ: "ㅂㅅ",
+};
+
+const CHOSUNG_SET = new Set(CHOSUNG);
+
+function isHangulSyllable(char) {
+  const code = char.charCodeAt(0);
+  return code >= HANGUL_START && code <= HANGUL_END;
+}
+
+/**
+ * 초성 자음인지 확인합니다. (ㄱ, ㄲ, ㄴ ...)
+ */
+function isChosung(char) {
+  return CHOSUNG_SET.has(char);
+}
+
+/**
+ * 문자열의 각 글자를 초성으로 변환합니다. 한글이 아닌 글자는 그대로 둡니다.
+ * @example getChosung("인형뽑기") // "ㅇㅎㅃㄱ"
+ */
+function getChosung(text) {
+  let result = "";
+  for (const char of text) {
+    if (isHangulSyllable(char)) {
+      result += CHOSUNG[Math.floor((char.charCodeAt(0) - HANGUL_START) / 588)];
+    } else {
+      result += char;
+    }
+  }
+  return result;
+}
+
+/**
+ * 문자열을 자모 단위로 분해합니다. 복합 모음과 겹받침도 나눕니다.
+ * @example decomposeHangul("뽑기") // "ㅃㅗㅂㄱㅣ"
+ */
+function decomposeHangul(text) {
+  let result = "";
+  for (const char of text) {
+    if (isHangulSyllable(char)) {
+      const index = char.charCodeAt(0) - HANGUL_START;
+      const jung = JUNGSUNG[Math.floor((index % 588) / 28)];
+      const jong = JONGSUNG[index % 28];
+      result += CHOSUNG[Math.floor(index / 588)];
+      result += COMPOUND_JAMO[jung] || jung;
+      result += COMPOUND_JAMO[jong] || jong;
+    } else {
+      result += COMPOUND_JAMO[char] || char;
+    }
+  }
+  return result;
+}
+
+/**
+ * 검색용 정규화: 소문자 변환, 공백/특수문자 제거
+ */
+function normalizeSearchText(text) {
+  return (text || "")
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/[^0-9a-zㄱ-ㆎ가-힣]/g, "");
+}
+
+/**
+ * 두 문자열의 편집 거리(Levenshtein)를 계산합니다.
+ */
+function getEditDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * 두 매장명의 유사도(0~1)를 계산합니다.
+ * 정규화 후 한쪽이 다른 쪽을 포함하면 0.9, 그 외에는 자모 단위 편집 거리로 계산합니다.
+ * @example getNameSimilarity("인형뽑기 강남점", "인형뽑기강남") // 0.9
+ */
+function getNameSimilarity(a, b) {
+  const normA = normalizeSearchText(a);
+  const normB = normalizeSearchText(b);
+
+  if (!normA || !normB) {
+    return 0;
+  }
+  if (normA === normB) {
+    return 1;
+  }
+  if (normA.includes(normB) || normB.includes(normA)) {
+    return 0.9;
+  }
+
+  const jamoA = decomposeHangul(normA);
+  const jamoB = decomposeHangul(normB);
+  return 1 - getEditDistance(jamoA, jamoB) / Math.max(jamoA.length, jamoB.length);
+}
+
+module.exports = {
+  CHOSUNG,
+  isChosung,
+  isHangulSyllable,
+  getChosung,
+  decomposeHangul,
+  normalizeSearchText,
+  getEditDistance,
+  getNameSimilarity,
+};
@@ -0,0 +1,56 @@
+/**
+ * 한국 시간(KST) 날짜 유틸리티
+ * 광고 기간/성과처럼 하루 단위로 다루는 값은 "YYYY-MM-DD" 문자열로 비교하고,
+ * @db.Date 컬럼에는 해당 날짜의 UTC 자정으로 저장합니다.
+ */
+
+const KST_OFFSET_MS = 9 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 한국 시간 기준 날짜 문자열 (YYYY-MM-DD)
+ */
+function toKstDateString(date = new Date()) {
+  return new Date(date.getTime() + KST_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * 날짜 문자열을 @db.Date 컬럼 값으로 변환합니다.
+ */
+function toDbDate(dateString) {
+  return new Date(`${dateString}T00:00:00.000Z`);
+}
+
+/**
+ * 날짜 문자열의 한국 시간 0시 시각
+ */
+function toKstDayStart(dateString) {
+  return new Date(`${dateString}T00:00:00.000+09:00`);
+}
+
+/**
+ * 날짜 문자열에 일수를 더합니다.
+ */
+function addDays(dateString, days) {
+  return new Date(toDbDate(dateString).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * 시작일부터 종료일까지(포함) 날짜 문자열 목록
+ */
+function listDates(startDate, endDate) {
+  const dates = [];
+  for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+}
+
+module.exports = {
+  DAY_MS,
+  toKstDateString,
+  toDbDate,
+  toKstDayStart,
+  addDays,
+  listDates,
+};
@@ -0,0 +1,248 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * LOCALDATA(지방행정 인허가데이터) 파일 파서
+ * 게임제공업 전체/변동분 CSV 또는 XML 파일을 읽어 GameBusiness 컬럼명 기준의 객체 배열로 변환합니다.
+ */
+
+// GameBusiness에서 LOCALDATA 컬럼과 1:1로 대응하는 필드 목록
+const LOCALDATA_COLUMNS = [
+  "번호", "개방서비스명", "개방서비스아이디", "개방자치단체코드", "관리번호",
+  "인허가일자", "인허가취소일자", "영업상태구분코드", "영업상태명", "상세영업상태코드",
+  "상세영업상태명", "폐업일자", "휴업시작일자", "휴업종료일자", "재개업일자",
+  "소재지전화", "소재지면적", "소재지우편번호", "소재지전체주소", "도로명전체주소",
+  "도로명우편번호", "사업장명", "최종수정시점", "데이터갱신구분", "데이터갱신일자",
+  "업태구분명", "좌표정보x", "좌표정보y", "문화체육업종명", "문화사업자구분명",
+  "총층수", "주변환경명", "제작취급품목내용", "시설면적", "지상층수",
+  "지하층수", "건물용도명", "통로너비", "조명시설조도", "노래방실수",
+  "청소년실수", "비상계단여부", "비상구여부", "자동환기여부", "청소년실여부",
+  "특수조명여부", "방음시설여부", "비디오재생기명", "조명시설유무", "음향시설여부",
+  "편의시설여부", "소방시설여부", "총게임기수", "기존게임업외업종명", "제공게임물명",
+  "공연장형태구분명", "품목명", "최초등록시점", "지역구분명",
+];
+
+// LOCALDATA Open API(XML) 영문 태그 → 한글 컬럼명
+const XML_TAG_MAP = {
+  rowNum: "번호",
+  opnSvcNm: "개방서비스명",
+  opnSvcId: "개방서비스아이디",
+  opnSfTeamCode: "개방자치단체코드",
+  mgtNo: "관리번호",
+  apvPermYmd: "인허가일자",
+  apvCancelYmd: "인허가취소일자",
+  trdStateGbn: "영업상태구분코드",
+  trdStateNm: "영업상태명",
+  dtlStateGbn: "상세영업상태코드",
+  dtlStateNm: "상세영업상태명",
+  dcbYmd: "폐업일자",
+  clgStdt: "휴업시작일자",
+  clgEnddt: "휴업종료일자",
+  ropnYmd: "재개업일자",
+  siteTel: "소재지전화",
+  siteArea: "소재지면적",
+  sitePostNo: "소재지우편번호",
+  siteWhlAddr: "소재지전체주소",
+  rdnWhlAddr: "도로명전체주소",
+  rdnPostNo: "도로명우편번호",
+  bplcNm: "사업장명",
+  lastModTs: "최종수정시점",
+  updateGbn: "데이터갱신구분",
+  updateDt: "데이터갱신일자",
+  uptaeNm: "업태구분명",
+  x: "좌표정보x",
+  y: "좌표정보y",
+};
+
+const COLUMN_SET = new Set(LOCALDATA_COLUMNS);
+
+/**
+ * 파일 버퍼를 문자열로 디코딩합니다.
+ * LOCALDATA 다운로드 파일은 CP949(EUC-KR)인 경우가 많아 UTF-8 디코딩 실패 시 EUC-KR로 재시도합니다.
+ */
+function decodeBuffer(buffer) {
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(buffer).replace(/^\uFEFF/, "");
+  } catch (error) {
+    return new TextDecoder("euc-kr").decode(buffer);
+  }
+}
+
+/**
+ * CSV 문자열을 2차원 배열로 파싱합니다. (따옴표, 이스케이프된 따옴표, 셀 내 줄바꿈 지원)
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((value) => value.trim() !== ""));
+}
+
+/**
+ * XML 엔티티 및 CDATA를 해제합니다.
+ */
+function decodeXmlValue(value) {
+  const cdata = value.match(/^<!\[CDATA\[([\s\S]*)\]\]>$/);
+  if (cdata) {
+    return cdata[1];
+  }
+  return value
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&amp;/g, "&");
+}
+
+/**
+ * 값 정규화: 앞뒤 공백 제거, 빈 문자열은 null
+ */
+function normalizeValue(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const trimmed = String(value).trim();
+  return trimmed === "" ? null : trimmed;
+}
+
+/**
+ * 한글 컬럼명 기준 레코드를 GameBusiness 데이터로 변환합니다.
+ */
+function toGameBusinessRecord(source) {
+  const record = {};
+
+  for (const column of LOCALDATA_COLUMNS) {
+    if (source[column] === undefined) {
+      continue;
+    }
+    record[column] = normalizeValue(source[column]);
+  }
+
+  if (record.번호 !== undefined) {
+    const number = parseInt(record.번호, 10);
+    record.번호 = isNaN(number) ? null : number;
+  }
+
+  return record;
+}
+
+/**
+ * CSV 텍스트를 레코드 배열로 변환합니다.
+ */
+function parseLocaldataCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map((name) => name.trim().replace(/\s/g, ""));
+
+  if (!columns.includes("관리번호")) {
+    throw new Error("CSV 헤더에 관리번호 컬럼이 없습니다.");
+  }
+
+  return rows.map((values) => {
+    const source = {};
+    columns.forEach((column, index) => {
+      if (COLUMN_SET.has(column)) {
+        source[column] = values[index];
+      }
+    });
+    return toGameBusinessRecord(source);
+  });
+}
+
+/**
+ * XML 텍스트를 레코드 배열로 변환합니다.
+ * <row> 단위로 자식 태그를 읽으며, 영문 태그(Open API)와 한글 태그를 모두 지원합니다.
+ */
+function parseLocaldataXml(text) {
+  const records = [];
+  const rowPattern = /<row(?:\s[^>]*)?>([\s\S]*?)<\/row>/g;
+  const fieldPattern = /<([^\s>/]+)(?:\s[^>]*)?>([\s\S]*?)<\/\1>/g;
+
+  let rowMatch;
+  while ((rowMatch = rowPattern.exec(text)) !== null) {
+    const source = {};
+    let fieldMatch;
+
+    fieldPattern.lastIndex = 0;
+    while ((fieldMatch = fieldPattern.exec(rowMatch[1])) !== null) {
+      const tag = fieldMatch[1];
+      const column = XML_TAG_MAP[tag] || (COLUMN_SET.has(tag) ? tag : null);
+      if (column) {
+        source[column] = decodeXmlValue(fieldMatch[2]);
+      }
+    }
+
+    records.push(toGameBusinessRecord(source));
+  }
+
+  return records;
+}
+
+/**
+ * LOCALDATA 파일(CSV/XML)을 읽어 레코드 배열로 반환합니다.
+ * @param {string} filePath - 파일 경로 (.csv 또는 .xml)
+ * @returns {Array<Object>} GameBusiness 컬럼명 기준 레코드 배열
+ */
+function parseLocaldataFile(filePath) {
+  const text = decodeBuffer(fs.readFileSync(filePath));
+  const extension = path.extname(filePath).toLowerCase();
+
+  if (extension === ".xml" || (extension !== ".csv" && text.trimStart().startsWith("<"))) {
+    return parseLocaldataXml(text);
+  }
+  return parseLocaldataCsv(text);
+}
+
+module.exports = {
+  LOCALDATA_COLUMNS,
+  parseLocaldataFile,
+  parseLocaldataCsv,
+  parseLocaldataXml,
+};
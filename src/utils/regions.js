@@ -0,0 +1,169 @@
+/**
+ * 시도(광역자치단체) 기준 정보
+ * 주소의 첫 단어로 시도를 판별하고, 시도별 대략적인 WGS84 범위(좌표 검증용)를 제공합니다.
+ *
+ * 지역 코드: 시도는 행정구역코드 앞 2자리("11"), 하위 지역은 시도 코드 뒤에 이름을 ":"로 이어 붙입니다.
+ *   - "11:마포구" (시군구), "11:마포구:서교동" (읍면동), "36::조치원읍" (시군구가 없는 세종시)
+ */
+
+// code: 행정구역코드 앞 2자리, bbox: [minLat, minLng, maxLat, maxLng] (섬 포함, 여유 범위 포함)
+const SIDO_REGIONS = [
+  { code: "11", name: "서울특별시", aliases: ["서울특별시", "서울시", "서울"], bbox: [37.41, 126.76, 37.72, 127.19] },
+  { code: "26", name: "부산광역시", aliases: ["부산광역시", "부산시", "부산"], bbox: [34.87, 128.76, 35.40, 129.32] },
+  { code: "27", name: "대구광역시", aliases: ["대구광역시", "대구시", "대구"], bbox: [35.60, 128.35, 36.02, 128.77] },
+  { code: "28", name: "인천광역시", aliases: ["인천광역시", "인천시", "인천"], bbox: [37.00, 124.60, 37.98, 126.80] },
+  { code: "29", name: "광주광역시", aliases: ["광주광역시", "광주시", "광주"], bbox: [35.05, 126.64, 35.26, 127.02] },
+  { code: "30", name: "대전광역시", aliases: ["대전광역시", "대전시", "대전"], bbox: [36.18, 127.25, 36.50, 127.56] },
+  { code: "31", name: "울산광역시", aliases: ["울산광역시", "울산시", "울산"], bbox: [35.32, 128.95, 35.72, 129.47] },
+  { code: "36", name: "세종특별자치시", aliases: ["세종특별자치시", "세종시", "세종"], bbox: [36.40, 127.14, 36.74, 127.41] },
+  { code: "41", name: "경기도", aliases: ["경기도", "경기"], bbox: [36.89, 126.37, 38.30, 127.86] },
+  { code: "51", name: "강원특별자치도", aliases: ["강원특별자치도", "강원도", "강원"], bbox: [37.02, 127.08, 38.62, 129.37] },
+  { code: "43", name: "충청북도", aliases: ["충청북도", "충북"], bbox: [36.00, 127.27, 37.27, 128.66] },
+  { code: "44", name: "충청남도", aliases: ["충청남도", "충남"], bbox: [35.97, 125.97, 37.07, 127.65] },
+  { code: "52", name: "전북특별자치도", aliases: ["전북특별자치도", "전라북도", "전북"], bbox: [35.28, 125.98, 36.16, 127.93] },
+  { code: "46", name: "전라남도", aliases: ["전라남도", "전남"], bbox: [33.90, 125.00, 35.50, 127.90] },
+  { code: "47", name: "경상북도", aliases: ["경상북도", "경북"], bbox: [35.56, 128.00, 37.56, 131.90] },
+  { code: "48", name: "경상남도", aliases: ["경상남도", "경남"], bbox: [34.46, 127.56, 35.92, 129.25] },
+  { code: "50", name: "제주특별자치도", aliases: ["제주특별자치도", "제주도", "제주"], bbox: [33.05, 126.10, 33.60, 127.00] },
+];
+
+// 대한민국 전체 범위 (독도, 마라도 포함)
+const KOREA_BBOX = [32.9, 124.5, 38.7, 132.0];
+
+const BBOX_MARGIN = 0.05; // 약 5km
+
+/**
+ * 주소의 첫 단어로 시도를 찾습니다.
+ * @param {string} address - 소재지/도로명 전체주소
+ * @returns {Object|null} SIDO_REGIONS 항목
+ */
+function findSidoByAddress(address) {
+  if (!address) {
+    return null;
+  }
+  const firstToken = String(address).trim().split(/\s+/)[0];
+  return SIDO_REGIONS.find((region) => region.aliases.includes(firstToken)) || null;
+}
+
+/**
+ * 주소를 시도/시군구/읍면동으로 나눕니다.
+ * 시군구는 "수원시 장안구"처럼 두 단어일 수 있고, 도로명 주소에는 읍면동이 없을 수 있습니다.
+ * @param {string} address - 지번/도로명 주소
+ * @returns {{sido: string|null, sigungu: string|null, dong: string|null}}
+ */
+function parseAddressRegion(address) {
+  const sidoRegion = findSidoByAddress(address);
+  if (!sidoRegion) {
+    return { sido: null, sigungu: null, dong: null };
+  }
+
+  const tokens = String(address).trim().split(/\s+/).slice(1);
+  const sigunguTokens = [];
+  while (sigunguTokens.length < 2 && tokens.length > 0 && /[시군구]$/.test(tokens[0])) {
+    sigunguTokens.push(tokens.shift());
+  }
+
+  // 도로명(…로, …길)이 아닌 읍/면/동/가/리
+  const dong = tokens.length > 0 && /[읍면동가리]$/.test(tokens[0]) ? tokens[0] : null;
+
+  return {
+    sido: sidoRegion.name,
+    sigungu: sigunguTokens.length > 0 ? sigunguTokens.join(" ") : null,
+    dong,
+  };
+}
+
+/**
+ * GameBusiness 쓰기 데이터에 주소가 포함된 경우 sido/sigungu/dong 컬럼을 채웁니다.
+ * 읍면동은 지번 주소(소재지전체주소)에만 있으므로 도로명 주소만 바뀐 경우 dong은 그대로 둡니다.
+ * @param {Object} data - Prisma create/update data
+ * @returns {Object} 지역 컬럼이 채워진 data
+ */
+function withRegionColumns(data) {
+  if (!data || (data.소재지전체주소 === undefined && data.도로명전체주소 === undefined)) {
+    return data;
+  }
+
+  const jibun = parseAddressRegion(data.소재지전체주소);
+  const road = parseAddressRegion(data.도로명전체주소);
+  const region = {
+    sido: jibun.sido || road.sido,
+    sigungu: jibun.sido ? jibun.sigungu : road.sigungu,
+  };
+  if (data.소재지전체주소 !== undefined) {
+    region.dong = jibun.dong;
+  }
+
+  return { ...data, ...region };
+}
+
+/**
+ * 시도 코드로 시도를 찾습니다.
+ */
+function findSidoByCode(code) {
+  return SIDO_REGIONS.find((region) => region.code === code) || null;
+}
+
+/**
+ * 지역 코드를 만듭니다. (파일 상단 설명 참고)
+ * @param {{sido: string, sigungu?: string|null, dong?: string|null}} region - sido는 정식 시도명
+ * @returns {string|null}
+ */
+function buildRegionCode({ sido, sigungu, dong }) {
+  const sidoRegion = SIDO_REGIONS.find((region) => region.name === sido);
+  if (!sidoRegion) {
+    return null;
+  }
+  if (dong) {
+    return `${sidoRegion.code}:${sigungu || ""}:${dong}`;
+  }
+  return sigungu ? `${sidoRegion.code}:${sigungu}` : sidoRegion.code;
+}
+
+/**
+ * 지역 코드를 시도/시군구/읍면동 이름으로 풀어냅니다.
+ * @returns {{sido: string, sigungu: string|null, dong: string|null}|null} 알 수 없는 코드면 null
+ */
+function parseRegionCode(code) {
+  const [sidoCode, sigungu, dong] = String(code || "").split(":");
+  const sidoRegion = findSidoByCode(sidoCode);
+  if (!sidoRegion) {
+    return null;
+  }
+  return {
+    sido: sidoRegion.name,
+    sigungu: sigungu || null,
+    dong: dong || null,
+  };
+}
+
+/**
+ * 좌표가 범위 안에 있는지 확인합니다. (여유 범위 포함)
+ */
+function isWithinBbox(lat, lng, [minLat, minLng, maxLat, maxLng]) {
+  return (
+    lat >= minLat - BBOX_MARGIN &&
+    lat <= maxLat + BBOX_MARGIN &&
+    lng >= minLng - BBOX_MARGIN &&
+    lng <= maxLng + BBOX_MARGIN
+  );
+}
+
+/**
+ * 좌표가 대한민국 범위 안에 있는지 확인합니다.
+ */
+function isWithinKorea(lat, lng) {
+  return isWithinBbox(lat, lng, KOREA_BBOX);
+}
+
+module.exports = {
+  SIDO_REGIONS,
+  findSidoByAddress,
+  parseAddressRegion,
+  withRegionColumns,
+  findSidoByCode,
+  buildRegionCode,
+  parseRegionCode,
+  isWithinBbox,
+  isWithinKorea,
+};
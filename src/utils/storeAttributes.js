@@ -0,0 +1,174 @@
+/**
+ * 매장 시설 속성 정규화 유틸리티
+ * LOCALDATA 원본 문자열(총게임기수, 시설면적, 청소년실여부 등)을 숫자/불리언/코드값으로 변환합니다.
+ */
+
+const YES_VALUES = new Set(["y", "yes", "예", "유", "있음", "true", "1"]);
+const NO_VALUES = new Set(["n", "no", "아니오", "무", "없음", "false", "0"]);
+
+// 주변환경명 → 코드 (앞에서부터 먼저 일치하는 항목 사용)
+const SURROUNDINGS_RULES = [
+  { code: "school", keywords: ["학교", "학원"] },
+  { code: "residential", keywords: ["주택", "아파트", "주거"] },
+  { code: "entertainment", keywords: ["유흥", "숙박"] },
+  { code: "commercial", keywords: ["상가", "상업", "번화", "시장", "역세권", "오피스"] },
+  { code: "industrial", keywords: ["공장", "공업", "산업"] },
+];
+
+// 매장 규모 구분 기준 (게임기 수 우선, 없으면 시설면적)
+const SIZE_CLASS_THRESHOLDS = {
+  large: { gameCount: 100, area: 330 }, // 약 100평
+  medium: { gameCount: 30, area: 100 },
+};
+
+/**
+ * "Y"/"N", "유"/"무" 등의 여부 값을 불리언으로 변환합니다. 알 수 없으면 null
+ */
+function parseYesNo(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const normalized = String(value).trim().toLowerCase();
+  if (YES_VALUES.has(normalized)) {
+    return true;
+  }
+  if (NO_VALUES.has(normalized)) {
+    return false;
+  }
+  return null;
+}
+
+/**
+ * "1,234.5" 같은 숫자 문자열을 숫자로 변환합니다. 음수나 숫자가 아니면 null
+ */
+function parseNumber(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const number = parseFloat(String(value).replace(/[^0-9.\-]/g, ""));
+  return isFinite(number) && number >= 0 ? number : null;
+}
+
+function parseInteger(value) {
+  const number = parseNumber(value);
+  return number === null ? null : Math.round(number);
+}
+
+/**
+ * 주변환경명을 코드로 변환합니다.
+ * @returns {"school"|"residential"|"entertainment"|"commercial"|"industrial"|"other"|null}
+ */
+function parseSurroundings(value) {
+  if (!value || !String(value).trim()) {
+    return null;
+  }
+  const rule = SURROUNDINGS_RULES.find(({ keywords }) =>
+    keywords.some((keyword) => value.includes(keyword))
+  );
+  return rule ? rule.code : "other";
+}
+
+/**
+ * 게임기 수 또는 시설면적으로 매장 규모를 구분합니다.
+ * @returns {"large"|"medium"|"small"|null}
+ */
+function getSizeClass(gameCount, area) {
+  const key = gameCount !== null ? "gameCount" : area !== null ? "area" : null;
+  if (!key) {
+    return null;
+  }
+
+  const value = key === "gameCount" ? gameCount : area;
+  if (value >= SIZE_CLASS_THRESHOLDS.large[key]) {
+    return "large";
+  }
+  if (value >= SIZE_CLASS_THRESHOLDS.medium[key]) {
+    return "medium";
+  }
+  return "small";
+}
+
+/**
+ * 청소년실 보유 여부 (청소년실여부가 없으면 청소년실수로 판단)
+ */
+function parseYouthRoom(store) {
+  const flag = parseYesNo(store.청소년실여부);
+  if (flag !== null) {
+    return flag;
+  }
+  const count = parseInteger(store.청소년실수);
+  return count === null ? null : count > 0;
+}
+
+/**
+ * 매장 레코드의 시설 속성을 응답용으로 정규화합니다.
+ * @param {Object} store - GameBusiness 레코드
+ */
+function normalizeStoreAttributes(store) {
+  const gameCount = parseInteger(store.총게임기수);
+  const facilityArea = parseNumber(store.시설면적) ?? parseNumber(store.소재지면적);
+
+  return {
+    gameCount,
+    facilityArea,
+    sizeClass: getSizeClass(gameCount, facilityArea),
+    totalFloors: parseInteger(store.총층수),
+    aboveGroundFloors: parseInteger(store.지상층수),
+    undergroundFloors: parseInteger(store.지하층수),
+    youthRoom: parseYouthRoom(store),
+    youthRoomCount: parseInteger(store.청소년실수),
+    amenities: parseYesNo(store.편의시설여부),
+    fireSafety: parseYesNo(store.소방시설여부),
+    emergencyExit: parseYesNo(store.비상구여부),
+    emergencyStairs: parseYesNo(store.비상계단여부),
+    autoVentilation: parseYesNo(store.자동환기여부),
+    soundproofing: parseYesNo(store.방음시설여부),
+    surroundings: parseSurroundings(store.주변환경명),
+    providedGames: store.제공게임물명 || null,
+  };
+}
+
+// 필터용 컬럼 계산에 필요한 원본 필드
+const ATTRIBUTE_SOURCE_FIELDS = ["총게임기수", "시설면적", "소재지면적", "청소년실여부", "청소년실수"];
+
+/**
+ * GameBusiness 쓰기 데이터에 필터용 컬럼(gameCount, facilityArea, hasYouthRoom)을 채웁니다.
+ * 원본 필드가 하나도 포함되지 않았거나 컬럼을 직접 지정한 경우 그대로 반환합니다.
+ */
+function withStoreAttributeColumns(data) {
+  if (!data || !ATTRIBUTE_SOURCE_FIELDS.some((field) => data[field] !== undefined)) {
+    return data;
+  }
+  if (
+    data.gameCount !== undefined ||
+    data.facilityArea !== undefined ||
+    data.hasYouthRoom !== undefined
+  ) {
+    return data;
+  }
+
+  const attributes = normalizeStoreAttributes(data);
+  const result = { ...data };
+
+  if (data.총게임기수 !== undefined) {
+    result.gameCount = attributes.gameCount;
+  }
+  if (data.시설면적 !== undefined || data.소재지면적 !== undefined) {
+    result.facilityArea = attributes.facilityArea;
+  }
+  if (data.청소년실여부 !== undefined || data.청소년실수 !== undefined) {
+    result.hasYouthRoom = attributes.youthRoom;
+  }
+
+  return result;
+}
+
+module.exports = {
+  parseYesNo,
+  parseNumber,
+  parseSurroundings,
+  getSizeClass,
+  normalizeStoreAttributes,
+  withStoreAttributeColumns,
+  SIZE_CLASS_THRESHOLDS,
+};
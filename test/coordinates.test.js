@@ -0,0 +1,99 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { convertTmToWgs84, resolveStoreCoordinates, haversineKm } = require("../src/utils/coordinates");
+
+/**
+ * 좌표계 판별 테스트
+ * 같은 지점을 EPSG:5174/5181/2097로 표현한 TM 좌표는 시도 범위로 구분되지 않으므로,
+ * 주소 지오코딩 기준점으로 원래 좌표계를 찾는지 확인합니다.
+ */
+
+// 시청 위치 (WGS84)와 해당 위치의 TM 좌표, 지오코딩 결과처럼 수십 m 떨어진 기준점
+const SAMPLES = [
+  {
+    name: "서울시청 (EPSG:5174)",
+    address: "서울특별시 중구 태평로1가 31",
+    system: "EPSG:5174",
+    tm: { x: 197984.01, y: 451583.78 },
+    expected: { lat: 37.566535, lng: 126.9779692 },
+    reference: { lat: 37.5668, lng: 126.9783 },
+  },
+  {
+    name: "부산시청 (EPSG:5181)",
+    address: "부산광역시 연제구 연산동 1000",
+    system: "EPSG:5181",
+    tm: { x: 389023.66, y: 189016.62 },
+    expected: { lat: 35.1798159, lng: 129.0750222 },
+    reference: { lat: 35.1795, lng: 129.0746 },
+  },
+  {
+    name: "광주시청 (EPSG:2097)",
+    address: "광주광역시 서구 치평동 1200",
+    system: "EPSG:2097",
+    tm: { x: 186644.92, y: 184559.51 },
+    expected: { lat: 35.1600994, lng: 126.851338 },
+    reference: { lat: 35.1604, lng: 126.8517 },
+  },
+];
+
+function distanceM(a, b) {
+  return haversineKm(a.lat, a.lng, b.lat, b.lng) * 1000;
+}
+
+for (const sample of SAMPLES) {
+  test(`기준점으로 좌표계 판별: ${sample.name}`, () => {
+    const coords = convertTmToWgs84(sample.tm.x, sample.tm.y, {
+      address: sample.address,
+      reference: sample.reference,
+    });
+
+    assert.ok(coords);
+    assert.strictEqual(coords.system, sample.system);
+    assert.ok(distanceM(coords, sample.expected) < 1, `${distanceM(coords, sample.expected)}m 차이`);
+  });
+
+  test(`좌표계를 지정하면 그대로 변환: ${sample.name}`, () => {
+    const coords = convertTmToWgs84(sample.tm.x, sample.tm.y, {
+      address: sample.address,
+      system: sample.system,
+    });
+
+    assert.strictEqual(coords.system, sample.system);
+    assert.ok(distanceM(coords, sample.expected) < 1);
+  });
+}
+
+test("기준점이 없으면 LOCALDATA 기본 좌표계(EPSG:5174)로 변환", () => {
+  const [, busan] = SAMPLES;
+  const coords = convertTmToWgs84(busan.tm.x, busan.tm.y, { address: busan.address });
+
+  assert.strictEqual(coords.system, "EPSG:5174");
+});
+
+test("기준점이 허용 거리 밖이면 기본 판별로 대체", () => {
+  const [seoul] = SAMPLES;
+  const coords = convertTmToWgs84(seoul.tm.x, seoul.tm.y, {
+    address: seoul.address,
+    reference: { lat: seoul.expected.lat + 0.01, lng: seoul.expected.lng },
+  });
+
+  assert.strictEqual(coords.system, "EPSG:5174");
+});
+
+test("y 원점이 다른 EPSG:5186은 시도 범위로 판별", () => {
+  const coords = convertTmToWgs84(198053.65, 551888.92, { address: "서울특별시 중구 태평로1가 31" });
+
+  assert.strictEqual(coords.system, "EPSG:5186");
+  assert.ok(distanceM(coords, SAMPLES[0].expected) < 1);
+});
+
+test("매장 좌표 계산에 기준점 전달", () => {
+  const [, , gwangju] = SAMPLES;
+  const result = resolveStoreCoordinates(
+    { 좌표정보x: String(gwangju.tm.x), 좌표정보y: String(gwangju.tm.y), 소재지전체주소: gwangju.address },
+    { reference: gwangju.reference }
+  );
+
+  assert.strictEqual(result.coordinateStatus, "ok");
+  assert.strictEqual(result.coordinateSystem, "EPSG:2097");
+});
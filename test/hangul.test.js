@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  isChosung,
+  getChosung,
+  decomposeHangul,
+  normalizeSearchText,
+  getEditDistance,
+  getNameSimilarity,
+} = require("../src/utils/hangul");
+
+/**
+ * 한글 검색 유틸리티 테스트
+ */
+
+test("초성 자음만 초성으로 판별", () => {
+  assert.strictEqual(isChosung("ㄱ"), true);
+  assert.strictEqual(isChosung("ㅃ"), true);
+  assert.strictEqual(isChosung("ㅏ"), false);
+  assert.strictEqual(isChosung("ㄳ"), false);
+  assert.strictEqual(isChosung("가"), false);
+});
+
+test("한글은 초성으로 바꾸고 나머지 글자는 유지", () => {
+  assert.strictEqual(getChosung("인형뽑기"), "ㅇㅎㅃㄱ");
+  assert.strictEqual(getChosung("GS25 강남점"), "GS25 ㄱㄴㅈ");
+});
+
+test("복합 모음과 겹받침까지 자모로 분해", () => {
+  assert.strictEqual(decomposeHangul("뽑기"), "ㅃㅗㅂㄱㅣ");
+  assert.strictEqual(decomposeHangul("왜"), "ㅇㅗㅐ");
+  assert.strictEqual(decomposeHangul("닭"), "ㄷㅏㄹㄱ");
+  assert.strictEqual(decomposeHangul("ㄳ"), "ㄱㅅ");
+});
+
+test("검색어 정규화는 소문자로 바꾸고 공백/특수문자 제거", () => {
+  assert.strictEqual(normalizeSearchText(" 인형뽑기-Zone 2호점! "), "인형뽑기zone2호점");
+  assert.strictEqual(normalizeSearchText(null), "");
+  // 자모가 분리된(NFD) 입력도 완성형으로 합쳐 비교
+  assert.strictEqual(normalizeSearchText("인형".normalize("NFD")), "인형");
+});
+
+test("편집 거리와 매장명 유사도", () => {
+  assert.strictEqual(getEditDistance("kitten", "sitting"), 3);
+  assert.strictEqual(getNameSimilarity("인형뽑기 강남점", "인형뽑기강남점"), 1);
+  assert.strictEqual(getNameSimilarity("인형뽑기 강남점", "인형뽑기강남"), 0.9);
+  assert.ok(getNameSimilarity("인형뽑기", "인형뽀기") > 0.8);
+  assert.strictEqual(getNameSimilarity("", "인형뽑기"), 0);
+});
@@ -0,0 +1,122 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * LOCALDATA 가져오기 증분 기준(watermark) 테스트
+ * prisma를 메모리 구현으로 바꿔, 실패한 레코드가 있으면 다음 실행 기준이 그 레코드보다 앞에 머무는지 확인합니다.
+ */
+
+const db = { runs: [], stores: [], failing: new Set() };
+
+const fakePrisma = {
+  dataImportRun: {
+    findFirst: async ({ where }) =>
+      db.runs
+        .filter((run) => run.source === where.source && run.status === where.status)
+        .sort((a, b) => b.startedAt - a.startedAt)[0] || null,
+    create: async ({ data }) => {
+      const run = { id: `run-${db.runs.length + 1}`, status: "running", ...data };
+      db.runs.push(run);
+      return run;
+    },
+    update: async ({ where, data }) => Object.assign(db.runs.find((run) => run.id === where.id), data),
+  },
+  gameBusiness: {
+    findMany: async () => db.stores.map((store) => ({ ...store })),
+    create: async ({ data }) => {
+      if (db.failing.has(data.관리번호)) {
+        throw new Error("저장 실패");
+      }
+      const store = { id: db.stores.length + 1, ...data };
+      db.stores.push(store);
+      return { id: store.id };
+    },
+  },
+};
+
+const prismaPath = path.resolve(__dirname, "../src/services/prisma.js");
+require.cache[prismaPath] = { id: prismaPath, filename: prismaPath, loaded: true, exports: { prisma: fakePrisma } };
+
+const { importLocaldataFile } = require("../src/services/localdataImport");
+
+const HEADER = "관리번호,사업장명,영업상태명,데이터갱신일자";
+
+const tempDirs = [];
+
+function writeCsv(rows) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "localdata-"));
+  tempDirs.push(dir);
+  const filePath = path.join(dir, "game.csv");
+  fs.writeFileSync(filePath, [HEADER, ...rows].join("\n"));
+  return filePath;
+}
+
+test.after(() => {
+  tempDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+test("실패한 레코드보다 앞선 반영 일시까지만 기준으로 남기고 다음 실행에서 다시 시도", async () => {
+  db.runs = [
+    {
+      id: "run-0",
+      source: "localdata_game",
+      status: "completed",
+      startedAt: new Date("2024-01-01T00:00:00Z"),
+      lastDataUpdatedAt: "2024-01-01 09:00:00",
+    },
+  ];
+  db.stores = [];
+  db.failing = new Set(["B"]);
+
+  const filePath = writeCsv([
+    "OLD,이미 반영된 매장,영업/정상,2023-12-31 09:00:00",
+    "A,매장 A,영업/정상,2024-01-02 09:00:00",
+    "B,매장 B,영업/정상,2024-01-03 09:00:00",
+    "C,매장 C,영업/정상,2024-01-04 09:00:00",
+  ]);
+
+  const first = await importLocaldataFile(filePath);
+
+  assert.strictEqual(first.since, "2024-01-01 09:00:00");
+  assert.strictEqual(first.skipped, 1);
+  assert.strictEqual(first.inserted, 2);
+  assert.strictEqual(first.failed, 1);
+  // C는 반영됐지만 B가 실패했으므로 기준은 A까지
+  assert.strictEqual(first.lastDataUpdatedAt, "2024-01-02 09:00:00");
+  assert.strictEqual(db.runs[1].lastDataUpdatedAt, "2024-01-02 09:00:00");
+
+  db.failing.clear();
+  const second = await importLocaldataFile(filePath);
+
+  assert.strictEqual(second.since, "2024-01-02 09:00:00");
+  assert.strictEqual(second.inserted, 1);
+  assert.strictEqual(second.skipped, 3);
+  assert.strictEqual(second.failed, 0);
+  assert.strictEqual(second.lastDataUpdatedAt, "2024-01-04 09:00:00");
+  assert.deepStrictEqual(db.stores.map((store) => store.관리번호), ["A", "C", "B"]);
+});
+
+test("가장 이른 레코드가 실패하면 이전 기준을 유지", async () => {
+  db.runs = [
+    {
+      id: "run-0",
+      source: "localdata_game",
+      status: "completed",
+      startedAt: new Date("2024-01-01T00:00:00Z"),
+      lastDataUpdatedAt: "2024-01-01 09:00:00",
+    },
+  ];
+  db.stores = [];
+  db.failing = new Set(["A"]);
+
+  const summary = await importLocaldataFile(
+    writeCsv(["A,매장 A,영업/정상,2024-01-02 09:00:00", "B,매장 B,영업/정상,2024-01-03 09:00:00"])
+  );
+
+  assert.strictEqual(summary.inserted, 1);
+  assert.strictEqual(summary.failed, 1);
+  assert.strictEqual(summary.lastDataUpdatedAt, "2024-01-01 09:00:00");
+});
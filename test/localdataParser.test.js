@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const { parseLocaldataFile, parseLocaldataCsv } = require("../src/utils/localdataParser");
+
+/**
+ * LOCALDATA 파일 파서 테스트
+ * 같은 두 레코드를 UTF-8(BOM) CSV, EUC-KR CSV, Open API XML로 담은 fixture를 읽어 같은 결과가 나오는지 확인합니다.
+ */
+
+const FIXTURES = path.join(__dirname, "fixtures", "localdata");
+
+function assertSampleRecords(records) {
+  assert.strictEqual(records.length, 2);
+
+  const [open, closed] = records;
+  assert.strictEqual(open.번호, 1);
+  assert.strictEqual(open.관리번호, "3000000-101-2020-00001");
+  assert.strictEqual(open.영업상태명, "영업/정상");
+  assert.strictEqual(open.소재지전체주소, "서울특별시 중구 태평로1가 31");
+  assert.strictEqual(open.데이터갱신일자, "2024-01-02 09:00:00");
+  assert.strictEqual(open.좌표정보x, "197984.01");
+  assert.strictEqual(open.좌표정보y, "451583.78");
+
+  assert.strictEqual(closed.관리번호, "3000000-101-2020-00002");
+  assert.strictEqual(closed.영업상태명, "폐업");
+  assert.strictEqual(closed.좌표정보x, null);
+}
+
+test("UTF-8 CSV는 BOM을 제거하고 파싱", () => {
+  const records = parseLocaldataFile(path.join(FIXTURES, "game-utf8.csv"));
+
+  assertSampleRecords(records);
+  assert.ok("번호" in records[0], "첫 컬럼명에 BOM이 남지 않아야 함");
+});
+
+test("UTF-8로 읽을 수 없는 CSV는 EUC-KR로 다시 디코딩", () => {
+  const utf8 = parseLocaldataFile(path.join(FIXTURES, "game-utf8.csv"));
+  const eucKr = parseLocaldataFile(path.join(FIXTURES, "game-euckr.csv"));
+
+  assertSampleRecords(eucKr);
+  assert.deepStrictEqual(eucKr, utf8);
+});
+
+test("CSV 따옴표 안의 쉼표, 이스케이프된 따옴표, 줄바꿈을 한 셀로 읽음", () => {
+  const [open, closed] = parseLocaldataFile(path.join(FIXTURES, "game-utf8.csv"));
+
+  assert.strictEqual(open.사업장명, '인형뽑기 "시청점"');
+  assert.strictEqual(open.총게임기수, "12");
+  assert.strictEqual(closed.소재지전체주소, "서울특별시 마포구 서교동 1, 2층\n(지하)");
+});
+
+test("XML은 영문 태그를 한글 컬럼으로 바꾸고 CDATA와 엔티티를 해제", () => {
+  const [open, closed] = parseLocaldataFile(path.join(FIXTURES, "game.xml"));
+
+  assertSampleRecords([open, closed]);
+  assert.strictEqual(open.사업장명, "인형뽑기 <시청점>");
+  assert.strictEqual(open.데이터갱신구분, "U");
+  assert.strictEqual(closed.사업장명, "크레인&랜드");
+});
+
+test("관리번호 컬럼이 없는 CSV는 오류", () => {
+  assert.throws(() => parseLocaldataCsv("번호,사업장명\n1,인형뽑기\n"), /관리번호/);
+});
@@ -0,0 +1,153 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+
+/**
+ * 결제 환불 테스트
+ * prisma와 토스페이 환불 API를 메모리 구현으로 바꿔, 환불 금액 선반영과 토스 오류 분류(실패 502 / 결과 불명 504)를 확인합니다.
+ */
+
+const db = { payments: [], refunds: [], adRequests: [] };
+
+function matches(row, where = {}) {
+  return Object.entries(where).every(([field, condition]) => {
+    if (condition && typeof condition === "object") {
+      if (condition.in) return condition.in.includes(row[field]);
+      if ("not" in condition) return row[field] !== condition.not;
+    }
+    return row[field] === condition;
+  });
+}
+
+function applyData(row, data) {
+  for (const [field, value] of Object.entries(data)) {
+    if (value && typeof value === "object" && "increment" in value) row[field] += value.increment;
+    else if (value && typeof value === "object" && "decrement" in value) row[field] -= value.decrement;
+    else row[field] = value;
+  }
+  return { ...row };
+}
+
+const fakePrisma = {
+  payment: {
+    findUnique: async ({ where }) => db.payments.find((row) => row.id === where.id) || null,
+    findFirst: async ({ where }) => db.payments.find((row) => matches(row, where)) || null,
+    update: async ({ where, data }) => applyData(db.payments.find((row) => row.id === where.id), data),
+    updateMany: async ({ where, data }) => {
+      const rows = db.payments.filter((row) => matches(row, where));
+      rows.forEach((row) => applyData(row, data));
+      return { count: rows.length };
+    },
+  },
+  paymentRefund: {
+    create: async ({ data }) => {
+      const refund = { id: `refund-${db.refunds.length + 1}`, status: "pending", ...data };
+      db.refunds.push(refund);
+      return { ...refund };
+    },
+    update: async ({ where, data }) => applyData(db.refunds.find((row) => row.id === where.id), data),
+    aggregate: async ({ where }) => ({
+      _sum: {
+        amountTaxFree: db.refunds.filter((row) => matches(row, where)).reduce((sum, row) => sum + row.amountTaxFree, 0),
+      },
+    }),
+  },
+  adRequest: {
+    updateMany: async ({ where, data }) => {
+      const rows = db.adRequests.filter((row) => matches(row, where));
+      rows.forEach((row) => applyData(row, data));
+      return { count: rows.length };
+    },
+  },
+  $transaction: async (arg) => (typeof arg === "function" ? arg(fakePrisma) : Promise.all(arg)),
+};
+
+const prismaPath = path.resolve(__dirname, "../src/services/prisma.js");
+require.cache[prismaPath] = { id: prismaPath, filename: prismaPath, loaded: true, exports: { prisma: fakePrisma } };
+
+const tossPayment = require("../src/services/tossPayment");
+const tossCalls = [];
+let tossRefundResult;
+tossPayment.refundPayment = async (userKey, refundData) => {
+  tossCalls.push(refundData);
+  return tossRefundResult();
+};
+
+const { refundPaymentById } = require("../src/services/paymentRefunds");
+
+function seed() {
+  db.payments = [
+    {
+      id: "payment-1",
+      userKey: "user-key",
+      payToken: "pay-token",
+      amount: 10000,
+      amountTaxFree: 0,
+      refundedAmount: 0,
+      status: "completed",
+      adRequestId: "ad-1",
+    },
+  ];
+  db.refunds = [];
+  db.adRequests = [{ id: "ad-1", status: "approved" }];
+  tossCalls.length = 0;
+  tossRefundResult = async () => ({ resultType: "SUCCESS" });
+}
+
+test("금액을 생략하면 남은 금액 전액 환불 후 광고 신청 취소", async () => {
+  seed();
+  const result = await refundPaymentById("payment-1", { reason: "광고 심사 거절" });
+
+  assert.strictEqual(tossCalls[0].amount, 10000);
+  assert.strictEqual(result.payment.status, "refunded");
+  assert.strictEqual(result.payment.refundedAmount, 10000);
+  assert.strictEqual(result.refund.status, "completed");
+  assert.strictEqual(result.refund.isFullRefund, true);
+  assert.strictEqual(result.adRequestCancelled, true);
+  assert.strictEqual(db.adRequests[0].status, "cancelled");
+});
+
+test("부분 환불은 partially_refunded로 두고 광고 신청 유지", async () => {
+  seed();
+  const result = await refundPaymentById("payment-1", { amount: 3000, reason: "노출 누락 보상" });
+
+  assert.strictEqual(tossCalls[0].amount, 3000);
+  assert.strictEqual(result.payment.status, "partially_refunded");
+  assert.strictEqual(result.payment.refundedAmount, 3000);
+  assert.strictEqual(result.refund.isFullRefund, false);
+  assert.strictEqual(result.adRequestCancelled, false);
+  assert.strictEqual(db.adRequests[0].status, "approved");
+
+  await assert.rejects(refundPaymentById("payment-1", { amount: 8000, reason: "초과 환불" }), { status: 400 });
+});
+
+test("토스가 실패 응답을 보내면 502, 선반영한 환불 금액을 되돌림", async () => {
+  seed();
+  tossRefundResult = async () => {
+    throw { statusCode: 400, response: { resultType: "FAIL", errorCode: "INVALID_REQUEST" }, message: "결제 환불 실패" };
+  };
+
+  await assert.rejects(refundPaymentById("payment-1", { reason: "광고 심사 거절" }), { status: 502 });
+
+  assert.strictEqual(db.payments[0].status, "completed");
+  assert.strictEqual(db.payments[0].refundedAmount, 0);
+  assert.strictEqual(db.payments[0].errorCode, "INVALID_REQUEST");
+  assert.strictEqual(db.refunds[0].status, "failed");
+});
+
+test("토스 5xx 응답은 결과를 알 수 없어 504, 환불은 처리 중으로 유지", async () => {
+  seed();
+  tossRefundResult = async () => {
+    throw { statusCode: 503, response: { resultType: "FAIL" }, message: "결제 환불 실패" };
+  };
+
+  await assert.rejects(refundPaymentById("payment-1", { reason: "광고 심사 거절" }), { status: 504 });
+
+  assert.strictEqual(db.payments[0].status, "completed");
+  assert.strictEqual(db.payments[0].refundedAmount, 10000);
+  assert.strictEqual(db.refunds[0].status, "pending");
+  assert.strictEqual(db.adRequests[0].status, "approved");
+
+  // 처리 중인 환불 금액이 선반영되어 있어 추가 환불은 막힘
+  await assert.rejects(refundPaymentById("payment-1", { amount: 1000, reason: "추가 환불" }), { status: 400 });
+});
@@ -0,0 +1,119 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+
+/**
+ * 매장 검색 인덱스 테스트
+ * prisma를 메모리 매장 목록으로 바꿔 초성/자모/오타 검색과 관련도 순위를 확인합니다.
+ */
+
+let stores = [];
+let buildCount = 0;
+
+function store(
+  id,
+  name,
+  { address = "서울특별시 마포구 서교동 1", lat = 37.55, lng = 126.92, reviews = 0, favorites = 0, suspectedClosed = false } = {}
+) {
+  return {
+    id,
+    suspectedClosed,
+    사업장명: name,
+    소재지전체주소: address,
+    도로명전체주소: null,
+    latitude: lat,
+    longitude: lng,
+    _count: { reviews, favorites },
+  };
+}
+
+const fakePrisma = {
+  gameBusiness: {
+    findMany: async () => {
+      buildCount += 1;
+      return stores;
+    },
+  },
+};
+
+const prismaPath = path.resolve(__dirname, "../src/services/prisma.js");
+require.cache[prismaPath] = { id: prismaPath, filename: prismaPath, loaded: true, exports: { prisma: fakePrisma } };
+
+const { searchStores, invalidateStoreSearchIndex } = require("../src/services/storeSearchIndex");
+
+function useStores(list) {
+  stores = list;
+  invalidateStoreSearchIndex();
+}
+
+test("초성 검색어로 매장명 검색", async () => {
+  useStores([store(1, "인형뽑기 홍대점"), store(2, "크레인랜드"), store(3, "홍대 인형뽑기")]);
+
+  const results = await searchStores("ㅇㅎㅃㄱ");
+
+  assert.deepStrictEqual(results.map((result) => result.id), [1, 3]);
+});
+
+test("초성과 완성형이 섞인 검색어", async () => {
+  useStores([store(1, "인형뽑기 홍대점"), store(2, "인형나라")]);
+
+  const results = await searchStores("인형ㅃ");
+
+  assert.deepStrictEqual(results.map((result) => result.id), [1]);
+});
+
+test("입력 중인 마지막 글자와 오타를 허용", async () => {
+  useStores([store(1, "인형뽑기 홍대점"), store(2, "크레인랜드")]);
+
+  assert.deepStrictEqual((await searchStores("인형뽀")).map((result) => result.id), [1]);
+  assert.deepStrictEqual((await searchStores("크래인랜드")).map((result) => result.id), [2]);
+});
+
+test("정확히 일치 > 앞부분 일치 > 포함 > 주소 순으로 정렬", async () => {
+  useStores([
+    store(1, "홍대 인형뽑기"),
+    store(2, "인형뽑기"),
+    store(3, "인형뽑기 홍대점"),
+    store(4, "크레인랜드", { address: "서울특별시 마포구 인형뽑기로 1" }),
+  ]);
+
+  const results = await searchStores("인형뽑기");
+
+  assert.deepStrictEqual(results.map((result) => result.id), [2, 3, 1, 4]);
+});
+
+test("인기도와 거리를 더하고 폐업 의심 매장은 감점", async () => {
+  useStores([
+    store(1, "인형뽑기 A", { lat: 35.1, lng: 129.0 }),
+    store(2, "인형뽑기 B", { reviews: 10, favorites: 10 }),
+    store(3, "인형뽑기 C", { suspectedClosed: true, reviews: 50 }),
+  ]);
+
+  const results = await searchStores("인형뽑기", { lat: 37.55, lng: 126.92 });
+
+  assert.deepStrictEqual(results.map((result) => result.id), [2, 1, 3]);
+  assert.strictEqual(results[0].distance, 0);
+  assert.ok(results[1].distance > 300);
+});
+
+test("limit 적용과 빈 검색어", async () => {
+  useStores([store(1, "인형뽑기 1호점"), store(2, "인형뽑기 2호점"), store(3, "인형뽑기 3호점")]);
+
+  assert.strictEqual((await searchStores("인형뽑기", { limit: 2 })).length, 2);
+  assert.deepStrictEqual(await searchStores(" !! "), []);
+});
+
+test("인덱스는 TTL 동안 재사용하고 invalidate하면 다시 만듦", async () => {
+  useStores([store(1, "인형뽑기")]);
+  const before = buildCount;
+
+  await searchStores("인형");
+  await searchStores("뽑기");
+  assert.strictEqual(buildCount, before + 1);
+
+  stores = [store(2, "크레인랜드")];
+  assert.deepStrictEqual((await searchStores("크레인")).map((result) => result.id), []);
+
+  invalidateStoreSearchIndex();
+  assert.deepStrictEqual((await searchStores("크레인")).map((result) => result.id), [2]);
+});